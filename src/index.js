@@ -14,11 +14,15 @@ console.log('Logger setup complete');
 
 const { exportRouter } = require('./routes/export');
 const { healthRouter } = require('./routes/health');
+const { auditRouter } = require('./routes/audit');
+const { recoveryRouter } = require('./routes/recovery');
 const enhancedMonitor = require('./services/enhanced-monitor');
 const monitoringService = require('./services/monitor');
 const shedsuite = require('./services/shedsuite');
-const excel = require('./services/excel');
+const excel = require('./services/excel').getExcelService();
 const systemMonitor = require('./utils/system-monitor');
+const syncCoordinator = require('./utils/sync-coordinator');
+const { apiAuth } = require('./utils/api-auth');
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -45,6 +49,14 @@ if (missingVars.length > 0) {
   console.log('All required environment variables are present');
 }
 
+// Refuse to start with broken API credentials rather than failing every request
+try {
+  apiAuth.validateConfig();
+} catch (error) {
+  console.error(`Invalid API authentication configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 
@@ -55,7 +67,8 @@ let startupStartTime = Date.now();
 logger.info('Application starting...', {
   nodeEnv: process.env.NODE_ENV,
   apiBaseUrl: process.env.API_BASE_URL?.replace(/\/+$/, ''),
-  allowedOrigins: process.env.ALLOWED_ORIGINS || '*'
+  allowedOrigins: process.env.ALLOWED_ORIGINS || '*',
+  authentication: apiAuth.getStatus()
 });
 
 // Rate limiting
@@ -81,7 +94,7 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
@@ -105,8 +118,9 @@ app.get('/health', async (req, res) => {
     // Only check external dependencies if the service is fully initialized
     if (isFullyInitialized) {
       try {
-        await shedsuite.getTotalRecordCount();
+        const recordCount = await shedsuite.getRecordCount();
         healthStatus.shedsuite = 'connected';
+        healthStatus.recordCount = { count: recordCount.count, method: recordCount.method, source: recordCount.source };
       } catch (error) {
         healthStatus.shedsuite = 'disconnected';
         healthStatus.status = 'degraded';
@@ -145,6 +159,8 @@ app.get('/ready', (req, res) => {
 // Routes
 app.use('/api/export', exportRouter);
 app.use('/api/health', healthRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/recovery', recoveryRouter);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -203,9 +219,9 @@ async function startServices() {
     console.log('🔌 Testing ShedSuite API connection...');
     logger.info('Testing ShedSuite API connection...');
     try {
-      const recordCount = await shedsuite.getTotalRecordCount();
-      console.log(`✅ ShedSuite API connection successful - ${recordCount} records available`);
-      logger.info('ShedSuite API connection successful', { recordCount });
+      const { count: recordCount, method } = await shedsuite.getRecordCount();
+      console.log(`✅ ShedSuite API connection successful - ${recordCount} records available (${method})`);
+      logger.info('ShedSuite API connection successful', { recordCount, method });
     } catch (error) {
       console.error(`❌ ShedSuite API connection failed: ${error.message}`);
       logger.error('ShedSuite API connection failed:', error);
@@ -233,6 +249,20 @@ async function startServices() {
     console.log('✅ Application is now initialized and ready to serve requests');
     logger.info('Application is now initialized and ready to serve requests');
 
+    // Resume full syncs a crash or redeploy stopped halfway, each as a background job
+    let resumedTargets = [];
+    if (process.env.RESUME_FULL_SYNCS_ON_STARTUP !== 'false') {
+      try {
+        resumedTargets = await monitoringService.resumeInterruptedFullSyncs();
+        if (resumedTargets.length > 0) {
+          console.log(`🔁 Resuming ${resumedTargets.length} interrupted full sync(s): ${resumedTargets.join(', ')}`);
+        }
+      } catch (error) {
+        console.error(`❌ Interrupted full syncs could not be resumed: ${error.message}`);
+        logger.error('Interrupted full syncs could not be resumed:', error);
+      }
+    }
+
     // Perform initial full sync in the background (non-blocking)
     console.log('🔄 Starting initial full sync in background...');
     logger.info('Starting initial full sync in background...');
@@ -241,6 +271,10 @@ async function startServices() {
     if (process.env.SKIP_INITIAL_SYNC === 'true') {
       console.log('⏭️  Initial sync disabled for testing');
       logger.info('Initial sync disabled for testing');
+    } else if (resumedTargets.includes(excel.getTargetKey())) {
+      // The resumed sync finishes the sheet; a new one would clear it again
+      console.log('⏭️  Initial sync skipped, the interrupted full sync is being resumed');
+      logger.info('Initial sync skipped, the interrupted full sync is being resumed');
     } else {
       setTimeout(async () => {
         try {
@@ -259,30 +293,31 @@ async function startServices() {
           });
 
           const startTime = Date.now();
-          console.log('📥 Fetching all records from ShedSuite API...');
-          logger.info('Fetching all records from ShedSuite API...');
+          console.log('📥 Streaming records from ShedSuite API into Excel...');
+          logger.info('Streaming records from ShedSuite API into Excel...');
           
           // Use a reasonable limit for initial sync to prevent it from taking too long
           const initialSyncLimit = parseInt(process.env.INITIAL_SYNC_LIMIT) || 200000; // Default to 200k for production
           console.log(`📊 Initial sync limit set to ${initialSyncLimit} records`);
-          const records = await shedsuite.fetchAllRecords({ 
+          const pages = shedsuite.iterateFormattedRecords({ 
             maxRecords: initialSyncLimit,
-            pageSize: 100, // Use correct page size for ShedSuite API
-            retryDelay: 50 // Reduce delay for faster processing
+            pageSize: 100 // Use correct page size for ShedSuite API
           });
 
-          console.log(`📊 Formatting ${records.length} records for Excel...`);
-          logger.info(`Formatting ${records.length} records for Excel...`);
-          const formattedRecords = shedsuite.formatRecordsForExport(records);
-
-          console.log(`📈 Updating Excel spreadsheet with ${formattedRecords.length} records...`);
-          logger.info(`Updating Excel spreadsheet with ${formattedRecords.length} records...`);
-          await excel.updateSpreadsheet(formattedRecords);
+          // Each page is written while the next one is fetched; a sync already writing the sheet goes first
+          const result = await syncCoordinator.run(excel.getTargetKey(), {
+            kind: 'full_sync',
+            trigger: 'startup',
+            onBusy: 'queue'
+          }, () => excel.updateSpreadsheet(pages, {
+            source: { filters: { maxRecords: initialSyncLimit, pageSize: 100 } }
+          }), (result) => ({ rowsWritten: result.rowsWritten, rowsReplaced: result.rowsReplaced }));
 
           const duration = Date.now() - startTime;
-          console.log(`✅ Initial full sync completed successfully: ${formattedRecords.length} records in ${duration}ms`);
+          console.log(`✅ Initial full sync completed successfully: ${result.rowsWritten} records in ${duration}ms`);
           logger.info('Initial full sync completed successfully:', {
-            recordsCount: formattedRecords.length,
+            recordsCount: result.rowsWritten,
+            rowsReplaced: result.rowsReplaced,
             duration: `${duration}ms`,
             timestamp: new Date().toISOString()
           });
@@ -0,0 +1,87 @@
+/**
+ * Audit log endpoints
+ */
+const express = require('express');
+const { logger } = require('../utils/logger');
+const Validators = require('../utils/validators');
+const { REGEX_PATTERNS } = require('../utils/constants');
+const { requireScope } = require('../utils/api-auth');
+const { auditLog } = require('../utils/audit-log');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Time of a from/to query value in ms; a date without a time covers the whole day
+ * @param {string} value ISO date or date-time
+ * @param {boolean} endOfDay Whether a bare date means the end of that day
+ * @returns {number} Timestamp
+ */
+const toTimestamp = (value, endOfDay) => {
+  if (REGEX_PATTERNS.DATE_ONLY.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`).getTime();
+  }
+  return new Date(value).getTime();
+};
+
+/**
+ * @route GET /api/audit
+ * @description Audit entries, newest first. Query: from, to (ISO date or date-time),
+ *   action (comma-separated; 'sync.*' matches a prefix), actor, status, limit
+ * @access Private (admin scope)
+ */
+router.get('/', requireScope('admin'), async (req, res) => {
+  try {
+    const { from, to, action, actor, status } = req.query;
+    const errors = [];
+
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value !== undefined && !Validators.isValidFilterDate(value)) {
+        errors.push(`${name} must be an ISO 8601 date or date-time`);
+      }
+    });
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const filters = {
+      from: from !== undefined ? toTimestamp(from, false) : undefined,
+      to: to !== undefined ? toTimestamp(to, true) : undefined,
+      actions: action ? action.split(',').map(value => value.trim()).filter(Boolean) : [],
+      actor,
+      status,
+      limit
+    };
+    const { entries, truncated } = await auditLog.query(filters);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      truncated,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query audit log',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the audit log'
+    });
+  }
+});
+
+module.exports = { auditRouter: router };
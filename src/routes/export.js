@@ -1,5 +1,16 @@
 const express = require('express');
 const { logger } = require('../utils/logger');
+const { getDestination } = require('../utils/destinations');
+const droppedRecords = require('../utils/dropped-records');
+const diffReports = require('../utils/diff-reports');
+const verificationReports = require('../utils/verification-reports');
+const fullSyncCheckpoints = require('../utils/full-sync-checkpoints');
+const { EXPORT_FORMATS, createExportWriter } = require('../utils/export-writers');
+const { parseOrderFilters } = require('../utils/order-filters');
+const backgroundJobs = require('../utils/background-jobs');
+const syncCoordinator = require('../utils/sync-coordinator');
+const { requireScope } = require('../utils/api-auth');
+const { auditRequest, getActor } = require('../utils/audit-log');
 // Lazy load services to avoid immediate instantiation
 let shedsuite = null;
 let excel = null;
@@ -13,11 +24,12 @@ const getShedSuite = () => {
   return shedsuite;
 };
 
-const getExcel = () => {
+// Excel services are created per destination; no name means the default destination
+const getExcel = (destination) => {
   if (!excel) {
     excel = require('../services/excel');
   }
-  return excel;
+  return excel.getExcelService(destination);
 };
 
 const getMonitoringService = () => {
@@ -77,86 +89,267 @@ const expensiveOperationLimiter = (req, res, next) => {
   next();
 };
 
+// Query parameters that control the request rather than filter the orders
+const CONTROL_PARAMS = ['sync', 'destination', 'format', 'refresh', 'limit'];
+
+// Order filters from the query string (see ORDER_FILTERS), validated before any request is made
+const readFilters = (query) => {
+  const filters = {};
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (!CONTROL_PARAMS.includes(key)) {
+      filters[key] = (key === 'page' || key === 'pageSize') ? parseInt(value) : value;
+    }
+  });
+
+  parseOrderFilters(filters);
+  return filters;
+};
+
+const sendInvalidFilters = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Invalid filters',
+  message: error.errors.join('; '),
+  errors: error.errors
+});
+
+// Another sync is writing the target sheet; details name the running operation
+const sendSyncInProgress = (res, error) => res.status(409).json({
+  success: false,
+  error: 'Sync in progress',
+  message: error.message,
+  details: error.details
+});
+
+// Dry-run response: the diff with each list cut to `limit` entries; the saved report has all of them
+const formatDiff = (diff, limit) => {
+  const maxEntries = parseInt(limit) > 0 ? parseInt(limit) : 1000;
+
+  return {
+    dryRun: true,
+    destination: diff.destination,
+    worksheet: diff.worksheet,
+    summary: diff.summary,
+    add: diff.add.slice(0, maxEntries),
+    update: diff.update.slice(0, maxEntries),
+    remove: diff.remove.slice(0, maxEntries),
+    truncated: [diff.add, diff.update, diff.remove].some(entries => entries.length > maxEntries),
+    report: diff.reportId && {
+      id: diff.reportId,
+      json: `/api/export/diffs/${diff.reportId}`,
+      csv: `/api/export/diffs/${diff.reportId}?format=csv`
+    }
+  };
+};
+
 // GET /api/export/orders - Export orders with optional filtering and sync
-router.get('/orders', validatePagination, async (req, res) => {
+router.get('/orders', auditRequest(req => (req.query.sync === 'true' ? 'export.orders_sync' : null)), requireScope(req => (req.query.sync === 'true' ? 'operator' : 'read')), validatePagination, async (req, res) => {
   const startTime = Date.now();
+  const superseded = [];
+  let count = 0;
+  let lease = null;
+  let syncOutcome = null;
+
+  // format=csv|xlsx|ndjson downloads the same records as a file in the Excel column layout
+  const format = req.query.format || 'json';
+  if (format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid format parameter. Must be one of: json, ${EXPORT_FORMATS.join(', ')}.`
+    });
+  }
 
   try {
-    const filters = {
-      updatedAfter: req.query.updatedAfter,
-      status: req.query.status,
-      page: req.query.page ? parseInt(req.query.page) : undefined,
-      pageSize: req.query.pageSize ? parseInt(req.query.pageSize) : undefined,
-      // Add more filters as needed
-      dateFrom: req.query.dateFrom,
-      dateTo: req.query.dateTo
-    };
+    const filters = readFilters(req.query);
 
-    // Remove undefined filters
-    Object.keys(filters).forEach(key => {
-      if (filters[key] === undefined) {
-        delete filters[key];
+    // Fail before streaming when the sync target does not exist or is being written
+    if (req.query.sync === 'true') {
+      if (req.query.destination) {
+        getDestination(req.query.destination);
       }
-    });
+      lease = await syncCoordinator.acquire(getExcel(req.query.destination).getTargetKey(), {
+        kind: 'full_sync',
+        trigger: 'manual',
+        requestedBy: getActor(req),
+        onBusy: 'reject'
+      });
+    }
 
-    logger.info('Starting export with filters:', { filters, ip: req.ip });
+    logger.info('Starting export with filters:', { filters, format, ip: req.ip });
+
+    const writer = format === 'json'
+      ? null
+      : createExportWriter(format, res, getShedSuite().getMapping(), {
+        fileName: `orders-${new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`
+      });
+    const startResponse = async () => {
+      if (writer) {
+        await writer.start();
+        return;
+      }
+      res.status(200).type('application/json');
+      res.write('{"data":[');
+    };
 
-    const records = await getShedSuite().fetchAllRecords(filters);
-    const formattedRecords = getShedSuite().formatRecordsForExport(records);
+    // Each page goes to the response as soon as it is fetched, so memory stays flat.
+    // A record that supersedes an already sent one (same customer, newer update) is
+    // sent as well and the older record's ID is listed in metadata.superseded; files
+    // have no metadata, so there the later row for a key is the current one.
+    let fetchError = null;
+    async function* sendPages(pages) {
+      try {
+        for await (const page of pages) {
+          if (!res.headersSent) {
+            await startResponse();
+          }
+
+          const records = page.records.concat(page.replacements.map(({ record }) => record));
+          if (writer) {
+            await writer.write(records);
+          } else {
+            records.forEach((record, index) => {
+              res.write((count + index > 0 ? ',' : '') + JSON.stringify(record));
+            });
+          }
+          count += records.length;
+          page.replacements.forEach(({ replacedId }) => superseded.push(replacedId));
+
+          yield page;
+        }
+      } catch (error) {
+        fetchError = error;
+        throw error;
+      }
+    }
 
+    let dedupe = null;
+    const pages = sendPages(getShedSuite().iterateFormattedRecords(filters, {
+      onComplete: (report) => { dedupe = report; }
+    }));
     let excelSyncStatus = 'not_requested';
 
-    // Update Excel spreadsheet if sync is requested
+    // Update Excel spreadsheet from the same pages if sync is requested
     if (req.query.sync === 'true') {
       try {
-        await getExcel().updateSpreadsheet(formattedRecords);
+        const result = await getExcel(req.query.destination).updateSpreadsheet(pages, {
+          source: { filters, destination: req.query.destination || null }
+        });
         excelSyncStatus = 'completed';
+        syncOutcome = { status: 'completed', summary: { rowsWritten: result.rowsWritten, rowsReplaced: result.rowsReplaced } };
         logger.info('Excel spreadsheet updated successfully');
       } catch (excelError) {
+        if (fetchError) {
+          throw fetchError;
+        }
         excelSyncStatus = 'failed';
+        syncOutcome = { status: 'failed', error: excelError.message };
         logger.error('Error updating Excel:', excelError);
         // Continue with the response even if Excel sync fails
       }
     }
 
+    // Send whatever the Excel write did not consume (every page when no sync was requested)
+    while (!(await pages.next()).done) {
+      // Pages are written to the response as they are read
+    }
+
+    if (!res.headersSent) {
+      await startResponse();
+    }
+
     const duration = Date.now() - startTime;
-    logger.info(`Export completed in ${duration}ms for ${formattedRecords.length} records`);
+    logger.info(`Export completed in ${duration}ms for ${count} records`, { format });
 
-    res.json({
+    if (writer) {
+      await writer.finish();
+      return;
+    }
+
+    res.end('],' + JSON.stringify({
       success: true,
-      count: formattedRecords.length,
-      data: formattedRecords,
+      count,
       excel_sync: excelSyncStatus,
       metadata: {
         duration: `${duration}ms`,
         filters,
+        superseded,
+        dedupe: dedupe && {
+          policy: dedupe.policy,
+          removed: dedupe.removed,
+          reviewRunId: dedupe.removed.duplicate + dedupe.removed.missingKey > 0 ? dedupe.runId : null
+        },
         timestamp: new Date().toISOString()
       }
-    });
+    }).slice(1));
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error(`Export failed after ${duration}ms:`, error);
+    if (lease && !syncOutcome) {
+      syncOutcome = { status: 'failed', error: error.message };
+    }
 
-    res.status(500).json({
+    const body = {
       success: false,
       error: 'Export failed',
       message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred during export',
       duration: `${duration}ms`
-    });
+    };
+
+    // Once records are streamed the status is sent; close the document and report the failure in it.
+    // A file cannot carry the failure, so its download is cut off rather than ending as a complete file.
+    if (res.headersSent) {
+      if (format !== 'json') {
+        res.destroy(error);
+        return;
+      }
+      res.end('],' + JSON.stringify({ ...body, count }).slice(1));
+      return;
+    }
+
+    if (error.code === 'INVALID_FILTER') {
+      return sendInvalidFilters(res, error);
+    }
+
+    if (error.code === 'DESTINATION_NOT_FOUND') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown destination',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'SYNC_IN_PROGRESS') {
+      return sendSyncInProgress(res, error);
+    }
+
+    res.status(500).json(body);
+  } finally {
+    if (lease) {
+      syncCoordinator.release(lease, syncOutcome);
+    }
   }
 });
 
-// GET /api/export/orders/count - Get total record count
-router.get('/orders/count', async (req, res) => {
+// GET /api/export/orders/count - Get total record count (refresh=true bypasses the cache)
+router.get('/orders/count', requireScope('read'), async (req, res) => {
   try {
-    const count = await getShedSuite().getTotalRecordCount();
+    const filters = readFilters(req.query);
+    const result = await getShedSuite().getRecordCount(filters, { refresh: req.query.refresh === 'true' });
 
     res.json({
       success: true,
-      count,
+      count: result.count,
+      method: result.method,
+      source: result.source,
+      countedAt: result.countedAt,
+      expiresAt: result.expiresAt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.code === 'INVALID_FILTER') {
+      return sendInvalidFilters(res, error);
+    }
+
     logger.error('Error getting count:', error);
     res.status(500).json({
       success: false,
@@ -166,48 +359,440 @@ router.get('/orders/count', async (req, res) => {
   }
 });
 
-// POST /api/export/sync - Manual Excel sync
-router.post('/sync', expensiveOperationLimiter, async (req, res) => {
-  const startTime = Date.now();
+// Response for a job started in the background; poll statusUrl for its progress and result
+const sendJobAccepted = (res, job, message) => res.status(202).json({
+  success: true,
+  message,
+  jobId: job.id,
+  status: job.status,
+  statusUrl: `/api/export/jobs/${job.id}`,
+  timestamp: new Date().toISOString()
+});
 
+// POST /api/export/sync - Manual Excel sync, run as a background job
+router.post('/sync', auditRequest('export.sync'), requireScope('operator'), expensiveOperationLimiter, (req, res) => {
   try {
-    logger.info('Starting manual Excel sync', { ip: req.ip });
-
     // Allow filtering for partial syncs
     const filters = req.body.filters || {};
+    const destination = req.body.destination;
+    const dryRun = req.body.dryRun === true;
+
+    // Reject bad input before a job is created
+    parseOrderFilters(filters);
+    if (destination) {
+      getDestination(destination);
+    }
+
+    logger.info('Starting manual Excel sync', { ip: req.ip, destination, dryRun });
+
+    // Dry run: report what the sync would change without writing
+    if (dryRun) {
+      const job = backgroundJobs.start('manual_sync_dry_run', async (context) => {
+        const startTime = Date.now();
+        context.setPhase('Compare Sheet with ShedSuite');
+        const diff = await getExcel(destination).diffSpreadsheet(context.cancellable(getShedSuite().iterateFormattedRecords(filters)));
+        logger.info(`Manual sync dry run completed in ${Date.now() - startTime}ms`, diff.summary);
+
+        return formatDiff(diff, req.body.limit);
+      }, { destination, filters, dryRun, requestedBy: getActor(req) });
+
+      return sendJobAccepted(res, job, 'Excel sync dry run started, nothing will be written');
+    }
+
+    // Stream the latest records into Excel page by page
+    const job = backgroundJobs.start('manual_sync', async (context) => {
+      const startTime = Date.now();
+      let dedupe = null;
+      let fetchedRecords = 0;
+      let expectedRecords = null;
+
+      const excelService = getExcel(destination);
+      const result = await syncCoordinator.run(excelService.getTargetKey(), context.syncLockRequest('full_sync'), () => {
+        context.setPhase('Stream Records to Excel');
+        const pages = getShedSuite().iterateFormattedRecords(filters, {
+          onTotal: (count) => { expectedRecords = count; },
+          onPage: (page) => {
+            fetchedRecords += page.records.length;
+            context.updateProgress(50, { processedItems: fetchedRecords, totalItems: expectedRecords });
+          },
+          onComplete: (report) => { dedupe = report; }
+        });
+        return excelService.updateSpreadsheet(context.cancellable(pages), {
+          source: { filters, destination: destination || null },
+          jobId: context.jobId
+        });
+      }, (result) => ({ rowsWritten: result.rowsWritten, rowsReplaced: result.rowsReplaced }));
+
+      const duration = Date.now() - startTime;
+      logger.info(`Manual sync completed in ${duration}ms`);
+
+      return {
+        destination: result.destination,
+        records_synced: result.rowsWritten,
+        records_filtered: result.filtered,
+        verification: result.verification || null,
+        dedupe: dedupe && { policy: dedupe.policy, removed: dedupe.removed, runId: dedupe.runId },
+        duration: `${duration}ms`
+      };
+    }, { destination, filters, requestedBy: getActor(req) });
+
+    sendJobAccepted(res, job, 'Excel sync started');
+  } catch (error) {
+    if (error.code === 'INVALID_FILTER') {
+      return sendInvalidFilters(res, error);
+    }
+
+    if (error.code === 'DESTINATION_NOT_FOUND') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown destination',
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to start manual sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Sync failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Sync operation failed'
+    });
+  }
+});
+
+// GET /api/export/jobs - Background jobs, newest first
+router.get('/jobs', requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    jobs: backgroundJobs.listJobs(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/export/jobs/:jobId - Phase, progress and result of a background job
+router.get('/jobs/:jobId', requireScope('read'), (req, res) => {
+  const job = backgroundJobs.getStatus(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with ID ${req.params.jobId}; finished jobs are kept for a limited time`
+    });
+  }
+
+  res.json({
+    success: true,
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// DELETE /api/export/jobs/:jobId - Cancel a background job at its next checkpoint
+router.delete('/jobs/:jobId', auditRequest('export.job_cancel'), requireScope('operator'), (req, res) => {
+  const job = backgroundJobs.cancel(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with ID ${req.params.jobId}; finished jobs are kept for a limited time`
+    });
+  }
 
-    // Fetch latest records
-    const records = await getShedSuite().fetchAllRecords(filters);
-    const formattedRecords = getShedSuite().formatRecordsForExport(records);
+  if (job.finished) {
+    return res.status(409).json({
+      success: false,
+      error: 'Job already finished',
+      message: `Job ${job.id} already ${job.status}`,
+      job
+    });
+  }
 
-    // Update Excel
-    await getExcel().updateSpreadsheet(formattedRecords);
+  res.status(202).json({
+    success: true,
+    message: 'Cancellation requested; the job stops before its next batch',
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// POST /api/export/jobs/:jobId/resume - Continue a job's interrupted, failed or cancelled full sync after its last committed page
+router.post('/jobs/:jobId/resume', auditRequest('export.job_resume'), requireScope('operator'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = backgroundJobs.getStatus(jobId);
+
+    if (job && !job.finished) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job still running',
+        message: `Job ${jobId} is ${job.status}; only a stopped sync can be resumed`,
+        job
+      });
+    }
+
+    // Checkpoints are read from disk, so this also works for jobs of a previous process
+    const checkpoint = await fullSyncCheckpoints.findByJobId(jobId);
+    if (!checkpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Nothing to resume',
+        message: `Job ${jobId} has no interrupted full sync; completed syncs and syncs superseded by a newer full sync cannot be resumed`
+      });
+    }
+
+    const resuming = backgroundJobs.listJobs().find(candidate => !candidate.finished && candidate.metadata.checkpointId === checkpoint.operationId);
+    if (checkpoint.active || resuming) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already resuming',
+        message: resuming
+          ? `Job ${resuming.id} is already resuming this sync`
+          : `The sync of job ${jobId} is already running`
+      });
+    }
+
+    const resumeJob = getMonitoringService().resumeFullSyncInBackground(checkpoint, {
+      trigger: 'manual',
+      requestedBy: getActor(req)
+    });
+
+    sendJobAccepted(res, resumeJob, `Resuming full sync of ${checkpoint.target} after ${checkpoint.committedRecords} written records`);
+  } catch (error) {
+    logger.error('Failed to resume full sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Resume failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'The sync could not be resumed'
+    });
+  }
+});
+
+// POST /api/export/reconcile - Remove or mark sheet rows of orders deleted in ShedSuite
+router.post('/reconcile', auditRequest('export.reconcile'), requireScope('operator'), expensiveOperationLimiter, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { destination, mode, dryRun, force } = req.body;
+    logger.info('Starting manual reconciliation', { ip: req.ip, destination, mode, dryRun: dryRun === true, force: force === true });
+
+    // Only a complete listing can show which orders are gone, and only of a sheet nothing else is writing
+    const excelService = getExcel(destination);
+    const result = await syncCoordinator.run(excelService.getTargetKey(), {
+      kind: 'reconciliation',
+      trigger: 'manual',
+      requestedBy: getActor(req),
+      onBusy: 'reject'
+    }, () => excelService.reconcileDeletions(getShedSuite().iterateFormattedRecords({}, { complete: true }), {
+      mode,
+      dryRun: dryRun === true,
+      force: force === true
+    }), ({ stale, ...summary }) => summary);
 
     const duration = Date.now() - startTime;
-    logger.info(`Manual sync completed in ${duration}ms`);
+    logger.info(`Manual reconciliation completed in ${duration}ms`);
 
     res.json({
       success: true,
-      message: 'Excel sync completed successfully',
-      records_synced: formattedRecords.length,
+      message: result.dryRun ? 'Reconciliation dry run completed' : 'Reconciliation completed successfully',
+      ...result,
       duration: `${duration}ms`,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     const duration = Date.now() - startTime;
-    logger.error(`Manual sync failed after ${duration}ms:`, error);
+    logger.error(`Manual reconciliation failed after ${duration}ms:`, error);
+
+    if (error.code === 'DESTINATION_NOT_FOUND' || error.code === 'INVALID_RECONCILE_OPTIONS') {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'DESTINATION_NOT_FOUND' ? 'Unknown destination' : 'Invalid reconciliation options',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'SYNC_IN_PROGRESS') {
+      return sendSyncInProgress(res, error);
+    }
+
+    // The sheet was left untouched; the caller can review the stale rows and retry with force
+    if (error.code === 'RECONCILE_THRESHOLD_EXCEEDED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Removal threshold exceeded',
+        message: error.message,
+        details: error.details
+      });
+    }
 
     res.status(500).json({
       success: false,
-      error: 'Sync failed',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Sync operation failed',
+      error: 'Reconciliation failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Reconciliation failed',
       duration: `${duration}ms`
     });
   }
 });
 
+// GET /api/export/diffs - Saved dry-run reports, newest first
+router.get('/diffs', requireScope('read'), async (req, res) => {
+  try {
+    const reports = await diffReports.listReports();
+
+    res.json({
+      success: true,
+      count: reports.length,
+      reports,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing diff reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list diff reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the diff reports'
+    });
+  }
+});
+
+// GET /api/export/diffs/:reportId - Download a dry-run report (?format=json|csv)
+router.get('/diffs/:reportId', requireScope('read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format parameter. Must be json or csv.'
+      });
+    }
+
+    const report = await diffReports.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: `No diff report saved as ${req.params.reportId}`
+      });
+    }
+
+    res.attachment(`${report.reportId}.${format}`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(diffReports.toCsv(report));
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error('Error reading diff report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read diff report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the diff report'
+    });
+  }
+});
+
+// GET /api/export/verifications - Post-sync verification reports, newest first (?target=<destination>/<worksheet>)
+router.get('/verifications', requireScope('read'), async (req, res) => {
+  try {
+    const reports = await verificationReports.listReports({ target: req.query.target });
+
+    res.json({
+      success: true,
+      count: reports.length,
+      latest: reports[0] || null,
+      reports,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing verification reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list verification reports',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the verification reports'
+    });
+  }
+});
+
+// GET /api/export/verifications/:reportId - One verification report with every check and mismatch
+router.get('/verifications/:reportId', requireScope('read'), async (req, res) => {
+  try {
+    const report = await verificationReports.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: `No verification report saved as ${req.params.reportId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading verification report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read verification report',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the verification report'
+    });
+  }
+});
+
+// GET /api/export/dropped - Runs that set records aside during deduplication, newest first
+router.get('/dropped', requireScope('read'), async (req, res) => {
+  try {
+    const runs = await droppedRecords.listRuns();
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing dropped records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dropped records',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the review list'
+    });
+  }
+});
+
+// GET /api/export/dropped/:runId - Records one run set aside, optionally only one rule (?rule=duplicate|missingKey)
+router.get('/dropped/:runId', requireScope('read'), async (req, res) => {
+  try {
+    const run = await droppedRecords.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `No dropped records saved for run ${req.params.runId}`
+      });
+    }
+
+    const records = req.query.rule ? run.records.filter(entry => entry.rule === req.query.rule) : run.records;
+
+    res.json({
+      success: true,
+      ...run,
+      count: records.length,
+      records,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading dropped records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read dropped records',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read the review list'
+    });
+  }
+});
+
 // POST /api/export/monitor/start - Start monitoring service
-router.post('/monitor/start', async (req, res) => {
+router.post('/monitor/start', auditRequest('monitor.start'), requireScope('operator'), async (req, res) => {
   try {
     const options = {
       pollingIntervalMs: req.body.pollingIntervalMs,
@@ -241,7 +826,7 @@ router.post('/monitor/start', async (req, res) => {
 });
 
 // POST /api/export/monitor/stop - Stop monitoring service
-router.post('/monitor/stop', (req, res) => {
+router.post('/monitor/stop', auditRequest('monitor.stop'), requireScope('operator'), (req, res) => {
   try {
     getMonitoringService().stop();
 
@@ -260,7 +845,7 @@ router.post('/monitor/stop', (req, res) => {
 });
 
 // GET /api/export/monitor/status - Get monitoring service status
-router.get('/monitor/status', (req, res) => {
+router.get('/monitor/status', requireScope('read'), (req, res) => {
   try {
     const status = getMonitoringService().getStatus();
 
@@ -279,7 +864,7 @@ router.get('/monitor/status', (req, res) => {
 });
 
 // GET /api/export/monitor/metrics - Get performance metrics
-router.get('/monitor/metrics', (req, res) => {
+router.get('/monitor/metrics', requireScope('read'), (req, res) => {
   try {
     const metrics = monitoringService.getMetrics();
 
@@ -299,7 +884,7 @@ router.get('/monitor/metrics', (req, res) => {
 });
 
 // POST /api/export/monitor/reset-stats - Reset monitoring statistics
-router.post('/monitor/reset-stats', (req, res) => {
+router.post('/monitor/reset-stats', auditRequest('monitor.reset_stats'), requireScope('admin'), (req, res) => {
   try {
     monitoringService.resetStats();
 
@@ -317,39 +902,58 @@ router.post('/monitor/reset-stats', (req, res) => {
   }
 });
 
-// POST /api/export/monitor/force-sync - Force a sync check
-router.post('/monitor/force-sync', expensiveOperationLimiter, async (req, res) => {
-  const startTime = Date.now();
-
+// POST /api/export/monitor/force-sync - Force a sync check or full sync, run as a background job
+router.post('/monitor/force-sync', auditRequest('monitor.force_sync'), requireScope('operator'), expensiveOperationLimiter, (req, res) => {
   try {
-    if (req.body.fullSync === true) {
-      await getMonitoringService().forceFullSync(req.body.options || {});
-    } else {
-      await getMonitoringService().forceSyncCheck();
+    const options = req.body.options || {};
+    const fullSync = req.body.fullSync === true;
+    const dryRun = fullSync && options.dryRun === true;
+
+    if (options.filters) {
+      parseOrderFilters(options.filters);
     }
 
-    const duration = Date.now() - startTime;
+    const type = dryRun ? 'force_full_sync_dry_run' : fullSync ? 'force_full_sync' : 'force_sync_check';
+    const job = backgroundJobs.start(type, async (context) => {
+      const startTime = Date.now();
 
-    res.json({
-      success: true,
-      message: req.body.fullSync ? 'Full sync completed successfully' : 'Sync check completed successfully',
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString()
-    });
+      if (!fullSync) {
+        await getMonitoringService().forceSyncCheck({ backgroundJob: context });
+        return { duration: `${Date.now() - startTime}ms` };
+      }
+
+      const result = await getMonitoringService().forceFullSync({ ...options, backgroundJob: context });
+      if (dryRun) {
+        return formatDiff(result, req.body.limit);
+      }
+
+      return {
+        records_synced: result.rowsWritten,
+        rowsReplaced: result.rowsReplaced,
+        verification: result.verification || null,
+        duration: `${Date.now() - startTime}ms`
+      };
+    }, { fullSync, options, requestedBy: getActor(req) });
+
+    const message = dryRun
+      ? 'Full sync dry run started, nothing will be written'
+      : fullSync ? 'Full sync started' : 'Sync check started';
+    sendJobAccepted(res, job, message);
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logger.error(`Force sync failed after ${duration}ms:`, error);
+    if (error.code === 'INVALID_FILTER') {
+      return sendInvalidFilters(res, error);
+    }
 
+    logger.error('Failed to start force sync:', error);
     res.status(500).json({
       success: false,
       error: 'Force sync failed',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Sync operation failed',
-      duration: `${duration}ms`
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Sync operation failed'
     });
   }
 });
 
-// GET /api/export/health - Comprehensive health check
+// GET /api/export/health - Comprehensive health check (no credentials needed, like the other probes)
 router.get('/health', async (req, res) => {
   try {
     const [shedsiteHealth, excelHealth] = await Promise.allSettled([
@@ -7,6 +7,9 @@ const enhancedMonitor = require('../services/enhanced-monitor');
 const systemMonitor = require('../utils/system-monitor');
 const progressDashboard = require('../utils/progress-dashboard');
 const notificationSystem = require('../utils/notification-system');
+const { getAuthenticationStatus } = require('../utils/authentication-manager');
+const { requireScope } = require('../utils/api-auth');
+const { auditRequest } = require('../utils/audit-log');
 
 const router = express.Router();
 
@@ -35,9 +38,9 @@ router.get('/', async (req, res) => {
 /**
  * @route GET /health/detailed
  * @description Get detailed health status with component information
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/detailed', async (req, res) => {
+router.get('/detailed', requireScope('read'), async (req, res) => {
   try {
     const healthStatus = await enhancedMonitor.forceHealthCheck();
     const systemStatus = systemMonitor.getHealthStatus();
@@ -63,6 +66,8 @@ router.get('/detailed', async (req, res) => {
           healthChecks: monitorStatus.stats.healthChecks
         }
       },
+      // Microsoft Graph token state (null until the Excel service first connects)
+      authentication: getAuthenticationStatus(),
       memory: process.memoryUsage(),
       environment: process.env.NODE_ENV || 'development'
     };
@@ -83,9 +88,9 @@ router.get('/detailed', async (req, res) => {
 /**
  * @route GET /health/metrics
  * @description Get system metrics in JSON format
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/metrics', (req, res) => {
+router.get('/metrics', requireScope('read'), (req, res) => {
   try {
     const metrics = enhancedMonitor.getMetrics();
     const systemMetrics = systemMonitor.getDetailedMetrics();
@@ -107,9 +112,9 @@ router.get('/metrics', (req, res) => {
 /**
  * @route GET /health/metrics/prometheus
  * @description Get system metrics in Prometheus format
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/metrics/prometheus', (req, res) => {
+router.get('/metrics/prometheus', requireScope('read'), (req, res) => {
   try {
     const metrics = enhancedMonitor.getPrometheusMetrics();
     
@@ -124,9 +129,9 @@ router.get('/metrics/prometheus', (req, res) => {
 /**
  * @route GET /health/operations
  * @description Get active and recent operations
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/operations', (req, res) => {
+router.get('/operations', requireScope('read'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status; // 'in_progress', 'completed', 'failed'
@@ -155,9 +160,9 @@ router.get('/operations', (req, res) => {
 /**
  * @route GET /health/operations/:id
  * @description Get details for a specific operation
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/operations/:id', (req, res) => {
+router.get('/operations/:id', requireScope('read'), (req, res) => {
   try {
     const operationId = req.params.id;
     const operation = progressDashboard.getOperation(operationId);
@@ -182,9 +187,9 @@ router.get('/operations/:id', (req, res) => {
 /**
  * @route GET /health/dashboard
  * @description Get dashboard summary
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/dashboard', (req, res) => {
+router.get('/dashboard', requireScope('read'), (req, res) => {
   try {
     const dashboard = progressDashboard.getDashboardSummary();
     
@@ -201,9 +206,9 @@ router.get('/dashboard', (req, res) => {
 /**
  * @route GET /health/alerts
  * @description Get active and recent alerts
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/alerts', (req, res) => {
+router.get('/alerts', requireScope('read'), (req, res) => {
   try {
     const systemMetrics = systemMonitor.getDetailedMetrics();
     
@@ -224,9 +229,9 @@ router.get('/alerts', (req, res) => {
 /**
  * @route POST /health/alerts/:id/resolve
  * @description Resolve an active alert
- * @access Public
+ * @access Private (operator scope)
  */
-router.post('/alerts/:id/resolve', (req, res) => {
+router.post('/alerts/:id/resolve', auditRequest('alerts.resolve'), requireScope('operator'), (req, res) => {
   try {
     const alertId = req.params.id;
     const resolution = req.body.resolution || {};
@@ -250,9 +255,9 @@ router.post('/alerts/:id/resolve', (req, res) => {
 /**
  * @route GET /health/notifications
  * @description Get recent notifications
- * @access Public
+ * @access Private (read scope)
  */
-router.get('/notifications', (req, res) => {
+router.get('/notifications', requireScope('read'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const notifications = notificationSystem.getNotificationHistory(limit);
@@ -275,9 +280,9 @@ router.get('/notifications', (req, res) => {
 /**
  * @route POST /health/test-notification
  * @description Send a test notification
- * @access Public
+ * @access Private (admin scope)
  */
-router.post('/test-notification', async (req, res) => {
+router.post('/test-notification', auditRequest('notifications.test'), requireScope('admin'), async (req, res) => {
   try {
     const { level = 'info', title = 'Test Notification', message = 'This is a test notification' } = req.body;
     
@@ -0,0 +1,116 @@
+/**
+ * Snapshot and rollback endpoints
+ */
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { getRecoveryManager } = require('../utils/recovery-manager');
+const backgroundJobs = require('../utils/background-jobs');
+const syncCoordinator = require('../utils/sync-coordinator');
+const { requireScope } = require('../utils/api-auth');
+const { auditRequest, getActor } = require('../utils/audit-log');
+
+// Lazy load the Excel service to avoid immediate instantiation
+let excel = null;
+
+const getExcel = (destination) => {
+  if (!excel) {
+    excel = require('../services/excel');
+  }
+  return excel.getExcelService(destination);
+};
+
+const router = express.Router();
+
+/**
+ * @route GET /api/recovery/snapshots
+ * @description Saved worksheet snapshots, newest first. Query: target ("<destination>/<worksheet>")
+ * @access Private (read scope)
+ */
+router.get('/snapshots', requireScope('read'), async (req, res) => {
+  try {
+    const snapshots = await getRecoveryManager().listSnapshots({ target: req.query.target });
+
+    res.json({
+      success: true,
+      count: snapshots.length,
+      snapshots,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list snapshots',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to read snapshots'
+    });
+  }
+});
+
+/**
+ * @route POST /api/recovery/snapshots/:snapshotId/rollback
+ * @description Restore a worksheet to a snapshot, run as a background job once the
+ *   worksheet's running sync finishes. The current contents are saved as a new
+ *   snapshot first unless body.force is true. Body: reason
+ * @access Private (operator scope)
+ */
+router.post('/snapshots/:snapshotId/rollback', auditRequest('recovery.rollback'), requireScope('operator'), async (req, res) => {
+  try {
+    const { snapshotId } = req.params;
+    const recoveryManager = getRecoveryManager();
+    const snapshot = await recoveryManager.getSnapshotInfo(snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        message: `No snapshot with ID ${snapshotId}; only the newest snapshots of each worksheet are kept`
+      });
+    }
+
+    // The rows of a table snapshot do not line up with a plain range and the other way round
+    const writeMode = process.env.EXCEL_WRITE_MODE === 'table' ? 'table' : 'range';
+    if (snapshot.writeMode && snapshot.writeMode !== writeMode) {
+      return res.status(409).json({
+        success: false,
+        error: 'Write mode changed',
+        message: `Snapshot ${snapshotId} was taken in ${snapshot.writeMode} write mode, the service now writes in ${writeMode} mode`
+      });
+    }
+
+    const requestedBy = getActor(req);
+    const options = {
+      force: req.body.force === true,
+      reason: req.body.reason || 'manual',
+      requestedBy
+    };
+
+    logger.info('Starting snapshot rollback', { ip: req.ip, snapshotId, target: snapshot.target });
+
+    const job = backgroundJobs.start('snapshot_rollback', async (context) => {
+      const excelService = getExcel(snapshot.destination).forWorksheet({ worksheetName: snapshot.worksheetName });
+
+      return syncCoordinator.run(excelService.getTargetKey(), context.syncLockRequest('rollback'), () => {
+        context.setPhase('Restore Worksheet from Snapshot');
+        return recoveryManager.rollback(excelService, snapshotId, options);
+      }, (result) => ({ snapshotId, rowsRestored: result.rowsRestored }));
+    }, { snapshotId, target: snapshot.target, reason: options.reason, requestedBy });
+
+    res.status(202).json({
+      success: true,
+      message: `Rollback to snapshot ${snapshotId} started`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/export/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to start snapshot rollback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Rollback failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Rollback could not be started'
+    });
+  }
+});
+
+module.exports = { recoveryRouter: router };
@@ -9,6 +9,8 @@ let excel = null;
 const systemMonitor = require('../utils/system-monitor');
 const notificationSystem = require('../utils/notification-system');
 const progressDashboard = require('../utils/progress-dashboard');
+const { loadSyncJobs } = require('../utils/sync-jobs');
+const syncCoordinator = require('../utils/sync-coordinator');
 
 // Helper function to get services when needed
 const getShedSuite = () => {
@@ -18,21 +20,21 @@ const getShedSuite = () => {
   return shedsuite;
 };
 
-const getExcel = () => {
+// Excel services are created per destination; no name means the default destination
+const getExcel = (destination) => {
   if (!excel) {
     excel = require('./excel');
   }
-  return excel;
+  return excel.getExcelService(destination);
 };
 
 class EnhancedMonitoringService {
   constructor() {
     this.isRunning = false;
-    this.pollingInterval = null;
-    this.cronJob = null;
     this.healthCheckInterval = null;
     this.metricsExportInterval = null;
-    this.lastCheckTimestamp = null;
+    // Sync jobs, loaded on first use; each has its own schedule and watermark
+    this.jobs = null;
     this.stats = {
       syncCount: 0,
       recordsProcessed: 0,
@@ -53,7 +55,8 @@ class EnhancedMonitoringService {
       pollingIntervalMs: parseInt(process.env.MONITORING_POLLING_INTERVAL_MS) || 60000,
       cronSchedule: process.env.MONITORING_CRON_SCHEDULE || null,
       fullSyncInterval: parseInt(process.env.FULL_SYNC_INTERVAL_HOURS) || 24,
-      maxConcurrentSyncs: parseInt(process.env.MAX_CONCURRENT_SYNCS) || 1,
+      // Removal of orders deleted in ShedSuite; off unless an interval is set
+      reconcileInterval: parseInt(process.env.RECONCILE_INTERVAL_HOURS) || 0,
       enablePerformanceLogging: process.env.ENABLE_PERFORMANCE_LOGGING === 'true',
       healthCheckIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 300000, // 5 minutes
       metricsExportIntervalMs: parseInt(process.env.METRICS_EXPORT_INTERVAL_MS) || 60000, // 1 minute
@@ -66,7 +69,6 @@ class EnhancedMonitoringService {
     };
     
     this.activeSyncs = 0;
-    this.lastFullSync = null;
     this.healthStatus = {
       overall: 'unknown',
       components: {
@@ -84,7 +86,7 @@ class EnhancedMonitoringService {
       pollingInterval: `${this.config.pollingIntervalMs / 1000} seconds`,
       cronSchedule: this.config.cronSchedule || 'Not configured',
       fullSyncInterval: `${this.config.fullSyncInterval} hours`,
-      maxConcurrentSyncs: this.config.maxConcurrentSyncs,
+      reconcileInterval: this.config.reconcileInterval > 0 ? `${this.config.reconcileInterval} hours` : 'Disabled',
       performanceLogging: this.config.enablePerformanceLogging,
       healthCheckInterval: `${this.config.healthCheckIntervalMs / 1000} seconds`,
       metricsExportInterval: `${this.config.metricsExportIntervalMs / 1000} seconds`,
@@ -117,19 +119,8 @@ class EnhancedMonitoringService {
         }
       });
       
-      // Initialize last check timestamp
-      this.lastCheckTimestamp = new Date().toISOString();
-
-      // Start appropriate monitoring method
-      if (config.cronSchedule) {
-        await this.startCronMonitoring(config.cronSchedule);
-      } else {
-        await this.startPollingMonitoring(config.pollingIntervalMs);
-      }
-
-      // Schedule full sync if configured
-      if (config.fullSyncInterval > 0) {
-        this.scheduleFullSync(config.fullSyncInterval);
+      for (const job of this.getJobs()) {
+        await this.startJob(job, config);
       }
       
       // Start health check monitoring
@@ -151,38 +142,122 @@ class EnhancedMonitoringService {
     }
   }
 
+  /**
+   * Incremental-sync watermark of the primary job, kept for status consumers from before sync jobs
+   * @returns {string|null} ISO timestamp
+   */
+  get lastCheckTimestamp() {
+    return this.jobs ? this.jobs[0].lastCheckTimestamp : null;
+  }
+
+  /**
+   * Last full sync of the primary job
+   * @returns {string|null} ISO timestamp
+   */
+  get lastFullSync() {
+    return this.jobs ? this.jobs[0].lastFullSync : null;
+  }
+
+  /**
+   * Get the configured sync jobs, loading them on first use
+   * @returns {Array<SyncJob>} Sync jobs, the primary job first
+   */
+  getJobs() {
+    if (!this.jobs) {
+      this.jobs = loadSyncJobs(undefined, { statePrefix: 'enhanced-monitor' });
+    }
+    return this.jobs;
+  }
+
+  /**
+   * Find a sync job by name
+   * @param {string} name Job name, or nothing for the primary job
+   * @returns {SyncJob} Sync job
+   */
+  getJob(name) {
+    const jobs = this.getJobs();
+    if (!name) {
+      return jobs[0];
+    }
+
+    const job = jobs.find(candidate => candidate.name === name);
+    if (!job) {
+      const error = new Error(`Unknown sync job: ${name}`);
+      error.code = 'SYNC_JOB_NOT_FOUND';
+      throw error;
+    }
+    return job;
+  }
+
+  /**
+   * Restore a job's watermark and start its incremental and full sync schedules.
+   * Settings the job leaves out come from the service configuration.
+   * @param {SyncJob} job Sync job
+   * @param {Object} config Service configuration
+   * @returns {Promise<void>}
+   */
+  async startJob(job, config) {
+    await job.syncState.restore();
+
+    const cronSchedule = job.cronSchedule || (job.pollingIntervalMs ? null : config.cronSchedule);
+    if (cronSchedule) {
+      await this.startCronMonitoring(cronSchedule, job);
+    } else {
+      await this.startPollingMonitoring(job.pollingIntervalMs || config.pollingIntervalMs, job);
+    }
+
+    const fullSyncInterval = job.fullSyncIntervalHours !== null ? job.fullSyncIntervalHours : config.fullSyncInterval;
+    if (fullSyncInterval > 0) {
+      this.scheduleFullSync(fullSyncInterval, job);
+    }
+
+    const reconcileInterval = job.reconcileIntervalHours !== null ? job.reconcileIntervalHours : config.reconcileInterval;
+    if (reconcileInterval > 0) {
+      this.scheduleReconciliation(reconcileInterval, job);
+    }
+
+    // The primary job gets its initial sync from startup; other jobs fill their sheet once here
+    if (!job.primary && !job.lastFullSync) {
+      this.performFullSync({ job: job.name, trigger: 'startup' }).catch(error => {
+        logger.error(`Initial full sync of job "${job.name}" failed:`, error);
+      });
+    }
+  }
+
   /**
    * Start cron-based monitoring
    * @param {string} cronSchedule Cron schedule expression
+   * @param {SyncJob} job Sync job to check
    */
-  async startCronMonitoring(cronSchedule) {
+  async startCronMonitoring(cronSchedule, job) {
     if (!cron.validate(cronSchedule)) {
-      throw new Error(`Invalid cron schedule: ${cronSchedule}`);
+      throw new Error(`Invalid cron schedule for job "${job.name}": ${cronSchedule}`);
     }
 
-    this.cronJob = cron.schedule(cronSchedule, () => {
-      this.checkForUpdates().catch(error => {
+    job.timers.cronJob = cron.schedule(cronSchedule, () => {
+      this.checkForUpdates({ job: job.name, trigger: 'cron' }).catch(error => {
         logger.error('Scheduled sync failed:', error);
       });
     }, {
       scheduled: false
     });
 
-    this.cronJob.start();
-    logger.info(`Cron monitoring started with schedule: ${cronSchedule}`);
+    job.timers.cronJob.start();
+    logger.info(`Cron monitoring of job "${job.name}" started with schedule: ${cronSchedule}`);
   }
 
   /**
    * Start polling-based monitoring
    * @param {number} pollingIntervalMs Polling interval in milliseconds
+   * @param {SyncJob} job Sync job to check
    */
-  async startPollingMonitoring(pollingIntervalMs) {
-    this.pollingInterval = setInterval(
-      () => this.checkForUpdates(),
+  async startPollingMonitoring(pollingIntervalMs, job) {
+    job.timers.pollingInterval = setInterval(
+      () => this.checkForUpdates({ job: job.name, trigger: 'polling' }),
       pollingIntervalMs
     );
 
-    logger.info(`Polling monitoring started, checking every ${pollingIntervalMs / 1000} seconds`);
+    logger.info(`Polling monitoring of job "${job.name}" started, checking every ${pollingIntervalMs / 1000} seconds`);
   }
 
   /**
@@ -214,17 +289,35 @@ class EnhancedMonitoringService {
   /**
    * Schedule periodic full syncs
    * @param {number} intervalHours Interval in hours
+   * @param {SyncJob} job Sync job to sync
    */
-  scheduleFullSync(intervalHours) {
+  scheduleFullSync(intervalHours, job) {
     const intervalMs = intervalHours * 60 * 60 * 1000;
 
-    setInterval(() => {
-      this.performFullSync().catch(error => {
+    job.timers.fullSyncInterval = setInterval(() => {
+      this.performFullSync({ job: job.name, trigger: 'scheduled' }).catch(error => {
         logger.error('Scheduled full sync failed:', error);
       });
     }, intervalMs);
 
-    logger.info(`Full sync scheduled every ${intervalHours} hours`);
+    logger.info(`Full sync of job "${job.name}" scheduled every ${intervalHours} hours`);
+  }
+
+  /**
+   * Schedule periodic reconciliation of deleted orders
+   * @param {number} intervalHours Interval in hours
+   * @param {SyncJob} job Sync job to reconcile
+   */
+  scheduleReconciliation(intervalHours, job) {
+    const intervalMs = intervalHours * 60 * 60 * 1000;
+
+    job.timers.reconcileInterval = setInterval(() => {
+      this.performReconciliation({ job: job.name }).catch(error => {
+        logger.error('Scheduled reconciliation failed:', error);
+      });
+    }, intervalMs);
+
+    logger.info(`Reconciliation of job "${job.name}" scheduled every ${intervalHours} hours`);
   }
 
   /**
@@ -236,15 +329,27 @@ class EnhancedMonitoringService {
       return;
     }
 
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval);
-      this.pollingInterval = null;
-    }
+    (this.jobs || []).forEach(job => {
+      if (job.timers.pollingInterval) {
+        clearInterval(job.timers.pollingInterval);
+        job.timers.pollingInterval = null;
+      }
 
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
-    }
+      if (job.timers.cronJob) {
+        job.timers.cronJob.stop();
+        job.timers.cronJob = null;
+      }
+
+      if (job.timers.fullSyncInterval) {
+        clearInterval(job.timers.fullSyncInterval);
+        job.timers.fullSyncInterval = null;
+      }
+
+      if (job.timers.reconcileInterval) {
+        clearInterval(job.timers.reconcileInterval);
+        job.timers.reconcileInterval = null;
+      }
+    });
     
     if (this.healthCheckInterval) {
       clearInterval(this.healthCheckInterval);
@@ -465,26 +570,36 @@ class EnhancedMonitoringService {
   /**
    * Perform a full sync between ShedSuite and Excel
    * @param {Object} options Sync options
+   * @param {string} options.job Sync job name (defaults to the primary job)
+   * @param {Object} options.filters Query filters
+   * @param {string} options.trigger What started the sync (defaults to 'scheduled')
    * @returns {Promise<void>}
    */
   async performFullSync(options = {}) {
-    if (this.activeSyncs >= this.config.maxConcurrentSyncs) {
-      logger.warn(`Full sync skipped - ${this.activeSyncs} syncs already in progress (max: ${this.config.maxConcurrentSyncs})`);
-      return;
-    }
+    const job = this.getJob(options.job);
+    // Full syncs wait for whatever else is writing the job's sheet
+    const lease = await syncCoordinator.acquire(job.getExcel(getExcel).getTargetKey(), {
+      kind: 'full_sync',
+      trigger: options.trigger || 'scheduled',
+      onBusy: 'queue'
+    });
 
     this.activeSyncs++;
+    job.activeSyncs++;
     const startTime = Date.now();
     const syncId = `sync-${Date.now().toString(36)}`; // Generate a unique sync ID
+    let outcome;
     
     // Register operation in dashboard
     const operationId = progressDashboard.registerOperation('full_sync', {
       syncId,
+      job: job.name,
+      trigger: lease.trigger,
       options
     });
 
     try {
-      logger.info(`[Sync ${syncId}] Starting full synchronization process...`);
+      logger.info(`[Sync ${syncId}] Starting full synchronization of job "${job.name}"...`);
       progressDashboard.addLog(operationId, 'info', 'Starting full synchronization process');
 
       // Perform health checks first
@@ -506,66 +621,58 @@ class EnhancedMonitoringService {
         status: healthCheck.overall
       });
 
-      // Fetch all records with progress tracking
-      const fetchStep = progressDashboard.addStep(operationId, 'Fetch Records');
-      progressDashboard.addLog(operationId, 'info', 'Fetching records from ShedSuite API');
-      
-      const records = await getShedSuite().fetchAllRecords(options.filters || {});
-      logger.info(`[Sync ${syncId}] Retrieved ${records.length} records from ShedSuite API`);
-      
-      progressDashboard.updateProgress(operationId, 30, {
-        totalItems: records.length,
-        processedItems: 0
-      });
-      
-      progressDashboard.updateStep(operationId, fetchStep, 'completed', {
-        recordCount: records.length
-      });
+      // Stream pages from the API straight into the spreadsheet as they arrive
+      const streamStep = progressDashboard.addStep(operationId, 'Stream Records to Excel');
+      progressDashboard.addLog(operationId, 'info', 'Streaming records from ShedSuite API into Excel');
+      progressDashboard.updateProgress(operationId, 30, { processedItems: 0 });
 
-      // Format records
-      const formatStep = progressDashboard.addStep(operationId, 'Format Records');
-      progressDashboard.addLog(operationId, 'info', `Formatting ${records.length} records for Excel export`);
-      
-      const formattedRecords = getShedSuite().formatRecordsForExport(records);
-      logger.info(`[Sync ${syncId}] Formatted ${formattedRecords.length} records for Excel export`);
-      
-      progressDashboard.updateProgress(operationId, 50, {
-        processedItems: formattedRecords.length
-      });
-      
-      progressDashboard.updateStep(operationId, formatStep, 'completed', {
-        recordCount: formattedRecords.length
+      let fetchedRecords = 0;
+      let expectedRecords = null;
+      let dedupe = null;
+      const pages = job.getShedSuite(getShedSuite()).iterateFormattedRecords(options.filters || {}, {
+        onTotal: (count) => { expectedRecords = count; },
+        onPage: (page) => {
+          fetchedRecords += page.records.length;
+          progressDashboard.updateProgress(operationId, 30, { processedItems: fetchedRecords, totalItems: expectedRecords });
+        },
+        onComplete: (report) => { dedupe = report; }
       });
 
-      // Update Excel with full dataset
-      const updateStep = progressDashboard.addStep(operationId, 'Update Excel');
-      progressDashboard.addLog(operationId, 'info', `Updating Excel spreadsheet with ${formattedRecords.length} records`);
-      
-      logger.info(`[Sync ${syncId}] Updating Excel spreadsheet...`);
-      await getExcel().updateSpreadsheet(formattedRecords);
+      logger.info(`[Sync ${syncId}] Streaming records into Excel spreadsheet...`);
+      const result = await job.getExcel(getExcel).updateSpreadsheet(pages, {
+        source: { filters: options.filters || {}, syncJob: job.name }
+      });
+      const recordCount = result.rowsWritten;
       
       progressDashboard.updateProgress(operationId, 100, {
-        processedItems: formattedRecords.length,
-        successfulItems: formattedRecords.length
+        totalItems: recordCount,
+        processedItems: recordCount,
+        successfulItems: recordCount
       });
       
-      progressDashboard.updateStep(operationId, updateStep, 'completed');
+      progressDashboard.updateStep(operationId, streamStep, 'completed', {
+        recordCount,
+        rowsReplaced: result.rowsReplaced,
+        pages: result.pages,
+        dedupe: dedupe && { policy: dedupe.policy, removed: dedupe.removed, runId: dedupe.runId }
+      });
 
       const duration = Date.now() - startTime;
-      this.updateStats(duration, formattedRecords.length);
-      this.lastFullSync = new Date().toISOString();
+      this.updateStats(duration, recordCount);
+      await job.syncState.recordFullSync(new Date().toISOString());
 
       logger.info(`[Sync ${syncId}] Sync completed successfully`, {
         duration: `${duration / 1000} seconds`,
-        recordsProcessed: formattedRecords.length,
-        averageTimePerRecord: `${(duration / formattedRecords.length).toFixed(2)}ms`,
+        recordsProcessed: recordCount,
+        rowsReplaced: result.rowsReplaced,
+        averageTimePerRecord: `${(duration / (recordCount || 1)).toFixed(2)}ms`,
         timestamp: new Date().toISOString()
       });
       
       // Record batch in system monitor
       systemMonitor.recordBatch({
         batchId: syncId,
-        size: formattedRecords.length,
+        size: recordCount,
         duration,
         success: true
       });
@@ -573,9 +680,10 @@ class EnhancedMonitoringService {
       // Complete operation in dashboard
       progressDashboard.completeOperation(operationId, 'completed', {
         duration,
-        recordsProcessed: formattedRecords.length,
-        averageTimePerRecord: (duration / formattedRecords.length).toFixed(2)
+        recordsProcessed: recordCount,
+        averageTimePerRecord: (duration / (recordCount || 1)).toFixed(2)
       });
+      outcome = { status: 'completed', summary: { syncId, job: job.name, rowsWritten: recordCount, rowsReplaced: result.rowsReplaced } };
       
       // Check if sync duration exceeds threshold
       if (duration > this.config.alertThresholds.syncDuration) {
@@ -585,13 +693,15 @@ class EnhancedMonitoringService {
           message: `Full sync took ${(duration / 1000).toFixed(1)} seconds, exceeding the threshold of ${(this.config.alertThresholds.syncDuration / 1000).toFixed(1)} seconds`,
           details: {
             syncId,
+            job: job.name,
             duration,
             threshold: this.config.alertThresholds.syncDuration,
-            recordsProcessed: formattedRecords.length
+            recordsProcessed: recordCount
           }
         });
       }
     } catch (error) {
+      outcome = { status: 'failed', error: error.message, summary: { syncId, job: job.name } };
       const duration = Date.now() - startTime;
       this.stats.errors++;
       this.stats.lastError = error.message;
@@ -636,9 +746,10 @@ class EnhancedMonitoringService {
       await notificationSystem.sendNotification({
         level: 'error',
         title: 'Sync Operation Failed',
-        message: `Sync operation ${syncId} failed: ${error.message}`,
+        message: `Sync operation ${syncId} of job "${job.name}" failed: ${error.message}`,
         details: {
           syncId,
+          job: job.name,
           duration: `${duration / 1000} seconds`,
           error: error.message,
           stack: error.stack
@@ -648,47 +759,199 @@ class EnhancedMonitoringService {
       throw error;
     } finally {
       this.activeSyncs--;
+      job.activeSyncs--;
+      syncCoordinator.release(lease, outcome);
     }
   }
 
   /**
-   * Check for updates since the last check with enhanced error handling
-   * @returns {Promise<void>}
+   * Reconcile deletions: remove, or mark as removed, the sheet rows of orders that
+   * no longer exist in ShedSuite. Needs a complete listing, so a fetch that skips
+   * pages fails the run instead of removing rows.
+   * @param {Object} options Reconciliation options
+   * @param {string} options.job Sync job name (defaults to the primary job)
+   * @param {string} options.mode 'mark' or 'delete' (defaults to RECONCILE_MODE)
+   * @param {boolean} options.dryRun Only report the stale rows
+   * @param {boolean} options.force Apply even above the removal threshold
+   * @returns {Promise<Object|undefined>} Reconciliation summary, or undefined when skipped
    */
-  async checkForUpdates() {
-    if (this.activeSyncs >= this.config.maxConcurrentSyncs) {
-      logger.debug('Update check skipped - maximum concurrent syncs reached');
+  async performReconciliation(options = {}) {
+    const job = this.getJob(options.job);
+    let lease;
+    try {
+      // A sheet being written cannot be compared; the next scheduled run tries again
+      lease = await syncCoordinator.acquire(job.getExcel(getExcel).getTargetKey(), {
+        kind: 'reconciliation',
+        trigger: options.trigger || 'scheduled',
+        onBusy: 'reject'
+      });
+    } catch (error) {
+      if (error.code !== 'SYNC_IN_PROGRESS') {
+        throw error;
+      }
+      logger.warn(`Reconciliation of job "${job.name}" skipped - ${error.message}`);
       return;
     }
 
     this.activeSyncs++;
+    job.activeSyncs++;
+    const startTime = Date.now();
+    const reconcileId = `reconcile-${Date.now().toString(36)}`;
+    let outcome;
+
+    const operationId = progressDashboard.registerOperation('reconciliation', {
+      reconcileId,
+      job: job.name,
+      options
+    });
+
+    try {
+      logger.info(`[Reconcile ${reconcileId}] Reconciling deleted orders of job "${job.name}"...`);
+      const step = progressDashboard.addStep(operationId, 'Compare Sheet with ShedSuite');
+
+      let fetchedRecords = 0;
+      const pages = job.getShedSuite(getShedSuite()).iterateFormattedRecords({}, {
+        complete: true,
+        onPage: (page) => {
+          fetchedRecords += page.records.length;
+          progressDashboard.updateProgress(operationId, 50, { processedItems: fetchedRecords });
+        }
+      });
+
+      const result = await job.getExcel(getExcel).reconcileDeletions(pages, {
+        mode: options.mode,
+        dryRun: options.dryRun,
+        force: options.force
+      });
+      const { stale, ...summary } = result;
+
+      progressDashboard.updateStep(operationId, step, 'completed', summary);
+      progressDashboard.completeOperation(operationId, 'completed', {
+        ...summary,
+        duration: Date.now() - startTime
+      });
+
+      logger.info(`[Reconcile ${reconcileId}] Reconciliation completed`, {
+        ...summary,
+        duration: `${(Date.now() - startTime) / 1000} seconds`
+      });
+
+      outcome = { status: 'completed', summary: { reconcileId, job: job.name, ...summary } };
+      return result;
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message, summary: { reconcileId, job: job.name } };
+      const thresholdExceeded = error.code === 'RECONCILE_THRESHOLD_EXCEEDED';
+      if (!thresholdExceeded) {
+        this.stats.errors++;
+        this.stats.lastError = error.message;
+      }
+
+      logger.error(`[Reconcile ${reconcileId}] Reconciliation failed`, {
+        error: error.message,
+        code: error.code,
+        duration: `${(Date.now() - startTime) / 1000} seconds`
+      });
+
+      progressDashboard.addLog(operationId, 'error', `Reconciliation failed: ${error.message}`);
+      progressDashboard.completeOperation(operationId, 'failed', {
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+
+      // A threshold stop leaves the sheet untouched and needs a person to decide
+      await notificationSystem.sendNotification({
+        level: thresholdExceeded ? 'warning' : 'error',
+        title: thresholdExceeded ? 'Reconciliation Stopped at Removal Threshold' : 'Reconciliation Failed',
+        message: `Reconciliation ${reconcileId} of job "${job.name}" failed: ${error.message}`,
+        details: {
+          reconcileId,
+          job: job.name,
+          error: error.message,
+          ...(error.details ? { staleCount: error.details.staleCount, sheetRows: error.details.sheetRows } : {})
+        }
+      });
+
+      throw error;
+    } finally {
+      this.activeSyncs--;
+      job.activeSyncs--;
+      syncCoordinator.release(lease, outcome);
+    }
+  }
+
+  /**
+   * Check for updates since the last check with enhanced error handling.
+   * A scheduled check is skipped while another sync writes the sheet; a manual one waits.
+   * @param {Object} options Check options
+   * @param {string} options.job Sync job name (defaults to the primary job)
+   * @param {string} options.trigger What started the check ('polling', 'cron' or 'manual')
+   * @returns {Promise<void>} Rejects when a manual check fails
+   */
+  async checkForUpdates(options = {}) {
+    const job = this.getJob(options.job);
+    let lease;
+    try {
+      lease = await syncCoordinator.acquire(job.getExcel(getExcel).getTargetKey(), {
+        kind: 'incremental_update',
+        trigger: options.trigger || 'polling',
+        onBusy: options.trigger === 'manual' ? 'queue' : 'reject'
+      });
+    } catch (error) {
+      if (options.trigger === 'manual') {
+        throw error;
+      }
+      if (error.code === 'SYNC_IN_PROGRESS') {
+        logger.debug(`Update check of job "${job.name}" skipped - ${error.message}`);
+      } else {
+        logger.error(`Update check of job "${job.name}" could not start:`, error);
+      }
+      return;
+    }
+
+    this.activeSyncs++;
+    job.activeSyncs++;
     const startTime = Date.now();
     const updateId = `update-${Date.now().toString(36)}`;
+    // The next watermark is the start of this check, so changes made while it runs are read again next time
+    const checkStartedAt = new Date(startTime).toISOString();
+    const updatedAfter = job.syncState.getUpdateWindowStart();
+    // Checks that find nothing to apply are not audited
+    let outcome;
     
     // Register operation in dashboard
     const operationId = progressDashboard.registerOperation('incremental_update', {
       updateId,
-      lastCheckTimestamp: this.lastCheckTimestamp
+      job: job.name,
+      lastCheckTimestamp: job.lastCheckTimestamp
     });
 
     try {
-      logger.debug(`[Update ${updateId}] Checking for updates since ${this.lastCheckTimestamp}`);
-      progressDashboard.addLog(operationId, 'info', `Checking for updates since ${this.lastCheckTimestamp}`);
+      logger.debug(`[Update ${updateId}] Checking job "${job.name}" for updates since ${updatedAfter} (watermark ${job.lastCheckTimestamp})`);
+      progressDashboard.addLog(operationId, 'info', `Checking for updates since ${updatedAfter}`);
 
-      // Fetch only updated records
-      const fetchStep = progressDashboard.addStep(operationId, 'Fetch Updated Records');
-      
-      const updatedRecords = await getShedSuite().fetchAllRecords({
-        updatedAfter: this.lastCheckTimestamp,
+      // Stream only updated records and apply them page by page
+      const updateStep = progressDashboard.addStep(operationId, 'Apply Updates');
+      let fetchedRecords = 0;
+      const updatedPages = job.getShedSuite(getShedSuite()).iterateFormattedRecords({
+        updatedAfter,
         pageSize: 100 // Smaller page size for incremental updates
+      }, {
+        onPage: (page) => {
+          fetchedRecords += page.records.length + page.replacements.length;
+          progressDashboard.updateProgress(operationId, 30, { processedItems: fetchedRecords });
+        }
       });
-      
-      progressDashboard.updateStep(operationId, fetchStep, 'completed', {
-        recordCount: updatedRecords.length
+
+      const result = await this.applyTargetedUpdates(updatedPages, updateId, operationId, job);
+      const applied = result.updated + result.appended;
+
+      progressDashboard.updateStep(operationId, updateStep, 'completed', {
+        recordCount: applied
       });
 
-      if (updatedRecords.length === 0) {
+      if (applied === 0) {
         logger.debug(`[Update ${updateId}] No updates found`);
+        await job.syncState.advanceWatermark(checkStartedAt);
         progressDashboard.addLog(operationId, 'info', 'No updates found');
         progressDashboard.updateProgress(operationId, 100, {
           totalItems: 0,
@@ -701,38 +964,17 @@ class EnhancedMonitoringService {
         return;
       }
 
-      logger.info(`[Update ${updateId}] Found ${updatedRecords.length} updated records`);
-      progressDashboard.addLog(operationId, 'info', `Found ${updatedRecords.length} updated records`);
-      progressDashboard.updateProgress(operationId, 30, {
-        totalItems: updatedRecords.length,
-        processedItems: 0
-      });
-
-      // Format the updated records
-      const formatStep = progressDashboard.addStep(operationId, 'Format Records');
-      const formattedUpdates = getShedSuite().formatRecordsForExport(updatedRecords);
-      
-      progressDashboard.updateStep(operationId, formatStep, 'completed', {
-        recordCount: formattedUpdates.length
-      });
-      progressDashboard.updateProgress(operationId, 60, {
-        processedItems: formattedUpdates.length
-      });
-
-      // Apply targeted updates to Excel
-      const updateStep = progressDashboard.addStep(operationId, 'Apply Updates');
-      await this.applyTargetedUpdates(formattedUpdates, updateId, operationId);
-      
-      progressDashboard.updateStep(operationId, updateStep, 'completed');
       progressDashboard.updateProgress(operationId, 100, {
-        processedItems: formattedUpdates.length,
-        successfulItems: formattedUpdates.length
+        totalItems: applied,
+        processedItems: applied,
+        successfulItems: applied
       });
 
       // Update statistics and timestamp
       const duration = Date.now() - startTime;
-      this.updateStats(duration, formattedUpdates.length);
-      this.lastCheckTimestamp = new Date().toISOString();
+      outcome = { status: 'completed', summary: { updateId, job: job.name, updatedAfter, updated: result.updated, appended: result.appended } };
+      this.updateStats(duration, applied);
+      await job.syncState.advanceWatermark(checkStartedAt);
 
       if (this.config.enablePerformanceLogging) {
         logger.info(`[Update ${updateId}] Update check completed in ${duration}ms`);
@@ -741,7 +983,7 @@ class EnhancedMonitoringService {
       // Record batch in system monitor
       systemMonitor.recordBatch({
         batchId: updateId,
-        size: formattedUpdates.length,
+        size: applied,
         duration,
         success: true
       });
@@ -749,9 +991,10 @@ class EnhancedMonitoringService {
       // Complete operation in dashboard
       progressDashboard.completeOperation(operationId, 'completed', {
         duration,
-        recordsProcessed: formattedUpdates.length
+        recordsProcessed: applied
       });
     } catch (error) {
+      outcome = { status: 'failed', error: error.message, summary: { updateId, job: job.name, updatedAfter } };
       const duration = Date.now() - startTime;
       this.stats.errors++;
       this.stats.lastError = error.message;
@@ -787,33 +1030,35 @@ class EnhancedMonitoringService {
         duration
       });
       
-      // Don't throw to continue monitoring
+      // A manual check reports its failure to the caller; scheduled checks keep monitoring
+      if (options.trigger === 'manual') {
+        throw error;
+      }
     } finally {
       this.activeSyncs--;
+      job.activeSyncs--;
+      syncCoordinator.release(lease, outcome);
     }
   }
 
   /**
    * Apply targeted updates to specific Excel cells with batch optimization
-   * @param {Array} updates The updated records
+   * @param {Array|AsyncIterable} updates The updated records, or pages of them
    * @param {string} updateId Update ID for logging
    * @param {string} operationId Dashboard operation ID
-   * @returns {Promise<void>}
+   * @param {SyncJob} job Sync job whose worksheet is updated (defaults to the primary job)
+   * @returns {Promise<Object>} Counts of updated, appended and skipped rows
    */
-  async applyTargetedUpdates(updates, updateId, operationId) {
+  async applyTargetedUpdates(updates, updateId, operationId, job = this.getJob()) {
     try {
-      if (updates.length === 0) {
-        return;
-      }
-
-      logger.info(`[Update ${updateId}] Applying ${updates.length} targeted updates to Excel`);
-      progressDashboard.addLog(operationId, 'info', `Applying ${updates.length} targeted updates to Excel`);
-
       // Use Excel service's optimized targeted update method
-      await getExcel().applyTargetedUpdates(updates);
+      const result = await job.getExcel(getExcel).applyTargetedUpdates(updates);
 
-      logger.info(`[Update ${updateId}] Targeted updates applied successfully`);
-      progressDashboard.addLog(operationId, 'info', 'Targeted updates applied successfully');
+      if (result.updated + result.appended > 0) {
+        logger.info(`[Update ${updateId}] Targeted updates applied successfully`, result);
+        progressDashboard.addLog(operationId, 'info', 'Targeted updates applied successfully', result);
+      }
+      return result;
     } catch (error) {
       logger.error(`[Update ${updateId}] Failed to apply targeted updates:`, error);
       progressDashboard.addLog(operationId, 'error', `Failed to apply targeted updates: ${error.message}`);
@@ -825,32 +1070,12 @@ class EnhancedMonitoringService {
         message: `Failed to apply targeted updates: ${error.message}`,
         details: {
           updateId,
-          updateCount: updates.length,
+          job: job.name,
           error: error.message
         }
       });
 
-      // Fallback to full sync if targeted updates fail
-      if (updates.length > 0) {
-        logger.info(`[Update ${updateId}] Attempting fallback to full spreadsheet update...`);
-        progressDashboard.addLog(operationId, 'warning', 'Attempting fallback to full spreadsheet update');
-        
-        const fallbackStep = progressDashboard.addStep(operationId, 'Fallback Update');
-        
-        try {
-          await getExcel().updateSpreadsheet(updates);
-          logger.info(`[Update ${updateId}] Fallback update completed`);
-          progressDashboard.addLog(operationId, 'info', 'Fallback update completed successfully');
-          progressDashboard.updateStep(operationId, fallbackStep, 'completed');
-        } catch (fallbackError) {
-          logger.error(`[Update ${updateId}] Fallback update failed:`, fallbackError);
-          progressDashboard.addLog(operationId, 'error', `Fallback update failed: ${fallbackError.message}`);
-          progressDashboard.updateStep(operationId, fallbackStep, 'failed', {
-            error: fallbackError.message
-          });
-          throw fallbackError;
-        }
-      }
+      throw error;
     }
   }
 
@@ -885,6 +1110,8 @@ class EnhancedMonitoringService {
     return {
       isRunning: this.isRunning,
       activeSyncs: this.activeSyncs,
+      // Running and waiting syncs per worksheet, across every service and route
+      syncLocks: syncCoordinator.getStatus(),
       lastCheckTimestamp: this.lastCheckTimestamp,
       lastFullSync: this.lastFullSync,
       uptime,
@@ -896,6 +1123,7 @@ class EnhancedMonitoringService {
           ? ((this.stats.syncCount - this.stats.errors) / this.stats.syncCount * 100).toFixed(2) + '%'
           : 'N/A'
       },
+      jobs: (this.jobs || []).map(job => job.getStatus()),
       config: this.config
     };
   }
@@ -954,21 +1182,41 @@ class EnhancedMonitoringService {
 
   /**
    * Force a sync check (manual trigger)
+   * @param {Object} options Check options ({ job })
    * @returns {Promise<void>}
    */
-  async forceSyncCheck() {
+  async forceSyncCheck(options = {}) {
     logger.info('Manual sync check triggered');
-    await this.checkForUpdates();
+    await this.checkForUpdates({ ...options, trigger: 'manual' });
   }
 
   /**
    * Force a full sync (manual trigger)
-   * @param {Object} options Sync options
-   * @returns {Promise<void>}
+   * @param {Object} options Sync options; dryRun returns the diff instead of writing
+   * @returns {Promise<Object|void>} Diff on a dry run
    */
   async forceFullSync(options = {}) {
+    if (options.dryRun) {
+      return this.previewFullSync(options);
+    }
+
     logger.info('Manual full sync triggered');
-    await this.performFullSync(options);
+    await this.performFullSync({ ...options, trigger: 'manual' });
+  }
+
+  /**
+   * Dry run of a full sync: compare ShedSuite with the sheet without writing
+   * @param {Object} options Sync options
+   * @param {string} options.job Sync job name (defaults to the primary job)
+   * @param {Object} options.filters Query filters
+   * @returns {Promise<Object>} Diff with the rows to add, update and remove
+   */
+  async previewFullSync(options = {}) {
+    const job = this.getJob(options.job);
+    logger.info(`Full sync dry run of job "${job.name}" triggered`);
+
+    const pages = job.getShedSuite(getShedSuite()).iterateFormattedRecords(options.filters || {});
+    return job.getExcel(getExcel).diffSpreadsheet(pages);
   }
   
   /**
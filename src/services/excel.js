@@ -1,623 +1,2582 @@
 require('isomorphic-fetch');
+const crypto = require('crypto');
 const { Client } = require('@microsoft/microsoft-graph-client');
-const { ConfidentialClientApplication } = require('@azure/msal-node');
 const { logger } = require('../utils/logger');
 const excelLog = require('../utils/excel-logger');
+const { EXCEL_DEFAULTS } = require('../utils/constants');
+const { ExcelApiOptimizer } = require('../utils/excel-api-optimizer');
+const { getColumnMapping } = require('../utils/column-mapping');
+const { getDestination } = require('../utils/destinations');
+const diffReports = require('../utils/diff-reports');
+const { getAuthenticationManager } = require('../utils/authentication-manager');
+const { getRecoveryManager } = require('../utils/recovery-manager');
+const { DataValidator } = require('../utils/data-validator');
+const verificationReports = require('../utils/verification-reports');
+const fullSyncCheckpoints = require('../utils/full-sync-checkpoints');
+const notificationSystem = require('../utils/notification-system');
+
+// Graph error codes for a workbook session that has expired or been dropped
+const SESSION_EXPIRED_CODES = ['invalidsessionrecreatable', 'sessionnotfound'];
+// Rows per order ID digest kept for verifying a full sync, and the digest modulus
+const VERIFY_BLOCK_ROWS = 1000;
+const DIGEST_MODULUS = 2 ** 48;
+
+/**
+ * Iterate pages while the next one is already being requested, so the source
+ * (usually the ShedSuite API) keeps fetching while the current page is written.
+ * The source is not closed when the consumer stops early, so its owner can keep
+ * reading the remaining pages.
+ * @param {Iterable|AsyncIterable} pages Page source
+ * @yields {*} Each page in order
+ */
+async function* readAhead(pages) {
+  const iterator = pages[Symbol.asyncIterator] ? pages[Symbol.asyncIterator]() : pages[Symbol.iterator]();
+  let next = Promise.resolve(iterator.next());
+
+  while (true) {
+    const { value, done } = await next;
+    if (done) {
+      return;
+    }
+
+    next = Promise.resolve(iterator.next());
+    // Rejections surface when awaited; this only avoids an unhandled rejection if the consumer stops first
+    next.catch(() => {});
+    yield value;
+  }
+}
 
 class ExcelService {
-  constructor() {
+  /**
+   * @param {Object} options Service options; unset values come from the destination
+   * @param {string} options.destination Destination name (defaults to the default destination)
+   * @param {string} options.worksheetName Target worksheet
+   * @param {string} options.tableName Target table in table write mode
+   * @param {ColumnMapping} options.columnMapping Column mapping for the written columns
+   */
+  constructor(options = {}) {
+    this.options = options;
     this._initialized = false;
-    this.msalClient = null;
+    this.authManager = null;
     this.client = null;
+    this.destination = null;
     this.workbookId = null;
     this.worksheetName = null;
+    this.writeMode = null;
+    this.tableName = null;
+    this.schemaDriftPolicy = null;
     this.siteId = null;
     this.hostname = null;
     this.sitePath = null;
+    this.session = null;
+    this.sessionUsers = 0;
+    this.sessionPromise = null;
+    this.apiOptimizer = null;
+  }
+
+  _initialize() {
+    if (this._initialized) {
+      return;
+    }
+
+    // Validate required environment variables with more graceful handling
+    if (!process.env.AZURE_CLIENT_ID) {
+      logger.warn('AZURE_CLIENT_ID is not available yet, Excel service will be unavailable');
+      throw new Error('AZURE_CLIENT_ID is required');
+    }
+    if (!process.env.AZURE_TENANT_ID) {
+      logger.warn('AZURE_TENANT_ID is not available yet, Excel service will be unavailable');
+      throw new Error('AZURE_TENANT_ID is required');
+    }
+    if (!process.env.AZURE_CLIENT_SECRET) {
+      logger.warn('AZURE_CLIENT_SECRET is not available yet, Excel service will be unavailable');
+      throw new Error('AZURE_CLIENT_SECRET is required');
+    }
+
+    // Client credentials tokens are cached and refreshed before they expire by the shared manager
+    this.authManager = getAuthenticationManager();
+
+    this.client = Client.init({
+      authProvider: async (done) => {
+        try {
+          done(null, await this.authManager.getValidToken());
+        } catch (error) {
+          logger.error('Failed to acquire token:', error);
+          done(error, null);
+        }
+      }
+    });
+
+    this.apiOptimizer = new ExcelApiOptimizer({
+      maxConcurrentRequests: parseInt(process.env.EXCEL_MAX_CONCURRENT_BATCHES) || 1
+    });
+
+    // Workbook and SharePoint site come from the destination
+    this.destination = getDestination(this.options.destination);
+    this.workbookId = this.destination.workbookId;
+    this.worksheetName = this.options.worksheetName || this.destination.worksheet || 'Sheet1';
+
+    // 'range' writes fixed A{row} addresses; 'table' writes through a named Excel table
+    this.writeMode = process.env.EXCEL_WRITE_MODE === 'table' ? 'table' : 'range';
+    this.tableName = this.options.tableName || this.destination.tableName || 'ShedSuiteOrders';
+
+    // 'refuse' stops a sync when the header row drifts; 'remap' writes under the matching headers
+    this.schemaDriftPolicy = process.env.EXCEL_SCHEMA_DRIFT_POLICY === 'remap' ? 'remap' : 'refuse';
+
+    this.hostname = this.destination.hostname;
+    this.sitePath = this.destination.sitePath;
+
+    this._initialized = true;
+  }
+
+  /**
+   * Create a separate service for another worksheet of the same destination, e.g. for a sync job.
+   * Each instance keeps its own workbook session.
+   * @param {Object} options Worksheet overrides (see constructor)
+   * @returns {ExcelService} New service instance
+   */
+  forWorksheet(options = {}) {
+    return new ExcelService({ ...this.options, ...options });
+  }
+
+  /**
+   * Key of the worksheet this service writes. Services writing the same sheet
+   * share it, so the sync coordinator can keep their writes apart.
+   * @returns {string} "<destination>/<worksheet>"
+   */
+  getTargetKey() {
+    const destination = this.destination || getDestination(this.options.destination);
+    const worksheetName = this.worksheetName || this.options.worksheetName || destination.worksheet || 'Sheet1';
+    return `${destination.name}/${worksheetName}`;
+  }
+
+  /**
+   * Column mapping for the written columns
+   * @returns {ColumnMapping} Column mapping
+   */
+  getMapping() {
+    return this.options.columnMapping || getColumnMapping();
+  }
+
+  /**
+   * Get SharePoint site ID dynamically
+   * @returns {Promise<string>} Site ID
+   */
+  async getSiteId() {
+    if (this.siteId) {
+      excelLog.connection(`Using cached site ID`, { siteId: this.siteId });
+      return this.siteId;
+    }
+
+    try {
+      const startTime = Date.now();
+      excelLog.connection(`Getting SharePoint site ID`, {
+        hostname: this.hostname,
+        sitePath: this.sitePath
+      });
+      
+      const site = await this.client.api(`/sites/${this.hostname}:${this.sitePath}`).get();
+      this.siteId = site.id;
+      
+      const duration = Date.now() - startTime;
+      excelLog.connection(`Site ID retrieved successfully`, {
+        siteId: this.siteId,
+        duration: `${duration}ms`
+      });
+      
+      return this.siteId;
+    } catch (error) {
+      excelLog.error('Failed to get SharePoint site ID', error, {
+        hostname: this.hostname,
+        sitePath: this.sitePath
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a 1-based column number to its Excel column letter (1=A, 2=B, 27=AA, etc.)
+   * @param {number} colNum Column number
+   * @returns {string} Column letter
+   */
+  getColumnLetter(colNum) {
+    let result = '';
+    while (colNum > 0) {
+      colNum--;
+      result = String.fromCharCode(65 + (colNum % 26)) + result;
+      colNum = Math.floor(colNum / 26);
+    }
+    return result;
+  }
+
+  /**
+   * Convert an Excel column letter to its 1-based column number (A=1, B=2, AA=27, etc.)
+   * @param {string} column Column letter
+   * @returns {number} Column number
+   */
+  getColumnNumber(column) {
+    let result = 0;
+    for (const char of column.toUpperCase()) {
+      result = result * 26 + (char.charCodeAt(0) - 64);
+    }
+    return result;
+  }
+
+  /**
+   * Build the Graph API path for the configured worksheet
+   * @param {string} siteId SharePoint site ID
+   * @returns {string} Worksheet API path
+   */
+  getWorksheetPath(siteId) {
+    return `${this.getWorkbookPath(siteId)}/worksheets/${this.worksheetName}`;
+  }
+
+  /**
+   * Build the Graph API path for the configured workbook
+   * @param {string} siteId SharePoint site ID
+   * @returns {string} Workbook API path
+   */
+  getWorkbookPath(siteId) {
+    return `/sites/${siteId}/drive/items/${this.workbookId}/workbook`;
+  }
+
+  /**
+   * Build the Graph API path for the configured Excel table
+   * @param {string} siteId SharePoint site ID
+   * @returns {string} Table API path
+   */
+  getTablePath(siteId) {
+    return `${this.getWorkbookPath(siteId)}/tables/${this.tableName}`;
+  }
+
+  /**
+   * Open a persistent workbook session, or join the one already open.
+   * Falls back to sessionless calls when the session cannot be created.
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<void>}
+   */
+  async openSession(siteId) {
+    this.sessionUsers++;
+    if (!this.session) {
+      await this.createSession(siteId);
+    }
+  }
+
+  /**
+   * Release the caller's hold on the workbook session and close it once nobody is using it
+   * @returns {Promise<void>}
+   */
+  async closeSession() {
+    this.sessionUsers = Math.max(this.sessionUsers - 1, 0);
+    if (this.sessionUsers > 0 || !this.session) {
+      return;
+    }
+
+    const { id, siteId } = this.session;
+    this.session = null;
+
+    try {
+      await this.client.api(`${this.getWorkbookPath(siteId)}/closeSession`)
+        .header('workbook-session-id', id)
+        .post({});
+      excelLog.connection(`Workbook session closed`);
+    } catch (error) {
+      // The session expires on its own, so a failed close is not worth failing the sync over
+      excelLog.warn(`Failed to close workbook session`, { error: error.message });
+    }
+  }
+
+  /**
+   * Create a new persistent workbook session, replacing any current one.
+   * Concurrent callers share the request already in flight, so only one session is created.
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object|null>} Session, or null when calls will be sessionless
+   */
+  createSession(siteId) {
+    if (!this.sessionPromise) {
+      this.sessionPromise = this.requestSession(siteId).finally(() => {
+        this.sessionPromise = null;
+      });
+    }
+    return this.sessionPromise;
+  }
+
+  /**
+   * Ask Graph for a new persistent workbook session
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object|null>} Session, or null when calls will be sessionless
+   */
+  async requestSession(siteId) {
+    try {
+      const response = await this.client.api(`${this.getWorkbookPath(siteId)}/createSession`)
+        .post({ persistChanges: true });
+
+      this.session = { id: response.id, siteId, lastUsed: Date.now() };
+      excelLog.connection(`Workbook session created`, { workbookId: this.workbookId });
+    } catch (error) {
+      this.session = null;
+      excelLog.warn(`Could not create workbook session, falling back to sessionless calls`, {
+        error: error.message,
+        errorCode: error.code
+      });
+    }
+
+    return this.session;
+  }
+
+  /**
+   * Refresh the session before Graph expires it for inactivity
+   * @returns {Promise<void>}
+   */
+  async refreshSessionIfIdle() {
+    // Refresh a minute before the idle timeout rather than racing it
+    if (!this.session || Date.now() - this.session.lastUsed < EXCEL_DEFAULTS.SESSION_TIMEOUT - 60000) {
+      return;
+    }
+
+    try {
+      await this.client.api(`${this.getWorkbookPath(this.session.siteId)}/refreshSession`)
+        .header('workbook-session-id', this.session.id)
+        .post({});
+      this.session.lastUsed = Date.now();
+      excelLog.connection(`Workbook session refreshed`);
+    } catch (error) {
+      excelLog.warn(`Workbook session refresh failed, creating a new session`, { error: error.message });
+      await this.createSession(this.session.siteId);
+    }
+  }
+
+  /**
+   * Check whether a Graph error means the workbook session is gone
+   * @param {Error} error Graph error
+   * @returns {boolean} True if a new session should be created
+   */
+  isSessionExpiredError(error) {
+    const codes = [error.code];
+    try {
+      const body = typeof error.body === 'string' ? JSON.parse(error.body) : error.body;
+      const graphError = body && (body.error || body);
+      codes.push(graphError.code, graphError.innerError && graphError.innerError.code);
+    } catch (parseError) {
+      // Not a Graph error body; the top-level code is all there is
+    }
+    return codes.some(code => typeof code === 'string' && SESSION_EXPIRED_CODES.includes(code.toLowerCase()));
+  }
+
+  /**
+   * Send a workbook request, using the open session when there is one.
+   * An expired session is recreated and the request retried once.
+   * @param {string} path Graph API path
+   * @param {Object} options Request options ({ method, body, select })
+   * @returns {Promise<Object>} Graph response
+   */
+  async workbookRequest(path, { method = 'get', body, select } = {}) {
+    const send = () => {
+      let request = this.client.api(path);
+      if (this.session) {
+        request = request.header('workbook-session-id', this.session.id);
+      }
+      if (select) {
+        request = request.select(select);
+      }
+      return method === 'get' ? request.get() : request[method](body);
+    };
+
+    await this.refreshSessionIfIdle();
+    const sessionId = this.session && this.session.id;
+
+    try {
+      const response = await send();
+      if (this.session) {
+        this.session.lastUsed = Date.now();
+      }
+      return response;
+    } catch (error) {
+      if (!sessionId || !this.isSessionExpiredError(error)) {
+        throw error;
+      }
+
+      // Another request may already have replaced the expired session
+      if (this.session && this.session.id === sessionId) {
+        excelLog.warn(`Workbook session expired, creating a new session`, { errorCode: error.code });
+        await this.createSession(this.session.siteId);
+      }
+      return send();
+    }
+  }
+
+  /**
+   * Send workbook operations through the API optimizer's $batch support,
+   * so many range requests share one HTTP round trip. Requests run independently,
+   * so one failure does not fail the rest of its $batch and operations in one call
+   * must not depend on each other.
+   * @param {Array} operations Operations ({ method, url, body }); extra fields are kept for the caller
+   * @param {Object} context Logging context
+   * @returns {Promise<Array>} Failed operations as { operation, error }
+   */
+  async executeWorkbookBatch(operations, context = {}) {
+    if (operations.length === 0) {
+      return [];
+    }
+
+    await this.refreshSessionIfIdle();
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.session) {
+      headers['workbook-session-id'] = this.session.id;
+    }
+
+    // Graph accepts at most 20 requests per $batch
+    const requestsPerBatch = Math.min(parseInt(process.env.EXCEL_BATCH_REQUEST_SIZE) || 20, 20);
+    const responses = await this.apiOptimizer.executeBatch(
+      operations.map(operation => ({ ...operation, headers })),
+      {
+        batchSize: requestsPerBatch,
+        maxBatchSize: 20,
+        createConnection: () => this.client,
+        context
+      }
+    );
+
+    if (this.session) {
+      this.session.lastUsed = Date.now();
+    }
+
+    const failures = [];
+    operations.forEach((operation, index) => {
+      const response = responses[index];
+      if (response && response.status >= 200 && response.status < 300) {
+        return;
+      }
+
+      const body = (response && response.body) || {};
+      const error = new Error((body.error && body.error.message) || 'Batch request failed');
+      error.code = body.error && body.error.code;
+      error.statusCode = response ? response.status : undefined;
+      failures.push({ operation, error });
+    });
+
+    excelLog.batch(`Workbook $batch completed`, {
+      ...context,
+      operations: operations.length,
+      failed: failures.length
+    });
+
+    return failures;
+  }
+
+  /**
+   * Write rows starting at a worksheet row, splitting into 5-row writes if Graph reports a payload limit
+   * @param {string} siteId SharePoint site ID
+   * @param {number} startRow First worksheet row
+   * @param {Array<Array>} rows Row values
+   * @param {string} startColumn Column letter of the first value
+   * @returns {Promise<number>} Number of payload limit hits
+   */
+  async writeRowsWithFallback(siteId, startRow, rows, startColumn = 'A') {
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const endColumn = this.getColumnLetter(this.getColumnNumber(startColumn) + rows[0].length - 1);
+
+    try {
+      const range = `${startColumn}${startRow}:${endColumn}${startRow + rows.length - 1}`;
+      await this.workbookRequest(`${worksheetPath}/range(address='${range}')`, {
+        method: 'patch',
+        body: { values: rows }
+      });
+      return 0;
+    } catch (error) {
+      if (error.code !== 'ResponsePayloadSizeLimitExceeded') {
+        throw error;
+      }
+
+      excelLog.payloadLimit(`Payload limit exceeded, retrying rows ${startRow}+ with smaller writes`, {
+        startRow,
+        rowCount: rows.length,
+        errorCode: error.code
+      });
+
+      for (let i = 0; i < rows.length; i += 5) {
+        const smallerBatch = rows.slice(i, i + 5);
+        const smallerStartRow = startRow + i;
+        const smallerRange = `${startColumn}${smallerStartRow}:${endColumn}${smallerStartRow + smallerBatch.length - 1}`;
+        await this.workbookRequest(`${worksheetPath}/range(address='${smallerRange}')`, {
+          method: 'patch',
+          body: { values: smallerBatch }
+        });
+      }
+      return 1;
+    }
+  }
+
+  /**
+   * Replace the sheet contents with the given records.
+   * Accepts an array of formatted records or an (async) iterable of pages, which are
+   * written as they arrive. A page is an array of formatted records or a
+   * { records, replacements } page from ShedSuiteService.iterateFormattedRecords, whose
+   * replacements rewrite rows written by earlier pages. The existing data is only
+   * cleared once the first record arrives, so an empty result leaves the sheet alone.
+   * With a source, every page is checkpointed (see full-sync-checkpoints), so an
+   * interrupted sync can later be resumed: the same listing is streamed again, the
+   * records written before the interruption are skipped and writing continues after
+   * the last committed page without clearing the sheet. The skipped records must be
+   * the orders the interrupted run committed, in the same order; when the listing
+   * changed in between, the resume fails with CHECKPOINT_STALE before writing a row.
+   * @param {Array|AsyncIterable} records Formatted records or pages of them
+   * @param {Object} options Options
+   * @param {Object} options.source How to list the records again on a resume ({ filters, destination, syncJob });
+   *   without it the sync is not checkpointed
+   * @param {string} options.jobId Background job running the sync
+   * @param {string} options.resume Checkpoint ID of an interrupted sync to continue
+   * @param {boolean} options.snapshot false to clear the sheet without taking a snapshot first
+   * @param {Function} options.onPageWritten Called with the write summary after each page is written
+   * @returns {Promise<Object>} Write summary ({ success, rowsWritten, rowsReplaced, pages })
+   */
+  async updateSpreadsheet(records, options = {}) {
+    this._initialize(); // Ensure service is initialized
+    const startTime = Date.now();
+    const streaming = !Array.isArray(records);
+    const summary = { success: true, destination: this.destination.name, rowsWritten: 0, rowsReplaced: 0, filtered: 0, pages: 0 };
+    const filterState = this.destination.hasFilter() ? { streamIndex: 0, written: new Map() } : null;
+    let sessionOpened = false;
+    let target = null;
+    let checkpoint = null;
+    
+    try {
+      excelLog.info(`Starting Excel spreadsheet update`, {
+        destination: this.destination.name,
+        workbookId: this.workbookId,
+        recordCount: streaming ? 'streamed' : records.length,
+        writeMode: this.writeMode,
+        resume: options.resume || null,
+        timestamp: new Date().toISOString()
+      });
+
+      if (options.resume) {
+        checkpoint = await fullSyncCheckpoints.resume(options.resume, { jobId: options.jobId });
+      }
+
+      // Get site ID
+      const siteId = await this.getSiteId();
+      excelLog.connection(`Site ID obtained successfully`, { siteId });
+
+      await this.openSession(siteId);
+      sessionOpened = true;
+
+      for await (const page of readAhead(streaming ? records : [records])) {
+        let { records: pageRecords = [], replacements = [] } = Array.isArray(page) ? { records: page } : page;
+        if (filterState) {
+          ({ records: pageRecords, replacements } = this.filterFullSyncPage(filterState, pageRecords, replacements, summary));
+        }
+        if (pageRecords.length === 0 && replacements.length === 0) {
+          continue;
+        }
+
+        if (!target && checkpoint) {
+          target = await this.prepareResumedWrite(siteId, checkpoint);
+        } else if (!target) {
+          if (options.snapshot !== false) {
+            await this.snapshotBeforeFullWrite();
+          }
+          target = await this.prepareFullWrite(siteId);
+          checkpoint = await fullSyncCheckpoints.begin(this, target, options);
+        }
+
+        // Records written before the interruption are already in the sheet, only verification needs them
+        if (target.skipRecords > 0) {
+          const written = pageRecords.slice(0, target.skipRecords);
+          pageRecords = pageRecords.slice(written.length);
+          target.skipRecords -= written.length;
+          target.skippedDigest = fullSyncCheckpoints.digestRecordIds(target.skippedDigest, written);
+          if (target.skipRecords === 0) {
+            this.checkResumedListing(checkpoint, target);
+          }
+          this.trackWrittenRecords(target, written, []);
+        }
+
+        summary.pages++;
+        await this.writeCheckpointedPage(siteId, target, checkpoint, pageRecords, replacements, summary.pages);
+        this.trackWrittenRecords(target, pageRecords, replacements);
+        summary.rowsWritten = target.nextRow - target.startRow;
+        summary.rowsReplaced += replacements.length;
+        if (options.onPageWritten) {
+          options.onPageWritten(summary);
+        }
+      }
+
+      // A listing that ended before the records the interrupted run committed has changed
+      if (checkpoint && checkpoint.committedRecords > 0 && (!target || target.skipRecords > 0)) {
+        this.checkResumedListing(checkpoint, target || { skipRecords: checkpoint.committedRecords });
+      }
+
+      if (!target) {
+        excelLog.warn('No data to write to Excel - empty values array');
+        if (checkpoint) {
+          await checkpoint.complete();
+        }
+        return summary;
+      }
+
+      // Read the rows back and compare them with what was written
+      summary.verification = await this.verifyFullWrite(siteId, target);
+
+      const totalDuration = Date.now() - startTime;
+      excelLog.performance(`Excel update completed successfully`, {
+        totalDuration: `${totalDuration}ms`,
+        writeMode: this.writeMode,
+        pages: summary.pages,
+        successfulBatches: target.successfulBatches,
+        failedBatches: target.failedBatches,
+        payloadLimitHits: target.payloadLimitHits,
+        totalRecords: summary.rowsWritten,
+        replacedRows: summary.rowsReplaced,
+        filteredRecords: summary.filtered
+      });
+
+      if (checkpoint) {
+        await checkpoint.complete();
+      }
+      
+      return summary;
+    } catch (error) {
+      const totalDuration = Date.now() - startTime;
+      excelLog.error('Excel spreadsheet update failed', error, {
+        totalDuration: `${totalDuration}ms`,
+        recordCount: streaming ? summary.rowsWritten : records.length,
+        pagesWritten: summary.pages
+      });
+      if (checkpoint) {
+        await checkpoint.interrupt(error);
+      }
+      throw error;
+    } finally {
+      if (sessionOpened) {
+        await this.closeSession();
+      }
+    }
+  }
+
+  /**
+   * Save the sheet's contents before a full sync clears it, so a bad sync can be
+   * rolled back (SNAPSHOT_BEFORE_FULL_SYNC, on by default). Without a snapshot
+   * the sync stops before anything is cleared.
+   * @returns {Promise<Object|null>} Snapshot summary, or null when snapshots are off
+   */
+  async snapshotBeforeFullWrite() {
+    const recoveryManager = getRecoveryManager();
+    if (!recoveryManager.config.autoSnapshot) {
+      return null;
+    }
+
+    try {
+      return await recoveryManager.createSnapshot(this, 'full_sync', { reason: 'pre_full_sync' });
+    } catch (snapshotError) {
+      const error = new Error(`Snapshot before full sync failed, the sheet was left untouched: ${snapshotError.message}`);
+      error.code = 'SNAPSHOT_FAILED';
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the records of a full sync page that the destination's filter excludes.
+   * Replacement indices count every streamed record, so they are mapped to the
+   * rows actually written; a matching replacement for a record that was filtered
+   * out is written as a new row instead.
+   * @param {Object} state Filter state shared across the pages of one sync
+   * @param {Array} records Formatted records of the page
+   * @param {Array} replacements Replacements ({ index, record, replacedId }) of the page
+   * @param {Object} summary Sync summary; filtered records are counted in it
+   * @returns {Object} Filtered page ({ records, replacements })
+   */
+  filterFullSyncPage(state, records, replacements, summary) {
+    const page = { records: [], replacements: [] };
+
+    records.forEach(record => {
+      const streamIndex = state.streamIndex++;
+      if (!this.destination.matches(record)) {
+        summary.filtered++;
+        return;
+      }
+
+      state.written.set(streamIndex, state.written.size);
+      page.records.push(record);
+    });
+
+    replacements.forEach(replacement => {
+      if (!this.destination.matches(replacement.record)) {
+        summary.filtered++;
+        return;
+      }
+
+      const row = state.written.get(replacement.index);
+      if (row === undefined) {
+        state.written.set(replacement.index, state.written.size);
+        page.records.push(replacement.record);
+        return;
+      }
+
+      page.replacements.push({ ...replacement, index: row });
+    });
+
+    return page;
+  }
+
+  /**
+   * Check the header row and remove the existing data rows before a full write
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object>} Write target (column layout, first data row and write counters)
+   */
+  async prepareFullWrite(siteId) {
+    const target = {
+      layout: null,
+      startRow: 2,
+      startColumn: 'A',
+      nextRow: 2,
+      successfulBatches: 0,
+      failedBatches: 0,
+      payloadLimitHits: 0,
+      // Row count, order ID digest per block of rows and a sample of written records, for verifyFullWrite
+      written: { count: 0, blocks: [], sample: [] },
+      // Records of the listing an interrupted run already wrote (see prepareResumedWrite)
+      skipRecords: 0
+    };
+
+    await this.ensureWorksheet(siteId);
+
+    if (this.writeMode === 'table') {
+      target.layout = await this.ensureTableHeaders(siteId);
+
+      // Deleting the body shifts the cells below up, so the table shrinks back to header + placeholder row
+      const body = await this.getTableBody(siteId);
+      if (!body.placeholder) {
+        excelLog.clearing(`Deleting existing table rows`, {
+          tableName: this.tableName,
+          rowCount: body.rowCount
+        });
+        await this.workbookRequest(`${this.getTablePath(siteId)}/dataBodyRange/delete`, {
+          method: 'post',
+          body: { shift: 'Up' }
+        });
+      }
+
+      target.startRow = body.startRow;
+      target.startColumn = body.startColumn;
+      target.nextRow = body.startRow;
+      return target;
+    }
+
+    // Check row 1 before clearing so a drifted sheet is left untouched
+    target.layout = await this.ensureHeaderRow(siteId);
+
+    // Clear existing data in chunks to avoid payload size limits
+    const clearStartTime = Date.now();
+    await this.clearExistingDataInChunks(siteId, target.layout);
+    
+    excelLog.performance(`Data clearing completed`, {
+      clearDuration: `${Date.now() - clearStartTime}ms`
+    });
+
+    return target;
+  }
+
+  /**
+   * Rebuild the write target of an interrupted full sync from its checkpoint and
+   * remove whatever the interrupted page left after the last committed row. The
+   * sheet is not cleared again and no snapshot is taken, since the one taken
+   * before the interrupted run still holds the sheet as it was.
+   * @param {string} siteId SharePoint site ID
+   * @param {FullSyncCheckpoint} checkpoint Checkpoint of the interrupted sync
+   * @returns {Promise<Object>} Write target, as from prepareFullWrite
+   */
+  async prepareResumedWrite(siteId, checkpoint) {
+    const saved = checkpoint.target;
+    if (saved.key !== this.getTargetKey() || saved.writeMode !== this.writeMode) {
+      const error = new Error(`Checkpoint ${checkpoint.operationId} was written to ${saved.key} in ${saved.writeMode} write mode, this sync writes ${this.getTargetKey()} in ${this.writeMode} mode`);
+      error.code = 'CHECKPOINT_MISMATCH';
+      throw error;
+    }
+
+    const target = {
+      layout: saved.layout,
+      startRow: saved.startRow,
+      startColumn: saved.startColumn,
+      nextRow: checkpoint.nextRow,
+      successfulBatches: 0,
+      failedBatches: 0,
+      payloadLimitHits: 0,
+      written: { count: 0, blocks: [], sample: [] },
+      skipRecords: checkpoint.committedRecords,
+      // Checked against the skipped records once all of them were streamed again
+      committedDigest: checkpoint.committedDigest,
+      skippedDigest: null
+    };
+
+    const discardedRows = await this.discardRowsFrom(siteId, target.nextRow);
+
+    excelLog.info(`Resuming interrupted full sync`, {
+      operationId: checkpoint.operationId,
+      destination: this.destination.name,
+      worksheetName: this.worksheetName,
+      committedRecords: target.skipRecords,
+      nextRow: target.nextRow,
+      discardedRows
+    });
+
+    return target;
+  }
+
+  /**
+   * Make sure the records a resumed sync skipped are the ones the interrupted run
+   * committed. Orders created, deleted or deduplicated differently while the sync
+   * was stopped shift the listing, and continuing would duplicate or drop rows.
+   * @param {FullSyncCheckpoint} checkpoint Checkpoint of the interrupted sync
+   * @param {Object} target Write target from prepareResumedWrite
+   * @throws {Error} CHECKPOINT_STALE error when the listing no longer matches
+   */
+  checkResumedListing(checkpoint, target) {
+    if (target.skipRecords === 0 && target.skippedDigest === target.committedDigest) {
+      return;
+    }
+
+    const error = new Error(`The listing changed since full sync ${checkpoint.operationId} was interrupted, so it cannot be resumed`);
+    error.code = 'CHECKPOINT_STALE';
+    throw error;
+  }
+
+  /**
+   * Remove the data rows from firstRow down, e.g. the part of a page an interrupted
+   * full sync wrote before it stopped. Table rows are deleted so the table ends
+   * before firstRow; in range mode the cells are cleared.
+   * @param {string} siteId SharePoint site ID
+   * @param {number} firstRow First row to remove
+   * @returns {Promise<number>} Number of rows removed
+   */
+  async discardRowsFrom(siteId, firstRow) {
+    const bounds = await this.getDataBounds(siteId);
+    const fromRow = Math.max(firstRow, bounds.startRow);
+    if (bounds.endRow < fromRow) {
+      return 0;
+    }
+
+    if (this.writeMode === 'table') {
+      // Deleting the whole body leaves Excel's placeholder row, as in prepareFullWrite
+      const path = fromRow === bounds.startRow
+        ? `${this.getTablePath(siteId)}/dataBodyRange/delete`
+        : `${this.getWorksheetPath(siteId)}/range(address='${bounds.startColumn}${fromRow}:${bounds.endColumn}${bounds.endRow}')/delete`;
+      await this.workbookRequest(path, {
+        method: 'post',
+        body: { shift: 'Up' }
+      });
+    } else {
+      // Clear in chunks of rows so one request never covers the whole sheet
+      const worksheetPath = this.getWorksheetPath(siteId);
+      for (let startRow = fromRow; startRow <= bounds.endRow; startRow += 5000) {
+        const endRow = Math.min(startRow + 4999, bounds.endRow);
+        await this.workbookRequest(`${worksheetPath}/range(address='A${startRow}:${bounds.endColumn}${endRow}')/clear`, {
+          method: 'post',
+          body: { applyTo: 'Contents' }
+        });
+      }
+    }
+
+    excelLog.clearing(`Discarded rows after the last committed page`, {
+      writeMode: this.writeMode,
+      fromRow,
+      toRow: bounds.endRow
+    });
+
+    return bounds.endRow - fromRow + 1;
+  }
+
+  /**
+   * Write a full sync page through the sync's checkpoint, which records it once
+   * written. Pages without new rows only rewrite earlier rows, which a resume
+   * repeats anyway, so they are written directly.
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} target Write target from prepareFullWrite
+   * @param {FullSyncCheckpoint|null} checkpoint Checkpoint of the sync, if any
+   * @param {Array} records Formatted records to append
+   * @param {Array} replacements Replacements ({ index, record }) for already written rows
+   * @param {number} pageNumber Page number for logging
+   * @returns {Promise<void>}
+   */
+  async writeCheckpointedPage(siteId, target, checkpoint, records, replacements, pageNumber) {
+    if (!checkpoint || records.length === 0) {
+      return this.writeFullSyncPage(siteId, target, records, replacements, pageNumber);
+    }
+
+    let attempts = 0;
+    await checkpoint.commit(records, async (rowRange) => {
+      // A retry writes the page to the same rows again; rows an earlier attempt appended to the table go first
+      if (attempts++ > 0 && this.writeMode === 'table') {
+        await this.discardRowsFrom(siteId, rowRange.startRow);
+      }
+      target.nextRow = rowRange.startRow;
+      await this.writeFullSyncPage(siteId, target, records, replacements, pageNumber);
+    });
+  }
+
+  /**
+   * Write one page of a full sync after the rows written so far, then rewrite the
+   * earlier rows that the page's replacements supersede
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} target Write target from prepareFullWrite
+   * @param {Array} records Formatted records to append
+   * @param {Array} replacements Replacements ({ index, record }) for already written rows
+   * @param {number} pageNumber Page number for logging
+   * @returns {Promise<void>}
+   */
+  async writeFullSyncPage(siteId, target, records, replacements, pageNumber) {
+    const rows = records.length > 0
+      ? this.applyColumnLayout(this.formatRecordsForExcel(records), target.layout)
+      : [];
+    const replacedRows = replacements.length > 0
+      ? this.applyColumnLayout(this.formatRecordsForExcel(replacements.map(({ record }) => record)), target.layout)
+      : [];
+
+    // A replacement's index is its position among all records written by this sync.
+    // Rows of this page are replaced before they are written and a row replaced twice
+    // keeps the newest record, so every row is written once and the page's requests
+    // do not depend on one another.
+    const pageStartIndex = target.nextRow - target.startRow;
+    const replacedEarlierRows = new Map();
+    replacements.forEach(({ index }, i) => {
+      if (index >= pageStartIndex) {
+        rows[index - pageStartIndex] = replacedRows[i];
+      } else {
+        replacedEarlierRows.set(index, replacedRows[i]);
+      }
+    });
+
+    // Update with new data in much smaller batches to avoid payload size limits
+    const batchSize = 10; // Very small batches to avoid payload limits
+    const writes = [];
+
+    if (this.writeMode === 'table') {
+      // Table rows are added through the table so its bounds grow with the data
+      await this.addTableRows(siteId, rows);
+    } else {
+      for (let i = 0; i < rows.length; i += batchSize) {
+        writes.push({ startRow: target.nextRow + i, values: rows.slice(i, i + batchSize) });
+      }
+    }
+    target.nextRow += rows.length;
+
+    replacedEarlierRows.forEach((values, index) => {
+      writes.push({ startRow: target.startRow + index, values: [values] });
+    });
+
+    if (writes.length === 0) {
+      return;
+    }
+
+    excelLog.batch(`Writing page ${pageNumber}`, {
+      pageNumber,
+      rows: rows.length,
+      replacements: replacements.length,
+      batchSize: batchSize,
+      totalBatches: writes.length
+    });
+
+    // Each PATCH of up to 10 rows is one operation; many of them share a single $batch round trip
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const firstColumnNumber = this.getColumnNumber(target.startColumn);
+    const operations = writes.map(({ startRow, values }, i) => {
+      const endColumn = this.getColumnLetter(firstColumnNumber + values[0].length - 1);
+      const range = `${target.startColumn}${startRow}:${endColumn}${startRow + values.length - 1}`;
+
+      return {
+        method: 'PATCH',
+        url: `${worksheetPath}/range(address='${range}')`,
+        body: { values },
+        batchNumber: i + 1,
+        startRow
+      };
+    });
+
+    const failures = await this.executeWorkbookBatch(operations, { operation: 'updateSpreadsheet', pageNumber });
+    target.successfulBatches += operations.length - failures.length;
+
+    // Operations that failed inside the $batch are retried one at a time
+    for (const { operation, error } of failures) {
+      if (error.code === 'ResponsePayloadSizeLimitExceeded') {
+        target.payloadLimitHits++;
+        excelLog.payloadLimit(`Payload limit exceeded for batch ${operation.batchNumber}`, {
+          pageNumber,
+          batchNumber: operation.batchNumber,
+          batchSize: operation.body.values.length,
+          errorCode: error.code
+        });
+      } else {
+        excelLog.warn(`Batch ${operation.batchNumber} failed inside $batch, retrying on its own`, {
+          pageNumber,
+          batchNumber: operation.batchNumber,
+          status: error.statusCode,
+          errorCode: error.code
+        });
+      }
+
+      try {
+        target.payloadLimitHits += await this.writeRowsWithFallback(
+          siteId, operation.startRow, operation.body.values, target.startColumn
+        );
+        target.successfulBatches++;
+      } catch (retryError) {
+        target.failedBatches++;
+        excelLog.error(`Batch ${operation.batchNumber} failed`, retryError, {
+          pageNumber,
+          batchNumber: operation.batchNumber,
+          batchSize: operation.body.values.length,
+          startRow: operation.startRow
+        });
+        throw retryError;
+      }
+    }
+  }
+
+  /**
+   * Remember what a full sync page wrote without keeping every row: the row count,
+   * a digest of the order IDs per VERIFY_BLOCK_ROWS rows, and a random sample of
+   * SYNC_VERIFY_SAMPLE_SIZE records (reservoir sampling, so the sample covers the
+   * whole sync)
+   * @param {Object} target Write target from prepareFullWrite
+   * @param {Array} records Formatted records appended by the page
+   * @param {Array} replacements Replacements ({ index, record, replacedId }) of earlier rows
+   */
+  trackWrittenRecords(target, records, replacements) {
+    const { written } = target;
+    const sampleSize = parseInt(process.env.SYNC_VERIFY_SAMPLE_SIZE) || 25;
+
+    records.forEach(record => {
+      const index = written.count++;
+      this.addToIdDigest(written.blocks, index, record.id, 1);
+
+      if (written.sample.length < sampleSize) {
+        written.sample.push({ index, record });
+        return;
+      }
+      const slot = Math.floor(Math.random() * (index + 1));
+      if (slot < sampleSize) {
+        written.sample[slot] = { index, record };
+      }
+    });
+
+    replacements.forEach(({ index, record, replacedId }) => {
+      this.addToIdDigest(written.blocks, index, replacedId, -1);
+      this.addToIdDigest(written.blocks, index, record.id, 1);
+      const sampled = written.sample.find(entry => entry.index === index);
+      if (sampled) {
+        sampled.record = record;
+      }
+    });
+  }
+
+  /**
+   * Add an order ID at a row index to the digest of its block, or take it out again.
+   * The digest is a sum of per-row hashes, so a replaced row can be swapped without
+   * the rest of the block, and a row holding the wrong ID changes the sum.
+   * @param {Array<number>} blocks Digest per block of VERIFY_BLOCK_ROWS rows
+   * @param {number} index Row index from the first data row
+   * @param {string|number} id Order ID
+   * @param {number} sign 1 to add the row, -1 to remove it
+   */
+  addToIdDigest(blocks, index, id, sign) {
+    const block = Math.floor(index / VERIFY_BLOCK_ROWS);
+    const hash = crypto.createHash('sha1').update(`${index}:${id ?? ''}`).digest().readUIntBE(0, 6);
+    blocks[block] = ((blocks[block] || 0) + sign * hash + DIGEST_MODULUS) % DIGEST_MODULUS;
+  }
+
+  /**
+   * Verify a full sync by reading the written rows back: the row count, the order IDs
+   * of every block of rows and the fields of the sampled records are compared with what the
+   * sync wrote. The result is saved as a verification report, and a notification is
+   * sent when the sheet does not match. Runs unless SYNC_VERIFY_AFTER_FULL_SYNC=false;
+   * a failed read is logged and never fails the sync.
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} target Write target from prepareFullWrite, after the last page
+   * @returns {Promise<Object|null>} Verification ({ reportId, status, errors }), or null when turned off
+   */
+  async verifyFullWrite(siteId, target) {
+    if (process.env.SYNC_VERIFY_AFTER_FULL_SYNC === 'false') {
+      return null;
+    }
+
+    const startTime = Date.now();
+    const validator = new DataValidator();
+    const context = { operationId: `verify_${this.getTargetKey()}` };
+    const { count, sample } = target.written;
+
+    try {
+      const fields = this.getMapping().getFields();
+      const layout = target.layout;
+      const bounds = await this.getDataBounds(siteId);
+      const idColumn = this.getColumnLetter(this.getColumnNumber(target.startColumn) + (layout ? layout.positions[0] : 0));
+      const { validation: idCheck, sheetRows } = await this.compareWrittenIds(siteId, target, idColumn, bounds.endRow, validator.config.maxErrorsPerType);
+
+      const countCheck = await validator.validateRecordCount(count, sheetRows, context);
+      const fieldCheck = await this.compareSampledRows(siteId, target, sample, fields);
+
+      const validation = validator.generateValidationReport([countCheck, idCheck, fieldCheck], context);
+      const status = validation.summary.overallStatus;
+      const report = {
+        target: this.getTargetKey(),
+        destination: this.destination.name,
+        worksheet: this.worksheetName,
+        status,
+        summary: {
+          rowsWritten: count,
+          sheetRows,
+          mismatchedRanges: idCheck.statistics.mismatchedRanges,
+          mismatchedRows: idCheck.statistics.mismatchedRows,
+          sampledRecords: fieldCheck.statistics.sampledRecords,
+          fieldMismatches: fieldCheck.statistics.mismatches,
+          duration: Date.now() - startTime
+        },
+        checks: {
+          recordCount: countCheck,
+          ids: idCheck,
+          sampledFields: fieldCheck
+        },
+        validation
+      };
+      report.reportId = await verificationReports.saveReport(report);
+
+      excelLog.info(`Full sync verified against the sheet`, {
+        destination: report.destination,
+        worksheetName: report.worksheet,
+        status,
+        ...report.summary,
+        reportId: report.reportId
+      });
+
+      if (status === 'failed') {
+        this.notifyVerificationFailed(report);
+      }
+
+      return { reportId: report.reportId, status, errors: validation.statistics.totalErrors };
+    } catch (error) {
+      excelLog.warn(`Full sync verification could not read the sheet back`, {
+        destination: this.destination.name,
+        worksheetName: this.worksheetName,
+        error: error.message
+      });
+      return { reportId: null, status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Read the order ID column back one block at a time and compare each block's
+   * digest with the one kept while writing, so memory stays flat however many
+   * rows the sync wrote. A block that differs is reported as a range of rows.
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} target Write target from prepareFullWrite, after the last page
+   * @param {string} idColumn Column letter holding the order IDs
+   * @param {number} lastRow Last used row of the worksheet
+   * @param {number} maxErrors Most errors listed
+   * @returns {Promise<Object>} { validation: { isValid, errors, warnings, statistics }, sheetRows }
+   */
+  async compareWrittenIds(siteId, target, idColumn, lastRow, maxErrors) {
+    const { count, blocks } = target.written;
+    const validation = {
+      isValid: true,
+      errors: [],
+      warnings: [],
+      statistics: { mismatchedRanges: 0, mismatchedRows: 0 }
+    };
+    // Trailing blank rows are not data, so the sheet ends at its last non-blank ID
+    let sheetRows = 0;
+    const blockCount = Math.max(Math.ceil(count / VERIFY_BLOCK_ROWS), Math.ceil((lastRow - target.startRow + 1) / VERIFY_BLOCK_ROWS));
+
+    for (let block = 0; block < blockCount; block++) {
+      const firstIndex = block * VERIFY_BLOCK_ROWS;
+      const firstRow = target.startRow + firstIndex;
+      const sheetIds = firstRow <= lastRow
+        ? await this.readColumn(siteId, idColumn, firstRow, Math.min(firstRow + VERIFY_BLOCK_ROWS - 1, lastRow))
+        : [];
+
+      const digest = [];
+      sheetIds.forEach((id, offset) => {
+        const index = firstIndex + offset;
+        if (id !== '') {
+          sheetRows = index + 1;
+        }
+        if (index < count) {
+          this.addToIdDigest(digest, index, id, 1);
+        }
+      });
+      // Written rows past the end of the sheet read back as blanks
+      for (let index = firstIndex + sheetIds.length; index < Math.min(firstIndex + VERIFY_BLOCK_ROWS, count); index++) {
+        this.addToIdDigest(digest, index, '', 1);
+      }
+
+      const rows = Math.min(VERIFY_BLOCK_ROWS, count - firstIndex);
+      if (rows <= 0 || (digest[block] || 0) === (blocks[block] || 0)) {
+        continue;
+      }
+
+      validation.statistics.mismatchedRanges++;
+      validation.statistics.mismatchedRows += rows;
+      if (validation.errors.length < maxErrors) {
+        const range = { firstRow, lastRow: firstRow + rows - 1 };
+        validation.errors.push({
+          type: 'id_mismatch',
+          severity: 'error',
+          message: `Rows ${range.firstRow}-${range.lastRow} do not hold the order IDs the sync wrote there`,
+          ...range
+        });
+      }
+    }
+
+    validation.isValid = validation.errors.length === 0;
+    return { validation, sheetRows };
+  }
+
+  /**
+   * Read the rows of the sampled records back and compare every configured field
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} target Write target from prepareFullWrite
+   * @param {Array} sample Sampled records ({ index, record })
+   * @param {Array<string>} fields Configured fields, in column order
+   * @returns {Promise<Object>} Validation ({ isValid, errors, warnings, statistics })
+   */
+  async compareSampledRows(siteId, target, sample, fields) {
+    const layout = target.layout;
+    const width = layout ? layout.width : fields.length;
+    const columnMapping = this.getMapping();
+    const validation = {
+      isValid: true,
+      errors: [],
+      warnings: [],
+      statistics: { sampledRecords: sample.length, mismatches: 0 }
+    };
+
+    for (const { index, record } of [...sample].sort((a, b) => a.index - b.index)) {
+      const row = target.startRow + index;
+      const [{ values, text }] = await this.readRows(siteId, target.startColumn, width, row, row);
+      const cells = this.mapRowToFields(values, layout, fields.length);
+      const cellText = this.mapRowToFields(text, layout, fields.length);
+
+      columnMapping.toRow(record).forEach((expected, position) => {
+        if (this.isSameCell(cells[position], cellText[position], expected)) {
+          return;
+        }
+        validation.statistics.mismatches++;
+        validation.errors.push({
+          type: 'field_mismatch',
+          severity: 'error',
+          message: `Row ${row}, field ${fields[position]}: expected '${expected}', found '${cellText[position] ?? ''}'`,
+          row,
+          recordId: String(record.id),
+          field: fields[position],
+          expected,
+          actual: cells[position] ?? null
+        });
+      });
+    }
+
+    validation.isValid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Tell the configured channels that a full sync left the sheet different from ShedSuite
+   * @param {Object} report Verification report
+   */
+  notifyVerificationFailed(report) {
+    const { summary } = report;
+    notificationSystem.sendNotification({
+      level: 'error',
+      title: 'Sheet Differs From ShedSuite After Full Sync',
+      message: `Verification of ${report.target} found ${report.validation.statistics.totalErrors} problems: ` +
+        `${summary.sheetRows} rows in the sheet for ${summary.rowsWritten} written, ${summary.mismatchedRows} rows with ` +
+        `different order IDs, ${summary.fieldMismatches} sampled fields different`,
+      details: {
+        reportId: report.reportId,
+        target: report.target,
+        ...summary,
+        errorsByType: report.validation.statistics.errorsByType
+      }
+    }).catch(notifyError => logger.error('Failed to send sync verification notification:', notifyError));
+  }
+
+  /**
+   * Clear the data rows below the header before a full write. The range comes from
+   * the worksheet's used range, widened to the column layout, so every existing row
+   * and column is cleared however large the sheet has grown. Chunks are cleared
+   * through $batch; failures are logged and the write goes ahead.
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} layout Column layout of the header row, if any
+   * @returns {Promise<void>}
+   */
+  async clearExistingDataInChunks(siteId, layout = null) {
+    const startTime = Date.now();
+    
+    try {
+      const bounds = await this.getDataBounds(siteId);
+      if (bounds.endRow < bounds.startRow) {
+        excelLog.clearing(`Worksheet appears to be empty or only has headers, no clearing needed`);
+        return;
+      }
+
+      const width = Math.max(this.getColumnNumber(bounds.endColumn), layout ? layout.width : this.getHeaderRow().length);
+      const endColumn = this.getColumnLetter(width);
+      // Clears return no content, so chunks can be far larger than row writes
+      const clearChunkSize = 500;
+      const worksheetPath = this.getWorksheetPath(siteId);
+
+      const operations = [];
+      for (let startRow = bounds.startRow; startRow <= bounds.endRow; startRow += clearChunkSize) {
+        const clearRange = `A${startRow}:${endColumn}${Math.min(startRow + clearChunkSize - 1, bounds.endRow)}`;
+        operations.push({
+          method: 'POST',
+          url: `${worksheetPath}/range(address='${clearRange}')/clear`,
+          body: { applyTo: 'Contents' },
+          chunkNumber: operations.length + 1,
+          range: clearRange
+        });
+      }
+
+      excelLog.clearing(`Starting chunked clearing process`, {
+        workbookId: this.workbookId,
+        worksheetName: this.worksheetName,
+        range: `A${bounds.startRow}:${endColumn}${bounds.endRow}`,
+        clearChunkSize: clearChunkSize,
+        totalChunks: operations.length
+      });
+
+      const failures = await this.executeWorkbookBatch(operations, { operation: 'clearExistingDataInChunks' });
+      let payloadLimitHits = 0;
+
+      failures.forEach(({ operation, error }) => {
+        if (error.code === 'ResponsePayloadSizeLimitExceeded') {
+          payloadLimitHits++;
+          excelLog.payloadLimit(`Payload limit reached clearing ${operation.range}`, {
+            chunkNumber: operation.chunkNumber,
+            errorCode: error.code
+          });
+        } else {
+          excelLog.error(`Failed to clear chunk ${operation.chunkNumber}`, error, {
+            chunkNumber: operation.chunkNumber,
+            range: operation.range
+          });
+        }
+      });
+
+      const totalDuration = Date.now() - startTime;
+      excelLog.performance(`Data clearing completed`, {
+        totalDuration: `${totalDuration}ms`,
+        totalChunks: operations.length,
+        clearedRows: bounds.endRow - bounds.startRow + 1,
+        failedChunks: failures.length,
+        payloadLimitHits: payloadLimitHits
+      });
+      
+    } catch (error) {
+      const totalDuration = Date.now() - startTime;
+      excelLog.error('Error clearing worksheet in chunks', error, {
+        totalDuration: `${totalDuration}ms`
+      });
+      // Don't throw the error, just log it and continue
+      excelLog.warn('Continuing with data update despite clear errors');
+    }
+  }
+
+  formatRecordsForExcel(records) {
+    this._initialize(); // Ensure service is initialized
+    
+    if (!records || records.length === 0) {
+      logger.warn('No records to format for Excel');
+      return [];
+    }
+
+    // Log the first record to see what fields are available
+    const sampleRecord = records[0];
+    logger.info('Sample record fields for Excel formatting:', {
+      availableFields: Object.keys(sampleRecord),
+      fieldCount: Object.keys(sampleRecord).length
+    });
+
+    // Convert the formatted record object to an array in the configured column order
+    const columnMapping = this.getMapping();
+    return records.map(record => columnMapping.toRow(record));
+  }
+
+  /**
+   * Read one column in chunks
+   * @param {string} siteId SharePoint site ID
+   * @param {string} column Column letter
+   * @param {number} firstRow First row to read
+   * @param {number} lastRow Last row to read
+   * @returns {Promise<Array<string>>} Trimmed cell text per row, starting at firstRow
+   */
+  async readColumn(siteId, column, firstRow, lastRow) {
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const chunkSize = parseInt(process.env.EXCEL_INDEX_READ_CHUNK_SIZE) || 5000;
+    const values = [];
+
+    for (let startRow = firstRow; startRow <= lastRow; startRow += chunkSize) {
+      const endRow = Math.min(startRow + chunkSize - 1, lastRow);
+      const chunk = await this.workbookRequest(`${worksheetPath}/range(address='${column}${startRow}:${column}${endRow}')`, {
+        select: 'values'
+      });
+
+      const rows = chunk.values || [];
+      for (let offset = 0; offset <= endRow - startRow; offset++) {
+        const cell = rows[offset] ? rows[offset][0] : null;
+        values.push(cell === null || cell === undefined ? '' : String(cell).trim());
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Read an order ID column in chunks and map each ID to its worksheet row number
+   * @param {string} siteId SharePoint site ID
+   * @param {string} column Column letter holding the order IDs
+   * @param {number} firstRow First row to read
+   * @param {number} lastRow Last row to read
+   * @returns {Promise<Map>} Row numbers keyed by order ID
+   */
+  async readIdColumn(siteId, column, firstRow, lastRow) {
+    const rowsById = new Map();
+
+    (await this.readColumn(siteId, column, firstRow, lastRow)).forEach((id, offset) => {
+      if (id !== '' && !rowsById.has(id)) {
+        rowsById.set(id, firstRow + offset);
+      }
+    });
+
+    return rowsById;
+  }
+
+  /**
+   * Read the id column of the worksheet and map each order ID to its row number
+   * @param {string} siteId SharePoint site ID
+   * @param {number} idOffset Zero-based position of the id column
+   * @returns {Promise<Object>} Row index ({ rowsById, nextRow, startColumn })
+   */
+  async buildRowIndex(siteId, idOffset = 0) {
+    const startTime = Date.now();
+
+    const usedRange = await this.workbookRequest(`${this.getWorksheetPath(siteId)}/usedRange(valuesOnly=true)`, {
+      select: 'address,rowCount'
+    });
+
+    // Address looks like "Sheet1!A1:CB1234"; the trailing number is the last used row
+    const lastRowMatch = (usedRange.address || '').match(/(\d+)$/);
+    const lastRow = lastRowMatch ? parseInt(lastRowMatch[1]) : 1;
+
+    // The order ID is the first configured column unless the header row was remapped
+    const rowsById = await this.readIdColumn(siteId, this.getColumnLetter(idOffset + 1), 2, lastRow);
+
+    excelLog.info(`Row index built from id column`, {
+      lastRow,
+      indexedRows: rowsById.size,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    return {
+      rowsById,
+      nextRow: Math.max(lastRow + 1, 2),
+      startColumn: 'A'
+    };
+  }
+
+  /**
+   * Apply targeted updates to specific records in Excel.
+   * Rows whose order ID already exists are patched in place; unknown orders are appended.
+   * Accepts an array of formatted records or an (async) iterable of pages, applied as they
+   * arrive; the sheet is only read once the first record is available.
+   * Errors are thrown, never answered with a full rewrite: that would clear the sheet and
+   * keep only these updates. Callers leave their watermark in place so the next poll retries.
+   * @param {Array|AsyncIterable} updates - Formatted records to update, or pages of them
+   * @returns {Promise<Object>} Counts of updated and appended rows
+   */
+  async applyTargetedUpdates(updates) {
+    this._initialize(); // Ensure service is initialized
+    const startTime = Date.now();
+    const streaming = updates && !Array.isArray(updates);
+    const result = { updated: 0, appended: 0, skipped: 0, filtered: 0 };
+    let sessionOpened = false;
+    let writes = 0;
+
+    try {
+      if (!updates || (!streaming && updates.length === 0)) {
+        logger.info('No updates to apply');
+        return result;
+      }
+
+      let siteId = null;
+      let layout = null;
+      let rowIndex = null;
+
+      for await (const page of readAhead(streaming ? updates : [updates])) {
+        // Replacements are newer versions of a customer's order; upsert them like any other update
+        let records = Array.isArray(page)
+          ? page
+          : [...(page.records || []), ...(page.replacements || []).map(({ record }) => record)];
+        if (this.destination.hasFilter()) {
+          const matching = records.filter(record => this.destination.matches(record));
+          result.filtered += records.length - matching.length;
+          records = matching;
+        }
+        if (records.length === 0) {
+          continue;
+        }
+
+        if (!rowIndex) {
+          logger.info(`Applying targeted updates to Excel spreadsheet ${this.workbookId}`, {
+            recordCount: streaming ? 'streamed' : records.length
+          });
+
+          siteId = await this.getSiteId();
+          await this.openSession(siteId);
+          sessionOpened = true;
+
+          layout = this.writeMode === 'table' ? await this.ensureTableHeaders(siteId) : await this.ensureHeaderRow(siteId);
+          const idOffset = layout ? layout.positions[0] : 0;
+          rowIndex = this.writeMode === 'table'
+            ? await this.buildTableRowIndex(siteId, idOffset)
+            : await this.buildRowIndex(siteId, idOffset);
+        }
+
+        const pageResult = await this.writeTargetedRows(siteId, layout, rowIndex, records);
+        result.updated += pageResult.updated;
+        result.appended += pageResult.appended;
+        result.skipped += pageResult.skipped;
+        writes += pageResult.writes;
+      }
+
+      if (!rowIndex) {
+        logger.info('No updates to apply');
+        return result;
+      }
+
+      excelLog.performance(`Targeted updates applied`, {
+        ...result,
+        writes,
+        duration: `${Date.now() - startTime}ms`
+      });
+      logger.info(`Successfully applied ${result.updated + result.appended} targeted updates to Excel`, result);
+
+      return result;
+    } catch (error) {
+      logger.error('Error applying targeted updates to Excel:', error);
+      throw error;
+    } finally {
+      if (sessionOpened) {
+        await this.closeSession();
+      }
+    }
+  }
+
+  /**
+   * Patch or append one set of targeted updates and record appended rows in the row index,
+   * so later pages update those rows instead of appending them again
+   * @param {string} siteId SharePoint site ID
+   * @param {Object} layout Column layout from the header check, or null
+   * @param {Object} rowIndex Row index ({ rowsById, nextRow, startColumn })
+   * @param {Array} records Formatted records
+   * @returns {Promise<Object>} Counts of updated, appended and skipped rows plus the number of writes
+   */
+  async writeTargetedRows(siteId, layout, rowIndex, records) {
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const tableMode = this.writeMode === 'table';
+    const { rowsById, startColumn } = rowIndex;
+
+    // Keep only the latest version of each order so a row is never written twice
+    const rowsToWrite = new Map();
+    let skipped = 0;
+    this.formatRecordsForExcel(records).forEach(row => {
+      const id = String(row[0]).trim();
+      if (id === '') {
+        skipped++;
+        return;
+      }
+      rowsToWrite.set(id, this.applyColumnLayout([row], layout)[0]);
+    });
+
+    if (skipped > 0) {
+      excelLog.warn(`Skipping targeted updates without an order ID`, { skipped });
+    }
+
+    const existingRows = [];
+    const newRows = [];
+    rowsToWrite.forEach((values, id) => {
+      if (rowsById.has(id)) {
+        existingRows.push({ rowNumber: rowsById.get(id), values });
+      } else {
+        // Table rows/add and the range append both place new rows right after the data
+        rowsById.set(id, rowIndex.nextRow + newRows.length);
+        newRows.push(values);
+      }
+    });
+
+    // Merge adjacent existing rows into contiguous ranges; in range mode new rows are appended after the data
+    existingRows.sort((a, b) => a.rowNumber - b.rowNumber);
+    const writes = [];
+    const maxRowsPerWrite = 10;
+    existingRows.forEach(({ rowNumber, values }) => {
+      const last = writes[writes.length - 1];
+      if (last && last.startRow + last.values.length === rowNumber && last.values.length < maxRowsPerWrite) {
+        last.values.push(values);
+      } else {
+        writes.push({ startRow: rowNumber, values: [values] });
+      }
+    });
+    if (!tableMode) {
+      for (let i = 0; i < newRows.length; i += maxRowsPerWrite) {
+        writes.push({ startRow: rowIndex.nextRow + i, values: newRows.slice(i, i + maxRowsPerWrite) });
+      }
+    }
+
+    const firstColumnNumber = this.getColumnNumber(startColumn);
+    for (let i = 0; i < writes.length; i++) {
+      const { startRow, values } = writes[i];
+      const endColumn = this.getColumnLetter(firstColumnNumber + values[0].length - 1);
+      const range = `${startColumn}${startRow}:${endColumn}${startRow + values.length - 1}`;
+
+      excelLog.writing(`Writing targeted update ${i + 1}/${writes.length}`, {
+        range,
+        rowCount: values.length
+      });
+
+      await this.workbookRequest(`${worksheetPath}/range(address='${range}')`, { method: 'patch', body: { values } });
+
+      // Same pacing as the full sync to stay under Graph rate limits
+      if (i + 1 < writes.length) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+
+    // Table rows are added through the table so its bounds grow with the data
+    if (tableMode && newRows.length > 0) {
+      await this.addTableRows(siteId, newRows);
+    }
+    rowIndex.nextRow += newRows.length;
+
+    return {
+      updated: existingRows.length,
+      appended: newRows.length,
+      skipped,
+      writes: writes.length
+    };
+  }
+
+  /**
+   * Collect a listing of formatted records for this destination by order ID,
+   * with replacements from cross-page deduplication applied
+   * @param {Array|AsyncIterable} pages Formatted records, or pages of them
+   * @returns {Promise<Map>} Formatted records keyed by order ID
+   */
+  async collectListing(pages) {
+    const idField = this.getMapping().getFields()[0];
+    const listing = new Map();
+    const add = (record) => {
+      const id = record[idField];
+      if (id !== null && id !== undefined && String(id).trim() !== '' && this.destination.matches(record)) {
+        listing.set(String(id).trim(), record);
+      }
+    };
+
+    for await (const page of Array.isArray(pages) ? [pages] : pages) {
+      if (Array.isArray(page)) {
+        page.forEach(add);
+        continue;
+      }
+      (page.records || []).forEach(add);
+      // A replaced record was emitted earlier and then superseded, so its ID is no longer listed
+      (page.replacements || []).forEach(({ record, replacedId }) => {
+        listing.delete(String(replacedId).trim());
+        add(record);
+      });
+    }
+
+    return listing;
+  }
+
+  /**
+   * Rows holding data below the header: the table body in table write mode,
+   * otherwise row 2 to the last used row. endRow is below startRow when there is no data.
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object>} { startRow, endRow, startColumn, endColumn }
+   */
+  async getDataBounds(siteId) {
+    if (this.writeMode === 'table') {
+      const body = await this.getTableBody(siteId);
+      return { ...body, endRow: body.placeholder ? body.startRow - 1 : body.endRow };
+    }
+
+    const usedRange = await this.workbookRequest(`${this.getWorksheetPath(siteId)}/usedRange(valuesOnly=true)`, {
+      select: 'address'
+    });
+    const bounds = usedRange.address ? this.parseRangeAddress(usedRange.address) : { endColumn: 'A', endRow: 1 };
+    return { startRow: 2, endRow: Math.max(bounds.endRow, 1), startColumn: 'A', endColumn: bounds.endColumn };
+  }
+
+  /**
+   * Reconcile deletions: compare the order IDs in the sheet with a complete ShedSuite
+   * listing and remove, or mark as removed, the rows of orders that no longer exist
+   * there (or no longer pass the destination filter).
+   * Nothing is changed when more than RECONCILE_MAX_REMOVAL_FRACTION of the rows would
+   * go, since that points at a bad listing rather than mass deletions in ShedSuite.
+   * @param {Array|AsyncIterable} pages Complete listing: formatted records, or pages of them
+   * @param {Object} options Options
+   * @param {string} options.mode 'mark' writes RECONCILE_MARK_VALUE into the RECONCILE_MARK_FIELD column,
+   *   'delete' removes the rows (defaults to RECONCILE_MODE, then 'mark')
+   * @param {boolean} options.dryRun Only report the stale rows
+   * @param {boolean} options.force Apply even above the removal threshold
+   * @returns {Promise<Object>} Reconciliation summary with the stale order IDs
+   */
+  async reconcileDeletions(pages, options = {}) {
+    this._initialize(); // Ensure service is initialized
+    const startTime = Date.now();
+    const mode = options.mode || process.env.RECONCILE_MODE || 'mark';
+    const maxFraction = isNaN(parseFloat(process.env.RECONCILE_MAX_REMOVAL_FRACTION))
+      ? 0.1
+      : parseFloat(process.env.RECONCILE_MAX_REMOVAL_FRACTION);
+    const markField = process.env.RECONCILE_MARK_FIELD || 'status';
+    const markValue = process.env.RECONCILE_MARK_VALUE || 'Removed';
+    const fields = this.getMapping().getFields();
+    let sessionOpened = false;
+
+    if (!['mark', 'delete'].includes(mode)) {
+      const error = new Error(`Unknown reconcile mode: ${mode}`);
+      error.code = 'INVALID_RECONCILE_OPTIONS';
+      throw error;
+    }
+    if (mode === 'mark' && !fields.includes(markField)) {
+      const error = new Error(`RECONCILE_MARK_FIELD "${markField}" is not a configured column`);
+      error.code = 'INVALID_RECONCILE_OPTIONS';
+      throw error;
+    }
+
+    try {
+      // Read the whole listing before touching the workbook, so the session is not held open while paging
+      const liveRecords = await this.collectListing(pages);
+
+      const siteId = await this.getSiteId();
+      await this.openSession(siteId);
+      sessionOpened = true;
+
+      const tableMode = this.writeMode === 'table';
+      const layout = tableMode ? await this.ensureTableHeaders(siteId) : await this.ensureHeaderRow(siteId);
+      const bounds = await this.getDataBounds(siteId);
+
+      const firstColumnNumber = this.getColumnNumber(bounds.startColumn);
+      const columnOf = (field) => {
+        const index = fields.indexOf(field);
+        return this.getColumnLetter(firstColumnNumber + (layout ? layout.positions[index] : index));
+      };
+
+      const ids = await this.readColumn(siteId, columnOf(fields[0]), bounds.startRow, bounds.endRow);
+      const marks = mode === 'mark' ? await this.readColumn(siteId, columnOf(markField), bounds.startRow, bounds.endRow) : null;
+
+      let sheetRows = 0;
+      let alreadyMarked = 0;
+      const stale = [];
+      ids.forEach((id, offset) => {
+        if (id === '') {
+          return;
+        }
+        sheetRows++;
+        if (liveRecords.has(id)) {
+          return;
+        }
+        if (marks && marks[offset].toLowerCase() === markValue.toLowerCase()) {
+          alreadyMarked++;
+          return;
+        }
+        stale.push({ id, row: bounds.startRow + offset });
+      });
+
+      // Rows marked on earlier runs are already out; the threshold applies to the rest
+      const activeRows = sheetRows - alreadyMarked;
+      const fraction = activeRows > 0 ? stale.length / activeRows : 0;
+      const result = {
+        destination: this.destination.name,
+        worksheet: this.worksheetName,
+        mode,
+        dryRun: options.dryRun === true,
+        sheetRows,
+        liveRecords: liveRecords.size,
+        alreadyMarked,
+        staleCount: stale.length,
+        removalFraction: Math.round(fraction * 10000) / 10000,
+        maxRemovalFraction: maxFraction,
+        removed: 0,
+        marked: 0,
+        stale: stale.map(({ id }) => id)
+      };
+
+      excelLog.info(`Reconciliation compared sheet with ShedSuite`, {
+        destination: result.destination,
+        sheetRows,
+        liveRecords: result.liveRecords,
+        stale: stale.length,
+        alreadyMarked,
+        removalFraction: result.removalFraction
+      });
+
+      if (fraction > maxFraction && !options.force) {
+        const error = new Error(
+          `Reconciliation would remove ${stale.length} of ${activeRows} rows (${(fraction * 100).toFixed(1)}%), ` +
+          `above the ${(maxFraction * 100).toFixed(1)}% limit; nothing was changed`
+        );
+        error.code = 'RECONCILE_THRESHOLD_EXCEEDED';
+        error.details = { ...result, stale: result.stale.slice(0, 100) };
+        throw error;
+      }
+
+      if (result.dryRun || stale.length === 0) {
+        return result;
+      }
+
+      // Group adjacent rows so each group is one request
+      const groups = [];
+      stale.forEach(({ row }) => {
+        const last = groups[groups.length - 1];
+        if (last && last.endRow + 1 === row) {
+          last.endRow = row;
+        } else {
+          groups.push({ startRow: row, endRow: row });
+        }
+      });
+
+      const worksheetPath = this.getWorksheetPath(siteId);
+      if (mode === 'mark') {
+        const column = columnOf(markField);
+        const operations = groups.map(({ startRow, endRow }) => ({
+          method: 'PATCH',
+          url: `${worksheetPath}/range(address='${column}${startRow}:${column}${endRow}')`,
+          body: { values: new Array(endRow - startRow + 1).fill([markValue]) }
+        }));
+
+        // Operations that failed inside the $batch are retried one at a time
+        const failures = await this.executeWorkbookBatch(operations, { operation: 'reconcileDeletions' });
+        for (const { operation } of failures) {
+          await this.workbookRequest(operation.url, { method: 'patch', body: operation.body });
+        }
+        result.marked = stale.length;
+      } else {
+        // Bottom-up, so deleting a group never shifts the rows of the groups still to delete
+        for (let i = groups.length - 1; i >= 0; i--) {
+          const { startRow, endRow } = groups[i];
+          // Table rows are deleted within the table; worksheet rows are deleted whole so other columns stay aligned
+          const range = tableMode
+            ? `${bounds.startColumn}${startRow}:${bounds.endColumn}${endRow}`
+            : `${startRow}:${endRow}`;
+
+          await this.workbookRequest(`${worksheetPath}/range(address='${range}')/delete`, {
+            method: 'post',
+            body: { shift: 'Up' }
+          });
+          result.removed += endRow - startRow + 1;
+
+          // Same pacing as the targeted updates to stay under Graph rate limits
+          if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+          }
+        }
+      }
+
+      excelLog.performance(`Reconciliation applied`, {
+        destination: result.destination,
+        mode,
+        removed: result.removed,
+        marked: result.marked,
+        requests: groups.length,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return result;
+    } catch (error) {
+      if (error.code !== 'RECONCILE_THRESHOLD_EXCEEDED') {
+        logger.error('Error reconciling deletions in Excel:', error);
+      }
+      throw error;
+    } finally {
+      if (sessionOpened) {
+        await this.closeSession();
+      }
+    }
+  }
+
+  /**
+   * Read the sheet's contents for a snapshot: the header row followed by every data
+   * row, from the used range in range write mode or from the table in table mode
+   * @returns {Promise<Array<Array>>} Rows, header first; empty when the sheet is empty
+   */
+  async readWorksheetContents() {
+    this._initialize(); // Ensure service is initialized
+    const siteId = await this.getSiteId();
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const chunkSize = parseInt(process.env.EXCEL_DIFF_READ_CHUNK_SIZE) || 1000;
+
+    let startColumn = 'A';
+    let endColumn;
+    let firstRow = 1;
+    let lastRow;
+    const rows = [];
+
+    try {
+      if (this.writeMode === 'table') {
+        const headerRow = await this.workbookRequest(`${this.getTablePath(siteId)}/headerRowRange`, { select: 'values' });
+        rows.push((headerRow.values || [[]])[0]);
+
+        const body = await this.getTableBody(siteId);
+        if (body.placeholder) {
+          return rows;
+        }
+        ({ startColumn, endColumn, startRow: firstRow, endRow: lastRow } = body);
+      } else {
+        const usedRange = await this.workbookRequest(`${worksheetPath}/usedRange(valuesOnly=true)`, { select: 'address' });
+        if (!usedRange.address) {
+          return rows;
+        }
+        ({ endColumn, endRow: lastRow } = this.parseRangeAddress(usedRange.address));
+      }
+    } catch (error) {
+      // A worksheet or table that does not exist yet has nothing to save
+      if (error.statusCode === 404 || error.code === 'ItemNotFound') {
+        return [];
+      }
+      throw error;
+    }
+
+    for (let startRow = firstRow; startRow <= lastRow; startRow += chunkSize) {
+      const endRow = Math.min(startRow + chunkSize - 1, lastRow);
+      const chunk = await this.workbookRequest(`${worksheetPath}/range(address='${startColumn}${startRow}:${endColumn}${endRow}')`, {
+        select: 'values'
+      });
+      rows.push(...(chunk.values || []));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Replace the sheet's contents with rows read by readWorksheetContents, e.g. from a
+   * snapshot. In range write mode the used range is cleared and every row rewritten
+   * from A1; in table mode the table body is replaced and its headers are kept.
+   * @param {Array<Array>} rows Rows, header first
+   * @returns {Promise<Object>} Restore summary ({ destination, worksheet, rowsRestored })
+   */
+  async restoreWorksheetContents(rows) {
+    this._initialize(); // Ensure service is initialized
+    const startTime = Date.now();
+    const siteId = await this.getSiteId();
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const dataRows = rows.slice(1);
+
+    await this.openSession(siteId);
+    try {
+      await this.ensureWorksheet(siteId);
+
+      if (this.writeMode === 'table') {
+        await this.ensureTable(siteId);
+        const body = await this.getTableBody(siteId);
+        if (!body.placeholder) {
+          await this.workbookRequest(`${this.getTablePath(siteId)}/dataBodyRange/delete`, {
+            method: 'post',
+            body: { shift: 'Up' }
+          });
+        }
+        await this.addTableRows(siteId, dataRows);
+      } else {
+        // Clear in chunks of rows so one request never covers the whole sheet
+        const usedRange = await this.workbookRequest(`${worksheetPath}/usedRange(valuesOnly=true)`, { select: 'address' });
+        if (usedRange.address) {
+          const bounds = this.parseRangeAddress(usedRange.address);
+          for (let startRow = 1; startRow <= bounds.endRow; startRow += 5000) {
+            const endRow = Math.min(startRow + 4999, bounds.endRow);
+            await this.workbookRequest(`${worksheetPath}/range(address='A${startRow}:${bounds.endColumn}${endRow}')/clear`, {
+              method: 'post',
+              body: { applyTo: 'Contents' }
+            });
+          }
+        }
+
+        // Same 10-row PATCH operations as a full sync, sent through $batch
+        const operations = [];
+        for (let i = 0; i < rows.length; i += 10) {
+          const values = rows.slice(i, i + 10);
+          const range = `A${i + 1}:${this.getColumnLetter(values[0].length)}${i + values.length}`;
+          operations.push({ method: 'PATCH', url: `${worksheetPath}/range(address='${range}')`, body: { values }, startRow: i + 1 });
+        }
+
+        const failures = await this.executeWorkbookBatch(operations, { operation: 'restoreWorksheetContents' });
+        for (const { operation } of failures) {
+          await this.writeRowsWithFallback(siteId, operation.startRow, operation.body.values);
+        }
+      }
+
+      excelLog.performance(`Worksheet contents restored`, {
+        destination: this.destination.name,
+        worksheetName: this.worksheetName,
+        writeMode: this.writeMode,
+        rowsRestored: dataRows.length,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return { destination: this.destination.name, worksheet: this.worksheetName, rowsRestored: dataRows.length };
+    } finally {
+      await this.closeSession();
+    }
+  }
+
+  /**
+   * Dry run of a full sync: compare a ShedSuite listing with the sheet and report
+   * the rows a full sync would add, update (with the changed fields) and remove,
+   * without writing anything. The diff is saved as a downloadable report.
+   * @param {Array|AsyncIterable} pages Formatted records, or pages of them
+   * @returns {Promise<Object>} Diff ({ reportId, destination, worksheet, summary, add, update, remove })
+   */
+  async diffSpreadsheet(pages) {
+    this._initialize(); // Ensure service is initialized
+    const startTime = Date.now();
+    const columnMapping = this.getMapping();
+    const fields = columnMapping.getFields();
+    const headers = columnMapping.getHeaders();
+    let sessionOpened = false;
+
+    try {
+      // Read the whole listing before touching the workbook, so the session is not held open while paging
+      const listing = await this.collectListing(pages);
+
+      const siteId = await this.getSiteId();
+      await this.openSession(siteId);
+      sessionOpened = true;
+
+      // Read-only: a missing worksheet or table just means every listed record would be added
+      const diff = {
+        destination: this.destination.name,
+        worksheet: this.worksheetName,
+        summary: null,
+        add: [],
+        update: [],
+        remove: []
+      };
+      const layout = await this.readColumnLayout(siteId);
+      const bounds = layout === undefined ? null : await this.getDataBounds(siteId);
+      const width = layout ? layout.width : fields.length;
+      const sheetRows = bounds
+        ? await this.readRows(siteId, bounds.startColumn, width, bounds.startRow, bounds.endRow)
+        : [];
+
+      const seen = new Set();
+      let unchanged = 0;
+      sheetRows.forEach(({ values, text }, offset) => {
+        const cells = this.mapRowToFields(values, layout, fields.length);
+        const cellText = this.mapRowToFields(text, layout, fields.length);
+        const id = cells[0] === null || cells[0] === undefined ? '' : String(cells[0]).trim();
+        if (id === '') {
+          return;
+        }
+
+        const row = bounds.startRow + offset;
+        if (seen.has(id)) {
+          diff.remove.push({ id, row, reason: 'duplicate' });
+          return;
+        }
+        seen.add(id);
+
+        if (!listing.has(id)) {
+          diff.remove.push({ id, row, reason: 'missing' });
+          return;
+        }
+
+        const expected = columnMapping.toRow(listing.get(id));
+        const changes = [];
+        expected.forEach((value, index) => {
+          if (!this.isSameCell(cells[index], cellText[index], value)) {
+            changes.push({
+              field: fields[index],
+              header: headers[index],
+              from: cells[index] === undefined ? null : cells[index],
+              to: value === undefined ? null : value
+            });
+          }
+        });
+
+        if (changes.length > 0) {
+          diff.update.push({ id, row, changes });
+        } else {
+          unchanged++;
+        }
+      });
+
+      listing.forEach((record, id) => {
+        if (!seen.has(id)) {
+          diff.add.push({ id, record });
+        }
+      });
+
+      diff.summary = {
+        sheetRows: seen.size + diff.remove.filter(({ reason }) => reason === 'duplicate').length,
+        listedRecords: listing.size,
+        toAdd: diff.add.length,
+        toUpdate: diff.update.length,
+        toRemove: diff.remove.length,
+        unchanged
+      };
+
+      diff.reportId = await diffReports.saveReport(diff);
+
+      excelLog.info(`Sync dry run compared sheet with ShedSuite`, {
+        destination: diff.destination,
+        ...diff.summary,
+        reportId: diff.reportId,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return diff;
+    } catch (error) {
+      logger.error('Error computing Excel sync diff:', error);
+      throw error;
+    } finally {
+      if (sessionOpened) {
+        await this.closeSession();
+      }
+    }
+  }
+
+  /**
+   * Column layout of the existing sheet without changing it
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object|null|undefined>} Column layout, null when the headers match,
+   *   or undefined when the worksheet, table or header row does not exist yet
+   */
+  async readColumnLayout(siteId) {
+    try {
+      if (this.writeMode === 'table') {
+        const headerRow = await this.workbookRequest(`${this.getTablePath(siteId)}/headerRowRange`, { select: 'values' });
+        return this.resolveColumnLayout((headerRow.values || [[]])[0], `table ${this.tableName}`);
+      }
+
+      const worksheetPath = this.getWorksheetPath(siteId);
+      const usedRange = await this.workbookRequest(`${worksheetPath}/usedRange(valuesOnly=true)`, { select: 'address' });
+      const usedColumns = usedRange.address ? this.getColumnNumber(this.parseRangeAddress(usedRange.address).endColumn) : 0;
+      const headerRow = await this.workbookRequest(`${worksheetPath}/range(address='A1:${this.getColumnLetter(Math.max(usedColumns, this.getHeaderRow().length))}1')`, {
+        select: 'values'
+      });
+      const actualHeaders = (headerRow.values || [[]])[0];
+      if (actualHeaders.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) {
+        return undefined;
+      }
+      return this.resolveColumnLayout(actualHeaders, `worksheet ${this.worksheetName}`);
+    } catch (error) {
+      if (error.statusCode === 404 || error.code === 'ItemNotFound') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read full rows in chunks, as values and as displayed text
+   * @param {string} siteId SharePoint site ID
+   * @param {string} startColumn Column letter of the first cell
+   * @param {number} width Number of columns
+   * @param {number} firstRow First row to read
+   * @param {number} lastRow Last row to read
+   * @returns {Promise<Array<Object>>} { values, text } per row, starting at firstRow
+   */
+  async readRows(siteId, startColumn, width, firstRow, lastRow) {
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const chunkSize = parseInt(process.env.EXCEL_DIFF_READ_CHUNK_SIZE) || 1000;
+    const endColumn = this.getColumnLetter(this.getColumnNumber(startColumn) + width - 1);
+    const rows = [];
+
+    for (let startRow = firstRow; startRow <= lastRow; startRow += chunkSize) {
+      const endRow = Math.min(startRow + chunkSize - 1, lastRow);
+      const chunk = await this.workbookRequest(`${worksheetPath}/range(address='${startColumn}${startRow}:${endColumn}${endRow}')`, {
+        select: 'values,text'
+      });
+
+      for (let offset = 0; offset <= endRow - startRow; offset++) {
+        rows.push({
+          values: (chunk.values && chunk.values[offset]) || [],
+          text: (chunk.text && chunk.text[offset]) || []
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Pick the configured columns out of a sheet row, undoing the column layout
+   * @param {Array} row Sheet row
+   * @param {Object|null} layout Column layout, or null when the headers match
+   * @param {number} count Number of configured columns
+   * @returns {Array} Cells in configured column order
+   */
+  mapRowToFields(row, layout, count) {
+    return Array.from({ length: count }, (_, index) => row[layout ? layout.positions[index] : index]);
+  }
+
+  /**
+   * Compare a sheet cell with the value a sync would write. Excel converts numeric
+   * and date text on write, so a cell also matches when its displayed text or
+   * numeric value does.
+   * @param {*} value Cell value
+   * @param {*} text Cell text as displayed
+   * @param {*} expected Value the sync would write
+   * @returns {boolean} True when the sync would leave the cell as it is
+   */
+  isSameCell(value, text, expected) {
+    const normalize = (cell) => (cell === null || cell === undefined ? '' : String(cell).trim());
+    const target = normalize(expected);
+    const actual = normalize(value);
+
+    if (actual === target || normalize(text) === target) {
+      return true;
+    }
+    return target !== '' && actual !== '' && !isNaN(Number(target)) && Number(target) === Number(actual);
+  }
+
+  /**
+   * Header titles for the written columns, taken from the column mapping
+   * @returns {Array<string>} Header row values
+   */
+  getHeaderRow() {
+    return this.getMapping().getHeaders();
   }
 
-  _initialize() {
-    if (this._initialized) {
-      return;
-    }
+  /**
+   * Check a header row read from the workbook against the configured columns.
+   * Depending on EXCEL_SCHEMA_DRIFT_POLICY a mismatch either refuses the sync
+   * or produces a layout that places each configured column under its header.
+   * @param {Array} actualHeaders Header cells from the workbook
+   * @param {string} location Where the headers were read from, for messages
+   * @returns {Object|null} Column layout ({ positions, width }), or null when the headers match
+   */
+  resolveColumnLayout(actualHeaders, location) {
+    const normalize = value => (value === null || value === undefined ? '' : String(value).trim().toLowerCase());
+    const expectedHeaders = this.getHeaderRow();
+    const expected = expectedHeaders.map(normalize);
+    const actual = actualHeaders.map(normalize);
 
-    // Validate required environment variables with more graceful handling
-    if (!process.env.AZURE_CLIENT_ID) {
-      logger.warn('AZURE_CLIENT_ID is not available yet, Excel service will be unavailable');
-      throw new Error('AZURE_CLIENT_ID is required');
-    }
-    if (!process.env.AZURE_TENANT_ID) {
-      logger.warn('AZURE_TENANT_ID is not available yet, Excel service will be unavailable');
-      throw new Error('AZURE_TENANT_ID is required');
+    // Trailing blank cells are not part of the header
+    while (actual.length > 0 && actual[actual.length - 1] === '') {
+      actual.pop();
     }
-    if (!process.env.AZURE_CLIENT_SECRET) {
-      logger.warn('AZURE_CLIENT_SECRET is not available yet, Excel service will be unavailable');
-      throw new Error('AZURE_CLIENT_SECRET is required');
+
+    if (actual.length === expected.length && expected.every((header, index) => actual[index] === header)) {
+      return null;
     }
 
-    // Initialize MSAL with client credentials flow
-    this.msalClient = new ConfidentialClientApplication({
-      auth: {
-        clientId: process.env.AZURE_CLIENT_ID,
-        authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}`,
-        clientSecret: process.env.AZURE_CLIENT_SECRET
-      }
-    });
+    const drift = {
+      missing: expectedHeaders.filter((header, index) => !actual.includes(expected[index])),
+      unexpected: actualHeaders.filter((header, index) => actual[index] && !expected.includes(actual[index])),
+      moved: expectedHeaders.filter((header, index) => actual.includes(expected[index]) && actual[index] !== expected[index])
+    };
 
-    this.client = Client.init({
-      authProvider: async (done) => {
-        try {
-          // Get access token using client credentials flow
-          const response = await this.msalClient.acquireTokenByClientCredential({
-            scopes: ['https://graph.microsoft.com/.default']
-          });
-          done(null, response.accessToken);
-        } catch (error) {
-          logger.error('Failed to acquire token:', error);
-          done(error, null);
-        }
-      }
-    });
+    // Remapping needs every configured column somewhere in the sheet
+    if (this.schemaDriftPolicy === 'remap' && drift.missing.length === 0) {
+      excelLog.warn(`Header row differs from configured columns, remapping`, {
+        location,
+        unexpected: drift.unexpected,
+        moved: drift.moved
+      });
 
-    this.workbookId = process.env.EXCEL_WORKBOOK_ID;
-    this.worksheetName = process.env.EXCEL_WORKSHEET_NAME || 'Sheet1';
-    
-    // SharePoint site details
-    this.hostname = process.env.SHAREPOINT_HOSTNAME || 'heartlandcapital.sharepoint.com';
-    this.sitePath = process.env.SHAREPOINT_SITE_PATH || '/sites/Stor-Mor';
+      return {
+        positions: expected.map(header => actual.indexOf(header)),
+        width: actual.length
+      };
+    }
 
-    this._initialized = true;
+    const error = new Error(
+      `Header row of ${location} does not match the configured columns ` +
+      `(missing: ${drift.missing.length}, unexpected: ${drift.unexpected.length}, moved: ${drift.moved.length})`
+    );
+    error.code = 'SCHEMA_DRIFT';
+    error.drift = drift;
+
+    excelLog.error(`Refusing to write to ${location} because of schema drift`, error, {
+      policy: this.schemaDriftPolicy,
+      ...drift
+    });
+    throw error;
   }
 
   /**
-   * Get SharePoint site ID dynamically
-   * @returns {Promise<string>} Site ID
+   * Place row values according to a column layout. Columns the mapping does not
+   * know about get null, which Graph leaves unchanged.
+   * @param {Array<Array>} rows Rows in configured column order
+   * @param {Object|null} layout Column layout from resolveColumnLayout
+   * @returns {Array<Array>} Rows in workbook column order
    */
-  async getSiteId() {
-    if (this.siteId) {
-      excelLog.connection(`Using cached site ID`, { siteId: this.siteId });
-      return this.siteId;
+  applyColumnLayout(rows, layout) {
+    if (!layout) {
+      return rows;
     }
 
-    try {
-      const startTime = Date.now();
-      excelLog.connection(`Getting SharePoint site ID`, {
-        hostname: this.hostname,
-        sitePath: this.sitePath
-      });
-      
-      const site = await this.client.api(`/sites/${this.hostname}:${this.sitePath}`).get();
-      this.siteId = site.id;
-      
-      const duration = Date.now() - startTime;
-      excelLog.connection(`Site ID retrieved successfully`, {
-        siteId: this.siteId,
-        duration: `${duration}ms`
-      });
-      
-      return this.siteId;
-    } catch (error) {
-      excelLog.error('Failed to get SharePoint site ID', error, {
-        hostname: this.hostname,
-        sitePath: this.sitePath
+    return rows.map(row => {
+      const placed = new Array(layout.width).fill(null);
+      layout.positions.forEach((position, index) => {
+        placed[position] = row[index];
       });
-      throw error;
-    }
+      return placed;
+    });
   }
 
-  async updateSpreadsheet(records) {
-    this._initialize(); // Ensure service is initialized
-    const startTime = Date.now();
-    
+  /**
+   * Make sure the configured worksheet exists, adding it to the workbook if missing
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object>} Worksheet resource
+   */
+  async ensureWorksheet(siteId) {
     try {
-      excelLog.info(`Starting Excel spreadsheet update`, {
-        workbookId: this.workbookId,
-        recordCount: records.length,
-        timestamp: new Date().toISOString()
-      });
+      return await this.workbookRequest(this.getWorksheetPath(siteId), { select: 'id,name' });
+    } catch (error) {
+      if (error.statusCode !== 404 && error.code !== 'ItemNotFound') {
+        throw error;
+      }
+    }
 
-      // Get site ID
-      const siteId = await this.getSiteId();
-      excelLog.connection(`Site ID obtained successfully`, { siteId });
+    excelLog.info(`Adding worksheet to workbook`, { worksheetName: this.worksheetName });
+    return this.workbookRequest(`${this.getWorkbookPath(siteId)}/worksheets/add`, {
+      method: 'post',
+      body: { name: this.worksheetName }
+    });
+  }
 
-      // Format records for Excel
-      const formatStartTime = Date.now();
-      const values = this.formatRecordsForExcel(records);
-      const formatDuration = Date.now() - formatStartTime;
-      
-      excelLog.performance(`Records formatted for Excel`, {
-        recordCount: records.length,
-        formattedRows: values.length,
-        formatDuration: `${formatDuration}ms`
-      });
+  /**
+   * Make sure row 1 of the worksheet holds the configured headers.
+   * An empty header row is written; a different one is refused or remapped.
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object|null>} Column layout, or null when the headers match
+   */
+  async ensureHeaderRow(siteId) {
+    const worksheetPath = this.getWorksheetPath(siteId);
+    const headers = this.getHeaderRow();
 
-      // Calculate the number of columns dynamically
-      const numColumns = values.length > 0 ? values[0].length : 0;
-      if (numColumns === 0) {
-        excelLog.warn('No data to write to Excel - empty values array');
-        return true;
-      }
+    // Read as wide as the used range so inserted columns are seen
+    const usedRange = await this.workbookRequest(`${worksheetPath}/usedRange(valuesOnly=true)`, { select: 'address' });
+    const usedColumns = usedRange.address ? this.getColumnNumber(this.parseRangeAddress(usedRange.address).endColumn) : 0;
+    const headerRange = `A1:${this.getColumnLetter(Math.max(usedColumns, headers.length))}1`;
 
-      // Convert column number to Excel column letter (e.g., 1=A, 2=B, 27=AA, etc.)
-      const getColumnLetter = (colNum) => {
-        let result = '';
-        while (colNum > 0) {
-          colNum--;
-          result = String.fromCharCode(65 + (colNum % 26)) + result;
-          colNum = Math.floor(colNum / 26);
-        }
-        return result;
-      };
+    const headerRow = await this.workbookRequest(`${worksheetPath}/range(address='${headerRange}')`, { select: 'values' });
+    const actualHeaders = (headerRow.values || [[]])[0];
 
-      const endColumn = getColumnLetter(numColumns);
-      excelLog.info(`Excel configuration prepared`, {
-        columns: numColumns,
-        columnRange: `A-${endColumn}`,
-        totalRows: values.length
+    if (actualHeaders.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) {
+      excelLog.info(`Writing header row to empty worksheet`, {
+        worksheetName: this.worksheetName,
+        columns: headers.length
       });
-
-      // Clear existing data in chunks to avoid payload size limits
-      const clearStartTime = Date.now();
-      await this.clearExistingDataInChunks(siteId);
-      const clearDuration = Date.now() - clearStartTime;
-      
-      excelLog.performance(`Data clearing completed`, {
-        clearDuration: `${clearDuration}ms`
+      await this.workbookRequest(`${worksheetPath}/range(address='A1:${this.getColumnLetter(headers.length)}1')`, {
+        method: 'patch',
+        body: { values: [headers] }
       });
+      return null;
+    }
 
-      // Update with new data in much smaller batches to avoid payload size limits
-      const batchSize = 10; // Very small batches to avoid payload limits
-      const totalBatches = Math.ceil(values.length / batchSize);
-      
-      excelLog.batch(`Starting batch processing`, {
-        totalRows: values.length,
-        batchSize: batchSize,
-        totalBatches: totalBatches
-      });
-      
-      let successfulBatches = 0;
-      let failedBatches = 0;
-      let payloadLimitHits = 0;
-      
-      for (let i = 0; i < values.length; i += batchSize) {
-        const batchStartTime = Date.now();
-        const batch = values.slice(i, i + batchSize);
-        const startRow = i + 2; // Start from row 2 (after headers)
-        const endRow = startRow + batch.length - 1;
-        const batchNumber = Math.floor(i / batchSize) + 1;
-        
-        const range = `A${startRow}:${endColumn}${endRow}`;
-        
-        try {
-          excelLog.writing(`Writing batch ${batchNumber}/${totalBatches}`, {
-            batchNumber: batchNumber,
-            startRow: startRow,
-            endRow: endRow,
-            range: range,
-            batchSize: batch.length
-          });
-          
-          await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}/workbook/worksheets/${this.worksheetName}/range(address='${range}')`)
-            .patch({
-              values: batch
-            });
-          
-          const batchDuration = Date.now() - batchStartTime;
-          successfulBatches++;
-          
-          excelLog.writing(`Batch ${batchNumber} completed successfully`, {
-            batchNumber: batchNumber,
-            duration: `${batchDuration}ms`,
-            rowsWritten: batch.length
-          });
-          
-          // Add a longer delay between batches to avoid rate limits
-          if (i + batchSize < values.length) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        } catch (batchError) {
-          const batchDuration = Date.now() - batchStartTime;
-          failedBatches++;
-          
-          if (batchError.code === 'ResponsePayloadSizeLimitExceeded') {
-            payloadLimitHits++;
-            excelLog.payloadLimit(`Payload limit exceeded for batch ${batchNumber}`, {
-              batchNumber: batchNumber,
-              batchSize: batch.length,
-              range: range,
-              duration: `${batchDuration}ms`,
-              errorCode: batchError.code
-            });
-            
-            // Try with even smaller batch
-            const smallerBatch = batch.slice(0, 5);
-            const smallerEndRow = startRow + smallerBatch.length - 1;
-            const smallerRange = `A${startRow}:${endColumn}${smallerEndRow}`;
-            
-            try {
-              excelLog.writing(`Retrying batch ${batchNumber} with smaller size`, {
-                originalSize: batch.length,
-                newSize: smallerBatch.length,
-                range: smallerRange
-              });
-              
-              await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}/workbook/worksheets/${this.worksheetName}/range(address='${smallerRange}')`)
-                .patch({
-                  values: smallerBatch
-                });
-              
-              excelLog.writing(`Smaller batch ${batchNumber} completed successfully`, {
-                batchNumber: batchNumber,
-                rowsWritten: smallerBatch.length
-              });
-              
-              successfulBatches++;
-              failedBatches--; // Adjust count since we succeeded with smaller batch
-            } catch (smallerBatchError) {
-              excelLog.error(`Even smaller batch failed for batch ${batchNumber}`, smallerBatchError, {
-                batchNumber: batchNumber,
-                smallerBatchSize: smallerBatch.length,
-                range: smallerRange
-              });
-              throw smallerBatchError;
-            }
-          } else {
-            excelLog.error(`Batch ${batchNumber} failed`, batchError, {
-              batchNumber: batchNumber,
-              batchSize: batch.length,
-              range: range,
-              duration: `${batchDuration}ms`
-            });
-            throw batchError;
-          }
-        }
-      }
+    return this.resolveColumnLayout(actualHeaders, `worksheet ${this.worksheetName}`);
+  }
 
-      const totalDuration = Date.now() - startTime;
-      excelLog.performance(`Excel update completed successfully`, {
-        totalDuration: `${totalDuration}ms`,
-        successfulBatches: successfulBatches,
-        failedBatches: failedBatches,
-        payloadLimitHits: payloadLimitHits,
-        totalRecords: records.length,
-        averageBatchTime: `${Math.round(totalDuration / totalBatches)}ms`
-      });
-      
-      return true;
-    } catch (error) {
-      const totalDuration = Date.now() - startTime;
-      excelLog.error('Excel spreadsheet update failed', error, {
-        totalDuration: `${totalDuration}ms`,
-        recordCount: records.length
-      });
-      throw error;
+  /**
+   * Make sure the configured table exists and its headers match the configured columns
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object|null>} Column layout, or null when the headers match
+   */
+  async ensureTableHeaders(siteId) {
+    await this.ensureTable(siteId);
+
+    const headerRow = await this.workbookRequest(`${this.getTablePath(siteId)}/headerRowRange`, { select: 'values' });
+    return this.resolveColumnLayout((headerRow.values || [[]])[0], `table ${this.tableName}`);
+  }
+
+  /**
+   * Split a Graph range address such as "Sheet1!B2:CC40" into its parts
+   * @param {string} address Range address
+   * @returns {Object} Start/end column letters and row numbers
+   */
+  parseRangeAddress(address) {
+    const cells = (address || '').split('!').pop().replace(/\$/g, '');
+    const match = cells.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+    if (!match) {
+      throw new Error(`Unexpected range address: ${address}`);
     }
+
+    return {
+      startColumn: match[1],
+      startRow: parseInt(match[2]),
+      endColumn: match[3] || match[1],
+      endRow: parseInt(match[4] || match[2])
+    };
   }
 
-  async clearExistingDataInChunks(siteId) {
-    const startTime = Date.now();
-    
+  /**
+   * Make sure the configured table exists, creating it with a header row on the worksheet if missing
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object>} Table resource
+   */
+  async ensureTable(siteId) {
     try {
-      excelLog.clearing(`Starting conservative data clearing approach`, {
-        workbookId: this.workbookId,
-        worksheetName: this.worksheetName,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Instead of trying to clear the entire worksheet at once, let's use a more conservative approach
-      // We'll clear data in very small chunks and handle the payload size limits gracefully
-      
-      // First, let's try to get just the first few rows to see what we're working with
-      const testStartTime = Date.now();
-      const testRange = await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}/workbook/worksheets/${this.worksheetName}/range(address='A1:Z10')`).get();
-      const testDuration = Date.now() - testStartTime;
-      
-      excelLog.clearing(`Test range retrieved`, {
-        testDuration: `${testDuration}ms`,
-        hasValues: !!testRange.values,
-        valueCount: testRange.values ? testRange.values.length : 0
-      });
-      
-      if (!testRange.values || testRange.values.length <= 1) {
-        excelLog.clearing(`Worksheet appears to be empty or only has headers, no clearing needed`);
-        return;
+      return await this.workbookRequest(this.getTablePath(siteId), { select: 'id,name' });
+    } catch (error) {
+      if (error.statusCode !== 404 && error.code !== 'ItemNotFound') {
+        throw error;
       }
+    }
 
-      // Check if there's actually data beyond the header row
-      const hasDataBeyondHeader = testRange.values.length > 1 && 
-        testRange.values.some((row, index) => index > 0 && row.some(cell => cell !== null && cell !== undefined && cell !== ''));
-      
-      if (!hasDataBeyondHeader) {
-        excelLog.clearing(`No meaningful data found beyond header row, no clearing needed`);
-        return;
-      }
+    const headers = this.getHeaderRow();
+    const address = `A1:${this.getColumnLetter(headers.length)}1`;
+    const worksheetPath = this.getWorksheetPath(siteId);
 
-      // Try to get a larger sample to estimate the actual data size
-      try {
-        const sampleRange = await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}/workbook/worksheets/${this.worksheetName}/range(address='A1:Z100')`).get();
-        const actualDataRows = sampleRange.values ? sampleRange.values.filter((row, index) => 
-          index > 0 && row.some(cell => cell !== null && cell !== undefined && cell !== '')
-        ).length : 0;
-        
-        excelLog.clearing(`Data sample analysis`, {
-          sampleRows: 100,
-          actualDataRows: actualDataRows,
-          estimatedDataSize: actualDataRows < 100 ? actualDataRows : 'large'
-        });
-        
-        // If we have less than 100 rows of actual data, adjust our clearing strategy
-        if (actualDataRows < 100) {
-          const adjustedMaxClearedRows = Math.min(actualDataRows + 10, 1000); // Clear only what we need + buffer
-          excelLog.clearing(`Adjusting clearing strategy for small dataset`, {
-            originalMaxRows: maxClearedRows,
-            adjustedMaxRows: adjustedMaxClearedRows,
-            actualDataRows: actualDataRows
-          });
-          maxClearedRows = adjustedMaxClearedRows;
-        }
-      } catch (sampleError) {
-        excelLog.warn(`Could not analyze data sample, using default clearing strategy`, {
-          error: sampleError.message
-        });
-      }
+    excelLog.info(`Creating Excel table`, {
+      tableName: this.tableName,
+      worksheetName: this.worksheetName,
+      address
+    });
 
-      // Use very small chunks to avoid payload size limits
-      const clearChunkSize = 10; // Very small chunks
-      let clearedRows = 0;
-      let currentRow = 2; // Start after header
-      let hasMoreData = true;
-      let consecutiveFailures = 0;
-      const maxFailures = 3;
-      let chunkCount = 0;
-      let payloadLimitHits = 0;
-      const maxChunks = 1000; // Maximum chunks to clear (10,000 rows)
-      let maxClearedRows = 10000; // Maximum rows to clear (will be adjusted based on data analysis)
+    await this.workbookRequest(`${worksheetPath}/range(address='${address}')`, {
+      method: 'patch',
+      body: { values: [headers] }
+    });
+    const table = await this.workbookRequest(`${worksheetPath}/tables/add`, {
+      method: 'post',
+      body: { address, hasHeaders: true }
+    });
 
-      excelLog.clearing(`Starting chunked clearing process`, {
-        clearChunkSize: clearChunkSize,
-        maxFailures: maxFailures,
-        maxChunks: maxChunks,
-        maxClearedRows: maxClearedRows,
-        startRow: currentRow
-      });
+    // tables/add assigns a generated name such as "Table1"
+    await this.workbookRequest(`${this.getWorkbookPath(siteId)}/tables/${table.id}`, {
+      method: 'patch',
+      body: { name: this.tableName }
+    });
 
-      while (hasMoreData && consecutiveFailures < maxFailures && chunkCount < maxChunks && clearedRows < maxClearedRows) {
-        chunkCount++;
-        const chunkStartTime = Date.now();
-        
-        try {
-          // Try to clear a small chunk
-          const endRow = currentRow + clearChunkSize - 1;
-          const clearRange = `A${currentRow}:Z${endRow}`;
-          
-          excelLog.clearing(`Clearing chunk ${chunkCount}`, {
-            chunkNumber: chunkCount,
-            startRow: currentRow,
-            endRow: endRow,
-            range: clearRange,
-            chunkSize: clearChunkSize,
-            totalClearedRows: clearedRows,
-            remainingChunks: maxChunks - chunkCount
-          });
-          
-          await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}/workbook/worksheets/${this.worksheetName}/range(address='${clearRange}')/clear`);
-          
-          const chunkDuration = Date.now() - chunkStartTime;
-          clearedRows += clearChunkSize;
-          consecutiveFailures = 0; // Reset failure counter on success
-          
-          excelLog.clearing(`Chunk ${chunkCount} cleared successfully`, {
-            chunkNumber: chunkCount,
-            startRow: currentRow,
-            endRow: endRow,
-            duration: `${chunkDuration}ms`,
-            totalClearedRows: clearedRows,
-            remainingRows: maxClearedRows - clearedRows
-          });
-          
-          currentRow += clearChunkSize;
-          
-          // Add delay between chunks
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-        } catch (chunkError) {
-          const chunkDuration = Date.now() - chunkStartTime;
-          consecutiveFailures++;
-          
-          if (chunkError.code === 'ResponsePayloadSizeLimitExceeded') {
-            payloadLimitHits++;
-            excelLog.payloadLimit(`Payload limit reached at row ${currentRow}`, {
-              chunkNumber: chunkCount,
-              currentRow: currentRow,
-              duration: `${chunkDuration}ms`,
-              errorCode: chunkError.code,
-              consecutiveFailures: consecutiveFailures
-            });
-            hasMoreData = false;
-          } else {
-            excelLog.error(`Failed to clear chunk ${chunkCount} starting at row ${currentRow}`, chunkError, {
-              chunkNumber: chunkCount,
-              currentRow: currentRow,
-              duration: `${chunkDuration}ms`,
-              consecutiveFailures: consecutiveFailures
-            });
-            
-            if (consecutiveFailures >= maxFailures) {
-              excelLog.warn(`Too many consecutive failures, stopping clear operation`, {
-                chunkNumber: chunkCount,
-                consecutiveFailures: consecutiveFailures,
-                maxFailures: maxFailures
-              });
-              hasMoreData = false;
-            }
-          }
-        }
-      }
+    return { ...table, name: this.tableName };
+  }
 
-      // Log the reason for stopping
-      if (chunkCount >= maxChunks) {
-        excelLog.warn(`Stopped clearing due to maximum chunks reached`, {
-          chunkCount: chunkCount,
-          maxChunks: maxChunks,
-          totalClearedRows: clearedRows
-        });
-      } else if (clearedRows >= maxClearedRows) {
-        excelLog.warn(`Stopped clearing due to maximum rows reached`, {
-          chunkCount: chunkCount,
-          totalClearedRows: clearedRows,
-          maxClearedRows: maxClearedRows
-        });
-      }
+  /**
+   * Get the position of the table's data body on the worksheet
+   * @param {string} siteId SharePoint site ID
+   * @returns {Promise<Object>} Body bounds plus whether it is only Excel's blank placeholder row
+   */
+  async getTableBody(siteId) {
+    const body = await this.workbookRequest(`${this.getTablePath(siteId)}/dataBodyRange`, {
+      select: 'address,rowCount'
+    });
+    const bounds = this.parseRangeAddress(body.address);
 
-      const totalDuration = Date.now() - startTime;
-      excelLog.performance(`Data clearing completed`, {
-        totalDuration: `${totalDuration}ms`,
-        totalChunks: chunkCount,
-        clearedRows: clearedRows,
-        payloadLimitHits: payloadLimitHits,
-        consecutiveFailures: consecutiveFailures,
-        stoppedReason: hasMoreData ? 'max_failures' : 'payload_limit'
-      });
-      
-    } catch (error) {
-      const totalDuration = Date.now() - startTime;
-      excelLog.error('Error clearing worksheet in chunks', error, {
-        totalDuration: `${totalDuration}ms`
+    // A table always keeps at least one body row, which is blank when the table holds no data
+    let placeholder = false;
+    if (body.rowCount === 1) {
+      const row = await this.workbookRequest(`${this.getWorksheetPath(siteId)}/range(address='${bounds.startColumn}${bounds.startRow}:${bounds.endColumn}${bounds.endRow}')`, {
+        select: 'values'
       });
-      // Don't throw the error, just log it and continue
-      excelLog.warn('Continuing with data update despite clear errors');
+      placeholder = (row.values || [[]])[0].every(cell => cell === null || cell === undefined || cell === '');
     }
+
+    return { ...bounds, rowCount: body.rowCount, placeholder };
   }
 
-  formatRecordsForExcel(records) {
-    this._initialize(); // Ensure service is initialized
-    
-    if (!records || records.length === 0) {
-      logger.warn('No records to format for Excel');
-      return [];
-    }
+  /**
+   * Map each order ID in the table body to its worksheet row number
+   * @param {string} siteId SharePoint site ID
+   * @param {number} idOffset Zero-based position of the id column within the table
+   * @returns {Promise<Object>} Row index ({ rowsById, nextRow, startColumn })
+   */
+  async buildTableRowIndex(siteId, idOffset = 0) {
+    const startTime = Date.now();
+    await this.ensureTable(siteId);
+    const body = await this.getTableBody(siteId);
 
-    // Log the first record to see what fields are available
-    const sampleRecord = records[0];
-    logger.info('Sample record fields for Excel formatting:', {
-      availableFields: Object.keys(sampleRecord),
-      fieldCount: Object.keys(sampleRecord).length
+    const rowsById = body.placeholder
+      ? new Map()
+      : await this.readIdColumn(
+        siteId,
+        this.getColumnLetter(this.getColumnNumber(body.startColumn) + idOffset),
+        body.startRow,
+        body.endRow
+      );
+
+    excelLog.info(`Row index built from table id column`, {
+      tableName: this.tableName,
+      bodyRows: body.placeholder ? 0 : body.rowCount,
+      indexedRows: rowsById.size,
+      duration: `${Date.now() - startTime}ms`
     });
 
-    // Convert the formatted record object to an array
-    // Only include fields that actually exist in the ShedSuite formatted records
-    return records.map(record => {
-      return [
-        record.id || '',
-        record.order_number || '',
-        record.customer_name || '',
-        record.status || '',
-        record.date_ordered || '',
-        record.date_updated || record.timestamp || '',
-        record.building_model_name || '',
-        record.building_size || '',
-        record.total_amount_dollar_amount || '',
-        record.balance_dollar_amount || '',
-        record.customer_email || '',
-        record.customer_phone_primary || '',
-        record.delivery_address_line_one || '',
-        record.delivery_address_line_two || '',
-        record.delivery_city || '',
-        record.delivery_state || '',
-        record.delivery_zip || '',
-        record.billing_address_line_one || '',
-        record.billing_address_line_two || '',
-        record.billing_city || '',
-        record.billing_state || '',
-        record.billing_zip || '',
-        record.customer_first_name || '',
-        record.customer_last_name || '',
-        record.customer_id || '',
-        record.customer_source || '',
-        record.building_length || '',
-        record.building_width || '',
-        record.building_roof_type || '',
-        record.building_roof_color || '',
-        record.building_siding_type || '',
-        record.building_siding_color || '',
-        record.building_condition || '',
-        record.building_addons || '',
-        record.building_custom_addons || '',
-        record.company_id || '',
-        record.dealer_id || '',
-        record.dealer_primary_sales_rep || '',
-        record.sold_by_dealer || '',
-        record.sold_by_dealer_id || '',
-        record.sold_by_dealer_user || '',
-        record.shop_name || '',
-        record.driver_name || '',
-        record.serial_number || '',
-        record.order_type || '',
-        record.rto || '',
-        record.rto_company_name || '',
-        record.rto_months_of_term || '',
-        record.initial_payment_dollar_amount || '',
-        record.initial_payment_type || '',
-        record.invoice_url || '',
-        record.date_delivered || '',
-        record.date_cancelled || '',
-        record.date_finished || '',
-        record.date_processed || '',
-        record.date_scheduled_for_delivery || '',
-        record.promocode_code || '',
-        record.promocode_name || '',
-        record.promocode_amount_discounted || '',
-        record.promocode_type || '',
-        record.promocode_value || '',
-        record.promocode_target || '',
-        record.sub_total_dollar_amount || '',
-        record.sub_total_adjustment_dollar_amount || '',
-        record.sub_total_adjustment_note || '',
-        record.total_tax_dollar_amount || '',
-        record.state_tax_dollar_amount || '',
-        record.state_tax_rate || '',
-        record.tax_city || '',
-        record.tax_city_dollar_amount || '',
-        record.tax_city_rate || '',
-        record.tax_county || '',
-        record.tax_county_dollar_amount || '',
-        record.tax_county_rate || '',
-        record.county_tax_rate || '',
-        record.special_district || '',
-        record.special_district_rate || '',
-        record.special_district_tax_dollar_amount || '',
-        record.state || '',
-        record.timestamp || ''
-      ];
-    });
-  }
-
-  /**
-   * Apply targeted updates to specific records in Excel
-   * @param {Array} updates - Array of records to update
-   * @returns {Promise<boolean>} Success status
+    return {
+      rowsById,
+      nextRow: body.placeholder ? body.startRow : body.endRow + 1,
+      startColumn: body.startColumn
+    };
+  }
+
+  /**
+   * Append rows to the configured table through the rows/add endpoint
+   * @param {string} siteId SharePoint site ID
+   * @param {Array<Array>} values Row values to append
+   * @returns {Promise<number>} Number of rows added
    */
-  async applyTargetedUpdates(updates) {
-    this._initialize(); // Ensure service is initialized
-    try {
-      logger.info(`Applying ${updates.length} targeted updates to Excel spreadsheet ${this.workbookId}`);
+  async addTableRows(siteId, values) {
+    if (values.length === 0) {
+      return 0;
+    }
 
-      if (!updates || updates.length === 0) {
-        logger.info('No updates to apply');
-        return true;
-      }
+    const tablePath = this.getTablePath(siteId);
+    const batchSize = parseInt(process.env.EXCEL_TABLE_BATCH_SIZE) || 10;
+    let remaining = values;
+
+    // Fill Excel's blank placeholder row first, otherwise it would stay as an empty first row
+    const body = await this.getTableBody(siteId);
+    if (body.placeholder) {
+      const endColumn = this.getColumnLetter(this.getColumnNumber(body.startColumn) + values[0].length - 1);
+      const range = `${body.startColumn}${body.startRow}:${endColumn}${body.startRow}`;
+      await this.workbookRequest(`${this.getWorksheetPath(siteId)}/range(address='${range}')`, {
+        method: 'patch',
+        body: { values: [values[0]] }
+      });
+      remaining = values.slice(1);
+    }
 
-      // For targeted updates, we'll use the existing updateSpreadsheet method
-      // This is a simplified approach - in a more sophisticated implementation,
-      // you might want to update specific rows based on record IDs
-      await this.updateSpreadsheet(updates);
+    const totalBatches = Math.ceil(remaining.length / batchSize);
+    for (let i = 0; i < remaining.length; i += batchSize) {
+      const batch = remaining.slice(i, i + batchSize);
+      const batchNumber = Math.floor(i / batchSize) + 1;
 
-      logger.info(`Successfully applied ${updates.length} targeted updates to Excel`);
-      return true;
-    } catch (error) {
-      logger.error('Error applying targeted updates to Excel:', error);
-      throw error;
+      excelLog.writing(`Adding table rows batch ${batchNumber}/${totalBatches}`, {
+        tableName: this.tableName,
+        batchNumber,
+        batchSize: batch.length
+      });
+
+      try {
+        await this.workbookRequest(`${tablePath}/rows/add`, { method: 'post', body: { index: null, values: batch } });
+      } catch (batchError) {
+        if (batchError.code !== 'ResponsePayloadSizeLimitExceeded') {
+          excelLog.error(`Table rows batch ${batchNumber} failed`, batchError, {
+            tableName: this.tableName,
+            batchSize: batch.length
+          });
+          throw batchError;
+        }
+
+        // rows/add is all-or-nothing, so the whole batch can be resent in smaller pieces
+        excelLog.payloadLimit(`Payload limit exceeded for table rows batch ${batchNumber}`, {
+          batchNumber,
+          batchSize: batch.length,
+          errorCode: batchError.code
+        });
+        for (let j = 0; j < batch.length; j += 5) {
+          await this.workbookRequest(`${tablePath}/rows/add`, {
+            method: 'post',
+            body: { index: null, values: batch.slice(j, j + 5) }
+          });
+        }
+      }
+
+      // Same pacing as the range writes to stay under Graph rate limits
+      if (i + batchSize < remaining.length) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
     }
+
+    return values.length;
   }
 
   /**
@@ -626,8 +2585,8 @@ class ExcelService {
    */
   async healthCheck() {
     try {
-      // Check if required environment variables are set
-      if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_TENANT_ID || !process.env.EXCEL_WORKBOOK_ID) {
+      // Check if required environment variables are set; the destination is checked when the service initializes
+      if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_TENANT_ID) {
         return {
           status: 'unhealthy',
           error: 'Missing required environment variables for Excel service',
@@ -637,11 +2596,11 @@ class ExcelService {
 
       this._initialize(); // Ensure service is initialized
 
-      // Check if MSAL client is properly initialized
-      if (!this.msalClient) {
+      // Check if the authentication manager is properly initialized
+      if (!this.authManager) {
         return {
           status: 'unhealthy',
-          error: 'MSAL client not initialized',
+          error: 'Authentication manager not initialized',
           timestamp: new Date().toISOString()
         };
       }
@@ -654,8 +2613,11 @@ class ExcelService {
         return {
           status: 'healthy',
           timestamp: new Date().toISOString(),
+          destination: this.destination.name,
           workbookId: this.workbookId,
           worksheetName: this.worksheetName,
+          writeMode: this.writeMode,
+          tableName: this.writeMode === 'table' ? this.tableName : undefined,
           siteId: siteId
         };
       } catch (error) {
@@ -683,16 +2645,16 @@ class ExcelService {
     try {
       logger.info('Initializing Excel client...');
       
-      // Check if required environment variables are set
-      if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_TENANT_ID || !process.env.EXCEL_WORKBOOK_ID) {
+      // Check if required environment variables are set; the destination is checked when the service initializes
+      if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_TENANT_ID) {
         throw new Error('Missing required environment variables for Excel service');
       }
 
       this._initialize(); // Ensure service is initialized
 
-      // Verify that MSAL client is properly initialized
-      if (!this.msalClient) {
-        throw new Error('MSAL client not initialized');
+      // Verify that the authentication manager is properly initialized
+      if (!this.authManager) {
+        throw new Error('Authentication manager not initialized');
       }
 
       // Test connectivity by trying to access the workbook
@@ -700,6 +2662,7 @@ class ExcelService {
       await this.client.api(`/sites/${siteId}/drive/items/${this.workbookId}`).get();
       
       logger.info('Excel client initialized successfully', {
+        destination: this.destination.name,
         workbookId: this.workbookId,
         worksheetName: this.worksheetName,
         siteId: siteId
@@ -711,4 +2674,23 @@ class ExcelService {
   }
 }
 
-module.exports = new ExcelService(); 
\ No newline at end of file
+// One service per destination, created on first use
+const services = new Map();
+
+/**
+ * Get the Excel service for a destination
+ * @param {string} destination Destination name, or nothing for the default destination
+ * @returns {ExcelService} Excel service
+ */
+function getExcelService(destination = null) {
+  // The destination is resolved when the service initializes, so this works before the config is loaded
+  if (!services.has(destination)) {
+    services.set(destination, new ExcelService({ destination }));
+  }
+  return services.get(destination);
+}
+
+module.exports = {
+  ExcelService,
+  getExcelService
+}; 
\ No newline at end of file
@@ -1,7 +1,12 @@
 const { logger } = require('../utils/logger');
 const cron = require('node-cron');
 const shedsuite = require('./shedsuite');
-const excel = require('./excel');
+const excel = require('./excel').getExcelService();
+const { getExcelService } = require('./excel');
+const { SyncState } = require('../utils/sync-state');
+const syncCoordinator = require('../utils/sync-coordinator');
+const backgroundJobs = require('../utils/background-jobs');
+const fullSyncCheckpoints = require('../utils/full-sync-checkpoints');
 
 /**
  * Enhanced monitoring service that watches for ShedSuite updates and applies targeted Excel updates
@@ -12,7 +17,6 @@ class MonitoringService {
     this.isRunning = false;
     this.pollingInterval = null;
     this.cronJob = null;
-    this.lastCheckTimestamp = null;
     this.stats = {
       syncCount: 0,
       recordsProcessed: 0,
@@ -25,17 +29,16 @@ class MonitoringService {
       pollingIntervalMs: parseInt(process.env.MONITORING_POLLING_INTERVAL_MS) || 60000,
       cronSchedule: process.env.MONITORING_CRON_SCHEDULE || null,
       fullSyncInterval: parseInt(process.env.FULL_SYNC_INTERVAL_HOURS) || 24,
-      maxConcurrentSyncs: parseInt(process.env.MAX_CONCURRENT_SYNCS) || 1,
       enablePerformanceLogging: process.env.ENABLE_PERFORMANCE_LOGGING === 'true'
     };
     this.activeSyncs = 0;
-    this.lastFullSync = null;
+    // Watermark and last full sync time, with the window each check re-reads before the watermark
+    this.syncState = new SyncState('monitor', { description: 'incremental sync' });
 
     logger.info('MonitoringService initialized with configuration:', {
       pollingInterval: `${this.config.pollingIntervalMs / 1000} seconds`,
       cronSchedule: this.config.cronSchedule || 'Not configured',
       fullSyncInterval: `${this.config.fullSyncInterval} hours`,
-      maxConcurrentSyncs: this.config.maxConcurrentSyncs,
       performanceLogging: this.config.enablePerformanceLogging
     });
   }
@@ -55,8 +58,7 @@ class MonitoringService {
     logger.info('Starting ShedSuite monitoring service', config);
 
     try {
-      // Initialize last check timestamp
-      this.lastCheckTimestamp = new Date().toISOString();
+      await this.syncState.restore();
 
       // Start appropriate monitoring method
       if (config.cronSchedule) {
@@ -80,6 +82,22 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Incremental-sync watermark (ISO timestamp), kept in the sync state
+   * @returns {string|null} Watermark
+   */
+  get lastCheckTimestamp() {
+    return this.syncState.lastCheckTimestamp;
+  }
+
+  /**
+   * Completion time of the last full sync, kept in the sync state
+   * @returns {string|null} ISO timestamp
+   */
+  get lastFullSync() {
+    return this.syncState.lastFullSync;
+  }
+
   /**
    * Start cron-based monitoring
    * @param {string} cronSchedule Cron schedule expression
@@ -90,7 +108,7 @@ class MonitoringService {
     }
 
     this.cronJob = cron.schedule(cronSchedule, () => {
-      this.checkForUpdates().catch(error => {
+      this.checkForUpdates({ trigger: 'cron' }).catch(error => {
         logger.error('Scheduled sync failed:', error);
       });
     }, {
@@ -107,7 +125,7 @@ class MonitoringService {
    */
   async startPollingMonitoring(pollingIntervalMs) {
     this.pollingInterval = setInterval(
-      () => this.checkForUpdates(),
+      () => this.checkForUpdates({ trigger: 'polling' }),
       pollingIntervalMs
     );
 
@@ -156,23 +174,29 @@ class MonitoringService {
   /**
    * Perform a full sync between ShedSuite and Excel
    * @param {Object} options Sync options
-   * @returns {Promise<void>}
+   * @param {Object} options.filters Query filters
+   * @param {string} options.trigger What started the sync (defaults to 'scheduled')
+   * @param {Object} options.backgroundJob Context of the background job running the sync, for progress and cancellation
+   * @returns {Promise<Object>} Excel write summary
    */
   async performFullSync(options = {}) {
-    if (this.activeSyncs >= this.config.maxConcurrentSyncs) {
-      logger.warn(`Full sync skipped - ${this.activeSyncs} syncs already in progress (max: ${this.config.maxConcurrentSyncs})`);
-      return;
-    }
+    const backgroundJob = options.backgroundJob;
+    // Full syncs wait for whatever else is writing the sheet
+    const lease = await syncCoordinator.acquire(excel.getTargetKey(), backgroundJob
+      ? backgroundJob.syncLockRequest('full_sync')
+      : { kind: 'full_sync', trigger: options.trigger || 'scheduled', onBusy: 'queue' });
 
     this.activeSyncs++;
     const startTime = Date.now();
     const syncId = Date.now().toString(36); // Generate a unique sync ID
+    let outcome;
 
     try {
       logger.info(`[Sync ${syncId}] Starting full synchronization process...`);
 
       // Perform health checks first
       logger.info(`[Sync ${syncId}] Performing health checks...`);
+      if (backgroundJob) backgroundJob.setPhase('Health Check');
       const shedsiteHealth = await shedsuite.healthCheck();
       const excelHealth = await excel.healthCheck();
 
@@ -186,28 +210,36 @@ class MonitoringService {
 
       logger.info(`[Sync ${syncId}] Health checks passed. Starting data fetch...`);
 
-      // Fetch all records with progress tracking
-      const records = await shedsuite.fetchAllRecords(options.filters || {});
-      logger.info(`[Sync ${syncId}] Retrieved ${records.length} records from ShedSuite API`);
-
-      const formattedRecords = shedsuite.formatRecordsForExport(records);
-      logger.info(`[Sync ${syncId}] Formatted ${formattedRecords.length} records for Excel export`);
-
-      // Update Excel with full dataset
-      logger.info(`[Sync ${syncId}] Updating Excel spreadsheet...`);
-      await excel.updateSpreadsheet(formattedRecords);
+      // Stream pages from the API straight into the spreadsheet as they arrive
+      logger.info(`[Sync ${syncId}] Streaming records into Excel spreadsheet...`);
+      const progress = this.trackWriteProgress(backgroundJob);
+      let pages = shedsuite.iterateFormattedRecords(options.filters || {}, { onTotal: progress.onTotal });
+      if (backgroundJob) {
+        backgroundJob.setPhase('Stream Records to Excel');
+        pages = backgroundJob.cancellable(pages);
+      }
+      const result = await excel.updateSpreadsheet(pages, {
+        source: { filters: options.filters || {} },
+        jobId: backgroundJob ? backgroundJob.jobId : null,
+        onPageWritten: progress.onPageWritten
+      });
 
       const duration = Date.now() - startTime;
-      this.updateStats(duration, formattedRecords.length);
-      this.lastFullSync = new Date().toISOString();
+      this.updateStats(duration, result.rowsWritten);
+      await this.syncState.recordFullSync(new Date().toISOString());
 
       logger.info(`[Sync ${syncId}] Sync completed successfully`, {
         duration: `${duration / 1000} seconds`,
-        recordsProcessed: formattedRecords.length,
-        averageTimePerRecord: `${(duration / formattedRecords.length).toFixed(2)}ms`,
+        recordsProcessed: result.rowsWritten,
+        rowsReplaced: result.rowsReplaced,
+        averageTimePerRecord: `${(duration / (result.rowsWritten || 1)).toFixed(2)}ms`,
         timestamp: new Date().toISOString()
       });
+
+      outcome = { status: 'completed', summary: { syncId, rowsWritten: result.rowsWritten, rowsReplaced: result.rowsReplaced } };
+      return result;
     } catch (error) {
+      outcome = { status: error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed', error: error.message, summary: { syncId } };
       const duration = Date.now() - startTime;
       this.stats.errors++;
       this.stats.lastError = error.message;
@@ -220,90 +252,287 @@ class MonitoringService {
       throw error;
     } finally {
       this.activeSyncs--;
+      syncCoordinator.release(lease, outcome);
     }
   }
 
   /**
-   * Check for updates since the last check with enhanced error handling
-   * @returns {Promise<void>}
+   * Progress reporting for a full sync run as a background job: the percentage is the
+   * rows written against the record count, so it only moves once the count is known,
+   * and stays below 100 until the job completes since duplicates never become rows.
+   * @param {Object} backgroundJob Context of the background job, if any
+   * @returns {Object} { onTotal, onPageWritten } callbacks, null without a job
+   */
+  trackWriteProgress(backgroundJob) {
+    if (!backgroundJob) {
+      return { onTotal: null, onPageWritten: null };
+    }
+
+    let expectedRecords = null;
+    let percentage = 0;
+    return {
+      onTotal: (count) => {
+        expectedRecords = count;
+      },
+      onPageWritten: ({ rowsWritten }) => {
+        if (expectedRecords > 0) {
+          percentage = Math.min(99, Math.floor((rowsWritten / expectedRecords) * 100));
+        }
+        backgroundJob.updateProgress(percentage, { processedItems: rowsWritten, totalItems: expectedRecords });
+      }
+    };
+  }
+
+  /**
+   * Continue an interrupted full sync after its last committed page. The records are
+   * listed again with the sync's original filters, from the same sync job or destination.
+   * When the listing changed while the sync was stopped, a fresh full sync of the same
+   * source runs instead; the snapshot taken before the interrupted run is kept as the
+   * sheet's last complete state.
+   * @param {string} checkpointId Checkpoint ID (see full-sync-checkpoints)
+   * @param {Object} options Options
+   * @param {string} options.trigger What started the resume ('startup' or 'manual')
+   * @param {Object} options.backgroundJob Context of the background job running the resume
+   * @returns {Promise<Object>} Excel write summary
+   */
+  async resumeFullSync(checkpointId, options = {}) {
+    const backgroundJob = options.backgroundJob;
+    const checkpoint = await fullSyncCheckpoints.get(checkpointId);
+    if (!checkpoint) {
+      const error = new Error(`No interrupted full sync ${checkpointId}`);
+      error.code = 'CHECKPOINT_NOT_FOUND';
+      throw error;
+    }
+
+    const { excelService, shedsuiteService, syncJob } = this.getFullSyncSource(checkpoint.source);
+    const trigger = options.trigger || 'manual';
+    const lockRequest = backgroundJob
+      ? { ...backgroundJob.syncLockRequest('full_sync'), trigger }
+      : { kind: 'full_sync', trigger, onBusy: 'queue' };
+
+    return syncCoordinator.run(excelService.getTargetKey(), lockRequest, async () => {
+      const startTime = Date.now();
+      logger.info(`Resuming interrupted full sync ${checkpointId}`, {
+        target: checkpoint.target,
+        committedRecords: checkpoint.committedRecords,
+        nextRow: checkpoint.nextRow,
+        trigger
+      });
+
+      const writeAll = (phase, writeOptions) => {
+        const progress = this.trackWriteProgress(backgroundJob);
+        let pages = shedsuiteService.iterateFormattedRecords(checkpoint.source.filters || {}, { onTotal: progress.onTotal });
+        if (backgroundJob) {
+          backgroundJob.setPhase(phase);
+          pages = backgroundJob.cancellable(pages);
+        }
+
+        return excelService.updateSpreadsheet(pages, {
+          source: checkpoint.source,
+          jobId: backgroundJob ? backgroundJob.jobId : null,
+          onPageWritten: progress.onPageWritten,
+          ...writeOptions
+        });
+      };
+
+      let result;
+      try {
+        result = await writeAll('Resume Streaming Records to Excel', { resume: checkpointId });
+      } catch (error) {
+        if (error.code !== 'CHECKPOINT_STALE') {
+          throw error;
+        }
+        logger.warn(`Interrupted full sync ${checkpointId} no longer matches the listing, starting the full sync over`, {
+          target: checkpoint.target,
+          committedRecords: checkpoint.committedRecords
+        });
+        result = await writeAll('Stream Records to Excel', { snapshot: false });
+      }
+
+      // The resumed sync completes the full sync its owner started
+      const completedAt = new Date().toISOString();
+      if (syncJob) {
+        await syncJob.syncState.recordFullSync(completedAt);
+      } else if (excelService.getTargetKey() === excel.getTargetKey()) {
+        await this.syncState.recordFullSync(completedAt);
+      }
+
+      logger.info(`Resumed full sync ${checkpointId} completed`, {
+        duration: `${(Date.now() - startTime) / 1000} seconds`,
+        rowsWritten: result.rowsWritten,
+        rowsReplaced: result.rowsReplaced
+      });
+      return result;
+    }, (result) => ({ checkpointId, rowsWritten: result.rowsWritten, rowsReplaced: result.rowsReplaced }));
+  }
+
+  /**
+   * Resume an interrupted full sync as a background job
+   * @param {Object} checkpoint Checkpoint summary from full-sync-checkpoints
+   * @param {Object} options Options
+   * @param {string} options.trigger What started the resume ('startup' or 'manual')
+   * @param {Object} options.requestedBy Caller recorded in the audit log ({ type, name })
+   * @returns {Object} Job status
+   */
+  resumeFullSyncInBackground(checkpoint, options = {}) {
+    return backgroundJobs.start('full_sync_resume', async (context) => {
+      const startTime = Date.now();
+      const result = await this.resumeFullSync(checkpoint.operationId, { trigger: options.trigger, backgroundJob: context });
+
+      return {
+        checkpointId: checkpoint.operationId,
+        records_synced: result.rowsWritten,
+        rowsReplaced: result.rowsReplaced,
+        verification: result.verification || null,
+        duration: `${Date.now() - startTime}ms`
+      };
+    }, {
+      checkpointId: checkpoint.operationId,
+      target: checkpoint.target,
+      resumedJobId: checkpoint.jobIds[checkpoint.jobIds.length - 1] || null,
+      committedRecords: checkpoint.committedRecords,
+      requestedBy: options.requestedBy || { type: 'system', name: options.trigger || 'startup' }
+    });
+  }
+
+  /**
+   * Resume every full sync a crash, redeploy or transient error interrupted, each as a
+   * background job. Cancelled and permanently failed syncs are left for a manual resume.
+   * @returns {Promise<Array<string>>} Targets ("<destination>/<worksheet>") being resumed
+   */
+  async resumeInterruptedFullSyncs() {
+    const targets = [];
+
+    for (const checkpoint of await fullSyncCheckpoints.listInterrupted()) {
+      const job = this.resumeFullSyncInBackground(checkpoint, { trigger: 'startup' });
+      logger.info(`Interrupted full sync ${checkpoint.operationId} will be resumed`, {
+        jobId: job.id,
+        target: checkpoint.target,
+        committedRecords: checkpoint.committedRecords
+      });
+      targets.push(checkpoint.target);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Services that list and write the records of a full sync source
+   * @param {Object} source Source saved with a checkpoint ({ filters, destination, syncJob })
+   * @returns {Object} { excelService, shedsuiteService, syncJob }
+   */
+  getFullSyncSource(source) {
+    if (source.syncJob) {
+      // Loaded here: the enhanced monitor is only needed for its own sync jobs
+      const syncJob = require('./enhanced-monitor').getJob(source.syncJob);
+      return { excelService: syncJob.getExcel(getExcelService), shedsuiteService: syncJob.getShedSuite(shedsuite), syncJob };
+    }
+
+    return { excelService: getExcelService(source.destination || null), shedsuiteService: shedsuite, syncJob: null };
+  }
+
+  /**
+   * Check for updates since the last check with enhanced error handling.
+   * A scheduled check is skipped while another sync writes the sheet; a manual one waits.
+   * @param {Object} options Check options
+   * @param {string} options.trigger What started the check ('polling', 'cron' or 'manual')
+   * @param {Object} options.backgroundJob Context of the background job running the check
+   * @returns {Promise<void>} Rejects when a manual or background check fails or is cancelled
    */
-  async checkForUpdates() {
-    if (this.activeSyncs >= this.config.maxConcurrentSyncs) {
-      logger.debug('Update check skipped - maximum concurrent syncs reached');
+  async checkForUpdates(options = {}) {
+    let lease;
+    try {
+      lease = await syncCoordinator.acquire(excel.getTargetKey(), options.backgroundJob
+        ? options.backgroundJob.syncLockRequest('incremental_update')
+        : { kind: 'incremental_update', trigger: options.trigger || 'polling', onBusy: options.trigger === 'manual' ? 'queue' : 'reject' });
+    } catch (error) {
+      if (options.trigger === 'manual') {
+        throw error;
+      }
+      if (error.code === 'SYNC_IN_PROGRESS') {
+        logger.debug(`Update check skipped - ${error.message}`);
+      } else {
+        logger.error('Update check could not start:', error);
+      }
       return;
     }
 
+    if (options.backgroundJob) options.backgroundJob.setPhase('Check for Updates');
     this.activeSyncs++;
     const startTime = Date.now();
+    // The next watermark is the start of this check, so changes made while it runs are read again next time
+    const checkStartedAt = new Date(startTime).toISOString();
+    const updatedAfter = this.syncState.getUpdateWindowStart();
+    // Checks that find nothing to apply are not audited
+    let outcome;
 
     try {
-      logger.debug(`Checking for updates since ${this.lastCheckTimestamp}`);
+      logger.debug(`Checking for updates since ${updatedAfter} (watermark ${this.lastCheckTimestamp})`);
 
-      // Fetch only updated records
-      const updatedRecords = await shedsuite.fetchAllRecords({
-        updatedAfter: this.lastCheckTimestamp,
+      // Stream only updated records and apply them page by page
+      let updatedPages = shedsuite.iterateFormattedRecords({
+        updatedAfter,
         pageSize: 100 // Smaller page size for incremental updates
       });
+      if (options.backgroundJob) {
+        updatedPages = options.backgroundJob.cancellable(updatedPages);
+      }
 
-      if (updatedRecords.length === 0) {
+      const result = await this.applyTargetedUpdates(updatedPages);
+      const applied = result.updated + result.appended;
+
+      if (applied === 0) {
         logger.debug('No updates found');
+        await this.syncState.advanceWatermark(checkStartedAt);
         return;
       }
 
-      logger.info(`Found ${updatedRecords.length} updated records`);
-
-      // Format the updated records
-      const formattedUpdates = shedsuite.formatRecordsForExport(updatedRecords);
-
-      // Apply targeted updates to Excel
-      await this.applyTargetedUpdates(formattedUpdates);
-
       // Update statistics and timestamp
       const duration = Date.now() - startTime;
-      this.updateStats(duration, formattedUpdates.length);
-      this.lastCheckTimestamp = new Date().toISOString();
+      outcome = { status: 'completed', summary: { updatedAfter, updated: result.updated, appended: result.appended } };
+      this.updateStats(duration, applied);
+      await this.syncState.advanceWatermark(checkStartedAt);
 
       if (this.config.enablePerformanceLogging) {
         logger.info(`Update check completed in ${duration}ms`);
       }
     } catch (error) {
+      const cancelled = error.code === 'JOB_CANCELLED';
+      outcome = { status: cancelled ? 'cancelled' : 'failed', error: error.message, summary: { updatedAfter } };
       const duration = Date.now() - startTime;
-      this.stats.errors++;
-      this.stats.lastError = error.message;
-      logger.error(`Error checking for updates after ${duration}ms:`, error);
+      if (!cancelled) {
+        this.stats.errors++;
+        this.stats.lastError = error.message;
+        logger.error(`Error checking for updates after ${duration}ms:`, error);
+      }
 
-      // Don't throw to continue monitoring
+      // A manual or background check reports its failure to the caller; scheduled checks keep monitoring
+      if (options.backgroundJob || options.trigger === 'manual') {
+        throw error;
+      }
     } finally {
       this.activeSyncs--;
+      syncCoordinator.release(lease, outcome);
     }
   }
 
   /**
    * Apply targeted updates to specific Excel cells with batch optimization
-   * @param {Array} updates The updated records
-   * @returns {Promise<void>}
+   * @param {Array|AsyncIterable} updates The updated records, or pages of them
+   * @returns {Promise<Object>} Counts of updated, appended and skipped rows
    */
   async applyTargetedUpdates(updates) {
     try {
-      if (updates.length === 0) {
-        return;
-      }
-
-      logger.info(`Applying ${updates.length} targeted updates to Excel`);
-
       // Use Excel service's optimized targeted update method
-      await excel.applyTargetedUpdates(updates);
+      const result = await excel.applyTargetedUpdates(updates);
 
-      logger.info('Targeted updates applied successfully');
+      if (result.updated + result.appended > 0) {
+        logger.info('Targeted updates applied successfully', result);
+      }
+      return result;
     } catch (error) {
       logger.error('Failed to apply targeted updates:', error);
-
-      // Fallback to full sync if targeted updates fail
-      if (updates.length > 0) {
-        logger.info('Attempting fallback to full spreadsheet update...');
-        await excel.updateSpreadsheet(updates);
-        logger.info('Fallback update completed');
-      }
+      throw error;
     }
   }
 
@@ -338,6 +567,8 @@ class MonitoringService {
     return {
       isRunning: this.isRunning,
       activeSyncs: this.activeSyncs,
+      // Running and waiting syncs per worksheet, across every service and route
+      syncLocks: syncCoordinator.getStatus(),
       lastCheckTimestamp: this.lastCheckTimestamp,
       lastFullSync: this.lastFullSync,
       uptime,
@@ -389,21 +620,33 @@ class MonitoringService {
 
   /**
    * Force a sync check (manual trigger)
+   * @param {Object} options Check options ({ backgroundJob })
    * @returns {Promise<void>}
    */
-  async forceSyncCheck() {
+  async forceSyncCheck(options = {}) {
     logger.info('Manual sync check triggered');
-    await this.checkForUpdates();
+    await this.checkForUpdates({ ...options, trigger: 'manual' });
   }
 
   /**
    * Force a full sync (manual trigger)
-   * @param {Object} options Sync options
-   * @returns {Promise<void>}
+   * @param {Object} options Sync options; dryRun returns the diff instead of writing
+   * @param {Object} options.backgroundJob Context of the background job running the sync
+   * @returns {Promise<Object>} Diff on a dry run, otherwise the Excel write summary
    */
   async forceFullSync(options = {}) {
+    if (options.dryRun) {
+      logger.info('Manual full sync dry run triggered');
+      let pages = shedsuite.iterateFormattedRecords(options.filters || {});
+      if (options.backgroundJob) {
+        options.backgroundJob.setPhase('Compare Sheet with ShedSuite');
+        pages = options.backgroundJob.cancellable(pages);
+      }
+      return excel.diffSpreadsheet(pages);
+    }
+
     logger.info('Manual full sync triggered');
-    await this.performFullSync(options);
+    return this.performFullSync({ ...options, trigger: 'manual' });
   }
 }
 
@@ -1,14 +1,38 @@
 const https = require('https');
 const { URL } = require('url');
 const { logger } = require('../utils/logger');
-const { ErrorHandler } = require('../utils/error-handler');
+const { ErrorHandler, CIRCUIT_STATES } = require('../utils/error-handler');
 const shedSuiteLog = require('../utils/shedsuite-logger');
+const { getColumnMapping } = require('../utils/column-mapping');
+const droppedRecords = require('../utils/dropped-records');
+const { parseOrderFilters } = require('../utils/order-filters');
+const { ORDER_FILTERS } = require('../utils/constants');
+
+/**
+ * Deduplication policies: each returns the key records are deduplicated by.
+ * 'off' keeps every record.
+ */
+const DEDUPE_KEYS = {
+  id: record => record.id,
+  order_number: record => record.orderNumber || record.order_number,
+  customer: record => record.customerId || record.customer_id
+};
 
 class ShedSuiteService {
-  constructor() {
+  /**
+   * @param {Object} options Overrides for a sync job; unset values come from the environment
+   * @param {string} options.endpoint API endpoint below API_PATH (e.g. 'inventory/v1')
+   * @param {string} options.updatedAfterParam Query parameter that carries the updatedAfter filter
+   * @param {string} options.dedupe Deduplication policy: 'id', 'order_number', 'customer' or 'off'
+   * @param {ColumnMapping} options.columnMapping Column mapping for formatted records
+   */
+  constructor(options = {}) {
+    this.options = options;
     this._initialized = false;
     this.config = null;
     this.errorHandler = null;
+    // Filter set -> { count, method, countedAt, expiresAt }
+    this.countCache = new Map();
   }
 
   _initialize() {
@@ -29,7 +53,9 @@ class ShedSuiteService {
     this.config = {
       baseUrl: process.env.API_BASE_URL.replace(/\/+$/, '').replace('API_BASE_URL=', ''),
       apiPath: process.env.API_PATH || 'api/public',
-      endpoint: process.env.API_ENDPOINT || 'customer-orders/v1',
+      endpoint: this.options.endpoint || process.env.API_ENDPOINT || 'customer-orders/v1',
+      updatedAfterParam: this.options.updatedAfterParam || 'dateUpdated[gte]',
+      dedupe: this.options.dedupe || process.env.DEDUPE_POLICY || 'id',
       authToken: process.env.API_TOKEN,
       pageSize: parseInt(process.env.PAGE_SIZE) || 100,
       maxPages: parseInt(process.env.MAX_PAGES) || 1000,
@@ -38,9 +64,14 @@ class ShedSuiteService {
       timeout: parseInt(process.env.API_TIMEOUT) || 60000,
       maxRetries: parseInt(process.env.API_MAX_RETRIES) || 3,
       retryDelay: parseInt(process.env.API_RETRY_DELAY) || 1000,
-      maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 3
+      maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 3,
+      countCacheTtlMs: parseInt(process.env.RECORD_COUNT_CACHE_TTL_MS) || 300000
     };
 
+    if (this.config.dedupe !== 'off' && !DEDUPE_KEYS[this.config.dedupe]) {
+      throw new Error(`Unknown dedupe policy: ${this.config.dedupe}`);
+    }
+
     // Initialize enhanced error handler
     this.errorHandler = new ErrorHandler({
       maxRetries: this.config.maxRetries,
@@ -58,6 +89,7 @@ class ShedSuiteService {
     logger.info('ShedSuite service configured:', {
       baseUrl: this.config.baseUrl,
       endpoint: this.config.endpoint,
+      dedupe: this.config.dedupe,
       pageSize: this.config.pageSize,
       maxPages: this.config.maxPages,
       sortBy: this.config.sortBy,
@@ -74,7 +106,33 @@ class ShedSuiteService {
     this._initialized = true;
   }
 
-  async makeRequest(url, context = {}) {
+  /**
+   * Create a separate service for another endpoint, e.g. for a sync job.
+   * Each instance has its own circuit breaker and count cache.
+   * @param {Object} options Endpoint overrides (see constructor)
+   * @returns {ShedSuiteService} New service instance
+   */
+  forEndpoint(options = {}) {
+    return new ShedSuiteService(options);
+  }
+
+  /**
+   * Column mapping used to format this service's records
+   * @returns {ColumnMapping} Column mapping
+   */
+  getMapping() {
+    return this.options.columnMapping || getColumnMapping();
+  }
+
+  /**
+   * Make an API request, retrying failures through the ErrorHandler
+   * @param {string} url Request URL
+   * @param {Object} context Extra error context
+   * @param {Object} requestOptions Options for executeRequest ({ withHeaders, signal });
+   *   an aborted request is not retried
+   * @returns {Promise<*>} Parsed response body, or { data, headers } with requestOptions.withHeaders
+   */
+  async makeRequest(url, context = {}, requestOptions = {}) {
     this._initialize(); // Ensure config and errorHandler are initialized
     const operationContext = this.errorHandler.createErrorContext('api_request', {
       service: 'ShedSuiteService',
@@ -84,7 +142,7 @@ class ShedSuiteService {
 
     // Check if this is an authentication error and don't retry
     try {
-      const result = await this.executeRequest(url);
+      const result = await this.executeRequest(url, requestOptions);
       return result;
     } catch (error) {
       // If it's an authentication error (401, 403), don't retry
@@ -96,16 +154,20 @@ class ShedSuiteService {
         });
         throw new Error(`Authentication failed: ${error.message}`);
       }
+
+      if (requestOptions.signal && requestOptions.signal.aborted) {
+        throw error;
+      }
       
       // For other errors, use the retry mechanism
       return await this.errorHandler.executeWithRetry(
-        () => this.executeRequest(url),
+        () => this.executeRequest(url, requestOptions),
         operationContext
       );
     }
   }
 
-  executeRequest(url) {
+  executeRequest(url, requestOptions = {}) {
     return new Promise((resolve, reject) => {
       const options = {
         headers: {
@@ -114,7 +176,8 @@ class ShedSuiteService {
           Accept: 'application/json',
           'User-Agent': 'ShedSuite-Excel-Integration/2.0.0'
         },
-        timeout: this.config.timeout
+        timeout: this.config.timeout,
+        signal: requestOptions.signal
       };
 
       console.log(`🌐 Starting HTTP request (timeout: ${this.config.timeout}ms)...`);
@@ -136,7 +199,7 @@ class ShedSuiteService {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               const parsedData = JSON.parse(data);
               console.log(`✅ JSON parsed successfully`);
-              resolve(parsedData);
+              resolve(requestOptions.withHeaders ? { data: parsedData, headers: res.headers } : parsedData);
             } else {
               const error = new Error(`HTTP ${res.statusCode}: ${data}`);
               error.statusCode = res.statusCode;
@@ -152,6 +215,11 @@ class ShedSuiteService {
       });
 
       request.on('error', (err) => {
+        // Aborted by the caller, which no longer needs the response
+        if (err.name === 'AbortError') {
+          reject(err);
+          return;
+        }
         console.error(`❌ Request error: ${err.message}`);
         logger.error('Request error:', err);
         reject(err);
@@ -168,39 +236,186 @@ class ShedSuiteService {
     });
   }
 
-  async getTotalRecordCount() {
+  /**
+   * Number of records matching the filters
+   * @param {Object} filters Query filters
+   * @returns {Promise<number>} Record count
+   */
+  async getTotalRecordCount(filters = {}) {
+    const result = await this.getRecordCount(filters);
+    return result.count;
+  }
+
+  /**
+   * Count the records matching the filters. The count is read from response
+   * metadata or headers when the API provides it ("exact"); otherwise it is
+   * found by probing offsets with limit=1 ("probed"). Results are cached for
+   * RECORD_COUNT_CACHE_TTL_MS and reported as "cached" with their original source.
+   * Filters the API cannot apply are counted by listing the matching records ("scan").
+   * @param {Object} filters Query filters
+   * @param {Object} options Count options
+   * @param {boolean} options.refresh Ignore a cached count
+   * @returns {Promise<Object>} { count, method, source, countedAt, expiresAt, duration }
+   */
+  async getRecordCount(filters = {}, options = {}) {
     this._initialize(); // Ensure config and errorHandler are initialized
     const startTime = Date.now();
-    
+    const orderFilter = parseOrderFilters(filters);
+    const countFilters = { ...filters };
+    ORDER_FILTERS.PAGING.forEach(key => delete countFilters[key]);
+    const cacheKey = JSON.stringify(countFilters);
+
+    const cached = this.countCache.get(cacheKey);
+    if (cached && !options.refresh && cached.expiresAt > Date.now()) {
+      return {
+        count: cached.count,
+        method: 'cached',
+        source: cached.method,
+        countedAt: new Date(cached.countedAt).toISOString(),
+        expiresAt: new Date(cached.expiresAt).toISOString(),
+        duration: `${Date.now() - startTime}ms`
+      };
+    }
+
     try {
-      shedSuiteLog.fetching(`Getting total record count`);
-      
-      // Since the API doesn't provide total count metadata, we'll make a conservative estimate
-      // based on the fact that this is a production system with many records
+      shedSuiteLog.fetching(`Getting total record count`, { filters: Object.keys(countFilters) });
+
+      let count;
+      let method;
+      let probes;
+
+      if (orderFilter.hasClientConditions()) {
+        count = 0;
+        probes = 0;
+        method = 'scan';
+        for await (const pageRecords of this.iterateRecords(countFilters, { complete: true })) {
+          count += pageRecords.length;
+        }
+      } else {
+        const apiFilters = { ...orderFilter.apiFilters };
+        ORDER_FILTERS.PAGING.forEach(key => delete apiFilters[key]);
+
+        const response = await this.makeRequest(this.buildApiUrl(1, apiFilters, true), { operation: 'record_count' }, { withHeaders: true });
+        count = this.extractTotalCount(response.data, response.headers);
+        method = 'exact';
+        probes = 1;
+
+        if (count === null) {
+          const probe = await this.probeRecordCount(apiFilters, this.extractRecords(response.data).length > 0);
+          count = probe.count;
+          probes += probe.probes;
+          method = 'probed';
+        }
+      }
+
+      const countedAt = Date.now();
+      const entry = { count, method, countedAt, expiresAt: countedAt + this.config.countCacheTtlMs };
+      this.countCache.set(cacheKey, entry);
+
       const duration = Date.now() - startTime;
-      
-      shedSuiteLog.fetching(`API does not provide total count metadata, using conservative estimate`, {
-        estimate: 100000,
-        duration: `${duration}ms`,
-        reason: 'production_system_conservative_estimate'
+      shedSuiteLog.fetching(`Total record count retrieved`, {
+        count,
+        method,
+        requests: probes,
+        duration: `${duration}ms`
       });
-      
-      return 100000; // Conservative estimate for production
+
+      return {
+        count,
+        method,
+        source: method,
+        countedAt: new Date(countedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        duration: `${duration}ms`
+      };
     } catch (error) {
-      const duration = Date.now() - startTime;
-      
       shedSuiteLog.error(`Error getting total record count`, error, {
-        duration: `${duration}ms`
+        duration: `${Date.now() - startTime}ms`
       });
-      
-      // Return a conservative estimate instead of throwing
-      shedSuiteLog.warn(`Using conservative estimate of 100k records due to error`, {
-        estimate: 100000,
-        reason: 'error_fallback'
+      throw error;
+    }
+  }
+
+  /**
+   * Read a total count from response metadata or headers
+   * @param {*} data Parsed response body
+   * @param {Object} headers Response headers
+   * @returns {number|null} Total count, or null when the response has none
+   */
+  extractTotalCount(data, headers = {}) {
+    const candidates = [];
+
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+      candidates.push(data.total, data.totalCount, data.total_count, data.totalRecords);
+      [data.meta, data.pagination].forEach(meta => {
+        if (meta && typeof meta === 'object') {
+          candidates.push(meta.total, meta.totalCount, meta.total_count, meta.totalRecords);
+        }
       });
-      
-      return 100000;
     }
+
+    candidates.push(headers['x-total-count'], headers['x-total']);
+
+    // Content-Range: items 0-0/1234
+    const contentRange = headers['content-range'];
+    if (contentRange) {
+      candidates.push(String(contentRange).split('/')[1]);
+    }
+
+    for (const candidate of candidates) {
+      const count = parseInt(candidate);
+      if (!isNaN(count) && count >= 0) {
+        return count;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the record count by probing single-record offsets: double the offset
+   * until it is past the end, then binary search between the last hit and the miss
+   * @param {Object} filters Query filters
+   * @param {boolean} hasFirstRecord Whether offset 0 holds a record
+   * @returns {Promise<Object>} { count, probes }
+   */
+  async probeRecordCount(filters, hasFirstRecord) {
+    let probes = 0;
+    const hasRecordAt = async (offset) => {
+      probes++;
+      const data = await this.makeRequest(this.buildApiUrl(offset + 1, { ...filters, pageSize: 1 }), {
+        operation: 'record_count_probe',
+        offset
+      });
+      return this.extractRecords(data).length > 0;
+    };
+
+    if (!hasFirstRecord) {
+      return { count: 0, probes };
+    }
+
+    // lastHit always holds a record, firstMiss never does
+    const maxOffset = this.config.maxPages * this.config.pageSize;
+    let lastHit = 0;
+    let firstMiss = 1;
+    while (await hasRecordAt(firstMiss)) {
+      lastHit = firstMiss;
+      if (firstMiss >= maxOffset) {
+        shedSuiteLog.warn(`Record count probe stopped at the paging limit`, { maxOffset });
+        return { count: firstMiss + 1, probes };
+      }
+      firstMiss = Math.min(firstMiss * 2, maxOffset);
+    }
+
+    while (firstMiss - lastHit > 1) {
+      const middle = Math.floor((lastHit + firstMiss) / 2);
+      if (await hasRecordAt(middle)) {
+        lastHit = middle;
+      } else {
+        firstMiss = middle;
+      }
+    }
+
+    return { count: lastHit + 1, probes };
   }
 
   buildApiUrl(page, filters = {}, countOnly = false) {
@@ -230,10 +445,10 @@ class ShedSuiteService {
 
       // Add filter parameters
       Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && key !== 'page' && key !== 'pageSize') {
+        if (value !== undefined && value !== null && !ORDER_FILTERS.PAGING.includes(key)) {
           // Handle different filter formats
           if (key === 'updatedAfter' && value) {
-            url.searchParams.append('dateUpdated[gte]', value);
+            url.searchParams.append(this.config.updatedAfterParam, value);
           } else {
             url.searchParams.append(key, value);
           }
@@ -267,250 +482,318 @@ class ShedSuiteService {
     }
   }
 
+  /**
+   * Fetch every matching record, collected into one array
+   * @param {Object} filters Query filters and paging options
+   * @returns {Promise<Array>} Raw ShedSuite records
+   */
   async fetchAllRecords(filters = {}) {
+    let allRecords = [];
+
+    for await (const pageRecords of this.iterateRecords(filters)) {
+      allRecords = allRecords.concat(pageRecords);
+    }
+
+    return allRecords;
+  }
+
+  /**
+   * Page through the ShedSuite API, yielding each page of raw records as it
+   * arrives so callers can process one page while the next is fetched.
+   * Up to MAX_CONCURRENT_REQUESTS offset requests are kept in flight and pages
+   * are yielded in order. The first page shorter than the page size ends the data.
+   * Filters go through parseOrderFilters: the API applies what it supports and
+   * each page is narrowed to the records matching the rest, so yielded pages may
+   * be shorter than the page size or skipped entirely.
+   * @param {Object} filters Query filters and paging options (see ORDER_FILTERS)
+   * @param {Object} options Iteration options
+   * @param {boolean} options.complete Throw instead of skipping failed pages or stopping at the
+   *   page and record limits, for callers that must not act on a partial listing
+   * @param {Function} options.onTotal Called with the number of records the API lists for the
+   *   filters, for progress tracking; the count (see getRecordCount) only runs when this is given
+   * @yields {Array} Raw records of one page
+   */
+  async *iterateRecords(filters = {}, options = {}) {
     this._initialize(); // Ensure config and errorHandler are initialized
     const startTime = Date.now();
+    const orderFilter = parseOrderFilters(filters);
+    const apiFilters = orderFilter.apiFilters;
+    const pageSize = filters.pageSize || this.config.pageSize;
+    const concurrency = Math.max(1, this.config.maxConcurrentRequests);
+    const maxRecords = parseInt(filters.maxRecords) || parseInt(process.env.MAX_RECORDS) || 100000;
+    const maxFailedPages = parseInt(process.env.MAX_CONSECUTIVE_EMPTY_PAGES) || 5;
     
     shedSuiteLog.fetching(`Starting data fetch from ShedSuite API`, {
       filters: filters,
+      appliedBy: orderFilter.describe(),
       config: {
-        pageSize: filters.pageSize || this.config.pageSize,
+        pageSize: pageSize,
         maxPages: this.config.maxPages,
-        maxRecords: parseInt(process.env.MAX_RECORDS) || 100000
+        maxRecords: maxRecords,
+        concurrency: concurrency
       },
       timestamp: new Date().toISOString()
     });
 
+    // Page number -> pending request; requests never reject, so pages can be awaited in order
+    const inFlight = new Map();
+    // Aborts the requests still in flight once the listing ends or the caller stops reading
+    const abortController = new AbortController();
+    let nextPage = 1;
+    let lastPage = this.config.maxPages;
+    let totalRecords = 0;
+    let matchedRecords = 0;
+    let page = 0;
+    let successfulPages = 0;
+    let failedPages = 0;
+    let consecutiveFailures = 0;
+    let totalRequestTime = 0;
+    let endOfData = false;
+
     try {
-      let allRecords = [];
-      let page = 1;
-      let hasMoreData = true;
-      const pageSize = filters.pageSize || this.config.pageSize;
-      let consecutiveEmptyPages = 0;
-      const maxEmptyPages = parseInt(process.env.MAX_CONSECUTIVE_EMPTY_PAGES) || 5;
-      let successfulPages = 0;
-      let failedPages = 0;
-      let totalRequestTime = 0;
-      
-      // Get total count for progress tracking
+      // Count in the background for callers tracking progress so the first page is not held up.
+      // Progress is tracked in records listed by the API, so only its filters are counted
       let totalExpectedRecords = null;
-      try {
-        const countStartTime = Date.now();
-        totalExpectedRecords = await this.getTotalRecordCount();
-        const countDuration = Date.now() - countStartTime;
-        
-        shedSuiteLog.fetching(`Total record count retrieved`, {
-          totalExpectedRecords: totalExpectedRecords,
-          countDuration: `${countDuration}ms`
-        });
-      } catch (error) {
-        shedSuiteLog.warn(`Could not get total record count for progress tracking`, {
-          error: error.message
+      if (options.onTotal) {
+        this.getRecordCount(apiFilters).then(result => {
+          totalExpectedRecords = result.count;
+          options.onTotal(result.count);
+        }, error => {
+          shedSuiteLog.warn(`Could not get total record count for progress tracking`, {
+            error: error.message
+          });
         });
       }
 
       shedSuiteLog.pagination(`Pagination configuration`, {
         maxPages: this.config.maxPages,
         pageSize: pageSize,
-        maxEmptyPages: maxEmptyPages
+        concurrency: concurrency,
+        maxFailedPages: maxFailedPages
       });
 
-      while (hasMoreData && page <= this.config.maxPages) {
-        const pageStartTime = Date.now();
-        const pageUrl = this.buildApiUrl(page, filters);
-        
-        shedSuiteLog.fetching(`Fetching page ${page}`, {
-          pageNumber: page,
-          totalRecordsSoFar: allRecords.length,
-          expectedTotal: totalExpectedRecords,
-          url: pageUrl.replace(this.config.authToken, '***'),
-          offset: (page - 1) * pageSize
-        });
-
-        try {
-          const requestStartTime = Date.now();
-          const pageData = await this.makeRequest(pageUrl);
-          const requestDuration = Date.now() - requestStartTime;
-          totalRequestTime += requestDuration;
-          
-          shedSuiteLog.http(`Page ${page} request completed`, {
-            pageNumber: page,
-            requestDuration: `${requestDuration}ms`,
-            responseSize: JSON.stringify(pageData).length
-          });
-          
-          const extractStartTime = Date.now();
-          const pageRecords = this.extractRecords(pageData);
-          const extractDuration = Date.now() - extractStartTime;
-          
-          const pageDuration = Date.now() - pageStartTime;
-          successfulPages++;
+      for (page = 1; page <= lastPage; page++) {
+        // Top up the requests ahead of the page being read, without asking past the record cap
+        while (nextPage <= lastPage && inFlight.size < concurrency && (nextPage - 1) * pageSize < maxRecords) {
+          inFlight.set(nextPage, this.fetchPage(nextPage, apiFilters, pageSize, abortController.signal));
+          nextPage++;
+        }
 
-          shedSuiteLog.processing(`Page ${page} records extracted`, {
-            pageNumber: page,
-            recordsInPage: pageRecords.length,
-            totalRecordsSoFar: allRecords.length + pageRecords.length,
-            extractDuration: `${extractDuration}ms`,
-            pageDuration: `${pageDuration}ms`,
-            consecutiveEmptyPages: consecutiveEmptyPages
-          });
+        if (!inFlight.has(page)) {
+          break;
+        }
 
-          if (pageRecords.length === 0) {
-            consecutiveEmptyPages++;
-            
-            shedSuiteLog.pagination(`Empty page ${page} detected`, {
-              pageNumber: page,
-              consecutiveEmptyPages: consecutiveEmptyPages,
-              maxEmptyPages: maxEmptyPages
-            });
+        const result = await inFlight.get(page);
+        inFlight.delete(page);
 
-            if (consecutiveEmptyPages >= maxEmptyPages) {
-              shedSuiteLog.pagination(`Multiple consecutive empty pages found, stopping pagination`, {
-                pageNumber: page,
-                consecutiveEmptyPages: consecutiveEmptyPages,
-                maxEmptyPages: maxEmptyPages
-              });
-              hasMoreData = false;
-            } else {
-              page++;
-            }
-          } else {
-            consecutiveEmptyPages = 0;
-            allRecords = allRecords.concat(pageRecords);
-
-            // Check if we've reached a reasonable limit to prevent infinite loops
-            const maxRecords = parseInt(process.env.MAX_RECORDS) || 100000;
-            if (allRecords.length >= maxRecords) {
-              shedSuiteLog.pagination(`Reached maximum record limit`, {
-                pageNumber: page,
-                currentRecords: allRecords.length,
-                maxRecords: maxRecords
-              });
-              hasMoreData = false;
-            }
-            // Stop if we get a significantly smaller page than expected (end of data)
-            else if (pageRecords.length < (pageSize * 0.5)) {
-              shedSuiteLog.pagination(`Page ${page} had significantly fewer records than expected`, {
-                pageNumber: page,
-                recordsInPage: pageRecords.length,
-                pageSize: pageSize,
-                threshold: pageSize * 0.5
-              });
-              hasMoreData = false;
-            } else {
-              // Test if there's more data by checking the next page
-              shedSuiteLog.pagination(`Testing if there's more data beyond page ${page}`, {
-                pageNumber: page,
-                testPageNumber: page + 1
-              });
-              
-              try {
-                const testStartTime = Date.now();
-                const testPageUrl = this.buildApiUrl(page + 1, filters);
-                const testData = await this.makeRequest(testPageUrl);
-                const testRecords = this.extractRecords(testData);
-                const testDuration = Date.now() - testStartTime;
-                
-                if (testRecords.length === 0) {
-                  shedSuiteLog.pagination(`Test page ${page + 1} returned 0 records - end of data reached`, {
-                    pageNumber: page,
-                    testPageNumber: page + 1,
-                    testDuration: `${testDuration}ms`
-                  });
-                  hasMoreData = false;
-                } else {
-                  shedSuiteLog.pagination(`Test page ${page + 1} returned ${testRecords.length} records - continuing`, {
-                    pageNumber: page,
-                    testPageNumber: page + 1,
-                    testRecords: testRecords.length,
-                    testDuration: `${testDuration}ms`
-                  });
-                  page++;
-                }
-              } catch (testError) {
-                shedSuiteLog.error(`Test page ${page + 1} failed - likely end of data`, testError, {
-                  pageNumber: page,
-                  testPageNumber: page + 1
-                });
-                hasMoreData = false;
-              }
-            }
-          }
-        } catch (pageError) {
-          const pageDuration = Date.now() - pageStartTime;
+        if (result.error) {
           failedPages++;
           
-          shedSuiteLog.error(`Error fetching page ${page}`, pageError, {
+          shedSuiteLog.error(`Error fetching page ${page}`, result.error, {
             pageNumber: page,
-            pageDuration: `${pageDuration}ms`,
-            url: pageUrl.replace(this.config.authToken, '***')
+            pageDuration: `${result.duration}ms`,
+            url: result.url.replace(this.config.authToken, '***')
           });
 
+          if (options.complete) {
+            throw this.createIncompleteError(`Page ${page} could not be fetched: ${result.error.message}`);
+          }
+
           // If it's a date-related error, try to continue
-          if (pageError.message.includes('date') || pageError.message.includes('5/27') || pageError.message.includes('parsing')) {
+          const message = result.error.message || '';
+          if (message.includes('date') || message.includes('5/27') || message.includes('parsing')) {
             shedSuiteLog.warn(`Date-related error detected, skipping to next page`, {
               pageNumber: page,
-              errorMessage: pageError.message
+              errorMessage: message
             });
-            page++;
             continue;
           }
 
-          consecutiveEmptyPages++;
-          if (consecutiveEmptyPages >= maxEmptyPages) {
+          consecutiveFailures++;
+          if (consecutiveFailures >= maxFailedPages) {
             shedSuiteLog.error(`Too many consecutive errors, stopping pagination`, {
               pageNumber: page,
-              consecutiveEmptyPages: consecutiveEmptyPages,
-              maxEmptyPages: maxEmptyPages
+              consecutiveFailures: consecutiveFailures,
+              maxFailedPages: maxFailedPages
             });
             break;
           }
-          page++;
+          continue;
         }
 
-        // Add a small delay between requests to avoid overwhelming the API
-        if (hasMoreData && page <= this.config.maxPages) {
-          const delay = filters.retryDelay || 100; // Use configurable delay or default to 100ms
-          
-          shedSuiteLog.rateLimit(`Adding delay between requests`, {
+        const pageRecords = result.records;
+        consecutiveFailures = 0;
+        successfulPages++;
+        totalRequestTime += result.duration;
+
+        shedSuiteLog.processing(`Page ${page} records extracted`, {
+          pageNumber: page,
+          recordsInPage: pageRecords.length,
+          totalRecordsSoFar: totalRecords + pageRecords.length,
+          expectedTotal: totalExpectedRecords,
+          pageDuration: `${result.duration}ms`,
+          inFlight: inFlight.size
+        });
+
+        // Offset paging fills every page but the last, so a short page ends the data;
+        // requests already sent for later pages are aborted instead of probed
+        if (pageRecords.length < pageSize) {
+          lastPage = page;
+          endOfData = true;
+          shedSuiteLog.pagination(`Page ${page} returned ${pageRecords.length} of ${pageSize} records - end of data reached`, {
             pageNumber: page,
-            delay: delay
+            recordsInPage: pageRecords.length,
+            pageSize: pageSize,
+            discardedRequests: inFlight.size
           });
-          
-          await new Promise(resolve => setTimeout(resolve, delay));
+          abortController.abort();
+          inFlight.clear();
+        }
+
+        if (pageRecords.length === 0) {
+          break;
+        }
+
+        totalRecords += pageRecords.length;
+        const matchingRecords = orderFilter.hasClientConditions()
+          ? pageRecords.filter(record => orderFilter.matches(record))
+          : pageRecords;
+        matchedRecords += matchingRecords.length;
+
+        // Hand the page over before deciding whether to continue
+        if (matchingRecords.length > 0) {
+          yield matchingRecords;
+        }
+
+        // Check if we've reached a reasonable limit to prevent infinite loops
+        if (totalRecords >= maxRecords) {
+          shedSuiteLog.pagination(`Reached maximum record limit`, {
+            pageNumber: page,
+            currentRecords: totalRecords,
+            maxRecords: maxRecords
+          });
+          break;
         }
       }
 
+      if (options.complete && !endOfData) {
+        throw this.createIncompleteError(`Stopped after ${totalRecords} records at the page or record limit (MAX_PAGES, MAX_RECORDS)`);
+      }
+
+      const pagesProcessed = Math.max(1, successfulPages + failedPages);
       const duration = Date.now() - startTime;
       const averageRequestTime = successfulPages > 0 ? Math.round(totalRequestTime / successfulPages) : 0;
-      const recordsPerSecond = duration > 0 ? Math.round((allRecords.length / duration) * 1000) : 0;
+      const recordsPerSecond = duration > 0 ? Math.round((totalRecords / duration) * 1000) : 0;
       
       shedSuiteLog.performance(`Data fetch completed successfully`, {
-        totalRecords: allRecords.length,
-        pagesProcessed: page,
+        totalRecords: totalRecords,
+        matchedRecords: matchedRecords,
+        pagesProcessed: pagesProcessed,
         successfulPages: successfulPages,
         failedPages: failedPages,
+        concurrency: concurrency,
         totalDuration: `${duration}ms`,
         totalRequestTime: `${totalRequestTime}ms`,
         averageRequestTime: `${averageRequestTime}ms`,
-        averageTimePerPage: `${Math.round(duration / page)}ms`,
+        averageTimePerPage: `${Math.round(duration / pagesProcessed)}ms`,
         recordsPerSecond: recordsPerSecond,
-        averageRecordsPerPage: Math.round(allRecords.length / page)
+        averageRecordsPerPage: Math.round(totalRecords / pagesProcessed)
       });
-
-      return allRecords;
     } catch (error) {
       const duration = Date.now() - startTime;
       
       shedSuiteLog.error(`Data fetch failed`, error, {
         duration: `${duration}ms`,
-        totalRecords: allRecords.length,
+        totalRecords: totalRecords,
         pagesProcessed: page,
         successfulPages: successfulPages,
         failedPages: failedPages
       });
       
       throw error;
+    } finally {
+      // Pages past a record limit, a failure or a caller that stopped reading are not needed
+      abortController.abort();
+    }
+  }
+
+  /**
+   * Error for a listing that could not be read to the end
+   * @param {string} message Reason
+   * @returns {Error} Error with code INCOMPLETE_LISTING
+   */
+  createIncompleteError(message) {
+    const error = new Error(`Incomplete ShedSuite listing: ${message}`);
+    error.code = 'INCOMPLETE_LISTING';
+    return error;
+  }
+
+  /**
+   * Request one page of records, waiting first while the circuit breaker is open.
+   * Never rejects: a failure is returned so the pager can handle pages in order.
+   * @param {number} page Page number
+   * @param {Object} filters Query filters
+   * @param {number} pageSize Records per page
+   * @param {AbortSignal} signal Aborts the request, including its retries and circuit breaker waits
+   * @returns {Promise<Object>} { records, duration, url } or { error, duration, url }
+   */
+  async fetchPage(page, filters, pageSize, signal) {
+    const startTime = Date.now();
+    const url = this.buildApiUrl(page, filters);
+
+    shedSuiteLog.fetching(`Fetching page ${page}`, {
+      pageNumber: page,
+      url: url.replace(this.config.authToken, '***'),
+      offset: (page - 1) * pageSize
+    });
+
+    for (let breakerWaits = 0; ; breakerWaits++) {
+      await this.waitForCircuitBreaker(signal);
+      if (signal && signal.aborted) {
+        return { error: signal.reason, duration: Date.now() - startTime, url };
+      }
+
+      try {
+        const pageData = await this.makeRequest(url, { page }, { signal });
+        return { records: this.extractRecords(pageData), duration: Date.now() - startTime, url };
+      } catch (error) {
+        // The breaker opened while this request was retrying; wait it out like the other pages
+        if (error.circuitBreakerState === CIRCUIT_STATES.OPEN && breakerWaits < this.config.maxRetries && !(signal && signal.aborted)) {
+          continue;
+        }
+        return { error, duration: Date.now() - startTime, url };
+      }
+    }
+  }
+
+  /**
+   * Pause while the API circuit breaker is open. Every page request passes through
+   * here, so an open breaker holds back the whole pager instead of each request
+   * failing against it.
+   * @param {AbortSignal} signal Stops waiting early when aborted
+   * @returns {Promise<void>}
+   */
+  async waitForCircuitBreaker(signal) {
+    const breaker = this.errorHandler.getCircuitBreakerState();
+    if (breaker.state !== CIRCUIT_STATES.OPEN) {
+      return;
+    }
+
+    const delay = breaker.nextAttemptTime - Date.now();
+    if (delay > 0) {
+      shedSuiteLog.rateLimit(`Circuit breaker open, pausing page requests`, {
+        delay: delay,
+        nextAttemptTime: new Date(breaker.nextAttemptTime).toISOString()
+      });
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+          }, { once: true });
+        }
+      });
     }
   }
 
@@ -579,6 +862,15 @@ class ShedSuiteService {
       return data.items;
     }
 
+    // The inventory endpoint wraps its rows in an "inventory" array
+    if (data.inventory && Array.isArray(data.inventory)) {
+      shedSuiteLog.processing(`Processing data.inventory array`, {
+        recordCount: data.inventory.length,
+        duration: `${Date.now() - startTime}ms`
+      });
+      return data.inventory;
+    }
+
     console.log(`⚠️  Unexpected API response format`);
     logger.warn('Unexpected API response format:', {
       keys: Object.keys(data),
@@ -590,177 +882,86 @@ class ShedSuiteService {
     return [];
   }
 
+  /**
+   * Format and deduplicate a complete set of records
+   * @param {Array} records Raw ShedSuite records
+   * @returns {Array} Formatted records
+   */
   formatRecordsForExport(records) {
-    this._initialize(); // Ensure config and errorHandler are initialized
-    const startTime = Date.now();
-    logger.info(`Formatting ${records.length} records for export...`);
-
     if (!records || records.length === 0) {
       logger.warn('No records to format');
       return [];
     }
 
-    // Add deduplication to handle duplicate customer records
-    const deduplicatedRecords = this.deduplicateByCustomerId(records);
-
-    const sampleRecord = deduplicatedRecords[0];
-    logger.info('Sample record structure:', {
-      keys: Object.keys(sampleRecord),
-      sampleValues: {
-        id: sampleRecord.id,
-        balanceDollarAmount: sampleRecord.balanceDollarAmount,
-        billingCity: sampleRecord.billingCity,
-        billingState: sampleRecord.billingState,
-        buildingAddons: sampleRecord.buildingAddons
-      }
+    const formatter = this.createExportFormatter();
+    const page = formatter.format(records);
+    page.replacements.forEach(({ index, record }) => {
+      page.records[index] = record;
     });
+    formatter.logSummary();
+    formatter.saveDropped();
 
-    const formattedRecords = deduplicatedRecords.map(record => {
-      try {
-        // Format building addons as a string
-        let buildingAddonsStr = '';
-        if (record.buildingAddons && Array.isArray(record.buildingAddons)) {
-          buildingAddonsStr = record.buildingAddons.map(addon =>
-            `${addon.name || ''} (${addon.quantity || 1}x @ $${addon.price || '0.00'})`).join('; ');
-        }
+    return page.records;
+  }
 
-        // Format custom addons similarly
-        let customAddonsStr = '';
-        if (record.buildingCustomAddons && Array.isArray(record.buildingCustomAddons)) {
-          customAddonsStr = record.buildingCustomAddons.map(addon =>
-            `${addon.name || ''} (${addon.quantity || 1}x @ $${addon.price || '0.00'})`).join('; ');
-        }
+  /**
+   * Stream formatted, deduplicated export pages.
+   * Deduplication spans the whole stream: when a later page holds a newer
+   * record for a key that was already emitted, the page carries it as a
+   * replacement for that earlier position instead of a new record.
+   * @param {Object} filters Query filters and paging options
+   * @param {Object} options Stream options
+   * @param {Function} options.onPage Called with each page before it is yielded
+   * @param {Function} options.onComplete Called with the deduplication report once the stream ends
+   * @param {boolean} options.complete Throw rather than yield a partial listing (see iterateRecords)
+   * @param {Function} options.onTotal Called with the expected record count (see iterateRecords)
+   * @yields {Object} Page of { records, replacements: [{ index, record, replacedId }] }
+   */
+  async *iterateFormattedRecords(filters = {}, options = {}) {
+    const formatter = this.createExportFormatter();
+
+    for await (const pageRecords of this.iterateRecords(filters, { complete: options.complete, onTotal: options.onTotal })) {
+      const page = formatter.format(pageRecords);
+      if (options.onPage) {
+        options.onPage(page);
+      }
+      yield page;
+    }
 
-        // Determine the most recent date for timestamp
-        const dates = [
-          record.dateOrdered,
-          record.dateUpdated,
-          record.dateDelivered,
-          record.dateCancelled,
-          record.dateFinished,
-          record.dateProcessed,
-          record.dateScheduledForDelivery
-        ].filter(d => d).map(d => new Date(d)).filter(d => !isNaN(d.getTime()));
-
-        const mostRecentDate = dates.length > 0
-          ? new Date(Math.max(...dates))
-          : new Date();
-
-        return {
-          // Main identifiers
-          id: this.safeValue(record.id),
-          balance_dollar_amount: this.formatCurrency(record.balanceDollarAmount),
-
-          // Billing Address
-          billing_address_line_one: this.safeValue(record.billingAddressLineOne),
-          billing_address_line_two: this.safeValue(record.billingAddressLineTwo),
-          billing_city: this.safeValue(record.billingCity),
-          billing_state: this.safeValue(record.billingState),
-          billing_zip: this.safeValue(record.billingZip),
-
-          // Building Information
-          building_addons: buildingAddonsStr,
-          building_condition: this.safeValue(record.buildingCondition),
-          building_custom_addons: customAddonsStr,
-          building_length: this.safeValue(record.buildingLength),
-          building_model_name: this.safeValue(record.buildingModelName),
-          building_roof_color: this.safeValue(record.buildingRoofColor),
-          building_roof_type: this.safeValue(record.buildingRoofType),
-          building_siding_color: this.safeValue(record.buildingSidingColor),
-          building_siding_type: this.safeValue(record.buildingSidingType),
-          building_size: this.safeValue(record.buildingSize),
-          building_width: this.safeValue(record.buildingWidth),
-
-          // Company/Dealer Information
-          company_id: this.safeValue(record.companyId),
-          county_tax_rate: this.formatCurrency(record.countyTaxRate),
-
-          // Customer Information
-          customer_name: this.safeValue(record.customerName),
-          customer_email: this.safeValue(record.customerEmail),
-          customer_first_name: this.safeValue(record.customerFirstName),
-          customer_id: this.safeValue(record.customerId),
-          customer_last_name: this.safeValue(record.customerLastName),
-          customer_phone_primary: this.safeValue(record.customerPhonePrimary),
-          customer_source: this.safeValue(record.customerSource),
-
-          // Dates
-          date_delivered: this.formatDate(record.dateDelivered),
-          date_cancelled: this.formatDate(record.dateCancelled),
-          date_finished: this.formatDate(record.dateFinished),
-          date_ordered: this.formatDate(record.dateOrdered),
-          date_processed: this.formatDate(record.dateProcessed),
-          date_scheduled_for_delivery: this.formatDate(record.dateScheduledForDelivery),
-
-          // Dealer Information
-          dealer_id: this.safeValue(record.dealerId),
-          dealer_primary_sales_rep: this.safeValue(record.dealerPrimarySalesRep),
-
-          // Delivery Address
-          delivery_address_line_one: this.safeValue(record.deliveryAddressLineOne),
-          delivery_address_line_two: this.safeValue(record.deliveryAddressLineTwo),
-          delivery_city: this.safeValue(record.deliveryCity),
-          delivery_state: this.safeValue(record.deliveryState),
-          delivery_zip: this.safeValue(record.deliveryZip),
-
-          // Driver and Payment
-          driver_name: this.safeValue(record.driverName),
-          initial_payment_dollar_amount: this.formatCurrency(record.initialPaymentDollarAmount),
-          initial_payment_type: this.safeValue(record.initialPaymentType),
-          invoice_url: this.safeValue(record.invoiceURL),
-
-          // Order Information
-          order_number: this.safeValue(record.orderNumber),
-          order_type: this.safeValue(record.orderType),
-
-          // Promocode Information
-          promocode_code: this.safeValue(record.promocodeCode),
-          promocode_name: this.safeValue(record.promocodeName),
-          promocode_amount_discounted: this.formatCurrency(record.promocodeAmountDiscounted),
-          promocode_type: this.safeValue(record.promocodeType),
-          promocode_value: this.safeValue(record.promocodeValue),
-          promocode_target: this.safeValue(record.promocodeTarget),
-
-          // RTO Information
-          rto: this.safeValue(record.rto),
-          rto_company_name: this.safeValue(record.rtoCompanyName),
-          rto_months_of_term: this.safeValue(record.rtoMonthsOfTerm),
-
-          // Additional Information
-          serial_number: this.safeValue(record.serialNumber),
-          shop_name: this.safeValue(record.shopName),
-          sold_by_dealer: this.safeValue(record.soldByDealer),
-          sold_by_dealer_id: this.safeValue(record.soldByDealerId),
-          sold_by_dealer_user: this.safeValue(record.soldByDealerUser),
-
-          // Tax Information
-          special_district: this.safeValue(record.specialDistrict),
-          special_district_rate: this.formatCurrency(record.specialDistrictRate),
-          special_district_tax_dollar_amount: this.formatCurrency(record.specialDistrictTaxDollarAmount),
-          state: this.safeValue(record.state),
-          state_tax_dollar_amount: this.formatCurrency(record.stateTaxDollarAmount),
-          state_tax_rate: this.formatCurrency(record.stateTaxRate),
-          status: this.safeValue(record.status),
-
-          // Totals and Adjustments
-          sub_total_dollar_amount: this.formatCurrency(record.subTotalDollarAmount),
-          sub_total_adjustment_dollar_amount: this.formatCurrency(record.subTotalAdjustmentDollarAmount),
-          sub_total_adjustment_note: this.safeValue(record.subTotalAdjustmentNote),
-          total_amount_dollar_amount: this.formatCurrency(record.totalAmountDollarAmount),
-          total_tax_dollar_amount: this.formatCurrency(record.totalTaxDollarAmount),
-
-          // City/County Tax
-          tax_city: this.safeValue(record.taxCity),
-          tax_city_dollar_amount: this.formatCurrency(record.taxCityDollarAmount),
-          tax_city_rate: this.formatCurrency(record.taxCityRate),
-          tax_county: this.safeValue(record.taxCounty),
-          tax_county_dollar_amount: this.formatCurrency(record.taxCountyDollarAmount),
-          tax_county_rate: this.formatCurrency(record.taxCountyRate),
-
-          // Timestamp - most recent update
-          timestamp: mostRecentDate.toISOString()
-        };
+    const report = formatter.logSummary();
+    await formatter.saveDropped();
+    if (options.onComplete) {
+      options.onComplete(report);
+    }
+  }
+
+  /**
+   * Create a stateful formatter that deduplicates across pages by the configured policy.
+   * Removed records are counted per rule and kept for review instead of being discarded:
+   * 'duplicate' for a record superseded by a newer one with the same key, and
+   * 'missingKey' for a record without a value for the key.
+   * @returns {Object} Formatter with format(records), logSummary() and saveDropped()
+   */
+  createExportFormatter() {
+    this._initialize(); // Ensure config and errorHandler are initialized
+    const columnMapping = this.getMapping();
+    const policy = this.config.dedupe;
+    const getKey = DEDUPE_KEYS[policy];
+    const runId = `dedupe-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const startedAt = new Date().toISOString();
+    // key -> { index, date, id } of the record emitted for that key
+    const emitted = new Map();
+    const stats = { originalCount: 0, formattedCount: 0, replaced: 0, failed: 0 };
+    const removed = { duplicate: 0, missingKey: 0 };
+    const dropped = [];
+
+    const getDate = (record) => new Date(record.dateUpdated || record.updatedAt || record.dateOrdered || record.timestamp || 0);
+
+    const formatOne = (record) => {
+      try {
+        return columnMapping.formatRecord(record);
       } catch (error) {
+        stats.failed++;
         logger.error('Error formatting record:', {
           recordId: record.id,
           error: error.message,
@@ -768,71 +969,104 @@ class ShedSuiteService {
         });
         return null;
       }
-    }).filter(record => record !== null); // Remove any records that failed to format
-
-    // Log statistics about the data
-    const recordsWithCountyTaxRate = formattedRecords.filter(r => r.county_tax_rate && r.county_tax_rate !== '').length;
-    const recordsWithStateTaxRate = formattedRecords.filter(r => r.state_tax_rate && r.state_tax_rate !== '').length;
-
-    logger.info('Data field statistics:', {
-      totalRecords: formattedRecords.length,
-      recordsWithCountyTaxRate,
-      recordsWithStateTaxRate,
-      countyTaxRatePercentage: `${Math.round((recordsWithCountyTaxRate / formattedRecords.length) * 100)}%`,
-      stateTaxRatePercentage: `${Math.round((recordsWithStateTaxRate / formattedRecords.length) * 100)}%`
-    });
+    };
 
-    const duration = Date.now() - startTime;
-    logger.info('Record formatting completed:', {
-      originalCount: records.length,
-      formattedCount: formattedRecords.length,
-      duration: `${duration}ms`,
-      sampleFormatted: formattedRecords[0]
-        ? {
-          id: formattedRecords[0].id,
-          order_number: formattedRecords[0].order_number,
-          customer_name: formattedRecords[0].customer_name,
-          timestamp: formattedRecords[0].timestamp,
-          balance_dollar_amount: formattedRecords[0].balance_dollar_amount
-        }
-        : 'No records formatted'
-    });
+    // Dropped entries carry the record when it is still at hand; a superseded record is listed by ID
+    const drop = (rule, entry) => {
+      removed[rule]++;
+      if (dropped.length < droppedRecords.config.maxRecordsPerRun) {
+        dropped.push({ rule, ...entry });
+      }
+    };
 
-    return formattedRecords;
-  }
+    return {
+      format: (records) => {
+        const page = { records: [], replacements: [] };
 
-  safeValue(value) {
-    if (value === null || value === undefined) return '';
-    return String(value).trim();
-  }
+        records.forEach(record => {
+          stats.originalCount++;
 
-  formatDate(dateValue) {
-    if (!dateValue) return '';
+          if (!getKey) {
+            const formatted = formatOne(record);
+            if (!formatted) return;
 
-    try {
-      const date = new Date(dateValue);
-      if (isNaN(date.getTime())) return '';
+            page.records.push(formatted);
+            stats.formattedCount++;
+            return;
+          }
 
-      // Return ISO date string
-      return date.toISOString().split('T')[0];
-    } catch (error) {
-      logger.warn('Invalid date value:', dateValue);
-      return '';
-    }
-  }
+          const key = getKey(record);
+          if (!key) {
+            logger.warn(`Record ${record.id} has no ${policy} value and was set aside for review`, {
+              recordId: record.id,
+              orderNumber: record.orderNumber
+            });
+            drop('missingKey', { id: record.id || null, key: null, record: formatOne(record) || record });
+            return;
+          }
 
-  formatCurrency(value) {
-    if (!value) return '';
+          const date = getDate(record);
+          const existing = emitted.get(key);
 
-    try {
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) return '';
+          if (existing) {
+            if (!(date > existing.date)) {
+              drop('duplicate', { id: record.id, key, keptId: existing.id, record: formatOne(record) || record });
+              return;
+            }
 
-      return numValue.toFixed(2);
-    } catch (error) {
-      logger.warn('Invalid currency value:', value);
-      return '';
-    }
+            // Keep the record with the most recent update in the earlier position
+            const formatted = formatOne(record);
+            if (!formatted) return;
+
+            drop('duplicate', { id: existing.id, key, keptId: formatted.id, record: null });
+            page.replacements.push({ index: existing.index, record: formatted, replacedId: existing.id });
+            emitted.set(key, { index: existing.index, date, id: formatted.id });
+            stats.replaced++;
+            return;
+          }
+
+          const formatted = formatOne(record);
+          if (!formatted) return;
+
+          emitted.set(key, { index: stats.formattedCount, date, id: formatted.id });
+          page.records.push(formatted);
+          stats.formattedCount++;
+        });
+
+        return page;
+      },
+
+      logSummary: () => {
+        const report = {
+          runId,
+          policy,
+          endpoint: this.config.endpoint,
+          ...stats,
+          removed: { ...removed },
+          uniqueKeys: getKey ? emitted.size : undefined
+        };
+
+        logger.info('Record formatting completed:', report);
+        return report;
+      },
+
+      saveDropped: async () => {
+        if (removed.duplicate + removed.missingKey === 0) {
+          return null;
+        }
+
+        return droppedRecords.saveRun({
+          runId,
+          policy,
+          endpoint: this.config.endpoint,
+          startedAt,
+          originalCount: stats.originalCount,
+          removed: { ...removed },
+          truncated: removed.duplicate + removed.missingKey > dropped.length,
+          records: dropped
+        });
+      }
+    };
   }
 
   // Health check method
@@ -863,58 +1097,6 @@ class ShedSuiteService {
       };
     }
   }
-
-  deduplicateByCustomerId(records) {
-    this._initialize(); // Ensure config and errorHandler are initialized
-    const customerMap = new Map();
-    let duplicatesRemoved = 0;
-
-    logger.info(`Starting deduplication of ${records.length} records...`);
-
-    records.forEach((record, index) => {
-      const customerId = record.customerId || record.customer_id;
-      if (!customerId) {
-        logger.warn(`Record at index ${index} has no customer ID`, {
-          recordId: record.id,
-          orderNumber: record.orderNumber
-        });
-        return;
-      }
-
-      const existing = customerMap.get(customerId);
-      if (!existing) {
-        customerMap.set(customerId, record);
-      } else {
-        duplicatesRemoved++;
-
-        // Keep the record with the most recent update
-        const existingDate = new Date(existing.dateUpdated || existing.dateOrdered || existing.timestamp || 0);
-        const currentDate = new Date(record.dateUpdated || record.dateOrdered || record.timestamp || 0);
-
-        if (currentDate > existingDate) {
-          logger.debug(`Replacing older record for customer ${customerId}`, {
-            oldDate: existingDate.toISOString(),
-            newDate: currentDate.toISOString(),
-            oldStatus: existing.status,
-            newStatus: record.status,
-            oldId: existing.id,
-            newId: record.id
-          });
-          customerMap.set(customerId, record);
-        }
-      }
-    });
-
-    const deduplicated = Array.from(customerMap.values());
-    logger.info('Deduplication complete:', {
-      originalCount: records.length,
-      deduplicatedCount: deduplicated.length,
-      duplicatesRemoved,
-      uniqueCustomers: customerMap.size
-    });
-
-    return deduplicated;
-  }
 }
 
 module.exports = new ShedSuiteService();
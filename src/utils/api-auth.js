@@ -0,0 +1,397 @@
+/**
+ * API Authentication
+ *
+ * The export and monitoring APIs accept either an API key (X-API-Key header,
+ * or Authorization: Bearer <key>) or an HS256 JWT bearer token. Every caller
+ * gets scopes, and each route names the scope it needs:
+ *
+ *   read      export data, counts, reports, job and monitoring status
+ *   operator  start, cancel and stop syncs and monitoring (includes read)
+ *   admin     reset statistics, send test notifications, read the audit log (includes operator)
+ *
+ * Keys come from AUTH_API_KEYS ("name:key:scope,...") and/or the JSON file at
+ * AUTH_API_KEYS_FILE, which is re-read when it changes, so keys can be added
+ * or revoked without a deploy. JWTs are checked against AUTH_JWT_SECRET (and
+ * AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE when set), must carry an "exp" claim,
+ * and carry their scopes in a "scope" (space-separated) or "scopes" claim.
+ * AUTH_JWT_MAX_AGE_SECONDS additionally rejects tokens issued ("iat") longer
+ * ago than that, however far away their expiry is.
+ *
+ * Authentication fails closed: with no keys and no JWT secret configured
+ * every protected request is refused. AUTH_DISABLED=true opens the APIs for
+ * local development. The /health and /ready probes and GET /api/health never
+ * require credentials.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Each scope includes the ones before it
+const SCOPES = ['read', 'operator', 'admin'];
+
+// How often the keys file is checked for changes
+const KEYS_FILE_CHECK_INTERVAL_MS = 10000;
+// Allowed clock difference for JWT exp, nbf and iat
+const JWT_CLOCK_TOLERANCE_SECONDS = 30;
+
+class ApiAuth {
+  constructor() {
+    this.config = null;
+    this.keys = [];
+    this.keysFile = { path: null, mtimeMs: null, checkedAt: 0 };
+  }
+
+  /**
+   * Read the configuration on first use, after dotenv has loaded the environment
+   */
+  _initialize() {
+    if (this.config) {
+      return;
+    }
+
+    const config = {
+      keys: process.env.AUTH_API_KEYS || '',
+      keysFile: process.env.AUTH_API_KEYS_FILE ? path.resolve(process.env.AUTH_API_KEYS_FILE) : null,
+      jwtSecret: process.env.AUTH_JWT_SECRET || null,
+      jwtIssuer: process.env.AUTH_JWT_ISSUER || null,
+      jwtAudience: process.env.AUTH_JWT_AUDIENCE || null,
+      jwtMaxAgeSeconds: process.env.AUTH_JWT_MAX_AGE_SECONDS ? Number(process.env.AUTH_JWT_MAX_AGE_SECONDS) : null,
+      disabled: process.env.AUTH_DISABLED === 'true'
+    };
+
+    if (config.jwtMaxAgeSeconds !== null && !(Number.isInteger(config.jwtMaxAgeSeconds) && config.jwtMaxAgeSeconds > 0)) {
+      throw new Error(`AUTH_JWT_MAX_AGE_SECONDS must be a positive number of seconds, got "${process.env.AUTH_JWT_MAX_AGE_SECONDS}"`);
+    }
+    this.keys = this.parseKeyList(config.keys);
+    this.config = config;
+    this.keysFile.path = config.keysFile;
+    this.reloadKeysFile(true);
+
+    logger.info('API authentication configured', this.getStatus());
+    if (config.disabled) {
+      logger.warn('API authentication is disabled (AUTH_DISABLED=true); every caller is treated as admin');
+    } else if (!this.hasCredentials()) {
+      logger.warn('No API keys or JWT secret configured; every protected API request will be refused');
+    }
+  }
+
+  /**
+   * Check the configuration once at startup, so a mistake stops the server
+   * instead of failing every protected request
+   * @throws {Error} For a malformed AUTH_API_KEYS or AUTH_JWT_MAX_AGE_SECONDS, or an unreadable AUTH_API_KEYS_FILE
+   */
+  validateConfig() {
+    this._initialize();
+    if (this.keysFile.path && !this.keysFile.keys) {
+      throw new Error(`AUTH_API_KEYS_FILE could not be loaded: ${this.keysFile.path}`);
+    }
+  }
+
+  /**
+   * Whether requests must authenticate; only AUTH_DISABLED=true turns this off
+   * @returns {boolean} Whether requests must authenticate
+   */
+  isEnabled() {
+    this._initialize();
+    return !this.config.disabled;
+  }
+
+  /**
+   * Whether any credentials are configured. A keys file counts even while it cannot be read.
+   * @returns {boolean} Whether a caller could authenticate
+   */
+  hasCredentials() {
+    return Boolean(this.config.jwtSecret || this.config.keysFile) || this.keys.length > 0;
+  }
+
+  /**
+   * Summary for logs and status endpoints, without any secrets
+   * @returns {Object} Authentication status
+   */
+  getStatus() {
+    this._initialize();
+    return {
+      enabled: this.isEnabled(),
+      credentialsConfigured: this.hasCredentials(),
+      apiKeys: this.getKeys().map(({ name, scopes }) => ({ name, scopes })),
+      keysFile: this.config.keysFile,
+      jwt: Boolean(this.config.jwtSecret),
+      jwtMaxAgeSeconds: this.config.jwtMaxAgeSeconds
+    };
+  }
+
+  /**
+   * Configured API keys, with the keys file re-read when it has changed
+   * @returns {Array<Object>} Keys ({ name, hash, scopes })
+   */
+  getKeys() {
+    this.reloadKeysFile();
+    return this.keys.concat(this.keysFile.keys || []);
+  }
+
+  /**
+   * Parse AUTH_API_KEYS: comma-separated "name:key:scope" entries
+   * @param {string} value Environment value
+   * @returns {Array<Object>} Keys ({ name, hash, scopes })
+   */
+  parseKeyList(value) {
+    return value.split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry.length > 0)
+      .map(entry => {
+        const parts = entry.split(':');
+        if (parts.length < 3) {
+          throw new Error(`AUTH_API_KEYS entries must look like name:key:scope, got "${parts[0]}:..."`);
+        }
+        const name = parts[0];
+        const scope = parts[parts.length - 1];
+        const key = parts.slice(1, -1).join(':');
+        return this.createKey({ name, key, scopes: [scope] }, 'AUTH_API_KEYS');
+      });
+  }
+
+  /**
+   * Validate one key definition
+   * @param {Object} definition { name, key | sha256, scopes }
+   * @param {string} source Where the key was defined, for error messages
+   * @returns {Object} Key ({ name, hash, scopes })
+   */
+  createKey(definition, source) {
+    const { name, key, sha256 } = definition;
+    const scopes = Array.isArray(definition.scopes) ? definition.scopes : [definition.scope];
+
+    if (!name || (!key && !sha256)) {
+      throw new Error(`API keys in ${source} need a name and a key (or its sha256)`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0 || scopes.length === 0) {
+      throw new Error(`API key "${name}" in ${source} has unknown scopes: ${unknown.join(', ') || 'none'}; use ${SCOPES.join(', ')}`);
+    }
+
+    // Only digests are kept, so keys are compared in constant time and never logged
+    return {
+      name,
+      hash: sha256 ? Buffer.from(sha256, 'hex') : crypto.createHash('sha256').update(key).digest(),
+      scopes
+    };
+  }
+
+  /**
+   * Re-read AUTH_API_KEYS_FILE when its modification time changes.
+   * A broken file keeps the previously loaded keys.
+   * @param {boolean} force Read even if checked recently
+   */
+  reloadKeysFile(force = false) {
+    const file = this.keysFile;
+    if (!file.path || (!force && Date.now() - file.checkedAt < KEYS_FILE_CHECK_INTERVAL_MS)) {
+      return;
+    }
+    file.checkedAt = Date.now();
+
+    try {
+      const { mtimeMs } = fs.statSync(file.path);
+      if (mtimeMs === file.mtimeMs) {
+        return;
+      }
+
+      const config = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+      const definitions = Array.isArray(config) ? config : config.keys;
+      if (!Array.isArray(definitions)) {
+        throw new Error('expected an array of keys or { "keys": [...] }');
+      }
+
+      file.keys = definitions.map(definition => this.createKey(definition, file.path));
+      file.mtimeMs = mtimeMs;
+      logger.info('API keys loaded', { file: file.path, keys: file.keys.map(({ name, scopes }) => ({ name, scopes })) });
+    } catch (error) {
+      logger.error('Failed to load API keys file, keeping the previous keys', { file: file.path, error: error.message });
+    }
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {Object} req Express request
+   * @returns {Object|null} Identity ({ type, name, scopes }), or null without credentials
+   * @throws {Error} AUTH_INVALID error for credentials that do not check out
+   */
+  authenticate(req) {
+    this._initialize();
+    const header = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    const apiKey = req.get('x-api-key') || (bearer && bearer[1].split('.').length !== 3 ? bearer[1] : null);
+
+    if (apiKey) {
+      const hash = crypto.createHash('sha256').update(apiKey.trim()).digest();
+      const match = this.getKeys().find(key => key.hash.length === hash.length && crypto.timingSafeEqual(key.hash, hash));
+      if (!match) {
+        throw this.createAuthError('Unknown API key');
+      }
+      return { type: 'api_key', name: match.name, scopes: match.scopes };
+    }
+
+    if (bearer) {
+      const claims = this.verifyJwt(bearer[1]);
+      const scopes = Array.isArray(claims.scopes)
+        ? claims.scopes
+        : String(claims.scope || '').split(/\s+/).filter(Boolean);
+      return { type: 'jwt', name: claims.sub || 'unknown', scopes: scopes.filter(scope => SCOPES.includes(scope)) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify an HS256 JWT and return its claims
+   * @param {string} token JWT
+   * @returns {Object} Claims
+   * @throws {Error} AUTH_INVALID error for a bad signature, algorithm, issuer, audience or lifetime, or a missing exp
+   */
+  verifyJwt(token) {
+    if (!this.config.jwtSecret) {
+      throw this.createAuthError('Bearer tokens are not accepted (AUTH_JWT_SECRET is not set)');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw this.createAuthError('Malformed bearer token');
+    }
+    if (!header || !claims || typeof claims !== 'object') {
+      throw this.createAuthError('Malformed bearer token');
+    }
+
+    if (header.alg !== 'HS256') {
+      throw this.createAuthError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const expected = crypto.createHmac('sha256', this.config.jwtSecret).update(`${encodedHeader}.${encodedPayload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw this.createAuthError('Invalid token signature');
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp !== 'number') {
+      throw this.createAuthError('Token has no expiry (exp claim)');
+    }
+    if (now > claims.exp + JWT_CLOCK_TOLERANCE_SECONDS) {
+      throw this.createAuthError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - JWT_CLOCK_TOLERANCE_SECONDS) {
+      throw this.createAuthError('Token is not valid yet');
+    }
+    if (this.config.jwtMaxAgeSeconds) {
+      if (typeof claims.iat !== 'number') {
+        throw this.createAuthError('Token has no issue time (iat claim)');
+      }
+      if (now > claims.iat + this.config.jwtMaxAgeSeconds + JWT_CLOCK_TOLERANCE_SECONDS) {
+        throw this.createAuthError('Token is older than the allowed maximum age');
+      }
+      if (now < claims.iat - JWT_CLOCK_TOLERANCE_SECONDS) {
+        throw this.createAuthError('Token was issued in the future');
+      }
+    }
+    if (this.config.jwtIssuer && claims.iss !== this.config.jwtIssuer) {
+      throw this.createAuthError('Token issuer is not accepted');
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (this.config.jwtAudience && !audiences.includes(this.config.jwtAudience)) {
+      throw this.createAuthError('Token audience is not accepted');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Whether an identity holds a scope, directly or through a higher one
+   * @param {Object} identity Identity from authenticate()
+   * @param {string} scope Required scope; an unknown scope is never held
+   * @returns {boolean} Whether access is allowed
+   */
+  hasScope(identity, scope) {
+    const required = SCOPES.indexOf(scope);
+    return required !== -1 && identity.scopes.some(held => SCOPES.indexOf(held) >= required);
+  }
+
+  /**
+   * Error for credentials that were sent but are not valid
+   * @param {string} message Reason
+   * @returns {Error} Error with code AUTH_INVALID
+   */
+  createAuthError(message) {
+    const error = new Error(message);
+    error.code = 'AUTH_INVALID';
+    return error;
+  }
+}
+
+// Export a singleton instance
+const apiAuth = new ApiAuth();
+
+/**
+ * Middleware that lets a request through only with a scope. The caller's
+ * identity is left on req.auth. With AUTH_DISABLED=true every request passes
+ * as an anonymous admin.
+ * @param {string|Function} scope Required scope, or a function of the request returning it
+ * @returns {Function} Express middleware
+ * @throws {Error} For a scope that is not one of SCOPES, when the route is defined
+ */
+function requireScope(scope) {
+  if (typeof scope !== 'function' && !SCOPES.includes(scope)) {
+    throw new Error(`Unknown API scope "${scope}"; use ${SCOPES.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!apiAuth.isEnabled()) {
+      req.auth = { type: 'none', name: 'anonymous', scopes: ['admin'] };
+      return next();
+    }
+
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    let identity;
+    try {
+      identity = apiAuth.authenticate(req);
+    } catch (error) {
+      logger.warn('Rejected API credentials', { path: req.originalUrl, ip: req.ip, reason: error.message });
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: error.message
+      });
+    }
+
+    if (!identity) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Send an API key in the X-API-Key header or a bearer token in the Authorization header'
+      });
+    }
+
+    req.auth = identity;
+    if (!apiAuth.hasScope(identity, required)) {
+      logger.warn('API request denied for missing scope', { path: req.originalUrl, caller: identity.name, scopes: identity.scopes, required });
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This endpoint needs the "${required}" scope; ${identity.name} has ${identity.scopes.join(', ') || 'none'}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ApiAuth,
+  SCOPES,
+  apiAuth,
+  requireScope
+};
@@ -0,0 +1,271 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of who changed what: every state-changing API call
+ * (caller, IP, parameters, outcome), every background job's result and every
+ * sync run, automatic or manual. Entries are JSON lines in
+ * state/audit/audit.jsonl; when the file passes AUDIT_LOG_MAX_BYTES it is
+ * renamed to audit-<timestamp>.jsonl and a new one is started. Only the
+ * newest AUDIT_LOG_RETENTION rotated files are kept.
+ *
+ * Entries are never rewritten. Writing one never fails the action it
+ * describes; a failed write is logged instead.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+const CURRENT_FILE = 'audit.jsonl';
+const ROTATED_FILE_PATTERN = /^audit-[\w-]+\.jsonl$/;
+
+// Longest serialized request parameters kept per entry
+const MAX_PARAMS_LENGTH = 4096;
+
+class AuditLog {
+  constructor() {
+    this.config = {
+      dir: process.env.AUDIT_LOG_DIR || path.join(process.env.STATE_DIR || path.join(process.cwd(), 'state'), 'audit'),
+      maxFileBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES) || 10 * 1024 * 1024,
+      // Rotated files kept next to the current one
+      retention: parseInt(process.env.AUDIT_LOG_RETENTION) || 10
+    };
+    // Writes run one after another so lines never interleave with a rotation
+    this.writeQueue = Promise.resolve();
+    this.currentSize = null;
+  }
+
+  /**
+   * Append an entry. Resolves once written; never rejects.
+   * @param {Object} entry Entry fields
+   * @param {string} entry.action What happened, e.g. 'monitor.stop' or 'sync.full_sync'
+   * @param {Object} entry.actor Who did it ({ type, name })
+   * @param {Object} entry.outcome Result ({ status, ... })
+   * @returns {Promise<Object>} The stored entry
+   */
+  record(entry) {
+    const stored = {
+      id: `audit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    this.writeQueue = this.writeQueue.then(() => this.append(stored)).catch(error => {
+      logger.error('Failed to write audit log entry', { action: stored.action, error: error.message });
+    });
+
+    return this.writeQueue.then(() => stored);
+  }
+
+  /**
+   * Write one line to the current file, rotating it first when it is full
+   * @param {Object} entry Entry
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const filePath = path.join(this.config.dir, CURRENT_FILE);
+
+    if (this.currentSize === null) {
+      await fs.mkdir(this.config.dir, { recursive: true });
+      this.currentSize = await fs.stat(filePath).then(stats => stats.size, () => 0);
+    }
+
+    if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.config.maxFileBytes) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(filePath, line, { encoding: 'utf8', flag: 'a' });
+    this.currentSize += Buffer.byteLength(line);
+  }
+
+  /**
+   * Move the current file aside and delete the oldest rotated files
+   * @returns {Promise<void>}
+   */
+  async rotate() {
+    const rotatedName = `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    await fs.rename(path.join(this.config.dir, CURRENT_FILE), path.join(this.config.dir, rotatedName));
+    this.currentSize = 0;
+    logger.info('Audit log rotated', { file: rotatedName });
+
+    const expired = (await this.getRotatedFiles()).slice(this.config.retention);
+    for (const file of expired) {
+      await fs.unlink(path.join(this.config.dir, file));
+    }
+  }
+
+  /**
+   * Rotated files, newest first (their names sort by rotation time)
+   * @returns {Promise<Array<string>>} File names
+   */
+  async getRotatedFiles() {
+    try {
+      return (await fs.readdir(this.config.dir))
+        .filter(file => ROTATED_FILE_PATTERN.test(file))
+        .sort()
+        .reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find entries, newest first
+   * @param {Object} filters Query filters
+   * @param {number} filters.from Earliest timestamp (ms, inclusive)
+   * @param {number} filters.to Latest timestamp (ms, inclusive)
+   * @param {Array<string>} filters.actions Actions to include; 'sync.*' matches every action starting with 'sync.'
+   * @param {string} filters.actor Actor name
+   * @param {string} filters.status Outcome status ('success', 'failure', 'completed', 'failed', ...)
+   * @param {number} filters.limit Most entries returned
+   * @returns {Promise<Object>} { entries, truncated }
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 100;
+    const entries = [];
+    const matchesAction = (action) => !filters.actions || filters.actions.length === 0 || filters.actions.some(pattern =>
+      pattern.endsWith('*') ? action.startsWith(pattern.slice(0, -1)) : action === pattern);
+
+    // Let queued writes land so a caller reads its own actions back
+    await this.writeQueue;
+
+    const files = [CURRENT_FILE, ...await this.getRotatedFiles()];
+    for (const file of files) {
+      const filePath = path.join(this.config.dir, file);
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const lines = content.split('\n').filter(line => line.length > 0).reverse();
+      let olderThanRange = false;
+
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logger.warn('Skipping unreadable audit log line', { file });
+          continue;
+        }
+
+        const time = new Date(entry.timestamp).getTime();
+        if (filters.to !== undefined && time > filters.to) continue;
+        if (filters.from !== undefined && time < filters.from) {
+          olderThanRange = true;
+          break;
+        }
+        if (!matchesAction(entry.action)) continue;
+        if (filters.actor && (!entry.actor || entry.actor.name !== filters.actor)) continue;
+        if (filters.status && (!entry.outcome || entry.outcome.status !== filters.status)) continue;
+
+        entries.push(entry);
+        if (entries.length > limit) {
+          return { entries: entries.slice(0, limit), truncated: true };
+        }
+      }
+
+      // Older files only hold older entries
+      if (olderThanRange) break;
+    }
+
+    return { entries, truncated: false };
+  }
+}
+
+// Export a singleton instance
+const auditLog = new AuditLog();
+
+/**
+ * The caller of a request as recorded in the audit log
+ * @param {Object} req Express request (req.auth is set by requireScope)
+ * @returns {Object} Actor ({ type, name })
+ */
+function getActor(req) {
+  return req.auth
+    ? { type: req.auth.type, name: req.auth.name }
+    : { type: 'unauthenticated', name: null };
+}
+
+/**
+ * Middleware that records the request in the audit log once the response is
+ * sent, including refused ones (401, 403, 409, 429). Place it before
+ * requireScope so rejected callers are recorded too.
+ * @param {string|Function} action Action name, or a function of the request
+ *   returning it (or null for a request that changes nothing)
+ * @returns {Function} Express middleware
+ */
+function auditRequest(action) {
+  return (req, res, next) => {
+    const name = typeof action === 'function' ? action(req) : action;
+    if (!name) {
+      return next();
+    }
+
+    const startTime = Date.now();
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    let recorded = false;
+    const recordOutcome = (completed) => {
+      if (recorded) return;
+      recorded = true;
+
+      const outcome = {
+        status: completed && res.statusCode < 400 ? 'success' : 'failure',
+        statusCode: completed ? res.statusCode : null,
+        duration: Date.now() - startTime
+      };
+      if (!completed) outcome.error = 'Connection closed before the response was sent';
+      if (responseBody && responseBody.error) outcome.error = responseBody.error;
+      if (responseBody && responseBody.jobId) outcome.jobId = responseBody.jobId;
+
+      auditLog.record({
+        action: name,
+        actor: getActor(req),
+        ip: req.ip,
+        request: { method: req.method, path: req.originalUrl.split('?')[0] },
+        params: getParams(req),
+        outcome
+      });
+    };
+
+    res.on('finish', () => recordOutcome(true));
+    res.on('close', () => recordOutcome(res.writableFinished));
+    next();
+  };
+}
+
+/**
+ * Route parameters, query and body of a request, shortened when large
+ * @param {Object} req Express request
+ * @returns {Object} Parameters
+ */
+function getParams(req) {
+  const params = {};
+  if (req.params && Object.keys(req.params).length > 0) params.route = req.params;
+  if (req.query && Object.keys(req.query).length > 0) params.query = req.query;
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) params.body = req.body;
+
+  const serialized = JSON.stringify(params);
+  return serialized.length > MAX_PARAMS_LENGTH
+    ? { truncated: serialized.slice(0, MAX_PARAMS_LENGTH) }
+    : params;
+}
+
+module.exports = {
+  AuditLog,
+  auditLog,
+  auditRequest,
+  getActor
+};
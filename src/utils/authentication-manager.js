@@ -1,6 +1,7 @@
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const { logger } = require('./logger');
 const { ErrorHandler } = require('./error-handler');
+const notificationSystem = require('./notification-system');
 
 /**
  * Enhanced Authentication Manager for Microsoft Graph API
@@ -577,4 +578,71 @@ class AuthenticationManager {
   }
 }
 
-module.exports = { AuthenticationManager };
\ No newline at end of file
+// Shared by every Graph client, so all destinations reuse one cached token
+let sharedManager = null;
+
+/**
+ * Get the shared authentication manager, created on first use. Token failures
+ * are sent to the notification system once per failure streak; the next
+ * successful token acquisition ends the streak.
+ * @returns {AuthenticationManager} Authentication manager
+ */
+function getAuthenticationManager() {
+  if (sharedManager) {
+    return sharedManager;
+  }
+
+  const manager = new AuthenticationManager();
+  let failing = false;
+
+  const notifyFailure = (error, context) => {
+    if (failing) {
+      return;
+    }
+    failing = true;
+    notificationSystem.sendNotification({
+      level: 'error',
+      title: 'Microsoft Graph Authentication Failed',
+      message: `Could not get an access token for Microsoft Graph (${context}): ${error}. Excel syncs fail until a token can be acquired.`,
+      details: {
+        context,
+        error,
+        clientId: manager.config.clientId,
+        tenantId: manager.config.tenantId,
+        refreshAttempts: manager.refreshAttempts
+      }
+    }).catch(notifyError => logger.error('Failed to send authentication failure notification:', notifyError));
+  };
+
+  manager.addEventListener('authenticationFailed', ({ error, context }) => notifyFailure(error, context));
+  manager.addEventListener('fallbackActivated', ({ originalError }) => notifyFailure(originalError.message, 'token_request'));
+  manager.addEventListener('tokenRefreshed', () => {
+    if (!failing) {
+      return;
+    }
+    failing = false;
+    notificationSystem.sendNotification({
+      level: 'info',
+      title: 'Microsoft Graph Authentication Recovered',
+      message: 'An access token for Microsoft Graph was acquired again',
+      details: { expiresAt: new Date(manager.tokenExpiresAt).toISOString() }
+    }).catch(notifyError => logger.error('Failed to send authentication recovery notification:', notifyError));
+  });
+
+  sharedManager = manager;
+  return sharedManager;
+}
+
+/**
+ * Status of the shared authentication manager
+ * @returns {Object|null} Status, or null before the first Graph request
+ */
+function getAuthenticationStatus() {
+  return sharedManager ? sharedManager.getStatus() : null;
+}
+
+module.exports = {
+  AuthenticationManager,
+  getAuthenticationManager,
+  getAuthenticationStatus
+};
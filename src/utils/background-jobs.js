@@ -0,0 +1,273 @@
+/**
+ * Background Jobs
+ *
+ * Long-running API operations (manual syncs, forced full syncs) run here
+ * instead of inside the HTTP request, which proxies cut off long before a
+ * full sync finishes. Starting a job returns its ID at once; its phase and
+ * progress are tracked as a progressDashboard operation and read back through
+ * GET /api/export/jobs/:id.
+ *
+ * Cancellation is cooperative: the job is flagged and stops at its next
+ * checkpoint, which for syncs is the next page of records. Rows already
+ * written stay written. A job still waiting for a worksheet's sync lock
+ * leaves the queue at once.
+ */
+const { logger } = require('./logger');
+const progressDashboard = require('./progress-dashboard');
+const { auditLog } = require('./audit-log');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class BackgroundJobs {
+  constructor() {
+    this.jobs = new Map();
+    this.config = {
+      // Finished jobs kept for status polling; running jobs are never dropped
+      retention: parseInt(process.env.BACKGROUND_JOB_RETENTION) || 50
+    };
+  }
+
+  /**
+   * Start a job. The work begins on the next tick, after the caller has responded.
+   * @param {string} type Job type, also the dashboard operation type
+   * @param {Function} run Async work, called with the job context ({ jobId, operationId, signal,
+   *   setPhase, updateProgress, throwIfCancelled, cancellable, syncLockRequest })
+   * @param {Object} metadata Job details shown in its status (filters, destination, ...);
+   *   metadata.requestedBy ({ type, name }) is the caller recorded in the audit log
+   * @returns {Object} Job status
+   */
+  start(type, run, metadata = {}) {
+    const jobId = `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const operationId = progressDashboard.registerOperation(type, { jobId, ...metadata });
+
+    const job = {
+      id: jobId,
+      type,
+      operationId,
+      metadata,
+      status: 'queued',
+      phase: null,
+      phaseStep: null,
+      cancelRequested: false,
+      abortController: new AbortController(),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(jobId, job);
+    this.prune();
+
+    logger.info(`Background job ${jobId} queued`, { type, metadata });
+    setImmediate(() => this.execute(job, run));
+
+    return this.getStatus(job);
+  }
+
+  /**
+   * Run a job to completion and record the outcome
+   * @param {Object} job Job
+   * @param {Function} run Async work
+   * @returns {Promise<void>}
+   */
+  async execute(job, run) {
+    const context = this.createContext(job);
+
+    try {
+      context.throwIfCancelled();
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      const result = await run(context);
+      this.finish(job, 'completed', { result: result === undefined ? null : result });
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        this.finish(job, 'cancelled', { error: error.message });
+        return;
+      }
+
+      logger.error(`Background job ${job.id} failed`, { type: job.type, error: error.message });
+      this.finish(job, 'failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Context handed to the job's work function
+   * @param {Object} job Job
+   * @returns {Object} Job context
+   */
+  createContext(job) {
+    const throwIfCancelled = () => {
+      if (job.cancelRequested) {
+        throw this.createCancelledError(job);
+      }
+    };
+
+    // Close the current phase and open the next one as a dashboard step
+    const setPhase = (phase) => {
+      if (job.phaseStep !== null) {
+        progressDashboard.updateStep(job.operationId, job.phaseStep, 'completed');
+      }
+      job.phase = phase;
+      job.phaseStep = progressDashboard.addStep(job.operationId, phase);
+      progressDashboard.addLog(job.operationId, 'info', `Phase: ${phase}`);
+    };
+
+    return {
+      jobId: job.id,
+      operationId: job.operationId,
+      signal: job.abortController.signal,
+      throwIfCancelled,
+      setPhase,
+
+      // Sync coordinator request for this job: wait for a busy sheet, shown as a phase, until cancelled
+      syncLockRequest: (kind) => ({
+        kind,
+        trigger: 'manual',
+        requestedBy: job.metadata.requestedBy,
+        onBusy: 'queue',
+        signal: job.abortController.signal,
+        onQueued: (running, position) => setPhase(`Waiting for running ${running.kind} (position ${position})`)
+      }),
+
+      updateProgress: (progress, metrics = {}) => {
+        progressDashboard.updateProgress(job.operationId, progress, metrics);
+      },
+
+      // Pass pages through, stopping before the next one once the job is cancelled
+      cancellable: async function* (pages) {
+        for await (const page of pages) {
+          throwIfCancelled();
+          yield page;
+        }
+      }
+    };
+  }
+
+  /**
+   * Error thrown at a cancelled job's next checkpoint
+   * @param {Object} job Job
+   * @returns {Error} Error with code JOB_CANCELLED
+   */
+  createCancelledError(job) {
+    const error = new Error(`Job ${job.id} was cancelled`);
+    error.code = 'JOB_CANCELLED';
+    return error;
+  }
+
+  /**
+   * Record a job's final status
+   * @param {Object} job Job
+   * @param {string} status 'completed', 'failed' or 'cancelled'
+   * @param {Object} outcome { result } or { error }
+   */
+  finish(job, status, outcome) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.result = outcome.result || null;
+    job.error = outcome.error || null;
+
+    if (job.phaseStep !== null) {
+      progressDashboard.updateStep(job.operationId, job.phaseStep, status === 'completed' ? 'completed' : 'failed');
+    }
+    if (job.error) {
+      progressDashboard.addLog(job.operationId, status === 'cancelled' ? 'warn' : 'error', job.error);
+    }
+    progressDashboard.completeOperation(job.operationId, status, job.error ? { error: job.error } : { jobId: job.id });
+
+    auditLog.record({
+      action: `job.${job.type}`,
+      actor: job.metadata.requestedBy || { type: 'system', name: 'background_jobs' },
+      jobId: job.id,
+      outcome: {
+        status,
+        error: job.error || undefined,
+        duration: job.startedAt ? Date.now() - new Date(job.startedAt).getTime() : 0
+      }
+    });
+
+    logger.info(`Background job ${job.id} ${status}`, { type: job.type, phase: job.phase });
+  }
+
+  /**
+   * Request cancellation. A queued job never starts; a running job stops at its next checkpoint.
+   * @param {string} jobId Job ID
+   * @returns {Object|null} Job status, or null when the job does not exist
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (!FINISHED_STATUSES.includes(job.status) && !job.cancelRequested) {
+      job.cancelRequested = true;
+      job.abortController.abort(this.createCancelledError(job));
+      progressDashboard.addLog(job.operationId, 'warn', 'Cancellation requested');
+      logger.info(`Background job ${jobId} cancellation requested`, { type: job.type, phase: job.phase });
+    }
+
+    return this.getStatus(job);
+  }
+
+  /**
+   * Status of one job
+   * @param {string|Object} jobOrId Job or job ID
+   * @returns {Object|null} Job status, or null when the job does not exist
+   */
+  getStatus(jobOrId) {
+    const job = typeof jobOrId === 'string' ? this.jobs.get(jobOrId) : jobOrId;
+    if (!job) {
+      return null;
+    }
+
+    const operation = progressDashboard.getOperation(job.operationId);
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      phase: job.phase,
+      finished: FINISHED_STATUSES.includes(job.status),
+      cancelRequested: job.cancelRequested,
+      progress: operation ? {
+        percent: operation.progress,
+        processedItems: operation.metrics.processedItems,
+        totalItems: operation.metrics.totalItems,
+        estimatedTimeRemaining: operation.metrics.estimatedTimeRemaining
+      } : null,
+      steps: operation ? operation.steps.map(({ name, status, duration }) => ({ name, status, duration })) : [],
+      metadata: job.metadata,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Status of every kept job, newest first
+   * @returns {Array<Object>} Job statuses
+   */
+  listJobs() {
+    return [...this.jobs.values()].reverse().map(job => this.getStatus(job));
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond the retention limit
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+
+    finished.slice(0, Math.max(0, finished.length - this.config.retention)).forEach(job => {
+      this.jobs.delete(job.id);
+    });
+  }
+}
+
+// Export a singleton instance
+const backgroundJobs = new BackgroundJobs();
+
+module.exports = backgroundJobs;
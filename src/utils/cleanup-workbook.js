@@ -1,6 +1,7 @@
-const excelService = require('../services/excel');
+const excelService = require('../services/excel').getExcelService();
 const shedSuiteService = require('../services/shedsuite');
 const { logger } = require('./logger');
+const { getColumnMapping } = require('./column-mapping');
 
 class WorkbookCleanup {
   constructor() {
@@ -19,7 +20,7 @@ class WorkbookCleanup {
 
       // Step 1: Get current fresh data from ShedSuite
       logger.info('📊 Fetching fresh data from ShedSuite API...');
-      const freshRecords = await this.shedSuiteService.fetchAllRecords();
+      const freshRecords = this.shedSuiteService.formatRecordsForExport(await this.shedSuiteService.fetchAllRecords());
       logger.info(`Found ${freshRecords.length} current records to keep`);
 
       // Step 2: Nuclear cleanup - clear EVERYTHING
@@ -140,29 +141,14 @@ class WorkbookCleanup {
   }
 
   async rebuildHeaders(siteId) {
-    const headers = [
-      'Id', 'Balance Dollar Amount', 'Billing Address Line One', 'Billing Address Line Two',
-      'Billing City', 'Billing State', 'Billing Zip', 'Building Addons', 'Building Condition',
-      'Building Custom Addons', 'Building Length', 'Building Model Name', 'Building Roof Color',
-      'Building Roof Type', 'Building Siding Color', 'Building Siding Type', 'Building Size',
-      'Building Width', 'Company Id', 'County Tax Rate', 'Customer Name', 'Customer Email',
-      'Customer First Name', 'Customer Id', 'Customer Last Name', 'Customer Phone Primary',
-      'Customer Source', 'Date Delivered', 'Date Cancelled', 'Date Finished', 'Date Ordered',
-      'Date Processed', 'Date Scheduled For Delivery', 'Dealer Id', 'Dealer Primary Sales Rep',
-      'Delivery Address Line One', 'Delivery Address Line Two', 'Delivery City', 'Delivery State',
-      'Delivery Zip', 'Delivery Notes', 'Order Number', 'Order Status', 'Order Total',
-      'Payment Amount', 'Payment Method', 'Permit Required', 'Product Category', 'Product Name',
-      'Sales Rep', 'Site Preparation Required', 'Special Instructions', 'State Tax Rate',
-      'Tax Amount', 'Total Tax Rate'
-    ];
+    const headers = getColumnMapping().getHeaders();
+    const range = `A1:${this.excelService.getColumnLetter(headers.length)}1`;
 
     try {
-      await this.excelService.executeWithRetry(
-        () => this.excelService.client.api(`/sites/${siteId}/drive/items/${this.excelService.workbookId}/workbook/worksheets/${this.excelService.worksheetName}/range(address='A1:CA1')`)
-          .patch({
-            values: [headers]
-          })
-      );
+      await this.excelService.workbookRequest(`${this.excelService.getWorksheetPath(siteId)}/range(address='${range}')`, {
+        method: 'patch',
+        body: { values: [headers] }
+      });
 
       logger.info('✅ Headers rebuilt successfully');
     } catch (error) {
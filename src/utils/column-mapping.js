@@ -0,0 +1,194 @@
+/**
+ * Column Mapping
+ *
+ * Single definition of the exported order columns. Each column names the
+ * output field, its header text, the ShedSuite source field(s) and a
+ * formatter. The array order is the column order of the Excel sheet and
+ * of the JSON export, so adding a column means editing the config file only.
+ *
+ * The mapping is loaded from src/config/columns.json unless
+ * COLUMN_MAPPING_FILE points at another .json or .js file.
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, '..', 'config', 'columns.json');
+
+/**
+ * Value formatters available to columns. Each receives the source value
+ * (an array of values for multi-source columns) and returns a string.
+ */
+const FORMATTERS = {
+  text(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+  },
+
+  date(value) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      logger.warn('Invalid date value:', value);
+      return '';
+    }
+
+    // ISO date without the time part
+    return date.toISOString().split('T')[0];
+  },
+
+  currency(value) {
+    if (!value) return '';
+
+    const numValue = parseFloat(value);
+    if (isNaN(numValue)) {
+      logger.warn('Invalid currency value:', value);
+      return '';
+    }
+
+    return numValue.toFixed(2);
+  },
+
+  addons(value) {
+    if (!Array.isArray(value)) return '';
+
+    return value.map(addon =>
+      `${addon.name || ''} (${addon.quantity || 1}x @ $${addon.price || '0.00'})`).join('; ');
+  },
+
+  // First non-empty value of several source fields
+  first(values) {
+    const value = [].concat(values).find(v => v !== null && v !== undefined && String(v).trim() !== '');
+    return value === undefined ? '' : String(value).trim();
+  },
+
+  // Most recent of several date fields, or now when none is set
+  latestDate(values) {
+    const dates = [].concat(values)
+      .filter(d => d)
+      .map(d => new Date(d))
+      .filter(d => !isNaN(d.getTime()));
+
+    const mostRecentDate = dates.length > 0
+      ? new Date(Math.max(...dates))
+      : new Date();
+
+    return mostRecentDate.toISOString();
+  }
+};
+
+class ColumnMapping {
+  /**
+   * @param {Array<Object>} columns Column definitions ({ field, header, source, format })
+   */
+  constructor(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('Column mapping must define at least one column');
+    }
+
+    columns.forEach((column, index) => {
+      if (!column.field || !column.source) {
+        throw new Error(`Column ${index + 1} must define "field" and "source"`);
+      }
+      if (column.format && !FORMATTERS[column.format]) {
+        throw new Error(`Column "${column.field}" uses unknown format "${column.format}"`);
+      }
+    });
+
+    // Targeted Excel updates locate rows by the order ID in column A
+    if (columns[0].field !== 'id') {
+      throw new Error('The first mapped column must be "id"');
+    }
+
+    this.columns = columns.map(column => ({
+      field: column.field,
+      header: column.header || column.field,
+      source: column.source,
+      format: column.format || 'text'
+    }));
+  }
+
+  /**
+   * Load a column mapping from a JSON or JS config file
+   * @param {string} filePath Path to the config file
+   * @returns {ColumnMapping} Column mapping
+   */
+  static load(filePath = process.env.COLUMN_MAPPING_FILE || DEFAULT_MAPPING_FILE) {
+    const resolvedPath = path.resolve(filePath);
+    const config = require(resolvedPath);
+    const mapping = new ColumnMapping(Array.isArray(config) ? config : config.columns);
+
+    logger.info('Column mapping loaded', {
+      file: resolvedPath,
+      columns: mapping.columns.length
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Output field names in column order
+   * @returns {Array<string>} Field names
+   */
+  getFields() {
+    return this.columns.map(column => column.field);
+  }
+
+  /**
+   * Header text in column order
+   * @returns {Array<string>} Header row values
+   */
+  getHeaders() {
+    return this.columns.map(column => column.header);
+  }
+
+  /**
+   * Build the keyed export object for a raw ShedSuite record
+   * @param {Object} record Raw ShedSuite record
+   * @returns {Object} Formatted record keyed by output field
+   */
+  formatRecord(record) {
+    const formatted = {};
+
+    this.columns.forEach(column => {
+      const value = Array.isArray(column.source)
+        ? column.source.map(source => record[source])
+        : record[column.source];
+      formatted[column.field] = FORMATTERS[column.format](value);
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Turn a formatted record into a positional row in column order
+   * @param {Object} formatted Formatted record
+   * @returns {Array} Row values
+   */
+  toRow(formatted) {
+    return this.columns.map(column => {
+      const value = formatted[column.field];
+      return value === null || value === undefined ? '' : value;
+    });
+  }
+}
+
+let defaultMapping = null;
+
+/**
+ * Get the shared column mapping, loading it on first use
+ * @returns {ColumnMapping} Column mapping
+ */
+function getColumnMapping() {
+  if (!defaultMapping) {
+    defaultMapping = ColumnMapping.load();
+  }
+  return defaultMapping;
+}
+
+module.exports = {
+  ColumnMapping,
+  FORMATTERS,
+  getColumnMapping
+};
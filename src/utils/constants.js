@@ -160,11 +160,41 @@ const VALIDATION_RULES = {
   }
 };
 
+// Order export filters, keyed by query parameter and mapped to ShedSuite record fields
+const ORDER_FILTERS = {
+  // <field>[gte|gt|lte|lt]=ISO date, or YYYY-MM-DD for whole days
+  DATE_FIELDS: [
+    'dateOrdered', 'dateUpdated', 'dateDelivered', 'dateCancelled',
+    'dateFinished', 'dateProcessed', 'dateScheduledForDelivery'
+  ],
+  DATE_OPERATORS: ['gte', 'gt', 'lte', 'lt'],
+  // name=a,b keeps records where any of the fields equals one of the values (case-insensitive)
+  LIST_FIELDS: {
+    status: ['status'],
+    dealer: ['dealerId', 'soldByDealerId', 'soldByDealer'],
+    state: ['deliveryState'],
+    orderType: ['orderType']
+  },
+  // name=true|false
+  BOOLEAN_FIELDS: {
+    rto: 'rto'
+  },
+  // Earlier query parameters, kept as shorthands for date conditions
+  ALIASES: {
+    updatedAfter: ['dateUpdated', 'gte'],
+    dateFrom: ['dateOrdered', 'gte'],
+    dateTo: ['dateOrdered', 'lte']
+  },
+  // Paging and limits, passed through rather than matched
+  PAGING: ['page', 'pageSize', 'maxRecords']
+};
+
 // Common Regex Patterns
 const REGEX_PATTERNS = {
   EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   PHONE: /^\+?[\d\s\-\(\)]+$/,
   ISO_DATE: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/,
+  DATE_ONLY: /^\d{4}-\d{2}-\d{2}$/,
   UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
 };
 
@@ -198,6 +228,7 @@ module.exports = {
   FIELD_MAPPINGS,
   EXCEL_HEADERS,
   VALIDATION_RULES,
+  ORDER_FILTERS,
   REGEX_PATTERNS,
   CACHE_KEYS,
   TIME_CONSTANTS
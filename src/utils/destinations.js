@@ -0,0 +1,168 @@
+/**
+ * Destinations
+ *
+ * A destination is one target workbook: the SharePoint site that holds it,
+ * its drive item ID, the worksheet (and table) written, and an optional
+ * record filter. Separate workbooks per region or stakeholder are separate
+ * destinations, and each gets its own ExcelService instance.
+ *
+ * Destinations are loaded from DESTINATIONS_FILE (.json or .js). Without it,
+ * a single "default" destination is built from EXCEL_WORKBOOK_ID,
+ * SHAREPOINT_HOSTNAME, SHAREPOINT_SITE_PATH, EXCEL_WORKSHEET_NAME and
+ * EXCEL_TABLE_NAME.
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+
+class Destination {
+  /**
+   * @param {Object} definition Destination definition
+   * @param {string} definition.name Unique destination name
+   * @param {string} definition.hostname SharePoint hostname (e.g. contoso.sharepoint.com)
+   * @param {string} definition.sitePath SharePoint site path (e.g. /sites/Sales)
+   * @param {string} definition.workbookId Drive item ID of the workbook
+   * @param {string} definition.worksheet Worksheet to write (defaults to Sheet1)
+   * @param {string} definition.tableName Table to write in table write mode
+   * @param {Object} definition.filter Formatted field -> allowed value or values; a record must match every field
+   */
+  constructor(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('Destination must define "name"');
+    }
+
+    const missing = ['hostname', 'sitePath', 'workbookId'].filter(key => !definition[key]);
+    if (missing.length > 0) {
+      throw new Error(`Destination "${definition.name}" must define ${missing.map(key => `"${key}"`).join(', ')}`);
+    }
+
+    if (definition.filter !== undefined && (typeof definition.filter !== 'object' || Array.isArray(definition.filter))) {
+      throw new Error(`Destination "${definition.name}" filter must map field names to allowed values`);
+    }
+
+    this.name = definition.name;
+    this.hostname = definition.hostname;
+    this.sitePath = definition.sitePath;
+    this.workbookId = definition.workbookId;
+    this.worksheet = definition.worksheet || null;
+    this.tableName = definition.tableName || null;
+
+    // Compared case-insensitively on trimmed text
+    this.filter = Object.entries(definition.filter || {}).map(([field, allowed]) => ({
+      field,
+      values: [].concat(allowed).map(value => String(value).trim().toLowerCase())
+    }));
+  }
+
+  /**
+   * Whether the destination only takes some records
+   * @returns {boolean} True when a record filter is set
+   */
+  hasFilter() {
+    return this.filter.length > 0;
+  }
+
+  /**
+   * Check a formatted record against the destination's record filter
+   * @param {Object} record Formatted record
+   * @returns {boolean} True when the record belongs in this destination
+   */
+  matches(record) {
+    return this.filter.every(({ field, values }) => {
+      const value = record[field];
+      return value !== null && value !== undefined && values.includes(String(value).trim().toLowerCase());
+    });
+  }
+}
+
+/**
+ * Destination built from the single-workbook environment variables
+ * @returns {Destination} Default destination
+ */
+function getEnvironmentDestination() {
+  const required = {
+    EXCEL_WORKBOOK_ID: process.env.EXCEL_WORKBOOK_ID,
+    SHAREPOINT_HOSTNAME: process.env.SHAREPOINT_HOSTNAME,
+    SHAREPOINT_SITE_PATH: process.env.SHAREPOINT_SITE_PATH
+  };
+  const missing = Object.keys(required).filter(key => !required[key]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required when DESTINATIONS_FILE is not set`);
+  }
+
+  return new Destination({
+    name: 'default',
+    hostname: required.SHAREPOINT_HOSTNAME,
+    sitePath: required.SHAREPOINT_SITE_PATH,
+    workbookId: required.EXCEL_WORKBOOK_ID,
+    worksheet: process.env.EXCEL_WORKSHEET_NAME,
+    tableName: process.env.EXCEL_TABLE_NAME
+  });
+}
+
+/**
+ * Load the configured destinations
+ * @param {string} filePath Path to the destinations config file
+ * @returns {Array<Destination>} Destinations, the default destination first
+ */
+function loadDestinations(filePath = process.env.DESTINATIONS_FILE) {
+  if (!filePath) {
+    return [getEnvironmentDestination()];
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  const config = require(resolvedPath);
+  const definitions = Array.isArray(config) ? config : config.destinations;
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('Destinations config must define at least one destination');
+  }
+
+  const names = new Set();
+  const destinations = definitions.map(definition => {
+    const destination = new Destination(definition);
+    if (names.has(destination.name)) {
+      throw new Error(`Destination "${destination.name}" is defined more than once`);
+    }
+    names.add(destination.name);
+    return destination;
+  });
+
+  logger.info('Destinations loaded', {
+    file: resolvedPath,
+    destinations: destinations.map(destination => destination.name)
+  });
+
+  return destinations;
+}
+
+let destinations = null;
+
+/**
+ * Get a configured destination, loading the destinations on first use
+ * @param {string} name Destination name, or nothing for the default (first) destination
+ * @returns {Destination} Destination
+ */
+function getDestination(name) {
+  if (!destinations) {
+    destinations = loadDestinations();
+  }
+
+  if (!name) {
+    return destinations[0];
+  }
+
+  const destination = destinations.find(candidate => candidate.name === name);
+  if (!destination) {
+    const error = new Error(`Unknown destination: ${name}`);
+    error.code = 'DESTINATION_NOT_FOUND';
+    throw error;
+  }
+  return destination;
+}
+
+module.exports = {
+  Destination,
+  loadDestinations,
+  getDestination
+};
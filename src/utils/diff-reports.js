@@ -0,0 +1,76 @@
+/**
+ * Diff Reports
+ *
+ * Dry-run syncs compare ShedSuite with the sheet without writing, and save
+ * the result as state/diffs/<reportId>.json so it can be downloaded later as
+ * JSON or CSV. Only the newest reports are kept.
+ */
+const path = require('path');
+const { csvCell } = require('./export-writers');
+const { ReportStore } = require('./report-store');
+
+const CSV_COLUMNS = ['change', 'id', 'row', 'field', 'header', 'from', 'to', 'reason'];
+
+class DiffReports {
+  constructor() {
+    this.config = {
+      dir: process.env.DIFF_REPORTS_DIR || path.join(process.env.STATE_DIR || path.join(process.cwd(), 'state'), 'diffs'),
+      // Number of reports kept on disk
+      retention: parseInt(process.env.DIFF_REPORT_RETENTION) || 20
+    };
+    this.store = new ReportStore(this.config, {
+      name: 'sync diff report',
+      idPrefix: 'diff',
+      summarize: ({ add, update, remove, ...summary }) => summary
+    });
+  }
+
+  /**
+   * Save a diff and prune the oldest reports.
+   * Failures are logged only; the diff is still returned to the caller.
+   * @param {Object} diff Diff ({ destination, worksheet, summary, add, update, remove })
+   * @returns {Promise<string|null>} Report ID, or null when it could not be saved
+   */
+  saveReport(diff) {
+    return this.store.save(diff, { summary: diff.summary });
+  }
+
+  /**
+   * Summaries of the saved reports, newest first
+   * @returns {Promise<Array<Object>>} Report summaries without the changes
+   */
+  listReports() {
+    return this.store.list();
+  }
+
+  /**
+   * Load one saved report
+   * @param {string} reportId Report ID
+   * @returns {Promise<Object|null>} Report, or null when it does not exist
+   */
+  getReport(reportId) {
+    return this.store.get(reportId);
+  }
+
+  /**
+   * Render a report as CSV, one line per added row, changed field or removed row
+   * @param {Object} report Saved report
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const lines = [CSV_COLUMNS];
+
+    report.add.forEach(({ id }) => lines.push(['add', id, '', '', '', '', '', '']));
+    report.update.forEach(({ id, row, changes }) => {
+      changes.forEach(({ field, header, from, to }) => lines.push(['update', id, row, field, header, from, to, '']));
+    });
+    report.remove.forEach(({ id, row, reason }) => lines.push(['remove', id, row, '', '', '', '', reason]));
+
+    return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+// Export a singleton instance
+const diffReports = new DiffReports();
+
+module.exports = diffReports;
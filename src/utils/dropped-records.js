@@ -0,0 +1,60 @@
+/**
+ * Dropped Records
+ *
+ * Records removed by deduplication are kept here for review instead of being
+ * discarded. Every formatting run that drops records is saved as
+ * state/dropped/<runId>.json with the dedupe policy, the count per rule and
+ * the dropped records themselves. Only the newest runs are kept.
+ */
+const path = require('path');
+const { ReportStore } = require('./report-store');
+
+class DroppedRecords {
+  constructor() {
+    this.config = {
+      dir: process.env.DROPPED_RECORDS_DIR || path.join(process.env.STATE_DIR || path.join(process.cwd(), 'state'), 'dropped'),
+      // Number of runs kept on disk
+      retention: parseInt(process.env.DROPPED_RECORDS_RETENTION) || 20,
+      // Records stored per run; the counts stay exact beyond this
+      maxRecordsPerRun: parseInt(process.env.DROPPED_RECORDS_MAX_PER_RUN) || 5000
+    };
+    this.store = new ReportStore(this.config, {
+      name: 'dropped records',
+      idField: 'runId',
+      timeField: 'savedAt',
+      summarize: ({ records, ...summary }) => ({ ...summary, storedRecords: records.length })
+    });
+  }
+
+  /**
+   * Save a run's dropped records and prune the oldest runs.
+   * Failures are logged only; a formatting run never fails because of its review list.
+   * @param {Object} run Run report ({ runId, policy, endpoint, removed, records, ... })
+   * @returns {Promise<string|null>} Run ID, or null when it could not be saved
+   */
+  saveRun(run) {
+    return this.store.save(run, { removed: run.removed });
+  }
+
+  /**
+   * Summaries of the saved runs, newest first
+   * @returns {Promise<Array<Object>>} Run summaries without the records
+   */
+  listRuns() {
+    return this.store.list();
+  }
+
+  /**
+   * Load one saved run with its records
+   * @param {string} runId Run ID
+   * @returns {Promise<Object|null>} Run, or null when it does not exist
+   */
+  getRun(runId) {
+    return this.store.get(runId);
+  }
+}
+
+// Export a singleton instance
+const droppedRecords = new DroppedRecords();
+
+module.exports = droppedRecords;
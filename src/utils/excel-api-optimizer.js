@@ -678,6 +678,7 @@ class ExcelApiOptimizer {
     }
 
     const startTime = Date.now();
+    let timeoutTimer = null;
 
     try {
       // Apply adaptive rate limiting if enabled
@@ -685,7 +686,7 @@ class ExcelApiOptimizer {
 
       // Enqueue the operation with timeout
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
+        timeoutTimer = setTimeout(() => {
           const error = new Error(`Operation timed out after ${timeout}ms`);
           error.code = 'OPERATION_TIMEOUT';
           error.operationType = operationType;
@@ -794,6 +795,9 @@ class ExcelApiOptimizer {
       
       // Rethrow the error
       throw error;
+    } finally {
+      // A settled operation must not keep the timer (and the process) alive
+      clearTimeout(timeoutTimer);
     }
   }
 
@@ -876,24 +880,11 @@ class ExcelApiOptimizer {
       try {
         // Execute the batch with circuit breaker and fallback strategies
         const batchResult = await this.executeOperation(
-          async (client) => {
-            // Format batch request
-            const batchRequest = {
-              requests: currentBatch.map((op, index) => ({
-                id: String(index + 1),
-                method: op.method,
-                url: op.url,
-                body: op.body,
-                headers: op.headers || { 'Content-Type': 'application/json' }
-              }))
-            };
-
-            // Execute batch request
-            return await client.api('/$batch').post(batchRequest);
-          },
+          async (client) => await this.sendBatchRequest(client, currentBatch, options),
           {
             operationType: 'batch',
             priority,
+            createConnection: options.createConnection,
             context: {
               ...context,
               batchIndex,
@@ -915,21 +906,11 @@ class ExcelApiOptimizer {
                   for (const smallBatch of smallerBatches) {
                     try {
                       const smallBatchResult = await this.executeOperation(
-                        async (client) => {
-                          const smallBatchRequest = {
-                            requests: smallBatch.map((op, index) => ({
-                              id: String(index + 1),
-                              method: op.method,
-                              url: op.url,
-                              body: op.body,
-                              headers: op.headers || { 'Content-Type': 'application/json' }
-                            }))
-                          };
-                          return await client.api('/$batch').post(smallBatchRequest);
-                        },
+                        async (client) => await this.sendBatchRequest(client, smallBatch, options),
                         {
                           operationType: 'batch',
                           priority,
+                          createConnection: options.createConnection,
                           context: {
                             ...context,
                             batchIndex,
@@ -940,7 +921,7 @@ class ExcelApiOptimizer {
                       );
                       
                       if (smallBatchResult && smallBatchResult.responses) {
-                        smallerResults.push(...smallBatchResult.responses);
+                        smallerResults.push(...this.sortBatchResponses(smallBatchResult.responses));
                       }
                     } catch (smallBatchError) {
                       // Add error responses for failed small batch
@@ -961,15 +942,7 @@ class ExcelApiOptimizer {
                 }
                 
                 // If we can't reduce further, just try the original batch again
-                return await client.api('/$batch').post({
-                  requests: currentBatch.map((op, index) => ({
-                    id: String(index + 1),
-                    method: op.method,
-                    url: op.url,
-                    body: op.body,
-                    headers: op.headers || { 'Content-Type': 'application/json' }
-                  }))
-                });
+                return await this.sendBatchRequest(null, currentBatch, options);
               }
             }
           }
@@ -977,7 +950,7 @@ class ExcelApiOptimizer {
 
         // Process batch response
         if (batchResult && batchResult.responses) {
-          results.push(...batchResult.responses);
+          results.push(...this.sortBatchResponses(batchResult.responses));
           
           // Count successes and failures
           const successCount = batchResult.responses.filter(r => r.status >= 200 && r.status < 300).length;
@@ -1035,21 +1008,11 @@ class ExcelApiOptimizer {
             for (const retryBatch of retryBatches) {
               try {
                 const retryResult = await this.executeOperation(
-                  async (client) => {
-                    const retryRequest = {
-                      requests: retryBatch.map((op, index) => ({
-                        id: String(index + 1),
-                        method: op.method,
-                        url: op.url,
-                        body: op.body,
-                        headers: op.headers || { 'Content-Type': 'application/json' }
-                      }))
-                    };
-                    return await client.api('/$batch').post(retryRequest);
-                  },
+                  async (client) => await this.sendBatchRequest(client, retryBatch, options),
                   {
                     operationType: 'batch',
                     priority: priority + 1, // Higher priority for retries
+                    createConnection: options.createConnection,
                     context: {
                       ...context,
                       batchIndex,
@@ -1060,7 +1023,7 @@ class ExcelApiOptimizer {
                 );
                 
                 if (retryResult && retryResult.responses) {
-                  results.push(...retryResult.responses);
+                  results.push(...this.sortBatchResponses(retryResult.responses));
                   
                   logger.info(`Retry batch completed`, {
                     successCount: retryResult.responses.filter(r => r.status >= 200 && r.status < 300).length,
@@ -1128,6 +1091,47 @@ class ExcelApiOptimizer {
     return results;
   }
 
+  /**
+   * Send one Graph /$batch request for a slice of operations.
+   * The requests are independent, so one failed request does not turn the others
+   * into 424 Failed Dependency.
+   * @param {Object} client - Graph client from the connection pool
+   * @param {Array} batch - Operations ({ method, url, body, headers })
+   * @param {Object} options - executeBatch options
+   * @returns {Promise<Object>} Raw $batch response
+   */
+  async sendBatchRequest(client, batch, options = {}) {
+    // Pooled connections fall back to a mock client when no createConnection was given
+    let graphClient = client;
+    if (!graphClient || typeof graphClient.api !== 'function') {
+      if (typeof options.createConnection !== 'function') {
+        throw new Error('No Graph client available for batch request');
+      }
+      graphClient = await options.createConnection();
+    }
+
+    const batchRequest = {
+      requests: batch.map((op, index) => ({
+        id: String(index + 1),
+        method: op.method,
+        url: op.url,
+        body: op.body,
+        headers: op.headers || { 'Content-Type': 'application/json' }
+      }))
+    };
+
+    return await graphClient.api('/$batch').post(batchRequest);
+  }
+
+  /**
+   * Graph may return $batch responses in any order; put them back in request order
+   * @param {Array} responses - $batch responses
+   * @returns {Array} Responses sorted by request id
+   */
+  sortBatchResponses(responses) {
+    return [...responses].sort((a, b) => parseInt(a.id) - parseInt(b.id));
+  }
+
   /**
    * Execute direct range update without session
    */
@@ -0,0 +1,398 @@
+/**
+ * Export Writers
+ *
+ * Streaming file writers for the order export: CSV, newline-delimited JSON
+ * and XLSX. Each writer sends its response headers and column header row on
+ * start() and then writes every page of formatted records as it arrives, so
+ * a download starts before all pages are fetched and memory stays flat.
+ * Columns and headers follow the column mapping, the same layout as the
+ * Excel sheet.
+ *
+ * XLSX files are built here as a streamed ZIP archive (deflate, sizes in data
+ * descriptors) holding a single worksheet with inline strings.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Continue a CRC-32 over another chunk
+ * @param {number} crc CRC so far (0 to start)
+ * @param {Buffer} buffer Chunk
+ * @returns {number} Updated CRC
+ */
+function crc32(crc, buffer) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} output Output stream
+ * @param {Buffer|string} chunk Data
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    // A client that disconnects never drains; stop instead of waiting forever
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output closed before the export finished'));
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+  });
+}
+
+// Leading characters that make Excel read a CSV cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Signed numbers (negative amounts) start with a sign but are not formulas
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Quote a CSV cell when it holds a separator, quote or line break. Text that
+ * would open as a formula in Excel gets a leading apostrophe, so an order field
+ * such as "=HYPERLINK(...)" stays text.
+ * @param {*} value Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for XML content, dropping characters XML cannot hold
+ * @param {*} value Value
+ * @returns {string} Escaped text
+ */
+function xmlText(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class CsvWriter {
+  /**
+   * @param {Response} res Express response
+   * @param {ColumnMapping} columnMapping Column mapping
+   * @param {string} fileName Download file name without extension
+   */
+  constructor(res, columnMapping, fileName) {
+    this.res = res;
+    this.columnMapping = columnMapping;
+    this.fileName = `${fileName}.csv`;
+  }
+
+  async start() {
+    this.res.status(200).attachment(this.fileName).type('text/csv; charset=utf-8');
+    // The byte order mark makes Excel read the file as UTF-8
+    await writeChunk(this.res, '\ufeff' + this.toLine(this.columnMapping.getHeaders()));
+  }
+
+  async write(records) {
+    if (records.length > 0) {
+      await writeChunk(this.res, records.map(record => this.toLine(this.columnMapping.toRow(record))).join(''));
+    }
+  }
+
+  async finish() {
+    this.res.end();
+  }
+
+  toLine(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+  }
+}
+
+class NdjsonWriter {
+  /**
+   * @param {Response} res Express response
+   * @param {ColumnMapping} columnMapping Column mapping
+   * @param {string} fileName Download file name without extension
+   */
+  constructor(res, columnMapping, fileName) {
+    this.res = res;
+    this.fields = columnMapping.getFields();
+    this.fileName = `${fileName}.ndjson`;
+  }
+
+  async start() {
+    this.res.status(200).attachment(this.fileName).type('application/x-ndjson');
+  }
+
+  async write(records) {
+    if (records.length > 0) {
+      // Keys in column order, matching the JSON export
+      await writeChunk(this.res, records.map(record => JSON.stringify(
+        Object.fromEntries(this.fields.map(field => [field, record[field] === undefined ? '' : record[field]]))
+      ) + '\n').join(''));
+    }
+  }
+
+  async finish() {
+    this.res.end();
+  }
+}
+
+class XlsxWriter {
+  /**
+   * @param {Response} res Express response
+   * @param {ColumnMapping} columnMapping Column mapping
+   * @param {string} fileName Download file name without extension
+   * @param {Object} options Options
+   * @param {string} options.sheetName Worksheet name
+   */
+  constructor(res, columnMapping, fileName, options = {}) {
+    this.res = res;
+    this.columnMapping = columnMapping;
+    this.fileName = `${fileName}.xlsx`;
+    this.sheetName = (options.sheetName || 'Orders').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+    // Currency columns are written as numbers so they can be summed
+    this.numeric = columnMapping.columns.map(column => column.format === 'currency');
+    this.offset = 0;
+    this.entries = [];
+    this.entry = null;
+  }
+
+  async start() {
+    this.res.status(200)
+      .attachment(this.fileName)
+      .type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    await this.addFile('[Content_Types].xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>');
+    await this.addFile('_rels/.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+    await this.addFile('xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${xmlText(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>');
+    await this.addFile('xl/_rels/workbook.xml.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>');
+
+    // The worksheet stays open while pages arrive
+    await this.openEntry('xl/worksheets/sheet1.xml');
+    this.rowNumber = 0;
+    await this.writeEntry(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+      this.toRowXml(this.columnMapping.getHeaders(), false)
+    );
+  }
+
+  async write(records) {
+    if (records.length > 0) {
+      await this.writeEntry(records.map(record => this.toRowXml(this.columnMapping.toRow(record), true)).join(''));
+    }
+  }
+
+  async finish() {
+    await this.writeEntry('</sheetData></worksheet>');
+    await this.closeEntry();
+    await this.writeCentralDirectory();
+    this.res.end();
+  }
+
+  toRowXml(values, typed) {
+    this.rowNumber++;
+    const cells = values.map((value, index) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      if (text === '') {
+        return '<c/>';
+      }
+      if (typed && this.numeric[index] && isFinite(Number(text))) {
+        return `<c><v>${Number(text)}</v></c>`;
+      }
+      const space = text !== text.trim() ? ' xml:space="preserve"' : '';
+      return `<c t="inlineStr"><is><t${space}>${xmlText(text)}</t></is></c>`;
+    });
+    return `<row r="${this.rowNumber}">${cells.join('')}</row>`;
+  }
+
+  async addFile(name, content) {
+    await this.openEntry(name);
+    await this.writeEntry(content);
+    await this.closeEntry();
+  }
+
+  /**
+   * Start a deflated archive entry; its CRC and sizes follow in a data descriptor
+   * @param {string} name Path inside the archive
+   * @returns {Promise<void>}
+   */
+  async openEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(0x0808, 6); // Data descriptor follows, UTF-8 name
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(this.dosTime(), 10);
+    header.writeUInt16LE(this.dosDate(), 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    this.entry = { name: nameBuffer, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+    await this.send(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    const onDrain = () => deflate.resume();
+    deflate.on('data', chunk => {
+      this.entry.compressedSize += chunk.length;
+      this.offset += chunk.length;
+      if (!this.res.write(chunk)) {
+        deflate.pause();
+      }
+    });
+    // A client that disconnects stops the compressor too, so pending writes fail instead of waiting
+    const onClose = () => deflate.destroy(new Error('Output closed before the export finished'));
+    this.res.on('drain', onDrain);
+    this.res.once('close', onClose);
+    Object.assign(this.entry, { deflate, onDrain, onClose });
+  }
+
+  async writeEntry(text) {
+    const buffer = Buffer.from(text, 'utf8');
+    this.entry.crc = crc32(this.entry.crc, buffer);
+    this.entry.size += buffer.length;
+    await writeChunk(this.entry.deflate, buffer);
+  }
+
+  async closeEntry() {
+    const entry = this.entry;
+    await new Promise((resolve, reject) => {
+      entry.deflate.once('end', resolve);
+      entry.deflate.once('error', reject);
+      entry.deflate.end();
+    });
+    this.res.off('drain', entry.onDrain);
+    this.res.off('close', entry.onClose);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.send(descriptor);
+
+    this.entries.push(entry);
+    this.entry = null;
+  }
+
+  async writeCentralDirectory() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed to extract
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.dosTime(), 12);
+      header.writeUInt16LE(this.dosDate(), 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.send(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.send(end);
+  }
+
+  async send(buffer) {
+    this.offset += buffer.length;
+    await writeChunk(this.res, buffer);
+  }
+
+  dosTime() {
+    const now = new Date();
+    return (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  }
+
+  dosDate() {
+    const now = new Date();
+    return ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  }
+}
+
+const WRITERS = {
+  csv: CsvWriter,
+  ndjson: NdjsonWriter,
+  xlsx: XlsxWriter
+};
+
+const EXPORT_FORMATS = Object.keys(WRITERS);
+
+/**
+ * Create a streaming file writer for an export format
+ * @param {string} format 'csv', 'ndjson' or 'xlsx'
+ * @param {Response} res Express response to stream into
+ * @param {ColumnMapping} columnMapping Column mapping that sets the columns and headers
+ * @param {Object} options Options
+ * @param {string} options.fileName Download file name without extension
+ * @param {string} options.sheetName Worksheet name for XLSX
+ * @returns {Object} Writer with start(), write(records) and finish()
+ */
+function createExportWriter(format, res, columnMapping, options = {}) {
+  const Writer = WRITERS[format];
+  if (!Writer) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return new Writer(res, columnMapping, options.fileName || 'export', options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportWriter,
+  csvCell
+};
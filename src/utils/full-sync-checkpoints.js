@@ -0,0 +1,434 @@
+/**
+ * Full Sync Checkpoints
+ *
+ * A full sync clears the sheet and then appends it page by page. Each page is
+ * committed through an EnhancedBatchProcessor, whose ProgressState
+ * (state/full-syncs/progress_<operationId>.json) records the rows written so
+ * far. When a crash, redeploy or transient error stops the sync, the file stays
+ * behind as 'interrupted' and the sync continues after its last committed page
+ * on the next start instead of starting over (see MonitoringService.resumeFullSync).
+ * The checkpoint keeps a digest of the committed order IDs in the order they were
+ * written, so a resume can tell whether the listing it streams again still starts
+ * with the same orders; when it does not, the sync starts over instead.
+ * Cancelled syncs and syncs that failed with a permanent error are kept as
+ * 'cancelled' or 'failed'; those are only resumed by hand through the jobs API.
+ * The file is deleted once the sync completes, or when a newer full sync clears
+ * the same sheet.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const { EnhancedBatchProcessor } = require('./enhanced-batch-processor');
+const { ProgressState } = require('./progress-state');
+
+const FILE_PREFIX = 'progress_full_sync_';
+
+/**
+ * Checkpoint of one running full sync
+ */
+class FullSyncCheckpoint {
+  /**
+   * @param {FullSyncCheckpoints} manager Owning manager
+   * @param {EnhancedBatchProcessor} processor Processor holding the sync's progress state
+   */
+  constructor(manager, processor) {
+    this.manager = manager;
+    this.processor = processor;
+  }
+
+  get operationId() {
+    return this.processor.operationId;
+  }
+
+  get state() {
+    return this.processor.progressState.currentState;
+  }
+
+  /**
+   * Where the sync writes ({ key, destination, worksheetName, writeMode, layout, startRow, startColumn })
+   */
+  get target() {
+    return this.state.metadata.target;
+  }
+
+  /**
+   * Records written by committed pages
+   */
+  get committedRecords() {
+    return this.state.processedRecords;
+  }
+
+  /**
+   * Digest of the committed records' order IDs, in the order they were written
+   * (see FullSyncCheckpoints.digestRecordIds)
+   */
+  get committedDigest() {
+    return this.state.metadata.committedDigest;
+  }
+
+  /**
+   * First row after the committed pages
+   */
+  get nextRow() {
+    return this.processor.rowTracker.getNextAvailableRow();
+  }
+
+  /**
+   * Write a page of new rows and record it once written. The rows are allocated
+   * right after the committed ones; a failed attempt is retried on the same rows.
+   * @param {Array} records Records appended by the page
+   * @param {Function} write Async write, called with the allocated row range ({ startRow, endRow })
+   * @returns {Promise<void>}
+   */
+  async commit(records, write) {
+    const state = this.state;
+
+    // The total is not known while the listing streams, so it counts the records handed to the sync so far
+    state.totalRecords += records.length;
+    state.totalBatches++;
+    try {
+      await this.processor.processBatch(state.lastSuccessfulBatch + 1, records, ({ rowRange }) => write(rowRange));
+    } catch (error) {
+      state.totalRecords -= records.length;
+      state.totalBatches--;
+      throw error;
+    }
+
+    state.metadata.committedDigest = this.manager.digestRecordIds(state.metadata.committedDigest, records);
+    // updateProgress calls the operation completed once every known record is written
+    state.status = 'in_progress';
+    await this.processor.progressState.saveState();
+  }
+
+  /**
+   * Delete the checkpoint after the sync finished
+   * @returns {Promise<void>}
+   */
+  async complete() {
+    try {
+      await this.manager.remove(this.operationId);
+    } catch (error) {
+      logger.warn('Completed full sync checkpoint could not be deleted', {
+        operationId: this.operationId,
+        error: error.message
+      });
+    } finally {
+      this.manager.active.delete(this.operationId);
+    }
+  }
+
+  /**
+   * Keep the checkpoint for a later resume after the sync failed or was cancelled.
+   * Only transient errors leave it 'interrupted', which is resumed automatically on
+   * the next start; a cancelled or permanently failing sync would just stop again.
+   * @param {Error} error Why the sync stopped
+   * @returns {Promise<void>}
+   */
+  async interrupt(error) {
+    try {
+      if (error.code === 'JOB_CANCELLED') {
+        this.state.status = 'cancelled';
+      } else {
+        this.state.status = this.processor.errorHandler.classifyError(error).retryable ? 'interrupted' : 'failed';
+      }
+      this.state.metadata.lastError = {
+        message: error.message,
+        code: error.code || null,
+        at: new Date().toISOString()
+      };
+      await this.processor.progressState.saveState();
+
+      logger.info('Full sync stopped, it can be resumed from its checkpoint', {
+        operationId: this.operationId,
+        status: this.state.status,
+        target: this.target.key,
+        committedRecords: this.committedRecords,
+        nextRow: this.nextRow
+      });
+    } catch (saveError) {
+      logger.warn('Interrupted full sync checkpoint could not be saved', {
+        operationId: this.operationId,
+        error: saveError.message
+      });
+    } finally {
+      this.manager.active.delete(this.operationId);
+    }
+  }
+}
+
+class FullSyncCheckpoints {
+  constructor() {
+    this.config = {
+      dir: path.join(process.env.STATE_DIR || path.join(process.cwd(), 'state'), 'full-syncs'),
+      enabled: process.env.RESUMABLE_FULL_SYNCS !== 'false'
+    };
+    // Operations a sync in this process is writing; they cannot be resumed a second time
+    this.active = new Set();
+  }
+
+  /**
+   * Batch processor for one full sync; its progress state is saved by FullSyncCheckpoint.commit
+   * @param {number} startRow First data row
+   * @returns {EnhancedBatchProcessor} Processor
+   */
+  createProcessor(startRow) {
+    const processor = new EnhancedBatchProcessor({
+      stateDir: this.config.dir,
+      startRow,
+      // Pages are committed whole, their size comes from the ShedSuite listing
+      enableAdaptiveSizing: false
+    });
+    // Saved after every page, so backups would only churn the disk
+    processor.progressState = new ProgressState({ stateDir: this.config.dir, autoSave: false, backupEnabled: false });
+    return processor;
+  }
+
+  /**
+   * Start the checkpoint of a full sync that has just cleared its sheet.
+   * Failures are logged only; the sync then runs without a checkpoint.
+   * @param {ExcelService} excelService Service writing the sheet
+   * @param {Object} target Write target from prepareFullWrite
+   * @param {Object} options Options
+   * @param {Object} options.source How to list the records again on a resume ({ filters, destination, syncJob })
+   * @param {string} options.jobId Background job running the sync
+   * @returns {Promise<FullSyncCheckpoint|null>} Checkpoint, or null without a source or when checkpoints are off
+   */
+  async begin(excelService, target, options = {}) {
+    if (!this.config.enabled || !options.source) {
+      return null;
+    }
+
+    const targetKey = excelService.getTargetKey();
+    const operationId = `full_sync_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+    try {
+      // The sheet was just cleared, so earlier interrupted syncs of it have nothing left to resume
+      for (const checkpoint of await this.list({ target: targetKey })) {
+        if (!checkpoint.active) {
+          await this.remove(checkpoint.operationId);
+          logger.info('Interrupted full sync superseded by a new full sync', {
+            operationId: checkpoint.operationId,
+            target: targetKey
+          });
+        }
+      }
+
+      const processor = this.createProcessor(target.startRow);
+      await processor.initialize(operationId, [], {
+        metadata: {
+          target: {
+            key: targetKey,
+            destination: excelService.destination.name,
+            worksheetName: excelService.worksheetName,
+            writeMode: excelService.writeMode,
+            layout: target.layout,
+            startRow: target.startRow,
+            startColumn: target.startColumn
+          },
+          source: options.source,
+          jobIds: options.jobId ? [options.jobId] : [],
+          committedDigest: null,
+          lastError: null
+        }
+      });
+
+      this.active.add(operationId);
+      return new FullSyncCheckpoint(this, processor);
+    } catch (error) {
+      logger.warn('Full sync checkpoint could not be created, an interrupted sync will start over', {
+        target: targetKey,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Extend a digest of order IDs with more records. Each ID is chained onto the
+   * digest before it, so the result depends on the IDs and their order but not on
+   * how the records were split into pages.
+   * @param {string|null} digest Digest of the records before these (null for none)
+   * @param {Array} records Records, in the order they were written
+   * @returns {string|null} Digest including the records
+   */
+  digestRecordIds(digest, records) {
+    return records.reduce(
+      (previous, record) => crypto.createHash('sha256').update(`${previous || ''}\n${record.id}`).digest('hex'),
+      digest
+    );
+  }
+
+  /**
+   * Load an interrupted full sync to continue it
+   * @param {string} operationId Checkpoint ID
+   * @param {Object} options Options
+   * @param {string} options.jobId Background job resuming the sync
+   * @returns {Promise<FullSyncCheckpoint>} Checkpoint, positioned after the last committed page
+   */
+  async resume(operationId, options = {}) {
+    if (this.active.has(operationId)) {
+      const error = new Error(`Full sync ${operationId} is already running`);
+      error.code = 'CHECKPOINT_ACTIVE';
+      throw error;
+    }
+
+    const saved = await this.get(operationId);
+    if (!saved) {
+      const error = new Error(`No interrupted full sync ${operationId}`);
+      error.code = 'CHECKPOINT_NOT_FOUND';
+      throw error;
+    }
+
+    this.active.add(operationId);
+    try {
+      const processor = this.createProcessor(saved.startRow);
+      await processor.resume(operationId);
+      const checkpoint = new FullSyncCheckpoint(this, processor);
+
+      // Nothing was committed, so the first page goes to the first data row again
+      if (checkpoint.state.lastSuccessfulBatch < 0) {
+        processor.rowTracker.reset(checkpoint.target.startRow);
+      }
+
+      if (options.jobId) {
+        checkpoint.state.metadata.jobIds.push(options.jobId);
+      }
+      checkpoint.state.status = 'in_progress';
+      await processor.progressState.saveState();
+
+      return checkpoint;
+    } catch (error) {
+      this.active.delete(operationId);
+      throw error;
+    }
+  }
+
+  /**
+   * Saved checkpoints, oldest first
+   * @param {Object} filters Filters
+   * @param {string} filters.target Only checkpoints of this target ("<destination>/<worksheet>")
+   * @returns {Promise<Array<Object>>} Checkpoint summaries
+   */
+  async list(filters = {}) {
+    const checkpoints = [];
+
+    for (const file of await this.getCheckpointFiles()) {
+      try {
+        const checkpoint = this.summarize(JSON.parse(await fs.readFile(path.join(this.config.dir, file), 'utf8')));
+        if (!filters.target || checkpoint.target === filters.target) {
+          checkpoints.push(checkpoint);
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable full sync checkpoint', { file, error: error.message });
+      }
+    }
+
+    return checkpoints.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Checkpoints to resume automatically: syncs a crash, redeploy or transient error
+   * stopped, and that are not running in this process
+   * @returns {Promise<Array<Object>>} Checkpoint summaries, oldest first
+   */
+  async listInterrupted() {
+    return (await this.list()).filter(checkpoint => checkpoint.status === 'interrupted' && !checkpoint.active);
+  }
+
+  /**
+   * Summary of one saved checkpoint
+   * @param {string} operationId Checkpoint ID
+   * @returns {Promise<Object|null>} Checkpoint summary, or null when it does not exist
+   */
+  async get(operationId) {
+    // Checkpoint IDs are generated here; anything else cannot name a file in the directory
+    if (!/^full_sync_[\w-]+$/.test(operationId)) {
+      return null;
+    }
+
+    try {
+      return this.summarize(JSON.parse(await fs.readFile(path.join(this.config.dir, `progress_${operationId}.json`), 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checkpoint of the sync a background job ran (or resumed)
+   * @param {string} jobId Background job ID
+   * @returns {Promise<Object|null>} Checkpoint summary, or null when the job left none
+   */
+  async findByJobId(jobId) {
+    return (await this.list()).find(checkpoint => checkpoint.jobIds.includes(jobId)) || null;
+  }
+
+  /**
+   * Delete a checkpoint
+   * @param {string} operationId Checkpoint ID
+   * @returns {Promise<void>}
+   */
+  async remove(operationId) {
+    try {
+      await fs.unlink(path.join(this.config.dir, `progress_${operationId}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Checkpoint files in the checkpoint directory
+   * @returns {Promise<Array<string>>} File names
+   */
+  async getCheckpointFiles() {
+    try {
+      return (await fs.readdir(this.config.dir)).filter(file => file.startsWith(FILE_PREFIX) && file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summary of a saved progress state
+   * @param {Object} state Progress state
+   * @returns {Object} Checkpoint summary
+   */
+  summarize(state) {
+    const { target, source, jobIds, lastError } = state.metadata;
+    const active = this.active.has(state.operationId);
+    // A sync still marked as running that no sync here is writing was stopped with its process
+    const stoppedWithProcess = !active && ['initialized', 'in_progress'].includes(state.status);
+
+    return {
+      operationId: state.operationId,
+      target: target.key,
+      destination: target.destination,
+      worksheetName: target.worksheetName,
+      writeMode: target.writeMode,
+      startRow: target.startRow,
+      source,
+      jobIds: jobIds || [],
+      status: stoppedWithProcess ? 'interrupted' : state.status,
+      active,
+      committedRecords: state.processedRecords,
+      committedPages: state.completedBatches.length,
+      nextRow: state.lastSuccessfulBatch < 0 ? target.startRow : state.lastSuccessfulRow + 1,
+      lastError: lastError || null,
+      startedAt: state.startTime,
+      updatedAt: state.lastUpdateTime
+    };
+  }
+}
+
+// Export a singleton instance
+const fullSyncCheckpoints = new FullSyncCheckpoints();
+
+module.exports = fullSyncCheckpoints;
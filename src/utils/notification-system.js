@@ -59,9 +59,12 @@ class NotificationSystem {
     }
     
     // Reset notification count periodically
-    setInterval(() => {
+    this.throttleResetInterval = setInterval(() => {
       this.notificationCount = 0;
     }, this.config.throttling.cooldownPeriod);
+
+    // Ensure timer doesn't prevent process exit
+    this.throttleResetInterval.unref();
   }
 
   /**
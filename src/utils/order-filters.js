@@ -0,0 +1,117 @@
+/**
+ * Order Filters
+ *
+ * Export filters (see ORDER_FILTERS in constants) are validated by
+ * Validators.validateOrderFilters and split into the part the ShedSuite API
+ * can apply itself and the part checked on each record as pages arrive:
+ *
+ *   dateUpdated[gte|gt]   -> updatedAfter query parameter
+ *   status (one value)    -> status query parameter
+ *   everything else       -> matched client-side on the raw record
+ */
+const Validators = require('./validators');
+
+class OrderFilter {
+  /**
+   * @param {Object} conditions Normalized conditions from Validators.validateOrderFilters
+   */
+  constructor(conditions = { dates: [], lists: [], booleans: [], paging: {} }) {
+    this.apiFilters = { ...conditions.paging };
+    this.clientConditions = [];
+
+    // Every lower bound on dateUpdated is implied by the latest one, which the API applies
+    const updatedFrom = conditions.dates.filter(condition => condition.field === 'dateUpdated' && condition.from !== undefined);
+    if (updatedFrom.length > 0) {
+      this.apiFilters.updatedAfter = new Date(Math.max(...updatedFrom.map(condition => condition.from))).toISOString();
+    }
+
+    conditions.dates
+      .filter(condition => !updatedFrom.includes(condition))
+      .forEach(condition => this.clientConditions.push({ type: 'date', ...condition }));
+
+    conditions.lists.forEach(condition => {
+      if (condition.name === 'status' && condition.values.length === 1) {
+        this.apiFilters.status = condition.values[0];
+        return;
+      }
+      this.clientConditions.push({
+        type: 'list',
+        ...condition,
+        normalizedValues: new Set(condition.values.map(value => value.toLowerCase()))
+      });
+    });
+
+    conditions.booleans.forEach(condition => this.clientConditions.push({ type: 'boolean', ...condition }));
+  }
+
+  /**
+   * Whether some conditions can only be checked on the records themselves
+   * @returns {boolean} Has client-side conditions
+   */
+  hasClientConditions() {
+    return this.clientConditions.length > 0;
+  }
+
+  /**
+   * Check a raw ShedSuite record against the client-side conditions.
+   * A record without the filtered field does not match.
+   * @param {Object} record Raw record
+   * @returns {boolean} Whether the record matches
+   */
+  matches(record) {
+    return this.clientConditions.every(condition => {
+      if (condition.type === 'date') {
+        const time = record[condition.field] ? new Date(record[condition.field]).getTime() : NaN;
+        if (isNaN(time)) return false;
+        return condition.from !== undefined ? time >= condition.from : time < condition.to;
+      }
+
+      if (condition.type === 'list') {
+        return condition.fields.some(field => {
+          const value = record[field];
+          return value !== undefined && value !== null &&
+            condition.normalizedValues.has(String(value).trim().toLowerCase());
+        });
+      }
+
+      const value = record[condition.field];
+      const normalized = typeof value === 'string' ? ['true', 'yes', 'y', '1'].includes(value.trim().toLowerCase()) : Boolean(value);
+      return normalized === condition.value;
+    });
+  }
+
+  /**
+   * Summary of where each filter is applied, for logs and responses
+   * @returns {Object} API parameters and client-side filter names
+   */
+  describe() {
+    return {
+      api: Object.keys(this.apiFilters).filter(key => key !== 'page' && key !== 'pageSize'),
+      client: [...new Set(this.clientConditions.map(condition => condition.field || condition.name))]
+    };
+  }
+}
+
+/**
+ * Validate export filters and build the matching OrderFilter
+ * @param {Object} filters Filter object, e.g. parsed query parameters
+ * @returns {OrderFilter} Order filter
+ * @throws {Error} INVALID_FILTER error listing every problem in error.errors
+ */
+function parseOrderFilters(filters) {
+  const validation = Validators.validateOrderFilters(filters);
+
+  if (!validation.isValid) {
+    const error = new Error(`Invalid filters: ${validation.errors.join('; ')}`);
+    error.code = 'INVALID_FILTER';
+    error.errors = validation.errors;
+    throw error;
+  }
+
+  return new OrderFilter(validation.data);
+}
+
+module.exports = {
+  OrderFilter,
+  parseOrderFilters
+};
@@ -514,43 +514,12 @@ RecoveryManager.prototype.generateRecoveryInstructions = async function(operatio
 };
 
 /**
- * Fetch current worksheet data
+ * Fetch current worksheet data, header row first
  * @private
  */
 RecoveryManager.prototype.fetchWorksheetData = async function(excelService) {
   try {
-    const { logger } = require('./logger');
-    
-    await excelService.initializeClient();
-    const siteId = await excelService.getSiteId();
-    
-    // Get used range to determine data size
-    const usedRange = await excelService.getWorksheetUsedRange(siteId);
-    
-    if (!usedRange || !usedRange.address) {
-      logger.warn('No data found in worksheet');
-      return [];
-    }
-    
-    // Parse range address to get dimensions
-    const rangeMatch = usedRange.address.match(/([A-Z]+)(\d+):([A-Z]+)(\d+)/);
-    if (!rangeMatch) {
-      logger.warn('Invalid range address format', { address: usedRange.address });
-      return [];
-    }
-    
-    const startRow = parseInt(rangeMatch[2]);
-    const endRow = parseInt(rangeMatch[4]);
-    const rowCount = endRow - startRow + 1;
-    
-    // For very large worksheets, fetch in batches
-    if (rowCount > 1000) {
-      return await this.fetchLargeWorksheetData(excelService, siteId, startRow, endRow);
-    }
-    
-    // For smaller worksheets, fetch all at once
-    const values = await excelService.getWorksheetValues(siteId, usedRange.address);
-    return values || [];
+    return await excelService.readWorksheetContents();
   } catch (error) {
     const { logger } = require('./logger');
     
@@ -563,43 +532,7 @@ RecoveryManager.prototype.fetchWorksheetData = async function(excelService) {
 };
 
 /**
- * Fetch large worksheet data in batches
- * @private
- */
-RecoveryManager.prototype.fetchLargeWorksheetData = async function(excelService, siteId, startRow, endRow) {
-  const { logger } = require('./logger');
-  
-  const batchSize = 1000;
-  const allData = [];
-  
-  for (let row = startRow; row <= endRow; row += batchSize) {
-    const batchEndRow = Math.min(row + batchSize - 1, endRow);
-    const range = `A${row}:CA${batchEndRow}`;
-    
-    logger.debug('Fetching worksheet data batch', {
-      range,
-      batchSize: batchEndRow - row + 1
-    });
-    
-    try {
-      const batchData = await excelService.getWorksheetValues(siteId, range);
-      if (batchData && Array.isArray(batchData)) {
-        allData.push(...batchData);
-      }
-    } catch (error) {
-      logger.warn('Failed to fetch worksheet data batch', {
-        range,
-        error: error.message
-      });
-      // Continue with next batch
-    }
-  }
-  
-  return allData;
-};
-
-/**
- * Clean up old snapshots
+ * Clean up old snapshots, keeping the newest maxSnapshots of each worksheet
  * @private
  */
 RecoveryManager.prototype.cleanupOldSnapshots = async function() {
@@ -610,12 +543,17 @@ RecoveryManager.prototype.cleanupOldSnapshots = async function() {
     const snapshots = Object.values(this.snapshotRegistry)
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     
-    if (snapshots.length <= this.config.maxSnapshots) {
+    const keptPerTarget = {};
+    const snapshotsToDelete = snapshots.filter(snapshot => {
+      const target = snapshot.target || 'unknown';
+      keptPerTarget[target] = (keptPerTarget[target] || 0) + 1;
+      return keptPerTarget[target] > this.config.maxSnapshots;
+    });
+    
+    if (snapshotsToDelete.length === 0) {
       return;
     }
     
-    const snapshotsToDelete = snapshots.slice(this.config.maxSnapshots);
-    
     for (const snapshot of snapshotsToDelete) {
       try {
         await fs.unlink(snapshot.path);
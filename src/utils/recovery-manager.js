@@ -84,17 +84,21 @@ class RecoveryManager {
         snapshotPath
       });
 
-      // Get current data from Excel
+      // Get current data from Excel; the first row is the header
       const worksheetData = await this.fetchWorksheetData(excelService);
+      const rowCount = Math.max(0, worksheetData.length - 1);
       
       // Create snapshot object
       const snapshot = {
         id: snapshotId,
         operationId,
         timestamp: new Date().toISOString(),
+        target: excelService.getTargetKey(),
+        destination: excelService.destination.name,
         worksheetName: excelService.worksheetName,
         workbookId: excelService.workbookId,
-        rowCount: worksheetData.length,
+        writeMode: excelService.writeMode,
+        rowCount,
         metadata: {
           ...metadata,
           createdAt: new Date().toISOString()
@@ -102,8 +106,8 @@ class RecoveryManager {
         data: worksheetData
       };
 
-      // Save snapshot to file
-      await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2), 'utf8');
+      // Save snapshot to file (unindented: a large sheet would otherwise take several times the space)
+      await fs.writeFile(snapshotPath, JSON.stringify(snapshot), 'utf8');
       
       // Update registry
       this.snapshotRegistry[snapshotId] = {
@@ -111,7 +115,12 @@ class RecoveryManager {
         operationId,
         timestamp: snapshot.timestamp,
         path: snapshotPath,
-        rowCount: worksheetData.length
+        target: snapshot.target,
+        destination: snapshot.destination,
+        worksheetName: snapshot.worksheetName,
+        writeMode: snapshot.writeMode,
+        rowCount,
+        metadata: snapshot.metadata
       };
       
       await this.saveSnapshotRegistry();
@@ -123,20 +132,23 @@ class RecoveryManager {
       await this.logAuditEntry('create_snapshot', {
         snapshotId,
         operationId,
-        rowCount: worksheetData.length
+        target: snapshot.target,
+        reason: metadata.reason,
+        requestedBy: metadata.requestedBy,
+        rowCount
       });
       
       logger.info('Snapshot created successfully', {
         operationId,
         snapshotId,
-        rowCount: worksheetData.length
+        rowCount
       });
       
       return {
         snapshotId,
         operationId,
         timestamp: snapshot.timestamp,
-        rowCount: worksheetData.length
+        rowCount
       };
     } catch (error) {
       logger.error('Failed to create snapshot', {
@@ -148,6 +160,8 @@ class RecoveryManager {
       // Log audit entry for failure
       await this.logAuditEntry('snapshot_failed', {
         operationId,
+        target: excelService.getTargetKey(),
+        reason: metadata.reason,
         error: error.message
       });
       
@@ -156,23 +170,28 @@ class RecoveryManager {
   }
 
   /**
-   * Rollback to a previous snapshot
-   * @param {Object} excelService - Excel service instance
+   * Rollback to a previous snapshot: the worksheet's contents are replaced with the snapshot's
+   * @param {Object} excelService - Excel service instance for the snapshot's worksheet
    * @param {string} snapshotId - ID of snapshot to rollback to
    * @param {Object} options - Rollback options
+   * @param {boolean} options.force - Skip the snapshot of the current contents taken first
+   * @param {string} options.reason - Why the rollback was requested
+   * @param {Object} options.requestedBy - Caller ({ type, name })
    * @returns {Promise<Object>} - Rollback result
    */
   async rollback(excelService, snapshotId, options = {}) {
+    const { force = false, reason = 'manual', requestedBy = null } = options;
+
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
-
-      const { force = false, reason = 'manual', partialRollback = false, rowRange = null } = options;
       
       // Check if snapshot exists
       if (!this.snapshotRegistry[snapshotId]) {
-        throw new Error(`Snapshot ${snapshotId} not found in registry`);
+        const error = new Error(`Snapshot ${snapshotId} not found in registry`);
+        error.code = 'SNAPSHOT_NOT_FOUND';
+        throw error;
       }
       
       const snapshotInfo = this.snapshotRegistry[snapshotId];
@@ -180,10 +199,9 @@ class RecoveryManager {
       
       logger.info('Starting rollback to snapshot', {
         snapshotId,
+        target: snapshotInfo.target,
         reason,
-        force,
-        partialRollback,
-        rowRange
+        force
       });
       
       // Load snapshot data
@@ -202,7 +220,7 @@ class RecoveryManager {
           currentStateSnapshot = await this.createSnapshot(
             excelService, 
             `pre_rollback_${snapshotId}`,
-            { rollbackTarget: snapshotId, reason }
+            { reason: 'pre_rollback', rollbackTarget: snapshotId, requestedBy }
           );
           
           logger.info('Created pre-rollback snapshot', {
@@ -216,130 +234,23 @@ class RecoveryManager {
         }
       }
       
-      // Initialize Excel client
-      await excelService.initializeClient();
-      const siteId = await excelService.getSiteId();
-      
-      // Perform rollback
-      let result;
-      if (partialRollback && rowRange) {
-        // Partial rollback for specific row range
-        const [startRow, endRow] = rowRange;
-        
-        // Extract data for the specified range
-        const rangeData = snapshot.data.slice(startRow - 1, endRow);
-        
-        // Update only the specified range
-        const range = `A${startRow}:CA${endRow}`;
-        
-        logger.info('Performing partial rollback', {
-          snapshotId,
-          range,
-          rowCount: rangeData.length
-        });
-        
-        await excelService.apiOptimizer.executeDirectRangeOperation(
-          excelService.client,
-          siteId,
-          excelService.workbookId,
-          excelService.worksheetName,
-          range,
-          'write',
-          rangeData,
-          {
-            priority: 1, // Highest priority for rollback operations
-            operationType: 'rollback',
-            context: {
-              operation: 'rollback',
-              snapshotId,
-              reason,
-              isPartial: true
-            }
-          }
-        );
-        
-        result = {
-          success: true,
-          snapshotId,
-          rollbackType: 'partial',
-          rowRange,
-          rowsRestored: rangeData.length
-        };
-      } else {
-        // Full rollback
-        logger.info('Performing full rollback', {
-          snapshotId,
-          rowCount: snapshot.data.length
-        });
-        
-        // Clear worksheet first
-        await excelService.clearWorksheetOptimized(siteId);
-        
-        // Write header row if exists
-        if (snapshot.data.length > 0) {
-          const headerRow = snapshot.data[0];
-          await excelService.apiOptimizer.executeDirectRangeOperation(
-            excelService.client,
-            siteId,
-            excelService.workbookId,
-            excelService.worksheetName,
-            'A1:CA1',
-            'write',
-            [headerRow],
-            {
-              priority: 1,
-              operationType: 'rollback_header',
-              context: {
-                operation: 'rollback',
-                snapshotId
-              }
-            }
-          );
-        }
-        
-        // Write data rows in batches
-        const dataRows = snapshot.data.slice(1); // Skip header row
-        const batchSize = excelService.getAdaptiveBatchSize(dataRows.length);
-        
-        for (let i = 0; i < dataRows.length; i += batchSize) {
-          const batchRows = dataRows.slice(i, i + batchSize);
-          const startRow = i + 2; // +2 because we start from row 2 (after header)
-          const endRow = startRow + batchRows.length - 1;
-          const range = `A${startRow}:CA${endRow}`;
-          
-          await excelService.apiOptimizer.executeDirectRangeOperation(
-            excelService.client,
-            siteId,
-            excelService.workbookId,
-            excelService.worksheetName,
-            range,
-            'write',
-            batchRows,
-            {
-              priority: 1,
-              operationType: 'rollback_data',
-              context: {
-                operation: 'rollback',
-                snapshotId,
-                batchIndex: Math.floor(i / batchSize),
-                totalBatches: Math.ceil(dataRows.length / batchSize)
-              }
-            }
-          );
-        }
-        
-        result = {
-          success: true,
-          snapshotId,
-          rollbackType: 'full',
-          rowsRestored: snapshot.data.length
-        };
-      }
+      // Replace the worksheet's contents with the snapshot
+      const restored = await excelService.restoreWorksheetContents(snapshot.data);
+      const result = {
+        success: true,
+        snapshotId,
+        rollbackType: 'full',
+        target: snapshotInfo.target,
+        rowsRestored: restored.rowsRestored,
+        preRollbackSnapshot: currentStateSnapshot ? currentStateSnapshot.snapshotId : null
+      };
       
       // Log audit entry
       await this.logAuditEntry('rollback_completed', {
         snapshotId,
+        target: snapshotInfo.target,
         reason,
+        requestedBy,
         rollbackType: result.rollbackType,
         rowsRestored: result.rowsRestored,
         preRollbackSnapshot: currentStateSnapshot?.snapshotId
@@ -362,6 +273,8 @@ class RecoveryManager {
       // Log audit entry for failure
       await this.logAuditEntry('rollback_failed', {
         snapshotId,
+        reason,
+        requestedBy,
         error: error.message
       });
       
@@ -369,6 +282,41 @@ class RecoveryManager {
     }
   }
 
+  /**
+   * Saved snapshots, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.target - Only snapshots of this target (see ExcelService.getTargetKey)
+   * @returns {Promise<Array<Object>>} - Snapshot summaries without their data
+   */
+  async listSnapshots(filters = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return Object.values(this.snapshotRegistry)
+      .filter(snapshot => !filters.target || snapshot.target === filters.target)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(({ path: snapshotPath, ...summary }) => summary);
+  }
+
+  /**
+   * Summary of one snapshot
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} - Snapshot summary, or null when it does not exist
+   */
+  async getSnapshotInfo(snapshotId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const snapshot = this.snapshotRegistry[snapshotId];
+    if (!snapshot) {
+      return null;
+    }
+    const { path: snapshotPath, ...summary } = snapshot;
+    return summary;
+  }
+
   // Additional methods will be implemented in recovery-manager-part2.js
   
   /**
@@ -469,4 +417,34 @@ class RecoveryManager {
   }
 }
 
-module.exports = { RecoveryManager };
\ No newline at end of file
+// Shared by the sync path and the recovery API, created on first use
+let sharedManager = null;
+
+/**
+ * Get the shared recovery manager. Snapshots are kept under STATE_DIR/snapshots,
+ * SNAPSHOT_RETENTION per worksheet; SNAPSHOT_BEFORE_FULL_SYNC=false turns off the
+ * snapshot taken before each full sync.
+ * @returns {RecoveryManager} Recovery manager
+ */
+function getRecoveryManager() {
+  if (!sharedManager) {
+    // The snapshot helpers (fetchWorksheetData, cleanupOldSnapshots, ...) are defined in part 2
+    require('./recovery-manager-part2');
+
+    const stateDir = process.env.STATE_DIR || path.join(process.cwd(), 'state');
+    sharedManager = new RecoveryManager({
+      stateDir,
+      recoveryDir: path.join(stateDir, 'recovery'),
+      snapshotDir: process.env.SNAPSHOT_DIR || path.join(stateDir, 'snapshots'),
+      auditLogPath: path.join(stateDir, 'recovery', 'recovery-audit.log'),
+      maxSnapshots: parseInt(process.env.SNAPSHOT_RETENTION) || 5,
+      autoSnapshot: process.env.SNAPSHOT_BEFORE_FULL_SYNC !== 'false'
+    });
+  }
+  return sharedManager;
+}
+
+module.exports = {
+  RecoveryManager,
+  getRecoveryManager
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Report Store
+ *
+ * A directory of JSON reports, one file per report named after its ID, of
+ * which only the newest are kept. Each kind of report has its own store.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+class ReportStore {
+  /**
+   * @param {Object} config Owner's configuration ({ dir, retention }), read on every call
+   * @param {Object} options Options
+   * @param {string} options.name What a report is, for log messages ('sync diff report')
+   * @param {string} options.idField Field holding a report's ID
+   * @param {string} options.idPrefix Prefix of generated IDs; without it the caller sets the ID
+   * @param {string} options.timeField Field holding the time a report was saved
+   * @param {Function} options.summarize Maps a report to its summary for listings
+   */
+  constructor(config, options) {
+    this.config = config;
+    this.name = options.name;
+    this.idField = options.idField || 'reportId';
+    this.idPrefix = options.idPrefix || null;
+    this.timeField = options.timeField || 'createdAt';
+    this.summarize = options.summarize || (report => report);
+  }
+
+  /**
+   * Save a report and prune the oldest ones.
+   * Failures are logged only; whatever produced the report carries on without it.
+   * @param {Object} report Report
+   * @param {Object} logDetails Extra fields for the log entry
+   * @returns {Promise<string|null>} Report ID, or null when it could not be saved
+   */
+  async save(report, logDetails = {}) {
+    const id = this.idPrefix
+      ? `${this.idPrefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+      : report[this.idField];
+    const filePath = path.join(this.config.dir, `${id}.json`);
+
+    try {
+      await fs.mkdir(this.config.dir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        [this.idField]: id,
+        [this.timeField]: new Date().toISOString(),
+        ...report
+      }), 'utf8');
+      await this.prune();
+
+      logger.info(`Saved ${this.name}`, { [this.idField]: id, ...logDetails, file: filePath });
+      return id;
+    } catch (error) {
+      logger.warn(`Failed to save ${this.name}`, { [this.idField]: id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Summaries of the saved reports, newest first
+   * @param {Function} filter Keeps a summary when it returns true
+   * @returns {Promise<Array<Object>>} Report summaries
+   */
+  async list(filter = () => true) {
+    const summaries = [];
+
+    for (const file of await this.getFiles()) {
+      try {
+        const summary = this.summarize(JSON.parse(await fs.readFile(path.join(this.config.dir, file), 'utf8')));
+        if (filter(summary)) {
+          summaries.push(summary);
+        }
+      } catch (error) {
+        logger.warn(`Skipping unreadable ${this.name}`, { file, error: error.message });
+      }
+    }
+
+    return summaries.sort((a, b) => b[this.timeField].localeCompare(a[this.timeField]));
+  }
+
+  /**
+   * Load one saved report
+   * @param {string} id Report ID
+   * @returns {Promise<Object|null>} Report, or null when it does not exist
+   */
+  async get(id) {
+    // IDs are generated by this service; anything else cannot name a file in the directory
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.config.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Report files in the directory
+   * @returns {Promise<Array<string>>} File names
+   */
+  async getFiles() {
+    try {
+      return (await fs.readdir(this.config.dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the oldest reports beyond the retention limit
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const files = await Promise.all((await this.getFiles()).map(async file => ({
+      file,
+      mtime: (await fs.stat(path.join(this.config.dir, file))).mtimeMs
+    })));
+
+    const expired = files
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(this.config.retention);
+
+    for (const { file } of expired) {
+      await fs.unlink(path.join(this.config.dir, file));
+    }
+  }
+}
+
+module.exports = {
+  ReportStore
+};
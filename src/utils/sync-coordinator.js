@@ -0,0 +1,224 @@
+/**
+ * Sync Coordinator
+ *
+ * Every operation that writes a worksheet — scheduled and forced full syncs,
+ * polling and cron update checks, reconciliation, the manual sync routes and
+ * the startup sync — takes that worksheet's lock here first, whichever
+ * service started it. Only one of them writes a sheet at a time.
+ *
+ * A request for a busy sheet either waits in line (full syncs and manual
+ * triggers, up to SYNC_QUEUE_MAX waiting) or is turned away with a
+ * SYNC_IN_PROGRESS error naming the running operation (update checks, which
+ * the next poll repeats anyway).
+ *
+ * Every run that passes an outcome to release() is written to the audit log,
+ * so automatic syncs are recorded next to the API calls that start manual ones.
+ */
+const { logger } = require('./logger');
+const { auditLog } = require('./audit-log');
+
+class SyncCoordinator {
+  constructor() {
+    // Target -> { holder, queue }
+    this.targets = new Map();
+    this.config = {
+      // Requests allowed to wait per worksheet; further requests are rejected
+      maxQueued: parseInt(process.env.SYNC_QUEUE_MAX) || 5
+    };
+  }
+
+  /**
+   * Take the lock of a target, waiting for it or failing when it is held
+   * @param {string} target Target key (see ExcelService.getTargetKey)
+   * @param {Object} request Request details
+   * @param {string} request.kind Operation kind ('full_sync', 'incremental_update', 'reconciliation', ...)
+   * @param {string} request.trigger What started it ('scheduled', 'polling', 'cron', 'manual', 'startup', ...)
+   * @param {string} request.onBusy 'queue' to wait for the lock, 'reject' to fail at once
+   * @param {Object} request.requestedBy Caller behind a manual run ({ type, name }), for the audit log
+   * @param {AbortSignal} request.signal Stops waiting when aborted (rejects with the abort reason)
+   * @param {Function} request.onQueued Called with the running lease and the queue position when the request has to wait
+   * @returns {Promise<Object>} Lease to pass to release()
+   * @throws {Error} SYNC_IN_PROGRESS error when the lock is held and the request does not wait
+   */
+  async acquire(target, request = {}) {
+    const state = this.getTarget(target);
+    const lease = {
+      id: `lock-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      target,
+      kind: request.kind || 'sync',
+      trigger: request.trigger || 'manual',
+      requestedBy: request.requestedBy || null,
+      requestedAt: new Date().toISOString(),
+      acquiredAt: null
+    };
+
+    if (!state.holder) {
+      return this.grant(state, lease);
+    }
+
+    if (request.onBusy !== 'queue') {
+      throw this.createBusyError(state, lease, false);
+    }
+    if (state.queue.length >= this.config.maxQueued) {
+      throw this.createBusyError(state, lease, true);
+    }
+
+    if (request.signal && request.signal.aborted) {
+      throw request.signal.reason;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiting = { lease, resolve, reject };
+      state.queue.push(waiting);
+
+      if (request.signal) {
+        request.signal.addEventListener('abort', () => {
+          const index = state.queue.indexOf(waiting);
+          if (index !== -1) {
+            state.queue.splice(index, 1);
+            reject(request.signal.reason);
+          }
+        }, { once: true });
+      }
+
+      logger.info(`Sync of ${target} queued behind running ${state.holder.kind}`, {
+        kind: lease.kind,
+        trigger: lease.trigger,
+        running: this.describe(state.holder),
+        position: state.queue.length
+      });
+
+      if (request.onQueued) {
+        request.onQueued(this.describe(state.holder), state.queue.length);
+      }
+    });
+  }
+
+  /**
+   * Release a lease and hand the lock to the next waiting request
+   * @param {Object} lease Lease from acquire()
+   * @param {Object} outcome How the run ended ({ status: 'completed' | 'failed', error, summary });
+   *   omitted for runs that changed nothing, which are not audited
+   */
+  release(lease, outcome) {
+    const state = this.targets.get(lease.target);
+    if (!state || state.holder !== lease) {
+      return;
+    }
+
+    if (outcome) {
+      auditLog.record({
+        action: `sync.${lease.kind}`,
+        actor: lease.requestedBy || { type: 'system', name: lease.trigger },
+        target: lease.target,
+        trigger: lease.trigger,
+        outcome: {
+          ...outcome,
+          duration: Date.now() - new Date(lease.acquiredAt).getTime()
+        }
+      });
+    }
+
+    state.holder = null;
+    const next = state.queue.shift();
+    if (next) {
+      next.resolve(this.grant(state, next.lease));
+    }
+  }
+
+  /**
+   * Run work while holding a target's lock; the run is audited
+   * @param {string} target Target key
+   * @param {Object} request Request details (see acquire)
+   * @param {Function} work Async work
+   * @param {Function} summarize Maps the work's result to the audited summary
+   * @returns {Promise<*>} Result of the work
+   */
+  async run(target, request, work, summarize = () => undefined) {
+    const lease = await this.acquire(target, request);
+    let outcome;
+    try {
+      const result = await work(lease);
+      outcome = { status: 'completed', summary: summarize(result) };
+      return result;
+    } catch (error) {
+      outcome = { status: error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed', error: error.message };
+      throw error;
+    } finally {
+      this.release(lease, outcome);
+    }
+  }
+
+  /**
+   * Running and waiting operations per target
+   * @returns {Array<Object>} Lock status per target
+   */
+  getStatus() {
+    return [...this.targets.entries()]
+      .filter(([, state]) => state.holder || state.queue.length > 0)
+      .map(([target, state]) => ({
+        target,
+        running: state.holder ? this.describe(state.holder) : null,
+        queued: state.queue.map(({ lease }) => this.describe(lease))
+      }));
+  }
+
+  /**
+   * Lock state of a target, created on first use
+   * @param {string} target Target key
+   * @returns {Object} { holder, queue }
+   */
+  getTarget(target) {
+    if (!this.targets.has(target)) {
+      this.targets.set(target, { holder: null, queue: [] });
+    }
+    return this.targets.get(target);
+  }
+
+  /**
+   * Make a lease the holder of its target's lock
+   * @param {Object} state Target state
+   * @param {Object} lease Lease
+   * @returns {Object} Lease
+   */
+  grant(state, lease) {
+    lease.acquiredAt = new Date().toISOString();
+    state.holder = lease;
+    return lease;
+  }
+
+  /**
+   * Public view of a lease for status responses and errors
+   * @param {Object} lease Lease
+   * @returns {Object} Lease summary
+   */
+  describe(lease) {
+    const { id, kind, trigger, requestedBy, requestedAt, acquiredAt } = lease;
+    return { id, kind, trigger, requestedBy: requestedBy ? requestedBy.name : null, requestedAt, acquiredAt };
+  }
+
+  /**
+   * Error for a request turned away from a busy target
+   * @param {Object} state Target state
+   * @param {Object} lease Rejected request
+   * @param {boolean} queueFull Whether the request would have waited but the queue is full
+   * @returns {Error} Error with code SYNC_IN_PROGRESS and the running operation in error.details
+   */
+  createBusyError(state, lease, queueFull) {
+    const running = this.describe(state.holder);
+    const reason = queueFull ? ` and ${state.queue.length} requests are already waiting (SYNC_QUEUE_MAX)` : '';
+    const error = new Error(`A ${running.kind} of ${lease.target} (${running.trigger}, since ${running.acquiredAt}) is still running${reason}`);
+    error.code = 'SYNC_IN_PROGRESS';
+    error.details = {
+      target: lease.target,
+      running,
+      queued: state.queue.length
+    };
+    return error;
+  }
+}
+
+// Export a singleton instance
+const syncCoordinator = new SyncCoordinator();
+
+module.exports = syncCoordinator;
@@ -0,0 +1,223 @@
+/**
+ * Sync Jobs
+ *
+ * A sync job pairs a ShedSuite endpoint and a column mapping with a target
+ * destination and worksheet, so one service can keep several sheets current
+ * (orders, inventory, ...), each on its own schedule and with its own watermark.
+ *
+ * Jobs are loaded from src/config/sync-jobs.json unless SYNC_JOBS_FILE points
+ * at another .json or .js file. Settings a job leaves out fall back to the
+ * default destination and the environment (API_ENDPOINT, COLUMN_MAPPING_FILE,
+ * the monitoring intervals), so the first job without overrides is the
+ * classic single-sheet orders sync.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { ColumnMapping } = require('./column-mapping');
+const { SyncState } = require('./sync-state');
+
+const DEFAULT_JOBS_FILE = path.join(__dirname, '..', 'config', 'sync-jobs.json');
+const DEDUPE_POLICIES = ['id', 'order_number', 'customer', 'off'];
+
+class SyncJob {
+  /**
+   * @param {Object} definition Job definition from the config file
+   * @param {string} definition.name Unique job name
+   * @param {boolean} definition.enabled Set false to keep a job defined but idle
+   * @param {string} definition.endpoint ShedSuite endpoint below API_PATH
+   * @param {string} definition.updatedAfterParam Query parameter for incremental checks
+   * @param {string} definition.columns Column mapping file, relative to the jobs file
+   * @param {string} definition.destination Target destination (defaults to the default destination)
+   * @param {string} definition.worksheet Target worksheet (defaults to the destination's worksheet)
+   * @param {string} definition.tableName Target table in table write mode
+   * @param {string} definition.dedupe Deduplication policy: 'id', 'order_number', 'customer' or 'off' (defaults to DEDUPE_POLICY)
+   * @param {number} definition.pollingIntervalMs Incremental check interval
+   * @param {string} definition.cronSchedule Incremental check cron schedule (instead of polling)
+   * @param {number} definition.fullSyncIntervalHours Full sync interval, 0 to disable
+   * @param {number} definition.reconcileIntervalHours Deleted-order reconciliation interval, 0 to disable
+   * @param {Object} options Options
+   * @param {boolean} options.primary Whether this is the first (default) job
+   * @param {string} options.baseDir Directory that relative column mapping paths resolve against
+   * @param {string} options.stateName SyncState name for the job's watermark
+   */
+  constructor(definition, options = {}) {
+    if (!definition || !definition.name) {
+      throw new Error('Sync job must define "name"');
+    }
+    if (definition.dedupe && !DEDUPE_POLICIES.includes(definition.dedupe)) {
+      throw new Error(`Sync job "${definition.name}" uses unknown dedupe policy "${definition.dedupe}"`);
+    }
+
+    this.name = definition.name;
+    this.enabled = definition.enabled !== false;
+    this.primary = options.primary === true;
+    this.endpoint = definition.endpoint || null;
+    this.updatedAfterParam = definition.updatedAfterParam || null;
+    this.columns = definition.columns ? path.resolve(options.baseDir || process.cwd(), definition.columns) : null;
+    this.destination = definition.destination || null;
+    this.worksheet = definition.worksheet || null;
+    this.tableName = definition.tableName || null;
+    this.dedupe = definition.dedupe || null;
+    this.pollingIntervalMs = definition.pollingIntervalMs || null;
+    this.cronSchedule = definition.cronSchedule || null;
+    this.fullSyncIntervalHours = definition.fullSyncIntervalHours !== undefined ? definition.fullSyncIntervalHours : null;
+    this.reconcileIntervalHours = definition.reconcileIntervalHours !== undefined ? definition.reconcileIntervalHours : null;
+
+    this.columnMapping = null;
+    this.shedsuite = null;
+    this.excel = null;
+    this.syncState = new SyncState(options.stateName || this.name, { description: `sync job "${this.name}"` });
+    this.activeSyncs = 0;
+    this.timers = { pollingInterval: null, cronJob: null, fullSyncInterval: null, reconcileInterval: null };
+  }
+
+  /**
+   * Column mapping of the job, or null to use the shared mapping
+   * @returns {ColumnMapping|null} Column mapping
+   */
+  getColumnMapping() {
+    if (this.columns && !this.columnMapping) {
+      this.columnMapping = ColumnMapping.load(this.columns);
+    }
+    return this.columnMapping;
+  }
+
+  /**
+   * ShedSuite service for the job's endpoint. A job without endpoint
+   * overrides uses the shared service.
+   * @param {ShedSuiteService} defaultService Shared ShedSuite service
+   * @returns {ShedSuiteService} ShedSuite service
+   */
+  getShedSuite(defaultService) {
+    if (!this.shedsuite) {
+      const overridden = this.endpoint || this.updatedAfterParam || this.columns || this.dedupe;
+      this.shedsuite = overridden
+        ? defaultService.forEndpoint({
+          endpoint: this.endpoint,
+          updatedAfterParam: this.updatedAfterParam,
+          dedupe: this.dedupe,
+          columnMapping: this.getColumnMapping()
+        })
+        : defaultService;
+    }
+    return this.shedsuite;
+  }
+
+  /**
+   * Excel service for the job's destination and worksheet. A job without
+   * worksheet overrides uses the destination's shared service.
+   * @param {Function} getService Returns the Excel service of a destination name
+   * @returns {ExcelService} Excel service
+   */
+  getExcel(getService) {
+    if (!this.excel) {
+      const destinationService = getService(this.destination);
+      const overridden = this.worksheet || this.tableName || this.columns;
+      this.excel = overridden
+        ? destinationService.forWorksheet({
+          worksheetName: this.worksheet,
+          tableName: this.tableName,
+          columnMapping: this.getColumnMapping()
+        })
+        : destinationService;
+    }
+    return this.excel;
+  }
+
+  /**
+   * Incremental-sync watermark of the job (ISO timestamp), kept in its SyncState
+   * @returns {string|null} Watermark
+   */
+  get lastCheckTimestamp() {
+    return this.syncState.lastCheckTimestamp;
+  }
+
+  /**
+   * Completion time of the job's last full sync, kept in its SyncState
+   * @returns {string|null} ISO timestamp
+   */
+  get lastFullSync() {
+    return this.syncState.lastFullSync;
+  }
+
+  /**
+   * Status summary for monitoring endpoints
+   * @returns {Object} Job status
+   */
+  getStatus() {
+    // Once the Excel service has run, report the values it resolved; before that, the configured ones
+    const excel = this.excel && this.excel._initialized ? this.excel : null;
+
+    return {
+      name: this.name,
+      primary: this.primary,
+      endpoint: this.endpoint || process.env.API_ENDPOINT || 'customer-orders/v1',
+      destination: excel ? excel.destination.name : this.destination,
+      worksheet: excel ? excel.worksheetName : this.worksheet,
+      dedupe: this.dedupe || process.env.DEDUPE_POLICY || 'id',
+      activeSyncs: this.activeSyncs,
+      lastCheckTimestamp: this.lastCheckTimestamp,
+      lastFullSync: this.lastFullSync
+    };
+  }
+}
+
+/**
+ * Load the enabled sync jobs. Without a jobs file a single default job
+ * driven by the environment is returned.
+ * @param {string} filePath Path to the jobs config file
+ * @param {Object} options Options
+ * @param {string} options.statePrefix SyncState name of the primary job; other jobs append their name
+ * @returns {Array<SyncJob>} Enabled jobs, the primary job first
+ */
+function loadSyncJobs(filePath = process.env.SYNC_JOBS_FILE || DEFAULT_JOBS_FILE, options = {}) {
+  const resolvedPath = path.resolve(filePath);
+  let definitions = [{ name: 'orders' }];
+
+  if (fs.existsSync(resolvedPath)) {
+    const config = require(resolvedPath);
+    definitions = Array.isArray(config) ? config : config.jobs;
+  } else if (process.env.SYNC_JOBS_FILE) {
+    throw new Error(`Sync jobs file not found: ${resolvedPath}`);
+  }
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('Sync jobs config must define at least one job');
+  }
+
+  const statePrefix = options.statePrefix || 'sync-jobs';
+  const names = new Set();
+  const jobs = definitions
+    .filter(definition => definition && definition.enabled !== false)
+    .map((definition, index) => {
+      if (names.has(definition.name)) {
+        throw new Error(`Sync job "${definition.name}" is defined more than once`);
+      }
+      names.add(definition.name);
+
+      // The primary job keeps the state file of the single-sheet sync, so its watermark carries over
+      return new SyncJob(definition, {
+        primary: index === 0,
+        baseDir: path.dirname(resolvedPath),
+        stateName: index === 0 ? statePrefix : `${statePrefix}-${definition.name}`
+      });
+    });
+
+  if (jobs.length === 0) {
+    throw new Error('Sync jobs config has no enabled jobs');
+  }
+
+  logger.info('Sync jobs loaded', {
+    file: resolvedPath,
+    jobs: jobs.map(job => job.name)
+  });
+
+  return jobs;
+}
+
+module.exports = {
+  SyncJob,
+  loadSyncJobs
+};
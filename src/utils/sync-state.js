@@ -0,0 +1,153 @@
+const path = require('path');
+const { logger } = require('./logger');
+const { ProgressState } = require('./progress-state');
+
+/**
+ * Sync State
+ *
+ * Durable bookkeeping for the monitoring services: the incremental-sync
+ * watermark and the time of the last full sync. Stored through ProgressState
+ * as state/progress_sync_<name>.json so it survives restarts and redeploys.
+ */
+
+/**
+ * Time each incremental check re-reads before the watermark, so updates on the
+ * boundary are not missed: WATERMARK_OVERLAP_SECONDS, 300 by default, 0 for none
+ * @returns {number} Overlap in milliseconds
+ */
+function getWatermarkOverlapMs() {
+  const seconds = parseInt(process.env.WATERMARK_OVERLAP_SECONDS);
+  return (Number.isNaN(seconds) || seconds < 0 ? 300 : seconds) * 1000;
+}
+
+class SyncState {
+  /**
+   * @param {string} name State name, one file per monitoring service
+   * @param {Object} options Options
+   * @param {string} options.stateDir State directory (defaults to STATE_DIR or ./state)
+   * @param {string} options.description What the state belongs to, for log messages
+   * @param {number} options.overlapMs Window re-read before the watermark (defaults to getWatermarkOverlapMs())
+   */
+  constructor(name, options = {}) {
+    this.operationId = `sync_${name}`;
+    this.description = options.description || name;
+    this.overlapMs = options.overlapMs !== undefined ? options.overlapMs : getWatermarkOverlapMs();
+    this.lastCheckTimestamp = null;
+    this.lastFullSync = null;
+    this.progressState = new ProgressState({
+      stateDir: options.stateDir || process.env.STATE_DIR || path.join(process.cwd(), 'state'),
+      // Saved after every poll, so backups would only churn the disk
+      backupEnabled: false
+    });
+  }
+
+  /**
+   * Load the saved state, creating an empty state file on first run
+   * @returns {Promise<Object>} Saved values ({ lastCheckTimestamp, lastFullSync })
+   */
+  async load() {
+    let state = null;
+
+    try {
+      state = await this.progressState.loadState(this.operationId);
+    } catch (error) {
+      logger.warn('Sync state could not be read, starting without it', {
+        operationId: this.operationId,
+        error: error.message
+      });
+    }
+
+    if (!state) {
+      try {
+        state = await this.progressState.initialize(this.operationId, {
+          metadata: { lastCheckTimestamp: null, lastFullSync: null }
+        });
+      } catch (error) {
+        logger.warn('Sync state could not be created, the watermark will not survive a restart', {
+          operationId: this.operationId,
+          error: error.message
+        });
+        return { lastCheckTimestamp: null, lastFullSync: null };
+      }
+    }
+
+    return {
+      lastCheckTimestamp: state.metadata.lastCheckTimestamp || null,
+      lastFullSync: state.metadata.lastFullSync || null
+    };
+  }
+
+  /**
+   * Restore the watermark and last full sync time saved by a previous run.
+   * Without a saved watermark, incremental checks start from now.
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    const saved = await this.load();
+    this.lastFullSync = saved.lastFullSync;
+
+    if (saved.lastCheckTimestamp) {
+      this.lastCheckTimestamp = saved.lastCheckTimestamp;
+      logger.info(`Resuming ${this.description} from saved watermark`, {
+        lastCheckTimestamp: this.lastCheckTimestamp,
+        lastFullSync: this.lastFullSync,
+        overlap: `${this.overlapMs / 1000} seconds`
+      });
+      return;
+    }
+
+    await this.advanceWatermark(new Date().toISOString());
+  }
+
+  /**
+   * Move the incremental-sync watermark forward and persist it
+   * @param {string} timestamp New watermark (ISO timestamp)
+   * @returns {Promise<void>}
+   */
+  async advanceWatermark(timestamp) {
+    this.lastCheckTimestamp = timestamp;
+    await this.save({ lastCheckTimestamp: timestamp });
+  }
+
+  /**
+   * Record a completed full sync and persist it
+   * @param {string} timestamp Completion time (ISO timestamp)
+   * @returns {Promise<void>}
+   */
+  async recordFullSync(timestamp) {
+    this.lastFullSync = timestamp;
+    await this.save({ lastFullSync: timestamp });
+  }
+
+  /**
+   * Start of the window read by the next incremental check
+   * @returns {string} ISO timestamp
+   */
+  getUpdateWindowStart() {
+    return new Date(new Date(this.lastCheckTimestamp).getTime() - this.overlapMs).toISOString();
+  }
+
+  /**
+   * Merge values into the saved state and write it to disk.
+   * Failures are logged only; a missed save costs a wider catch-up on the next start.
+   * @param {Object} values Values to save (lastCheckTimestamp, lastFullSync)
+   * @returns {Promise<void>}
+   */
+  async save(values) {
+    try {
+      if (!this.progressState.isInitialized) {
+        await this.load();
+      }
+
+      Object.assign(this.progressState.currentState.metadata, values);
+      await this.progressState.saveState();
+    } catch (error) {
+      logger.warn('Failed to save sync state', {
+        operationId: this.operationId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = { SyncState, getWatermarkOverlapMs };
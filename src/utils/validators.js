@@ -1,4 +1,4 @@
-const { VALIDATION_RULES, REGEX_PATTERNS } = require('./constants');
+const { VALIDATION_RULES, ORDER_FILTERS, REGEX_PATTERNS } = require('./constants');
 
 /**
  * Validation utility functions
@@ -65,6 +65,19 @@ class Validators {
     return !isNaN(date.getTime());
   }
 
+  /**
+   * Validate a filter date: an ISO date string, or YYYY-MM-DD for a whole day
+   * @param {string} dateString Date string
+   * @returns {boolean} Is valid filter date
+   */
+  static isValidFilterDate(dateString) {
+    if (this.isValidISODate(dateString)) return true;
+    if (typeof dateString !== 'string' || !REGEX_PATTERNS.DATE_ONLY.test(dateString)) return false;
+
+    const date = new Date(`${dateString}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateString);
+  }
+
   /**
    * Validate UUID
    * @param {string} uuid UUID string
@@ -245,6 +258,131 @@ class Validators {
     };
   }
 
+  /**
+   * Validate order export filters (see ORDER_FILTERS) and normalize them into conditions.
+   * Date conditions become half-open ranges: from is inclusive, to is exclusive, and a
+   * YYYY-MM-DD value covers the whole day.
+   * @param {Object} filters Filter object, e.g. parsed query parameters
+   * @returns {Object} Validation result with data ({ dates, lists, booleans, paging })
+   */
+  static validateOrderFilters(filters) {
+    const errors = [];
+    const data = { dates: [], lists: [], booleans: [], paging: {} };
+
+    if (!filters || typeof filters !== 'object') {
+      return { isValid: true, errors, data }; // Filters are optional
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const addDate = (field, operator, value, name) => {
+      if (!ORDER_FILTERS.DATE_OPERATORS.includes(operator)) {
+        errors.push(`Unsupported operator "${operator}" for ${field}; use ${ORDER_FILTERS.DATE_OPERATORS.join(', ')}`);
+        return;
+      }
+      if (!this.isValidFilterDate(value)) {
+        errors.push(`${name} must be an ISO date string or YYYY-MM-DD`);
+        return;
+      }
+
+      const dateOnly = REGEX_PATTERNS.DATE_ONLY.test(value);
+      const start = new Date(dateOnly ? `${value}T00:00:00Z` : value).getTime();
+      // The instant just after the value: the next day for whole days, the next millisecond otherwise
+      const after = dateOnly ? start + DAY : start + 1;
+      const condition = { field, operator, value };
+      if (operator === 'gte') condition.from = start;
+      if (operator === 'gt') condition.from = after;
+      if (operator === 'lte') condition.to = after;
+      if (operator === 'lt') condition.to = start;
+      data.dates.push(condition);
+    };
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      if (ORDER_FILTERS.PAGING.includes(key)) {
+        data.paging[key] = typeof value === 'number' ? value : Number(value);
+        return;
+      }
+
+      if (ORDER_FILTERS.ALIASES[key]) {
+        const [field, operator] = ORDER_FILTERS.ALIASES[key];
+        addDate(field, operator, value, key);
+        return;
+      }
+
+      if (ORDER_FILTERS.DATE_FIELDS.includes(key)) {
+        if (typeof value === 'string') {
+          // A bare day matches that whole day
+          if (!REGEX_PATTERNS.DATE_ONLY.test(value)) {
+            errors.push(`${key} must be a YYYY-MM-DD day or a range such as ${key}[gte]=...&${key}[lt]=...`);
+            return;
+          }
+          addDate(key, 'gte', value, key);
+          addDate(key, 'lte', value, key);
+          return;
+        }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${key} must be a range such as ${key}[gte]=...&${key}[lt]=...`);
+          return;
+        }
+        Object.entries(value).forEach(([operator, operand]) => addDate(key, operator, operand, `${key}[${operator}]`));
+        return;
+      }
+
+      if (ORDER_FILTERS.LIST_FIELDS[key]) {
+        const values = (Array.isArray(value) ? value : [value])
+          .flatMap(item => (typeof item === 'string' || typeof item === 'number' ? String(item).split(',') : [null]));
+        if (values.includes(null)) {
+          errors.push(`${key} must be a value or a comma-separated list of values`);
+          return;
+        }
+        const trimmed = values.map(item => item.trim()).filter(item => item.length > 0);
+        if (trimmed.length === 0) {
+          errors.push(`${key} must list at least one value`);
+          return;
+        }
+        data.lists.push({ name: key, fields: ORDER_FILTERS.LIST_FIELDS[key], values: trimmed });
+        return;
+      }
+
+      if (ORDER_FILTERS.BOOLEAN_FIELDS[key]) {
+        const normalized = String(value).trim().toLowerCase();
+        if (normalized !== 'true' && normalized !== 'false') {
+          errors.push(`${key} must be true or false`);
+          return;
+        }
+        data.booleans.push({ name: key, field: ORDER_FILTERS.BOOLEAN_FIELDS[key], value: normalized === 'true' });
+        return;
+      }
+
+      errors.push(`Unsupported filter: ${key}`);
+    });
+
+    const pagination = this.validatePagination(data.paging.page, data.paging.pageSize);
+    errors.push(...pagination.errors);
+    if (data.paging.maxRecords !== undefined && (!Number.isInteger(data.paging.maxRecords) || data.paging.maxRecords < 1)) {
+      errors.push('maxRecords must be a positive integer');
+    }
+
+    // Conditions on one field that leave no time between them
+    ORDER_FILTERS.DATE_FIELDS.forEach(field => {
+      const conditions = data.dates.filter(condition => condition.field === field);
+      const from = Math.max(...conditions.filter(c => c.from !== undefined).map(c => c.from));
+      const to = Math.min(...conditions.filter(c => c.to !== undefined).map(c => c.to));
+      if (from >= to) {
+        errors.push(`${field} range is empty: its start is not before its end`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data
+    };
+  }
+
   /**
    * Validate environment configuration
    * @param {Object} env Environment variables
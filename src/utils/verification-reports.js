@@ -0,0 +1,59 @@
+/**
+ * Verification Reports
+ *
+ * After a full sync the written rows are read back and compared with the
+ * records the sync wrote (see ExcelService.verifyFullWrite). Each result is
+ * saved as state/verifications/<reportId>.json; only the newest reports are
+ * kept.
+ */
+const path = require('path');
+const { ReportStore } = require('./report-store');
+
+class VerificationReports {
+  constructor() {
+    this.config = {
+      dir: process.env.VERIFICATION_REPORTS_DIR || path.join(process.env.STATE_DIR || path.join(process.cwd(), 'state'), 'verifications'),
+      // Number of reports kept on disk
+      retention: parseInt(process.env.VERIFICATION_REPORT_RETENTION) || 20
+    };
+    this.store = new ReportStore(this.config, {
+      name: 'sync verification report',
+      idPrefix: 'verify',
+      summarize: ({ checks, validation, ...summary }) => summary
+    });
+  }
+
+  /**
+   * Save a verification report and prune the oldest ones.
+   * Failures are logged only; the sync result is not affected.
+   * @param {Object} report Report ({ target, destination, worksheet, status, checks, validation })
+   * @returns {Promise<string|null>} Report ID, or null when it could not be saved
+   */
+  saveReport(report) {
+    return this.store.save(report, { target: report.target, status: report.status });
+  }
+
+  /**
+   * Summaries of the saved reports, newest first
+   * @param {Object} filters Filters
+   * @param {string} filters.target Only reports of this target ("<destination>/<worksheet>")
+   * @returns {Promise<Array<Object>>} Report summaries without the individual checks
+   */
+  listReports(filters = {}) {
+    return this.store.list(summary => !filters.target || summary.target === filters.target);
+  }
+
+  /**
+   * Load one saved report
+   * @param {string} reportId Report ID
+   * @returns {Promise<Object|null>} Report, or null when it does not exist
+   */
+  getReport(reportId) {
+    return this.store.get(reportId);
+  }
+}
+
+// Export a singleton instance
+const verificationReports = new VerificationReports();
+
+module.exports = verificationReports;
@@ -0,0 +1,156 @@
+/**
+ * Fake Worksheet
+ *
+ * An in-memory worksheet behind a fake Graph client, for unit tests of
+ * ExcelService in range write mode. Handles the site lookup, workbook
+ * sessions, $batch, usedRange, range reads (values and text), range PATCHes,
+ * clears and whole-row deletes.
+ */
+
+const columnNumber = letters => [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+
+const columnLetter = (number) => {
+  let letters = '';
+  for (let rest = number; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * @param {string} address Range address ("A2:C4", "B7" or "5:7")
+ * @returns {Object} { firstColumn, firstRow, lastColumn, lastRow }; columns are null for whole rows
+ */
+function parseAddress(address) {
+  const rows = address.match(/^(\d+):(\d+)$/);
+  if (rows) {
+    return { firstColumn: null, firstRow: parseInt(rows[1]), lastColumn: null, lastRow: parseInt(rows[2]) };
+  }
+
+  const [, firstColumn, firstRow, lastColumn, lastRow] = address.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+  return {
+    firstColumn: columnNumber(firstColumn),
+    firstRow: parseInt(firstRow),
+    lastColumn: columnNumber(lastColumn || firstColumn),
+    lastRow: parseInt(lastRow || firstRow)
+  };
+}
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * Create a fake worksheet and give an Excel service a Graph client that works on it
+ * @param {ExcelService} excel Excel service (range write mode)
+ * @param {Array<Array>} rows Initial rows, header first
+ * @returns {Object} { rows, requests, failWith }; rows is the live sheet, requests lists
+ *   "<method> <last path segment>", and setting failWith to an error fails every request
+ */
+function useFakeWorksheet(excel, rows = []) {
+  const sheet = { rows: rows.map(row => [...row]), requests: [], failWith: null };
+
+  const usedRange = () => {
+    let lastRow = sheet.rows.length;
+    while (lastRow > 0 && sheet.rows[lastRow - 1].every(isBlank)) {
+      lastRow--;
+    }
+    if (lastRow === 0) {
+      return { address: 'Sheet1!A1' };
+    }
+    const width = Math.max(...sheet.rows.slice(0, lastRow).map(row => row.length));
+    return { address: `Sheet1!A1:${columnLetter(width)}${lastRow}` };
+  };
+
+  const handle = (path, method, body) => {
+    sheet.requests.push(`${method} ${path.split('/').pop()}`);
+    if (sheet.failWith) {
+      throw sheet.failWith;
+    }
+
+    if (path === '/$batch') {
+      return {
+        responses: body.requests.map(({ id, method: batchMethod, url, body: batchBody }) => ({
+          id,
+          status: 200,
+          body: handle(url, batchMethod.toLowerCase(), batchBody)
+        }))
+      };
+    }
+    if (path.endsWith('/createSession')) {
+      return { id: 'session-1' };
+    }
+    if (path.includes('/usedRange')) {
+      return usedRange();
+    }
+
+    const match = path.match(/range\(address='([^']+)'\)(\/\w+)?$/);
+    if (!match) {
+      // Site and worksheet lookups, session refreshes and closes
+      return { id: 'site-1', name: 'Sheet1' };
+    }
+
+    const range = parseAddress(match[1]);
+    const action = match[2];
+
+    if (action === '/delete') {
+      sheet.rows.splice(range.firstRow - 1, range.lastRow - range.firstRow + 1);
+      return {};
+    }
+
+    if (action === '/clear') {
+      for (let row = range.firstRow; row <= Math.min(range.lastRow, sheet.rows.length); row++) {
+        for (let column = range.firstColumn; column <= range.lastColumn; column++) {
+          sheet.rows[row - 1][column - 1] = '';
+        }
+      }
+      return {};
+    }
+
+    if (method === 'patch') {
+      body.values.forEach((values, offset) => {
+        const row = range.firstRow + offset;
+        while (sheet.rows.length < row) {
+          sheet.rows.push([]);
+        }
+        values.forEach((value, column) => {
+          // Graph leaves a cell unchanged for null
+          if (value !== null) {
+            sheet.rows[row - 1][range.firstColumn - 1 + column] = value;
+          }
+        });
+      });
+      return {};
+    }
+
+    const values = [];
+    for (let row = range.firstRow; row <= range.lastRow; row++) {
+      const cells = [];
+      for (let column = range.firstColumn; column <= range.lastColumn; column++) {
+        const value = (sheet.rows[row - 1] || [])[column - 1];
+        cells.push(value === undefined ? '' : value);
+      }
+      values.push(cells);
+    }
+    return { values, text: values.map(cells => cells.map(String)) };
+  };
+
+  // A chainable request like the Graph client's
+  const api = (path) => {
+    const request = {
+      header: () => request,
+      select: () => request,
+      get: async () => handle(path, 'get'),
+      patch: async body => handle(path, 'patch', body),
+      post: async body => handle(path, 'post', body)
+    };
+    return request;
+  };
+
+  excel._initialize();
+  excel.client = { api };
+
+  return sheet;
+}
+
+module.exports = {
+  useFakeWorksheet
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiAuth, requireScope } = require('../../src/utils/api-auth');
+
+const AUTH_VARIABLES = [
+  'AUTH_API_KEYS',
+  'AUTH_API_KEYS_FILE',
+  'AUTH_JWT_SECRET',
+  'AUTH_JWT_ISSUER',
+  'AUTH_JWT_AUDIENCE',
+  'AUTH_JWT_MAX_AGE_SECONDS',
+  'AUTH_DISABLED'
+];
+const SECRET = 'test-secret';
+
+/**
+ * A new ApiAuth reading the given environment
+ * @param {Object} env AUTH_* variables
+ * @returns {ApiAuth} Initialized instance
+ */
+function createAuth(env = {}) {
+  AUTH_VARIABLES.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+  const auth = new ApiAuth();
+  auth._initialize();
+  return auth;
+}
+
+/**
+ * A request carrying the given headers
+ * @param {Object} headers Header values by lower-case name
+ * @returns {Object} Request with get()
+ */
+function request(headers = {}) {
+  return { get: (name) => headers[name.toLowerCase()] };
+}
+
+/**
+ * Sign claims as a JWT
+ * @param {Object} claims Claims
+ * @param {Object} options { secret, alg }
+ * @returns {string} Token
+ */
+function signJwt(claims, { secret = SECRET, alg = 'HS256' } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('ApiAuth', () => {
+  const savedEnv = {};
+  AUTH_VARIABLES.forEach(name => { savedEnv[name] = process.env[name]; });
+
+  afterAll(() => {
+    AUTH_VARIABLES.forEach(name => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+  });
+
+  describe('AUTH_API_KEYS', () => {
+    it('parses name:key:scope entries', () => {
+      const auth = createAuth({ AUTH_API_KEYS: 'reporting:r-key:read, ops:o-key:operator' });
+
+      expect(auth.getStatus().apiKeys).toEqual([
+        { name: 'reporting', scopes: ['read'] },
+        { name: 'ops', scopes: ['operator'] }
+      ]);
+    });
+
+    it('keeps colons inside a key', () => {
+      const auth = createAuth({ AUTH_API_KEYS: 'ops:a:b:c:admin' });
+
+      expect(auth.authenticate(request({ 'x-api-key': 'a:b:c' }))).toEqual({ type: 'api_key', name: 'ops', scopes: ['admin'] });
+    });
+
+    it('rejects an entry without a scope', () => {
+      expect(() => createAuth({ AUTH_API_KEYS: 'ops:secret' })).toThrow('AUTH_API_KEYS entries must look like name:key:scope');
+    });
+
+    it('rejects an unknown scope', () => {
+      expect(() => createAuth({ AUTH_API_KEYS: 'ops:secret:superuser' })).toThrow('has unknown scopes: superuser');
+    });
+  });
+
+  describe('API keys', () => {
+    it('accepts a key in X-API-Key or as a bearer token', () => {
+      const auth = createAuth({ AUTH_API_KEYS: 'ops:o-key:operator' });
+      const identity = { type: 'api_key', name: 'ops', scopes: ['operator'] };
+
+      expect(auth.authenticate(request({ 'x-api-key': 'o-key' }))).toEqual(identity);
+      expect(auth.authenticate(request({ authorization: 'Bearer o-key' }))).toEqual(identity);
+    });
+
+    it('refuses an unknown key', () => {
+      const auth = createAuth({ AUTH_API_KEYS: 'ops:o-key:operator' });
+
+      expect(() => auth.authenticate(request({ 'x-api-key': 'other' }))).toThrow(expect.objectContaining({ code: 'AUTH_INVALID' }));
+    });
+
+    it('returns no identity without credentials', () => {
+      expect(createAuth({ AUTH_API_KEYS: 'ops:o-key:operator' }).authenticate(request())).toBeNull();
+    });
+
+    it('loads keys from AUTH_API_KEYS_FILE, including sha256 digests', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+      const file = path.join(dir, 'keys.json');
+      const sha256 = crypto.createHash('sha256').update('hashed-key').digest('hex');
+      fs.writeFileSync(file, JSON.stringify({ keys: [{ name: 'bi', sha256, scopes: ['read'] }] }));
+
+      try {
+        const auth = createAuth({ AUTH_API_KEYS_FILE: file });
+        auth.validateConfig();
+
+        expect(auth.authenticate(request({ 'x-api-key': 'hashed-key' }))).toMatchObject({ name: 'bi', scopes: ['read'] });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('JWTs', () => {
+    const authenticate = (token, env = {}) =>
+      createAuth({ AUTH_JWT_SECRET: SECRET, ...env }).authenticate(request({ authorization: `Bearer ${token}` }));
+
+    it('accepts a valid HS256 token with its known scopes', () => {
+      const token = signJwt({ sub: 'dashboard', scope: 'read unknown', exp: now() + 60 });
+
+      expect(authenticate(token)).toEqual({ type: 'jwt', name: 'dashboard', scopes: ['read'] });
+    });
+
+    it('reads scopes from a scopes array', () => {
+      const token = signJwt({ sub: 'ops', scopes: ['operator'], exp: now() + 60 });
+
+      expect(authenticate(token).scopes).toEqual(['operator']);
+    });
+
+    it('takes scopes only from the scope and scopes claims', () => {
+      const token = signJwt({ sub: 'dashboard', role: 'admin', exp: now() + 60 });
+
+      expect(authenticate(token).scopes).toEqual([]);
+    });
+
+    it.each([
+      ['a bad signature', signJwt({ exp: now() + 60 }, { secret: 'other' }), 'Invalid token signature'],
+      ['another algorithm', signJwt({ exp: now() + 60 }, { alg: 'none' }), 'Unsupported token algorithm: none'],
+      ['a token without an exp claim', signJwt({ sub: 'x' }), 'Token has no expiry (exp claim)'],
+      ['an expired token', signJwt({ exp: now() - 120 }), 'Token has expired'],
+      ['a token not valid yet', signJwt({ exp: now() + 600, nbf: now() + 300 }), 'Token is not valid yet']
+    ])('refuses %s', (description, token, message) => {
+      expect(() => authenticate(token)).toThrow(message);
+    });
+
+    it('allows a little clock skew on exp', () => {
+      expect(authenticate(signJwt({ exp: now() - 5 }))).toMatchObject({ type: 'jwt' });
+    });
+
+    it('refuses bearer tokens when no secret is set', () => {
+      const auth = createAuth({ AUTH_API_KEYS: 'ops:o-key:operator' });
+
+      expect(() => auth.authenticate(request({ authorization: `Bearer ${signJwt({ exp: now() + 60 })}` })))
+        .toThrow('Bearer tokens are not accepted');
+    });
+
+    it('bounds token age with AUTH_JWT_MAX_AGE_SECONDS', () => {
+      const env = { AUTH_JWT_MAX_AGE_SECONDS: '3600' };
+      const exp = now() + 86400;
+
+      expect(authenticate(signJwt({ iat: now() - 60, exp }), env)).toMatchObject({ type: 'jwt' });
+      expect(() => authenticate(signJwt({ exp }), env)).toThrow('Token has no issue time (iat claim)');
+      expect(() => authenticate(signJwt({ iat: now() - 7200, exp }), env)).toThrow('Token is older than the allowed maximum age');
+      expect(() => authenticate(signJwt({ iat: now() + 600, exp }), env)).toThrow('Token was issued in the future');
+    });
+
+    it('checks the issuer and audience when configured', () => {
+      const env = { AUTH_JWT_ISSUER: 'https://issuer.test', AUTH_JWT_AUDIENCE: 'shedsuite-sync' };
+      const exp = now() + 60;
+
+      expect(authenticate(signJwt({ iss: 'https://issuer.test', aud: ['other', 'shedsuite-sync'], exp }), env)).toMatchObject({ type: 'jwt' });
+      expect(() => authenticate(signJwt({ iss: 'https://evil.test', aud: 'shedsuite-sync', exp }), env)).toThrow('Token issuer is not accepted');
+      expect(() => authenticate(signJwt({ iss: 'https://issuer.test', aud: 'other', exp }), env)).toThrow('Token audience is not accepted');
+    });
+  });
+
+  describe('hasScope', () => {
+    it('lets higher scopes include lower ones', () => {
+      const auth = createAuth();
+      const operator = { scopes: ['operator'] };
+
+      expect(auth.hasScope(operator, 'read')).toBe(true);
+      expect(auth.hasScope(operator, 'operator')).toBe(true);
+      expect(auth.hasScope(operator, 'admin')).toBe(false);
+      expect(auth.hasScope({ scopes: [] }, 'read')).toBe(false);
+      expect(auth.hasScope({ scopes: ['admin'] }, 'superuser')).toBe(false);
+    });
+
+    it('refuses to define a route with an unknown scope', () => {
+      expect(() => requireScope('opertor')).toThrow('Unknown API scope "opertor"');
+      expect(typeof requireScope('operator')).toBe('function');
+      expect(typeof requireScope(() => 'read')).toBe('function');
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('fails closed without credentials unless AUTH_DISABLED is set', () => {
+      expect(createAuth().getStatus()).toMatchObject({ enabled: true, credentialsConfigured: false });
+      expect(createAuth({ AUTH_DISABLED: 'true' }).isEnabled()).toBe(false);
+    });
+
+    it.each(['0', '-5', '1.5', 'day'])('rejects AUTH_JWT_MAX_AGE_SECONDS=%s', (value) => {
+      expect(() => createAuth({ AUTH_JWT_SECRET: SECRET, AUTH_JWT_MAX_AGE_SECONDS: value })).toThrow('AUTH_JWT_MAX_AGE_SECONDS must be a positive number');
+    });
+
+    it('rejects a keys file that cannot be loaded', () => {
+      const auth = createAuth({ AUTH_API_KEYS_FILE: path.join(os.tmpdir(), 'missing-api-keys.json') });
+
+      expect(() => auth.validateConfig()).toThrow('AUTH_API_KEYS_FILE could not be loaded');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('../../src/utils/audit-log');
+
+describe('AuditLog', () => {
+  let dir;
+  let auditLog;
+
+  /**
+   * Record entries one after another, a second apart so rotated files get distinct names
+   * @param {Array<string>} actions Actions to record
+   * @returns {Promise<void>}
+   */
+  async function recordAll(actions) {
+    for (const action of actions) {
+      jest.setSystemTime(Date.now() + 1000);
+      await auditLog.record({ action, actor: { type: 'system', name: 'test' }, outcome: { status: 'success' } });
+    }
+  }
+
+  const readDir = () => fs.readdirSync(dir).sort();
+  const readActions = (file) => fs.readFileSync(path.join(dir, file), 'utf8')
+    .split('\n').filter(Boolean).map(line => JSON.parse(line).action);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    auditLog = new AuditLog();
+    auditLog.config.dir = dir;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends entries as JSON lines and reads them back newest first', async () => {
+    await recordAll(['monitor.start', 'sync.full_sync']);
+
+    expect(readDir()).toEqual(['audit.jsonl']);
+    expect(readActions('audit.jsonl')).toEqual(['monitor.start', 'sync.full_sync']);
+
+    const { entries, truncated } = await auditLog.query();
+    expect(entries.map(entry => entry.action)).toEqual(['sync.full_sync', 'monitor.start']);
+    expect(entries[0]).toMatchObject({ id: expect.stringMatching(/^audit-/), timestamp: '2024-06-01T12:00:02.000Z' });
+    expect(truncated).toBe(false);
+  });
+
+  it('starts a new file when the next entry would pass the size limit', async () => {
+    await recordAll(['first']);
+    // Room for two entries of about this size, not three
+    auditLog.config.maxFileBytes = fs.statSync(path.join(dir, 'audit.jsonl')).size * 2 + 10;
+
+    await recordAll(['second', 'third']);
+
+    expect(readDir()).toEqual(['audit-2024-06-01T12-00-03-000Z.jsonl', 'audit.jsonl']);
+    expect(readActions('audit-2024-06-01T12-00-03-000Z.jsonl')).toEqual(['first', 'second']);
+    expect(readActions('audit.jsonl')).toEqual(['third']);
+  });
+
+  it('keeps only the newest rotated files', async () => {
+    auditLog.config.maxFileBytes = 1;
+    auditLog.config.retention = 2;
+
+    await recordAll(['a', 'b', 'c', 'd', 'e']);
+
+    const rotated = await auditLog.getRotatedFiles();
+    expect(rotated).toHaveLength(2);
+    expect(rotated.map(file => readActions(file)[0])).toEqual(['d', 'c']);
+    expect(readActions('audit.jsonl')).toEqual(['e']);
+  });
+
+  it('queries across rotated files and stops at the start of the range', async () => {
+    auditLog.config.maxFileBytes = 1;
+    await recordAll(['a', 'b', 'c', 'd']);
+
+    const all = await auditLog.query();
+    expect(all.entries.map(entry => entry.action)).toEqual(['d', 'c', 'b', 'a']);
+
+    const recent = await auditLog.query({ from: new Date('2024-06-01T12:00:03Z').getTime(), limit: 1 });
+    expect(recent.entries.map(entry => entry.action)).toEqual(['d']);
+    expect(recent.truncated).toBe(true);
+  });
+
+  it('counts the existing file after a restart', async () => {
+    await recordAll(['before restart']);
+    const size = fs.statSync(path.join(dir, 'audit.jsonl')).size;
+
+    auditLog = new AuditLog();
+    auditLog.config.dir = dir;
+    auditLog.config.maxFileBytes = size + 1;
+    await recordAll(['after restart']);
+
+    expect(readDir()).toHaveLength(2);
+    expect(readActions('audit.jsonl')).toEqual(['after restart']);
+  });
+
+  it('resolves even when the entry cannot be written', async () => {
+    auditLog.config.dir = path.join(dir, 'audit.jsonl', 'nested');
+    fs.writeFileSync(path.join(dir, 'audit.jsonl'), '');
+
+    await expect(auditLog.record({ action: 'monitor.stop' })).resolves.toMatchObject({ action: 'monitor.stop' });
+  });
+});
@@ -0,0 +1,168 @@
+const { PassThrough } = require('stream');
+const zlib = require('zlib');
+const { ColumnMapping } = require('../../src/utils/column-mapping');
+const { createExportWriter, csvCell } = require('../../src/utils/export-writers');
+
+const columnMapping = new ColumnMapping([
+  { field: 'id', header: 'Order ID', source: 'id' },
+  { field: 'customer_name', header: 'Customer <Name>', source: 'customerName' },
+  { field: 'total', header: 'Total', source: 'total', format: 'currency' }
+]);
+
+/**
+ * An Express-like response that collects what is written to it
+ * @returns {PassThrough} Response with status(), attachment(), type() and body()
+ */
+function createResponse() {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.headers = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.attachment = (name) => { res.headers.fileName = name; return res; };
+  res.type = (type) => { res.headers.type = type; return res; };
+  res.body = () => new Promise(resolve => res.on('end', () => resolve(Buffer.concat(chunks))));
+  return res;
+}
+
+/**
+ * Run a writer over pages of formatted records
+ * @param {string} format Export format
+ * @param {Array<Array<Object>>} pages Pages of records
+ * @returns {Promise<Object>} { res, body }
+ */
+async function exportPages(format, pages) {
+  const res = createResponse();
+  const body = res.body();
+  const writer = createExportWriter(format, res, columnMapping, { fileName: 'orders', sheetName: 'Orders: 2024/06' });
+
+  await writer.start();
+  for (const page of pages) {
+    await writer.write(page);
+  }
+  await writer.finish();
+  return { res, body: await body };
+}
+
+/**
+ * Read a ZIP archive through its central directory, checking every entry
+ * against its local header and CRC
+ * @param {Buffer} archive ZIP file
+ * @returns {Object} File contents by name
+ */
+function readZip(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  const directorySize = archive.readUInt32LE(end + 12);
+  let position = archive.readUInt32LE(end + 16);
+  expect(position + directorySize).toBe(end);
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    expect(archive.readUInt32LE(offset)).toBe(0x04034b50);
+    expect(archive.toString('utf8', offset + 30, offset + 30 + nameLength)).toBe(name);
+    const dataStart = offset + 30 + nameLength;
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    expect(content.length).toBe(size);
+    expect(zlib.crc32(content)).toBe(crc);
+
+    // The data descriptor after the entry repeats its CRC and sizes
+    const descriptor = dataStart + compressedSize;
+    expect(archive.readUInt32LE(descriptor)).toBe(0x08074b50);
+    expect(archive.readUInt32LE(descriptor + 4)).toBe(crc);
+
+    files[name] = content.toString('utf8');
+  }
+  return files;
+}
+
+describe('csvCell', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('Smith, John')).toBe('"Smith, John"');
+    expect(csvCell('12" shelf')).toBe('"12"" shelf"');
+    expect(csvCell('line\nbreak')).toBe('"line\nbreak"');
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(0)).toBe('0');
+  });
+
+  it.each([
+    ['=HYPERLINK("http://x")', '"\'=HYPERLINK(""http://x"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"],
+    ['\rcmd', '"\'\rcmd"']
+  ])('keeps %j from opening as a formula', (value, cell) => {
+    expect(csvCell(value)).toBe(cell);
+  });
+
+  it('leaves signed numbers alone', () => {
+    expect(csvCell('-12.50')).toBe('-12.50');
+    expect(csvCell('+3')).toBe('+3');
+    expect(csvCell(-4)).toBe('-4');
+  });
+});
+
+describe('createExportWriter', () => {
+  it('rejects an unknown format', () => {
+    expect(() => createExportWriter('pdf', createResponse(), columnMapping)).toThrow('Unknown export format: pdf');
+  });
+
+  it('writes CSV with a byte order mark, the mapped headers and one line per record', async () => {
+    const { res, body } = await exportPages('csv', [
+      [{ id: '1', customer_name: 'Smith, John', total: '10.00' }],
+      [],
+      [{ id: '2', customer_name: '=cmd|\' /C calc\'!A0', total: '-5.00' }]
+    ]);
+
+    expect(res.headers).toEqual({ fileName: 'orders.csv', type: 'text/csv; charset=utf-8' });
+    expect(body.toString('utf8')).toBe(
+      '\ufeffOrder ID,Customer <Name>,Total\r\n' +
+      '1,"Smith, John",10.00\r\n' +
+      "2,'=cmd|' /C calc'!A0,-5.00\r\n"
+    );
+  });
+
+  it('writes NDJSON with keys in column order', async () => {
+    const { body } = await exportPages('ndjson', [[{ total: '1.00', id: '7', extra: 'x' }]]);
+
+    const lines = body.toString('utf8').trim().split('\n');
+    expect(lines).toEqual(['{"id":"7","customer_name":"","total":"1.00"}']);
+  });
+
+  it('writes an XLSX archive with a valid central directory and escaped cells', async () => {
+    const { res, body } = await exportPages('xlsx', [
+      [{ id: '1', customer_name: 'Tom & Jerry <"Barns">', total: '12.50' }],
+      [{ id: '2', customer_name: ' padded\u0001 ', total: 'n/a' }]
+    ]);
+
+    expect(res.headers.fileName).toBe('orders.xlsx');
+    const files = readZip(body);
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml'
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Orders  2024 06" sheetId="1" r:id="rId1"/>');
+
+    const rows = files['xl/worksheets/sheet1.xml'].match(/<row r="\d+">.*?<\/row>/g);
+    expect(rows).toEqual([
+      '<row r="1"><c t="inlineStr"><is><t>Order ID</t></is></c><c t="inlineStr"><is><t>Customer &lt;Name&gt;</t></is></c><c t="inlineStr"><is><t>Total</t></is></c></row>',
+      '<row r="2"><c t="inlineStr"><is><t>1</t></is></c><c t="inlineStr"><is><t>Tom &amp; Jerry &lt;&quot;Barns&quot;&gt;</t></is></c><c><v>12.5</v></c></row>',
+      '<row r="3"><c t="inlineStr"><is><t>2</t></is></c><c t="inlineStr"><is><t xml:space="preserve"> padded </t></is></c><c t="inlineStr"><is><t>n/a</t></is></c></row>'
+    ]);
+  });
+});
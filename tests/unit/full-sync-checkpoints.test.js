@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fullSyncCheckpoints = require('../../src/utils/full-sync-checkpoints');
+
+const excelService = {
+  getTargetKey: () => 'site/Orders',
+  destination: { name: 'site' },
+  worksheetName: 'Orders',
+  writeMode: 'replace'
+};
+const target = { startRow: 2, startColumn: 'A', layout: null };
+const source = { filters: {}, destination: 'site' };
+
+/**
+ * Records with the given IDs
+ * @param {number} from First ID
+ * @param {number} count Records
+ * @returns {Array<Object>} Records
+ */
+function records(from, count) {
+  return Array.from({ length: count }, (value, index) => ({ id: from + index }));
+}
+
+/**
+ * A write that remembers the row ranges it was given
+ * @param {Array<Object>} ranges Receives { startRow, endRow } per call
+ * @returns {Function} Write
+ */
+function recordWrites(ranges) {
+  return async ({ startRow, endRow }) => {
+    ranges.push({ startRow, endRow });
+  };
+}
+
+describe('fullSyncCheckpoints', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'full-syncs-'));
+    fullSyncCheckpoints.config.dir = dir;
+    fullSyncCheckpoints.config.enabled = true;
+    fullSyncCheckpoints.active.clear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does not checkpoint a sync without a source', async () => {
+    await expect(fullSyncCheckpoints.begin(excelService, target, {})).resolves.toBeNull();
+  });
+
+  it('commits pages to consecutive rows and saves them', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source, jobId: 'job-1' });
+    const ranges = [];
+
+    await checkpoint.commit(records(1, 3), recordWrites(ranges));
+    await checkpoint.commit(records(4, 2), recordWrites(ranges));
+
+    expect(ranges).toEqual([{ startRow: 2, endRow: 4 }, { startRow: 5, endRow: 6 }]);
+    expect(checkpoint.committedRecords).toBe(5);
+    expect(checkpoint.nextRow).toBe(7);
+    expect(await fullSyncCheckpoints.get(checkpoint.operationId)).toMatchObject({
+      target: 'site/Orders',
+      status: 'in_progress',
+      active: true,
+      jobIds: ['job-1'],
+      committedRecords: 5,
+      committedPages: 2,
+      nextRow: 7
+    });
+  });
+
+  it('writes a page again on the same rows after a transient failure', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    checkpoint.processor.errorHandler.config.baseDelay = 1;
+    const ranges = [];
+    await checkpoint.commit(records(1, 2), recordWrites(ranges));
+
+    let attempts = 0;
+    await checkpoint.commit(records(3, 2), async (rowRange) => {
+      ranges.push({ startRow: rowRange.startRow, endRow: rowRange.endRow });
+      if (attempts++ === 0) {
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      }
+    });
+
+    expect(ranges).toEqual([{ startRow: 2, endRow: 3 }, { startRow: 4, endRow: 5 }, { startRow: 4, endRow: 5 }]);
+    expect(checkpoint.committedRecords).toBe(4);
+  });
+
+  it('leaves the saved progress alone when a page fails', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await checkpoint.commit(records(1, 2), recordWrites([]));
+
+    await expect(checkpoint.commit(records(3, 2), async () => { throw new Error('Bad request'); })).rejects.toThrow('Bad request');
+
+    expect(checkpoint.state.totalRecords).toBe(2);
+    expect(await fullSyncCheckpoints.get(checkpoint.operationId)).toMatchObject({ committedRecords: 2, committedPages: 1, nextRow: 4 });
+  });
+
+  it('keeps a digest of the committed order IDs that does not depend on page boundaries', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    expect(checkpoint.committedDigest).toBeNull();
+
+    await checkpoint.commit(records(1, 3), recordWrites([]));
+    await checkpoint.commit(records(4, 2), recordWrites([]));
+
+    const digest = fullSyncCheckpoints.digestRecordIds(fullSyncCheckpoints.digestRecordIds(null, records(1, 1)), records(2, 4));
+    expect(checkpoint.committedDigest).toBe(digest);
+    expect(fullSyncCheckpoints.digestRecordIds(null, [...records(2, 1), ...records(1, 1), ...records(3, 3)])).not.toBe(digest);
+
+    fullSyncCheckpoints.active.clear();
+    const resumed = await fullSyncCheckpoints.resume(checkpoint.operationId);
+    expect(resumed.committedDigest).toBe(digest);
+  });
+
+  it('deletes the checkpoint once the sync completes', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await checkpoint.commit(records(1, 2), recordWrites([]));
+
+    await checkpoint.complete();
+
+    expect(await fullSyncCheckpoints.list()).toEqual([]);
+    expect(fullSyncCheckpoints.active.size).toBe(0);
+  });
+
+  it.each([
+    ['cancelled', Object.assign(new Error('Job cancelled'), { code: 'JOB_CANCELLED' })],
+    ['interrupted', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+    ['failed', Object.assign(new Error('Worksheet not found'), { statusCode: 404 })]
+  ])('keeps a sync stopped by an error as %s', async (status, error) => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await checkpoint.commit(records(1, 2), recordWrites([]));
+
+    await checkpoint.interrupt(error);
+
+    expect(await fullSyncCheckpoints.get(checkpoint.operationId)).toMatchObject({
+      status,
+      active: false,
+      lastError: { message: error.message }
+    });
+    expect((await fullSyncCheckpoints.listInterrupted()).length).toBe(status === 'interrupted' ? 1 : 0);
+  });
+
+  it('lists a sync its process stopped mid-way as interrupted', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await checkpoint.commit(records(1, 2), recordWrites([]));
+    expect(await fullSyncCheckpoints.listInterrupted()).toEqual([]);
+
+    // A restart forgets the syncs that were running
+    fullSyncCheckpoints.active.clear();
+
+    expect(await fullSyncCheckpoints.listInterrupted()).toEqual([
+      expect.objectContaining({ operationId: checkpoint.operationId, status: 'interrupted', nextRow: 4 })
+    ]);
+  });
+
+  it('resumes after the last committed page', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source, jobId: 'job-1' });
+    await checkpoint.commit(records(1, 3), recordWrites([]));
+    await checkpoint.interrupt(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    const resumed = await fullSyncCheckpoints.resume(checkpoint.operationId, { jobId: 'job-2' });
+    const ranges = [];
+    await resumed.commit(records(4, 2), recordWrites(ranges));
+
+    expect(ranges).toEqual([{ startRow: 5, endRow: 6 }]);
+    expect(resumed.committedRecords).toBe(5);
+    expect(await fullSyncCheckpoints.findByJobId('job-2')).toMatchObject({
+      operationId: checkpoint.operationId,
+      jobIds: ['job-1', 'job-2'],
+      status: 'in_progress',
+      active: true
+    });
+  });
+
+  it('resumes a sync with no committed pages at the first data row', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await checkpoint.interrupt(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    const resumed = await fullSyncCheckpoints.resume(checkpoint.operationId);
+    const ranges = [];
+    await resumed.commit(records(1, 2), recordWrites(ranges));
+
+    expect(ranges).toEqual([{ startRow: 2, endRow: 3 }]);
+  });
+
+  it('refuses to resume a running or unknown sync', async () => {
+    const checkpoint = await fullSyncCheckpoints.begin(excelService, target, { source });
+
+    await expect(fullSyncCheckpoints.resume(checkpoint.operationId)).rejects.toMatchObject({ code: 'CHECKPOINT_ACTIVE' });
+    await expect(fullSyncCheckpoints.resume('full_sync_missing')).rejects.toMatchObject({ code: 'CHECKPOINT_NOT_FOUND' });
+    await expect(fullSyncCheckpoints.get('../audit/audit')).resolves.toBeNull();
+  });
+
+  it('drops interrupted syncs of a sheet a new full sync has cleared', async () => {
+    const earlier = await fullSyncCheckpoints.begin(excelService, target, { source });
+    await earlier.interrupt(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    const later = await fullSyncCheckpoints.begin(excelService, target, { source });
+
+    expect((await fullSyncCheckpoints.list()).map(checkpoint => checkpoint.operationId)).toEqual([later.operationId]);
+  });
+});
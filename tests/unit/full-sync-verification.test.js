@@ -0,0 +1,143 @@
+process.env.AZURE_CLIENT_ID = 'client';
+process.env.AZURE_TENANT_ID = 'tenant';
+process.env.AZURE_CLIENT_SECRET = 'secret';
+process.env.SHAREPOINT_HOSTNAME = 'contoso.sharepoint.test';
+process.env.SHAREPOINT_SITE_PATH = '/sites/orders';
+process.env.EXCEL_WORKBOOK_ID = 'workbook-1';
+
+const { ExcelService } = require('../../src/services/excel');
+const { ColumnMapping } = require('../../src/utils/column-mapping');
+const verificationReports = require('../../src/utils/verification-reports');
+const notificationSystem = require('../../src/utils/notification-system');
+const { useFakeWorksheet } = require('../helpers/fake-worksheet');
+
+const columnMapping = new ColumnMapping([
+  { field: 'id', header: 'Order ID', source: 'id' },
+  { field: 'customer_name', header: 'Customer', source: 'customerName' },
+  { field: 'status', header: 'Status', source: 'status' }
+]);
+
+const HEADERS = ['Order ID', 'Customer', 'Status'];
+
+/**
+ * Formatted records for orders 1..count
+ * @param {number} count Number of orders
+ * @returns {Array<Object>} Formatted records
+ */
+function recordsOf(count) {
+  return Array.from({ length: count }, (_, offset) => ({
+    id: String(offset + 1),
+    customer_name: `Customer ${offset + 1}`,
+    status: 'Open'
+  }));
+}
+
+describe('ExcelService.verifyFullWrite', () => {
+  let excel;
+  let notify;
+
+  /**
+   * Write records to the fake sheet the way a full sync does and keep the write target's tracking
+   * @param {Array<Object>} records Formatted records
+   * @returns {Object} { sheet, target }
+   */
+  function writeAll(records) {
+    const sheet = useFakeWorksheet(excel, [HEADERS, ...records.map(record => columnMapping.toRow(record))]);
+    const target = { startRow: 2, startColumn: 'A', layout: null, written: { count: 0, blocks: [], sample: [] } };
+    excel.trackWrittenRecords(target, records, []);
+    return { sheet, target };
+  }
+
+  beforeEach(() => {
+    excel = new ExcelService({ columnMapping });
+    jest.spyOn(verificationReports, 'saveReport').mockResolvedValue('verify-test');
+    notify = jest.spyOn(notificationSystem, 'sendNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.SYNC_VERIFY_AFTER_FULL_SYNC;
+  });
+
+  it('passes when the sheet holds what the sync wrote', async () => {
+    const { target } = writeAll(recordsOf(30));
+
+    const result = await excel.verifyFullWrite('site-1', target);
+
+    expect(result).toEqual({ reportId: 'verify-test', status: 'passed', errors: 0 });
+    const [report] = verificationReports.saveReport.mock.calls[0];
+    expect(report.summary).toMatchObject({ rowsWritten: 30, sheetRows: 30, mismatchedRanges: 0, sampledRecords: 25, fieldMismatches: 0 });
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('reports the block of rows whose order IDs differ', async () => {
+    const { sheet, target } = writeAll(recordsOf(1500));
+    // Row 1201 lies in the second block of 1000 rows
+    sheet.rows[1200][0] = 'other';
+
+    const result = await excel.verifyFullWrite('site-1', target);
+
+    expect(result.status).toBe('failed');
+    const [report] = verificationReports.saveReport.mock.calls[0];
+    expect(report.summary).toMatchObject({ rowsWritten: 1500, sheetRows: 1500, mismatchedRanges: 1, mismatchedRows: 500 });
+    expect(report.checks.ids.errors).toEqual([expect.objectContaining({ type: 'id_mismatch', firstRow: 1002, lastRow: 1501 })]);
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({ level: 'error', details: expect.objectContaining({ reportId: 'verify-test' }) }));
+  });
+
+  it('reports sampled fields that differ from the written record', async () => {
+    const { sheet, target } = writeAll(recordsOf(5));
+    sheet.rows[3][2] = 'Cancelled';
+
+    const result = await excel.verifyFullWrite('site-1', target);
+
+    expect(result.status).toBe('failed');
+    const [report] = verificationReports.saveReport.mock.calls[0];
+    expect(report.summary).toMatchObject({ mismatchedRanges: 0, sampledRecords: 5, fieldMismatches: 1 });
+    expect(report.checks.sampledFields.errors).toEqual([expect.objectContaining({
+      type: 'field_mismatch',
+      row: 4,
+      recordId: '3',
+      field: 'status',
+      expected: 'Open',
+      actual: 'Cancelled'
+    })]);
+  });
+
+  it('counts rows missing at the end of the sheet', async () => {
+    const { sheet, target } = writeAll(recordsOf(20));
+    sheet.rows.splice(19);
+
+    const result = await excel.verifyFullWrite('site-1', target);
+
+    expect(result.status).toBe('failed');
+    const [report] = verificationReports.saveReport.mock.calls[0];
+    expect(report.summary).toMatchObject({ rowsWritten: 20, sheetRows: 18, mismatchedRanges: 1 });
+    expect(report.checks.recordCount.isValid).toBe(false);
+  });
+
+  it('follows replaced rows in the digest and the sample', async () => {
+    const records = recordsOf(10);
+    const { sheet, target } = writeAll(records);
+    const replacement = { id: '11', customer_name: 'Customer 11', status: 'Open' };
+    sheet.rows[3] = columnMapping.toRow(replacement);
+    excel.trackWrittenRecords(target, [], [{ index: 2, record: replacement, replacedId: '3' }]);
+
+    await expect(excel.verifyFullWrite('site-1', target)).resolves.toMatchObject({ status: 'passed' });
+  });
+
+  it('returns an error status instead of failing when the sheet cannot be read', async () => {
+    const { sheet, target } = writeAll(recordsOf(3));
+    sheet.failWith = new Error('Service unavailable');
+
+    await expect(excel.verifyFullWrite('site-1', target))
+      .resolves.toEqual({ reportId: null, status: 'error', error: 'Service unavailable' });
+  });
+
+  it('does nothing when turned off', async () => {
+    process.env.SYNC_VERIFY_AFTER_FULL_SYNC = 'false';
+    const { sheet, target } = writeAll(recordsOf(3));
+
+    await expect(excel.verifyFullWrite('site-1', target)).resolves.toBeNull();
+    expect(sheet.requests).toEqual([]);
+  });
+});
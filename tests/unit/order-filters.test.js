@@ -0,0 +1,104 @@
+const { OrderFilter, parseOrderFilters } = require('../../src/utils/order-filters');
+
+describe('parseOrderFilters', () => {
+  it('returns an empty filter without conditions', () => {
+    const filter = parseOrderFilters({});
+
+    expect(filter).toBeInstanceOf(OrderFilter);
+    expect(filter.apiFilters).toEqual({});
+    expect(filter.hasClientConditions()).toBe(false);
+    expect(filter.matches({ id: 1 })).toBe(true);
+  });
+
+  it('passes paging through to the API', () => {
+    const filter = parseOrderFilters({ page: '2', pageSize: '50', maxRecords: 500 });
+
+    expect(filter.apiFilters).toEqual({ page: 2, pageSize: 50, maxRecords: 500 });
+    expect(filter.describe()).toEqual({ api: ['maxRecords'], client: [] });
+  });
+
+  it('pushes the latest dateUpdated lower bound down as updatedAfter', () => {
+    const filter = parseOrderFilters({
+      updatedAfter: '2024-01-01T00:00:00Z',
+      dateUpdated: { gte: '2024-03-01T00:00:00Z' }
+    });
+
+    expect(filter.apiFilters.updatedAfter).toBe('2024-03-01T00:00:00.000Z');
+    expect(filter.hasClientConditions()).toBe(false);
+  });
+
+  it('pushes a single status down and matches several statuses client-side', () => {
+    expect(parseOrderFilters({ status: 'Delivered' }).apiFilters.status).toBe('Delivered');
+
+    const filter = parseOrderFilters({ status: 'Delivered, Cancelled' });
+    expect(filter.apiFilters.status).toBeUndefined();
+    expect(filter.describe().client).toEqual(['status']);
+    expect(filter.matches({ status: 'cancelled ' })).toBe(true);
+    expect(filter.matches({ status: 'Open' })).toBe(false);
+    expect(filter.matches({})).toBe(false);
+  });
+
+  it('matches any of the fields behind a list filter', () => {
+    const filter = parseOrderFilters({ dealer: 'D-7' });
+
+    expect(filter.matches({ dealerId: 'd-7' })).toBe(true);
+    expect(filter.matches({ dealerId: 'D-1', soldByDealer: 'D-7' })).toBe(true);
+    expect(filter.matches({ dealerId: 'D-1' })).toBe(false);
+  });
+
+  it('treats a bare day as the whole day', () => {
+    const filter = parseOrderFilters({ dateOrdered: '2024-05-10' });
+
+    expect(filter.matches({ dateOrdered: '2024-05-10T00:00:00Z' })).toBe(true);
+    expect(filter.matches({ dateOrdered: '2024-05-10T23:59:59.999Z' })).toBe(true);
+    expect(filter.matches({ dateOrdered: '2024-05-11T00:00:00Z' })).toBe(false);
+    expect(filter.matches({ dateOrdered: '2024-05-09T23:59:59Z' })).toBe(false);
+  });
+
+  it('applies exclusive and inclusive date bounds', () => {
+    const filter = parseOrderFilters({ dateDelivered: { gt: '2024-05-10', lt: '2024-05-20' } });
+
+    expect(filter.matches({ dateDelivered: '2024-05-10T12:00:00Z' })).toBe(false);
+    expect(filter.matches({ dateDelivered: '2024-05-11T00:00:00Z' })).toBe(true);
+    expect(filter.matches({ dateDelivered: '2024-05-20T00:00:00Z' })).toBe(false);
+    expect(filter.matches({ dateDelivered: null })).toBe(false);
+  });
+
+  it('matches boolean filters against loosely typed values', () => {
+    const filter = parseOrderFilters({ rto: 'true' });
+
+    expect(filter.matches({ rto: true })).toBe(true);
+    expect(filter.matches({ rto: 'Yes' })).toBe(true);
+    expect(filter.matches({ rto: '0' })).toBe(false);
+    expect(parseOrderFilters({ rto: 'false' }).matches({})).toBe(true);
+  });
+
+  it('requires every client-side condition to match', () => {
+    const filter = parseOrderFilters({ state: 'TX,OK', orderType: 'RTO' });
+
+    expect(filter.matches({ deliveryState: 'TX', orderType: 'rto' })).toBe(true);
+    expect(filter.matches({ deliveryState: 'TX', orderType: 'Cash' })).toBe(false);
+  });
+
+  it('lists every problem in an INVALID_FILTER error', () => {
+    let error;
+    try {
+      parseOrderFilters({
+        color: 'red',
+        rto: 'maybe',
+        dateOrdered: { between: '2024-01-01' },
+        dateUpdated: { gte: '2024-02-01', lt: '2024-01-01' }
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).toBe('INVALID_FILTER');
+    expect(error.errors).toEqual(expect.arrayContaining([
+      'Unsupported filter: color',
+      'rto must be true or false',
+      expect.stringContaining('Unsupported operator "between"'),
+      'dateUpdated range is empty: its start is not before its end'
+    ]));
+  });
+});
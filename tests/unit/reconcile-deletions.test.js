@@ -0,0 +1,128 @@
+process.env.AZURE_CLIENT_ID = 'client';
+process.env.AZURE_TENANT_ID = 'tenant';
+process.env.AZURE_CLIENT_SECRET = 'secret';
+process.env.SHAREPOINT_HOSTNAME = 'contoso.sharepoint.test';
+process.env.SHAREPOINT_SITE_PATH = '/sites/orders';
+process.env.EXCEL_WORKBOOK_ID = 'workbook-1';
+
+const { ExcelService } = require('../../src/services/excel');
+const { ColumnMapping } = require('../../src/utils/column-mapping');
+const { useFakeWorksheet } = require('../helpers/fake-worksheet');
+
+const columnMapping = new ColumnMapping([
+  { field: 'id', header: 'Order ID', source: 'id' },
+  { field: 'customer_name', header: 'Customer', source: 'customerName' },
+  { field: 'status', header: 'Status', source: 'status' }
+]);
+
+const HEADERS = ['Order ID', 'Customer', 'Status'];
+
+/**
+ * A sheet with orders 1..count, all open
+ * @param {number} count Number of orders
+ * @returns {Array<Array>} Rows, header first
+ */
+function sheetOf(count) {
+  const rows = [HEADERS];
+  for (let id = 1; id <= count; id++) {
+    rows.push([String(id), `Customer ${id}`, 'Open']);
+  }
+  return rows;
+}
+
+/**
+ * A ShedSuite listing of the given order IDs
+ * @param {Array<number>} ids Order IDs
+ * @returns {Array<Object>} Formatted records
+ */
+const listingOf = ids => ids.map(id => ({ id: String(id), customer_name: `Customer ${id}`, status: 'Open' }));
+
+const range = (first, last) => Array.from({ length: last - first + 1 }, (_, offset) => first + offset);
+
+describe('ExcelService.reconcileDeletions', () => {
+  let excel;
+
+  beforeEach(() => {
+    excel = new ExcelService({ columnMapping });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RECONCILE_MAX_REMOVAL_FRACTION;
+  });
+
+  it('marks the rows of orders missing from the listing', async () => {
+    const sheet = useFakeWorksheet(excel, sheetOf(40));
+
+    const result = await excel.reconcileDeletions(listingOf(range(1, 40).filter(id => id !== 4 && id !== 5 && id !== 9)));
+
+    expect(result).toMatchObject({ mode: 'mark', sheetRows: 40, liveRecords: 37, staleCount: 3, marked: 3, removed: 0 });
+    expect(result.stale).toEqual(['4', '5', '9']);
+    expect(sheet.rows.filter(row => row[2] === 'Removed').map(row => row[0])).toEqual(['4', '5', '9']);
+    // Adjacent rows are marked in one request
+    expect(sheet.requests.filter(request => request.startsWith('patch'))).toEqual([
+      "patch range(address='C5:C6')",
+      "patch range(address='C10:C10')"
+    ]);
+  });
+
+  it('does not count rows marked on an earlier run again', async () => {
+    const rows = sheetOf(20);
+    rows[4][2] = 'Removed';
+    const sheet = useFakeWorksheet(excel, rows);
+
+    const result = await excel.reconcileDeletions(listingOf(range(1, 20).filter(id => id !== 4 && id !== 7)));
+
+    expect(result).toMatchObject({ alreadyMarked: 1, staleCount: 1, marked: 1 });
+    expect(sheet.requests.filter(request => request.startsWith('patch'))).toEqual(["patch range(address='C8:C8')"]);
+  });
+
+  it('deletes stale row groups bottom-up so earlier groups keep their row numbers', async () => {
+    const sheet = useFakeWorksheet(excel, sheetOf(40));
+
+    const result = await excel.reconcileDeletions(listingOf(range(1, 40).filter(id => ![3, 4, 8].includes(id))), { mode: 'delete' });
+
+    expect(result).toMatchObject({ mode: 'delete', removed: 3, marked: 0 });
+    expect(sheet.requests.filter(request => request === 'post delete')).toHaveLength(2);
+    expect(sheet.rows.map(row => row[0])).toEqual(['Order ID', ...range(1, 40).filter(id => ![3, 4, 8].includes(id)).map(String)]);
+  });
+
+  it('changes nothing above the removal fraction unless forced', async () => {
+    const sheet = useFakeWorksheet(excel, sheetOf(10));
+    const listing = listingOf(range(1, 8));
+
+    const error = await excel.reconcileDeletions(listing).catch(thrown => thrown);
+
+    expect(error.code).toBe('RECONCILE_THRESHOLD_EXCEEDED');
+    expect(error.details).toMatchObject({ staleCount: 2, removalFraction: 0.2, maxRemovalFraction: 0.1 });
+    expect(sheet.rows).toEqual(sheetOf(10));
+
+    const result = await excel.reconcileDeletions(listing, { force: true });
+    expect(result.marked).toBe(2);
+    expect(sheet.rows.slice(9).map(row => row[2])).toEqual(['Removed', 'Removed']);
+  });
+
+  it('reads the limit from RECONCILE_MAX_REMOVAL_FRACTION', async () => {
+    process.env.RECONCILE_MAX_REMOVAL_FRACTION = '0.25';
+    useFakeWorksheet(excel, sheetOf(10));
+
+    await expect(excel.reconcileDeletions(listingOf(range(1, 8)))).resolves.toMatchObject({ marked: 2 });
+  });
+
+  it('only reports the stale rows on a dry run', async () => {
+    const sheet = useFakeWorksheet(excel, sheetOf(20));
+
+    const result = await excel.reconcileDeletions(listingOf(range(2, 20)), { dryRun: true });
+
+    expect(result).toMatchObject({ dryRun: true, stale: ['1'], marked: 0, removed: 0 });
+    expect(sheet.rows).toEqual(sheetOf(20));
+  });
+
+  it('rejects an unknown mode before reading anything', async () => {
+    const sheet = useFakeWorksheet(excel, sheetOf(2));
+
+    await expect(excel.reconcileDeletions(listingOf([1, 2]), { mode: 'purge' }))
+      .rejects.toMatchObject({ code: 'INVALID_RECONCILE_OPTIONS' });
+    expect(sheet.requests).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+process.env.API_BASE_URL = 'https://shedsuite.test';
+process.env.API_TOKEN = 'test-token';
+process.env.PAGE_SIZE = '10';
+process.env.MAX_PAGES = '100';
+
+const shedsuite = require('../../src/services/shedsuite');
+
+/**
+ * Answer API requests as if the endpoint listed `total` records
+ * @param {number} total Records behind the filters
+ * @param {Object} headers Headers of the count request
+ * @returns {Array<number>} Offsets requested, filled in as requests arrive
+ */
+function mockListing(total, headers = {}) {
+  const offsets = [];
+  jest.spyOn(shedsuite, 'makeRequest').mockImplementation(async (url, context, requestOptions = {}) => {
+    const query = new URL(url).searchParams;
+    const offset = parseInt(query.get('offset'));
+    const limit = parseInt(query.get('limit'));
+    offsets.push(offset);
+
+    const data = [];
+    for (let id = offset; id < Math.min(offset + limit, total); id++) {
+      data.push({ id });
+    }
+    return requestOptions.withHeaders ? { data, headers } : data;
+  });
+  return offsets;
+}
+
+describe('probeRecordCount', () => {
+  beforeAll(() => {
+    // getRecordCount initializes the service before it probes
+    shedsuite._initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([1, 2, 37, 64, 65, 999])('finds a count of %i', async (total) => {
+    mockListing(total);
+
+    const result = await shedsuite.probeRecordCount({}, true);
+
+    expect(result.count).toBe(total);
+    // Doubling then bisecting takes about two probes per power of two
+    expect(result.probes).toBeLessThanOrEqual(2 * Math.ceil(Math.log2(total + 1)) + 1);
+  });
+
+  it('makes no requests when offset 0 is empty', async () => {
+    const offsets = mockListing(0);
+
+    await expect(shedsuite.probeRecordCount({}, false)).resolves.toEqual({ count: 0, probes: 0 });
+    expect(offsets).toEqual([]);
+  });
+
+  it('asks for one record per probe with the given filters', async () => {
+    mockListing(5);
+
+    await shedsuite.probeRecordCount({ status: 'Delivered' }, true);
+
+    shedsuite.makeRequest.mock.calls.forEach(([url]) => {
+      const query = new URL(url).searchParams;
+      expect(query.get('limit')).toBe('1');
+      expect(query.get('status')).toBe('Delivered');
+    });
+  });
+
+  it('stops at the paging limit', async () => {
+    // MAX_PAGES * PAGE_SIZE = 1000 records can be paged through
+    const offsets = mockListing(5000);
+
+    const result = await shedsuite.probeRecordCount({}, true);
+
+    expect(result.count).toBe(1001);
+    expect(Math.max(...offsets)).toBe(1000);
+  });
+});
+
+describe('getRecordCount', () => {
+  beforeEach(() => {
+    shedsuite.countCache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses a total from the response headers without probing', async () => {
+    const offsets = mockListing(30, { 'x-total-count': '30' });
+
+    const result = await shedsuite.getRecordCount();
+
+    expect(result).toMatchObject({ count: 30, method: 'exact' });
+    expect(offsets).toHaveLength(1);
+  });
+
+  it('probes when the response has no total, then serves the cached count', async () => {
+    mockListing(23);
+
+    const first = await shedsuite.getRecordCount();
+    const requests = shedsuite.makeRequest.mock.calls.length;
+    const second = await shedsuite.getRecordCount();
+
+    expect(first).toMatchObject({ count: 23, method: 'probed' });
+    expect(second).toMatchObject({ count: 23, method: 'cached', source: 'probed' });
+    expect(shedsuite.makeRequest).toHaveBeenCalledTimes(requests);
+  });
+
+  it('counts again on refresh', async () => {
+    mockListing(4);
+    await shedsuite.getRecordCount();
+
+    jest.restoreAllMocks();
+    mockListing(6);
+    const result = await shedsuite.getRecordCount({}, { refresh: true });
+
+    expect(result).toMatchObject({ count: 6, method: 'probed' });
+  });
+});
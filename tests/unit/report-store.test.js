@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportStore } = require('../../src/utils/report-store');
+
+describe('ReportStore', () => {
+  let dir;
+  let config;
+
+  /**
+   * Save reports one after another, a second apart so they sort and prune in order
+   * @param {ReportStore} store Store to save into
+   * @param {Array<Object>} reports Reports to save
+   * @returns {Promise<Array<string|null>>} Saved IDs
+   */
+  async function saveAll(store, reports) {
+    const ids = [];
+    for (const report of reports) {
+      jest.setSystemTime(Date.now() + 1000);
+      const id = await store.save(report);
+      // File times follow the fake clock so pruning sees the same order
+      if (id) {
+        const savedAt = new Date(Date.now());
+        fs.utimesSync(path.join(dir, `${id}.json`), savedAt, savedAt);
+      }
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    config = { dir, retention: 20 };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('generates IDs and lists summaries newest first', async () => {
+    const store = new ReportStore(config, {
+      name: 'test report',
+      idPrefix: 'test',
+      summarize: ({ rows, ...summary }) => summary
+    });
+
+    const [first, second] = await saveAll(store, [{ label: 'a', rows: [1] }, { label: 'b', rows: [2] }]);
+
+    expect(first).toMatch(/^test-[a-z0-9]+-[a-z0-9]+$/);
+    expect(await store.list()).toEqual([
+      { reportId: second, createdAt: '2024-06-01T12:00:02.000Z', label: 'b' },
+      { reportId: first, createdAt: '2024-06-01T12:00:01.000Z', label: 'a' }
+    ]);
+    expect(await store.get(first)).toMatchObject({ label: 'a', rows: [1] });
+  });
+
+  it('keeps caller IDs in the configured fields and filters listings', async () => {
+    const store = new ReportStore(config, { name: 'test run', idField: 'runId', timeField: 'savedAt' });
+
+    await saveAll(store, [{ runId: 'run-1', kind: 'x' }, { runId: 'run-2', kind: 'y' }]);
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['run-1.json', 'run-2.json']);
+    expect(await store.list(summary => summary.kind === 'x')).toEqual([
+      { runId: 'run-1', savedAt: '2024-06-01T12:00:01.000Z', kind: 'x' }
+    ]);
+  });
+
+  it('deletes the oldest reports beyond the retention limit', async () => {
+    config.retention = 2;
+    const store = new ReportStore(config, { name: 'test report', idPrefix: 'test' });
+
+    const ids = await saveAll(store, [{}, {}, {}]);
+
+    expect(fs.readdirSync(dir).sort()).toEqual([`${ids[1]}.json`, `${ids[2]}.json`].sort());
+    expect(await store.get(ids[0])).toBeNull();
+  });
+
+  it('does not read outside the directory and skips unreadable files', async () => {
+    const store = new ReportStore(config, { name: 'test report', idPrefix: 'test' });
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    expect(await store.get('../secret')).toBeNull();
+    expect(await store.get('missing')).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('returns null when the report cannot be written', async () => {
+    config.dir = path.join(dir, 'file', 'nested');
+    fs.writeFileSync(path.join(dir, 'file'), '');
+    const store = new ReportStore(config, { name: 'test report', idPrefix: 'test' });
+
+    await expect(store.save({})).resolves.toBeNull();
+  });
+});
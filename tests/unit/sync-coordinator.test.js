@@ -0,0 +1,149 @@
+const syncCoordinator = require('../../src/utils/sync-coordinator');
+const { auditLog } = require('../../src/utils/audit-log');
+
+describe('syncCoordinator', () => {
+  beforeEach(() => {
+    syncCoordinator.targets.clear();
+    jest.spyOn(auditLog, 'record').mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('grants a free target at once', async () => {
+    const lease = await syncCoordinator.acquire('site/sheet', { kind: 'full_sync', trigger: 'scheduled' });
+
+    expect(lease).toMatchObject({ target: 'site/sheet', kind: 'full_sync', trigger: 'scheduled' });
+    expect(lease.acquiredAt).not.toBeNull();
+    expect(syncCoordinator.getStatus()).toEqual([
+      { target: 'site/sheet', running: syncCoordinator.describe(lease), queued: [] }
+    ]);
+  });
+
+  it('turns away a request that does not wait for a busy target', async () => {
+    const running = await syncCoordinator.acquire('site/sheet', { kind: 'full_sync', trigger: 'manual' });
+
+    await expect(syncCoordinator.acquire('site/sheet', { kind: 'incremental_update', trigger: 'polling' }))
+      .rejects.toMatchObject({
+        code: 'SYNC_IN_PROGRESS',
+        details: { target: 'site/sheet', running: { id: running.id, kind: 'full_sync' }, queued: 0 }
+      });
+  });
+
+  it('locks targets independently', async () => {
+    await syncCoordinator.acquire('site/one');
+
+    await expect(syncCoordinator.acquire('site/two')).resolves.toMatchObject({ target: 'site/two' });
+  });
+
+  it('hands the lock to waiting requests in order', async () => {
+    const first = await syncCoordinator.acquire('site/sheet', { kind: 'full_sync' });
+    const onQueued = jest.fn();
+    const granted = [];
+
+    const second = syncCoordinator.acquire('site/sheet', { kind: 'reconciliation', onBusy: 'queue', onQueued })
+      .then(lease => { granted.push(lease.kind); return lease; });
+    const third = syncCoordinator.acquire('site/sheet', { kind: 'full_sync', trigger: 'manual', onBusy: 'queue' })
+      .then(lease => { granted.push(lease.trigger); return lease; });
+
+    expect(onQueued).toHaveBeenCalledWith(syncCoordinator.describe(first), 1);
+    expect(syncCoordinator.getStatus()[0].queued).toHaveLength(2);
+
+    syncCoordinator.release(first);
+    const secondLease = await second;
+    expect(granted).toEqual(['reconciliation']);
+
+    syncCoordinator.release(secondLease);
+    await third;
+    expect(granted).toEqual(['reconciliation', 'manual']);
+  });
+
+  it('rejects a waiting request once the queue is full', async () => {
+    syncCoordinator.config.maxQueued = 1;
+    try {
+      await syncCoordinator.acquire('site/sheet');
+      syncCoordinator.acquire('site/sheet', { onBusy: 'queue' });
+
+      await expect(syncCoordinator.acquire('site/sheet', { onBusy: 'queue' }))
+        .rejects.toMatchObject({ code: 'SYNC_IN_PROGRESS', details: { queued: 1 } });
+    } finally {
+      syncCoordinator.config.maxQueued = 5;
+    }
+  });
+
+  it('drops a waiting request when its signal aborts', async () => {
+    const running = await syncCoordinator.acquire('site/sheet');
+    const controller = new AbortController();
+    const reason = new Error('Job cancelled');
+
+    const waiting = syncCoordinator.acquire('site/sheet', { onBusy: 'queue', signal: controller.signal });
+    const after = syncCoordinator.acquire('site/sheet', { kind: 'after', onBusy: 'queue' });
+    controller.abort(reason);
+
+    await expect(waiting).rejects.toBe(reason);
+    expect(syncCoordinator.getStatus()[0].queued.map(lease => lease.kind)).toEqual(['after']);
+
+    syncCoordinator.release(running);
+    await expect(after).resolves.toMatchObject({ kind: 'after' });
+  });
+
+  it('does not queue a request whose signal has already aborted', async () => {
+    await syncCoordinator.acquire('site/sheet');
+    const controller = new AbortController();
+    controller.abort(new Error('gone'));
+
+    await expect(syncCoordinator.acquire('site/sheet', { onBusy: 'queue', signal: controller.signal }))
+      .rejects.toThrow('gone');
+    expect(syncCoordinator.getStatus()[0].queued).toEqual([]);
+  });
+
+  it('ignores the release of a lease that no longer holds the lock', async () => {
+    const lease = await syncCoordinator.acquire('site/sheet');
+    syncCoordinator.release(lease);
+    const next = await syncCoordinator.acquire('site/sheet');
+
+    syncCoordinator.release(lease, { status: 'completed' });
+
+    expect(syncCoordinator.getStatus()[0].running.id).toBe(next.id);
+    expect(auditLog.record).not.toHaveBeenCalled();
+  });
+
+  describe('run', () => {
+    it('audits a completed run with its summary and releases the lock', async () => {
+      const result = await syncCoordinator.run('site/sheet', { kind: 'full_sync', trigger: 'cron' },
+        async () => ({ rows: 12 }), (output) => ({ rowsWritten: output.rows }));
+
+      expect(result).toEqual({ rows: 12 });
+      expect(syncCoordinator.getStatus()).toEqual([]);
+      expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'sync.full_sync',
+        actor: { type: 'system', name: 'cron' },
+        target: 'site/sheet',
+        outcome: expect.objectContaining({ status: 'completed', summary: { rowsWritten: 12 } })
+      }));
+    });
+
+    it('audits a failed run under the caller that requested it', async () => {
+      const requestedBy = { type: 'api_key', name: 'ops' };
+      const work = syncCoordinator.run('site/sheet', { kind: 'full_sync', requestedBy }, async () => {
+        throw new Error('Graph unavailable');
+      });
+
+      await expect(work).rejects.toThrow('Graph unavailable');
+      expect(syncCoordinator.getStatus()).toEqual([]);
+      expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+        actor: requestedBy,
+        outcome: expect.objectContaining({ status: 'failed', error: 'Graph unavailable' })
+      }));
+    });
+
+    it('audits a cancelled job as cancelled', async () => {
+      const cancelled = new Error('Job cancelled');
+      cancelled.code = 'JOB_CANCELLED';
+
+      await expect(syncCoordinator.run('site/sheet', {}, async () => { throw cancelled; })).rejects.toBe(cancelled);
+      expect(auditLog.record.mock.calls[0][0].outcome.status).toBe('cancelled');
+    });
+  });
+});
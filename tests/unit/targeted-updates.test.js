@@ -0,0 +1,121 @@
+process.env.AZURE_CLIENT_ID = 'client';
+process.env.AZURE_TENANT_ID = 'tenant';
+process.env.AZURE_CLIENT_SECRET = 'secret';
+process.env.SHAREPOINT_HOSTNAME = 'contoso.sharepoint.test';
+process.env.SHAREPOINT_SITE_PATH = '/sites/orders';
+process.env.EXCEL_WORKBOOK_ID = 'workbook-1';
+
+const { ExcelService } = require('../../src/services/excel');
+const { ColumnMapping } = require('../../src/utils/column-mapping');
+const { useFakeWorksheet } = require('../helpers/fake-worksheet');
+
+const columnMapping = new ColumnMapping([
+  { field: 'id', header: 'Order ID', source: 'id' },
+  { field: 'customer_name', header: 'Customer', source: 'customerName' },
+  { field: 'status', header: 'Status', source: 'status' }
+]);
+
+const HEADERS = ['Order ID', 'Customer', 'Status'];
+
+describe('ExcelService.applyTargetedUpdates', () => {
+  let excel;
+
+  beforeEach(() => {
+    excel = new ExcelService({ columnMapping });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EXCEL_SCHEMA_DRIFT_POLICY;
+  });
+
+  it('patches the rows of known order IDs in place', async () => {
+    const sheet = useFakeWorksheet(excel, [
+      HEADERS,
+      ['1', 'Ann', 'Open'],
+      ['2', 'Bob', 'Open'],
+      ['3', 'Cy', 'Open']
+    ]);
+
+    const result = await excel.applyTargetedUpdates([
+      { id: '3', customer_name: 'Cy', status: 'Delivered' },
+      { id: '2', customer_name: 'Bob', status: 'Built' }
+    ]);
+
+    expect(result).toEqual({ updated: 2, appended: 0, skipped: 0, filtered: 0 });
+    expect(sheet.rows).toEqual([
+      HEADERS,
+      ['1', 'Ann', 'Open'],
+      ['2', 'Bob', 'Built'],
+      ['3', 'Cy', 'Delivered']
+    ]);
+    // Adjacent rows go out as one write
+    expect(sheet.requests.filter(request => request.startsWith('patch'))).toEqual(["patch range(address='A3:C4')"]);
+  });
+
+  it('appends unknown order IDs after the data and skips records without an ID', async () => {
+    const sheet = useFakeWorksheet(excel, [HEADERS, ['1', 'Ann', 'Open']]);
+
+    const result = await excel.applyTargetedUpdates([
+      { id: '4', customer_name: 'Di', status: 'Open' },
+      { id: '', customer_name: 'Nobody', status: 'Open' },
+      { id: '1', customer_name: 'Ann', status: 'Built' }
+    ]);
+
+    expect(result).toEqual({ updated: 1, appended: 1, skipped: 1, filtered: 0 });
+    expect(sheet.rows).toEqual([
+      HEADERS,
+      ['1', 'Ann', 'Built'],
+      ['4', 'Di', 'Open']
+    ]);
+  });
+
+  it('updates a row appended by an earlier page instead of appending it again', async () => {
+    const sheet = useFakeWorksheet(excel, [HEADERS, ['1', 'Ann', 'Open']]);
+    const pages = (async function* () {
+      yield { records: [{ id: '5', customer_name: 'Ed', status: 'Open' }], replacements: [] };
+      yield {
+        records: [],
+        replacements: [{ index: 0, replacedId: '5', record: { id: '5', customer_name: 'Ed', status: 'Built' } }]
+      };
+    })();
+
+    const result = await excel.applyTargetedUpdates(pages);
+
+    expect(result).toMatchObject({ updated: 1, appended: 1 });
+    expect(sheet.rows).toEqual([
+      HEADERS,
+      ['1', 'Ann', 'Open'],
+      ['5', 'Ed', 'Built']
+    ]);
+  });
+
+  it('writes under the matching headers when remapping a drifted header row', async () => {
+    process.env.EXCEL_SCHEMA_DRIFT_POLICY = 'remap';
+    const sheet = useFakeWorksheet(excel, [
+      ['Status', 'Notes', 'Order ID', 'Customer'],
+      ['Open', 'call first', '1', 'Ann']
+    ]);
+
+    const result = await excel.applyTargetedUpdates([
+      { id: '1', customer_name: 'Ann', status: 'Built' },
+      { id: '2', customer_name: 'Bob', status: 'Open' }
+    ]);
+
+    expect(result).toMatchObject({ updated: 1, appended: 1 });
+    // The unmapped Notes column is left alone
+    expect(sheet.rows).toEqual([
+      ['Status', 'Notes', 'Order ID', 'Customer'],
+      ['Built', 'call first', '1', 'Ann'],
+      ['Open', undefined, '2', 'Bob']
+    ]);
+  });
+
+  it('refuses a drifted header row by default', async () => {
+    const sheet = useFakeWorksheet(excel, [['Customer', 'Order ID', 'Status'], ['Ann', '1', 'Open']]);
+
+    await expect(excel.applyTargetedUpdates([{ id: '1', customer_name: 'Ann', status: 'Built' }]))
+      .rejects.toMatchObject({ code: 'SCHEMA_DRIFT' });
+    expect(sheet.rows[1]).toEqual(['Ann', '1', 'Open']);
+  });
+});